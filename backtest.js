@@ -0,0 +1,80 @@
+// Historical backtest runner
+// Usage: node backtest.js --data data/BTCUSDT-5m.json[,data/ETHUSDT-5m.csv] [--mode balanced]
+//        [--strategies technical_analysis,momentum] [--balance 10000] [--output backtest_results/run.json] [--verbose]
+const path = require('path');
+const logger = require('./src/utils/logger');
+const Backtester = require('./src/backtest/Backtester');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function inferSymbol(filePath) {
+    // Files are expected to be named like BTCUSDT-5m.json or BTCUSDT_5m.csv
+    return path.basename(filePath).split(/[-_.]/)[0].toUpperCase();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.data || args.data === true) {
+        console.error('❌ Missing --data <file[,file]> with historical klines');
+        process.exit(1);
+    }
+
+    if (!args.verbose) {
+        logger.level = 'warn';
+    }
+
+    const files = args.data.split(',').map(f => f.trim()).filter(Boolean);
+    const candlesBySymbol = {};
+
+    for (const file of files) {
+        const symbol = files.length === 1 && typeof args.symbol === 'string'
+            ? args.symbol.toUpperCase()
+            : inferSymbol(file);
+        candlesBySymbol[symbol] = Backtester.loadCandles(file);
+        console.log(`📂 Loaded ${candlesBySymbol[symbol].length} candles for ${symbol} from ${file}`);
+    }
+
+    const backtester = new Backtester({
+        tradingMode: typeof args.mode === 'string' ? args.mode : undefined,
+        strategies: typeof args.strategies === 'string' ? args.strategies.split(',') : undefined,
+        initialBalance: typeof args.balance === 'string' ? parseFloat(args.balance) : undefined
+    });
+
+    console.log('🔄 Running backtest...');
+    const report = await backtester.run(candlesBySymbol);
+    const outputPath = backtester.saveReport(report, typeof args.output === 'string' ? args.output : undefined);
+
+    const { statistics, totals } = report;
+    console.log('\n📊 Backtest Results');
+    console.log(`Period: ${new Date(report.period.start).toISOString()} → ${new Date(report.period.end).toISOString()}`);
+    console.log(`Mode: ${report.settings.tradingMode} | Strategies: ${report.settings.strategies.join(', ')} | Balance: ${report.settings.initialBalance} USDT`);
+    console.log(`Trades: ${statistics.totalTrades} (${statistics.winningTrades}W / ${statistics.losingTrades}L)`);
+    console.log(`Win Rate: ${statistics.winRate.toFixed(2)}%`);
+    console.log(`Gross P&L: ${totals.grossPnlUSDT.toFixed(2)} USDT | Fees: ${totals.totalFees.toFixed(2)} USDT | Net: ${totals.netPnlUSDT.toFixed(2)} USDT`);
+    console.log(`Sharpe Ratio: ${report.sharpeRatio.toFixed(2)}`);
+    console.log(`Max Drawdown: ${report.maxDrawdown.toFixed(2)}%`);
+    console.log(`\n💾 Report saved to ${outputPath}`);
+
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+});
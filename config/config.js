@@ -12,6 +12,18 @@ module.exports = {
     BINANCE_SECRET_KEY: process.env.BINANCE_SECRET_KEY,
     USE_TESTNET: process.env.USE_TESTNET === 'true',
     
+    // Paper Trading
+    PAPER_TRADING: process.env.PAPER_TRADING === 'true',
+    PAPER_SPOT_BALANCE: parseFloat(process.env.PAPER_SPOT_BALANCE) || 10000,
+    PAPER_FUTURES_BALANCE: parseFloat(process.env.PAPER_FUTURES_BALANCE) || 1000,
+    PAPER_FEE_PERCENT: parseFloat(process.env.PAPER_FEE_PERCENT) || 0.1,
+    PAPER_FUTURES_FEE_PERCENT: parseFloat(process.env.PAPER_FUTURES_FEE_PERCENT) || 0.04,
+    PAPER_SLIPPAGE_PERCENT: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT) || 0.05,
+    
+    // Trade Journal (paper trades are kept apart from live ones)
+    JOURNAL_DIR: process.env.JOURNAL_DIR ||
+        (process.env.PAPER_TRADING === 'true' ? 'data/paper/journal' : 'data/journal'),
+    
     // Trading Configuration
     TRADING_PAIRS: (process.env.TRADING_PAIRS || 'BTCUSDT,ETHUSDT,BNBUSDT').split(','),
     FUTURES_LEVERAGE: parseFloat(process.env.FUTURES_LEVERAGE) || 3,
@@ -31,6 +43,10 @@ module.exports = {
     TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
     TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID,
     
+    // Control API (disabled unless a key or JWT secret is set)
+    CONTROL_API_KEY: process.env.CONTROL_API_KEY,
+    CONTROL_API_JWT_SECRET: process.env.CONTROL_API_JWT_SECRET,
+    
     // Risk Management
     MAX_OPEN_POSITIONS: parseInt(process.env.MAX_OPEN_POSITIONS) || 3,
     STOP_LOSS_PERCENT: parseFloat(process.env.STOP_LOSS_PERCENT) || 2,
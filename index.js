@@ -9,15 +9,24 @@ const cron = require('cron');
 
 // Import modules
 const config = require('./config/config');
-const BinanceAPI = require('./src/exchanges/BinanceAPI');
-const BinanceFuturesAPI = require('./src/exchanges/BinanceFuturesAPI');
+const Exchange = require('./src/exchange/Exchange');
+const BinanceAPI = require('./src/exchange/BinanceAPI');
+const BinanceFuturesAPI = require('./src/exchange/BinanceFuturesAPI');
+const PaperTradingAPI = require('./src/exchange/PaperTradingAPI');
+const PaperFuturesAPI = require('./src/exchange/PaperFuturesAPI');
 const MarketAnalyzer = require('./src/analysis/MarketAnalyzer');
 const AIAnalyzer = require('./src/analysis/AIAnalyzer');
-const RiskManager = require('./src/risk/RiskManager');
+const RiskManager = require('./src/core/RiskManager');
 const TradingBot = require('./src/core/TradingBot');
 const FuturesStrategy = require('./src/strategies/FuturesStrategy');
+const StrategyRegistry = require('./src/strategies/StrategyRegistry');
 const TelegramBot = require('./src/notifications/TelegramBot');
 const WebServer = require('./src/web/WebServer');
+const ApiAuth = require('./src/web/ApiAuth');
+const ControlAPI = require('./src/web/ControlAPI');
+const EventFeed = require('./src/web/EventFeed');
+const TradeJournal = require('./src/storage/TradeJournal');
+const metrics = require('./src/utils/metrics');
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -57,21 +66,32 @@ class CryptoTradingBot {
         this.isRunning = false;
         
         // Core components
-        this.binanceAPI = null;
-        this.binanceFuturesAPI = null;
+        this.exchange = null;
+        this.futuresExchange = null;
         this.marketAnalyzer = null;
         this.aiAnalyzer = null;
         this.riskManager = null;
         this.tradingBot = null;
         this.futuresStrategy = null;
+        this.strategies = null;
         this.telegramBot = null;
         this.webServer = null;
+        this.journal = null;
+        
+        // Shared by the control API and the WebSocket event feed
+        this.apiAuth = new ApiAuth({
+            apiKey: config.CONTROL_API_KEY,
+            jwtSecret: config.CONTROL_API_JWT_SECRET
+        });
+        this.eventFeed = new EventFeed({ auth: this.apiAuth });
         
         // Trading state
         this.tradingPairs = config.TRADING_PAIRS || ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'];
         this.activeTrades = new Map();
         this.marketData = new Map();
         this.config = config;
+        // Last start-time reconciliation per engine, so /api/status shows it ran
+        this.reconciliation = {};
         
         // Performance metrics
         this.performanceMetrics = {
@@ -82,9 +102,6 @@ class CryptoTradingBot {
             startTime: Date.now(),
             uptime: 0
         };
-        
-        // Initialize components
-        this.initializeComponents();
     }
 
     async initializeComponents() {
@@ -101,17 +118,23 @@ class CryptoTradingBot {
                 logger.info('📁 Created logs directory');
             }
 
+            // Initialize Trade Journal
+            this.journal = new TradeJournal({ dataDir: config.JOURNAL_DIR });
+            this.journal.initialize();
+
             // Initialize Binance APIs
-            if (config.BINANCE_API_KEY && config.BINANCE_SECRET_KEY) {
+            if (config.PAPER_TRADING) {
+                this.initializePaperTrading();
+            } else if (config.BINANCE_API_KEY && config.BINANCE_SECRET_KEY) {
                 logger.info('📡 Initializing Binance APIs...');
                 
-                this.binanceAPI = new BinanceAPI({
+                this.exchange = new BinanceAPI({
                     apiKey: config.BINANCE_API_KEY,
                     secretKey: config.BINANCE_SECRET_KEY,
                     useTestnet: config.USE_TESTNET || false
                 });
 
-                this.binanceFuturesAPI = new BinanceFuturesAPI({
+                this.futuresExchange = new BinanceFuturesAPI({
                     apiKey: config.BINANCE_API_KEY,
                     secretKey: config.BINANCE_SECRET_KEY,
                     useTestnet: config.USE_TESTNET || false
@@ -122,13 +145,13 @@ class CryptoTradingBot {
                 logger.info('✅ Binance APIs initialized successfully');
             } else {
                 logger.warn('⚠️ Binance API credentials not found - running in demo mode');
-                this.binanceAPI = this.createMockBinanceAPI();
-                this.binanceFuturesAPI = this.createMockBinanceFuturesAPI();
+                this.exchange = this.createDemoExchange('spot');
+                this.futuresExchange = this.createDemoExchange('futures');
             }
 
             // Initialize Market Analyzer
             logger.info('📊 Initializing Market Analyzer...');
-            this.marketAnalyzer = new MarketAnalyzer(this.binanceAPI);
+            this.marketAnalyzer = new MarketAnalyzer(this.exchange);
             logger.info('✅ Market Analyzer initialized');
 
             // Initialize AI Analyzer (if enabled)
@@ -144,17 +167,31 @@ class CryptoTradingBot {
 
             // Initialize Risk Manager
             logger.info('🛡️ Initializing Risk Manager...');
-            this.riskManager = new RiskManager(config);
+            this.riskManager = new RiskManager(config, this.journal, this.marketAnalyzer);
             logger.info('✅ Risk Manager initialized');
 
+            // Load signal strategy plugins, shared by the spot and futures engines
+            logger.info('🧩 Loading strategy plugins...');
+            this.strategies = StrategyRegistry.createDefault({
+                context: { aiAnalyzer: this.aiAnalyzer, marketAnalyzer: this.marketAnalyzer }
+            });
+            const missingIntervals = this.strategies.getRequirements().intervals
+                .filter(interval => !this.marketAnalyzer.intervals.includes(interval));
+            if (missingIntervals.length > 0) {
+                logger.warn('⚠️ Enabled strategies need intervals missing from MARKET_INTERVALS', { intervals: missingIntervals });
+            }
+            logger.info('✅ Strategy plugins loaded');
+
             // Initialize Trading Bot
             logger.info('🤖 Initializing Trading Bot...');
             this.tradingBot = new TradingBot({
-                binanceAPI: this.binanceAPI,
+                exchange: this.exchange,
                 marketAnalyzer: this.marketAnalyzer,
                 aiAnalyzer: this.aiAnalyzer,
                 riskManager: this.riskManager,
-                config: config
+                config: config,
+                journal: this.journal,
+                strategies: this.strategies
             });
             logger.info('✅ Trading Bot initialized');
 
@@ -162,11 +199,13 @@ class CryptoTradingBot {
             if (config.ENABLE_FUTURES_TRADING) {
                 logger.info('⚡ Initializing Futures Strategy...');
                 this.futuresStrategy = new FuturesStrategy({
-                    binanceFuturesAPI: this.binanceFuturesAPI,
+                    exchange: this.futuresExchange,
                     marketAnalyzer: this.marketAnalyzer,
                     aiAnalyzer: this.aiAnalyzer,
                     riskManager: this.riskManager,
-                    config: config
+                    config: config,
+                    journal: this.journal,
+                    strategies: this.strategies
                 });
                 logger.info('✅ Futures Strategy initialized');
             } else {
@@ -178,6 +217,8 @@ class CryptoTradingBot {
                 logger.info('📱 Initializing Telegram Bot...');
                 this.telegramBot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, config.TELEGRAM_CHAT_ID);
                 await this.telegramBot.initialize();
+                this.telegramBot.setTradingBot(this.tradingBot);
+                this.telegramBot.setFuturesStrategy(this.futuresStrategy);
                 logger.info('✅ Telegram Bot initialized');
             } else {
                 logger.info('⚠️ Telegram notifications disabled');
@@ -261,8 +302,8 @@ class CryptoTradingBot {
         try {
             logger.info('🔗 Testing API connection...');
             
-            if (this.binanceAPI) {
-                const accountInfo = await this.binanceAPI.getAccountInfo();
+            if (this.exchange) {
+                const accountInfo = await this.exchange.getAccountInfo();
                 if (accountInfo && accountInfo.canTrade) {
                     logger.info('✅ Binance API connection successful');
                 } else {
@@ -270,8 +311,8 @@ class CryptoTradingBot {
                 }
             }
 
-            if (this.binanceFuturesAPI) {
-                const futuresAccountInfo = await this.binanceFuturesAPI.getAccountInfo();
+            if (this.futuresExchange) {
+                const futuresAccountInfo = await this.futuresExchange.getAccountInfo();
                 if (futuresAccountInfo) {
                     logger.info('✅ Binance Futures API connection successful');
                 }
@@ -286,23 +327,56 @@ class CryptoTradingBot {
         }
     }
 
-    createMockBinanceAPI() {
-        return {
-            getAccountInfo: async () => ({ canTrade: false, balances: [] }),
-            getSymbolInfo: async (symbol) => ({ symbol, status: 'TRADING' }),
-            getKlines: async (symbol, interval, limit) => [],
-            get24hrStats: async (symbol) => ({ symbol, priceChangePercent: '0.00' }),
-            getOrderBook: async (symbol) => ({ bids: [], asks: [] }),
-            newOrder: async () => { throw new Error('Demo mode - trading disabled'); }
-        };
+    initializePaperTrading() {
+        logger.info('📝 Paper trading enabled - orders are simulated against live market data');
+
+        // Public market data works without keys; credentials are only passed through if present
+        const marketDataAPI = new BinanceAPI({
+            apiKey: config.BINANCE_API_KEY,
+            secretKey: config.BINANCE_SECRET_KEY,
+            useTestnet: config.USE_TESTNET || false
+        });
+
+        // Paper balances, orders and positions are snapshotted next to the paper
+        // journal so a restart reconciles against them instead of a fresh account
+        this.exchange = new PaperTradingAPI({
+            marketDataAPI,
+            journal: this.journal,
+            startingBalance: config.PAPER_SPOT_BALANCE,
+            feePercent: config.PAPER_FEE_PERCENT,
+            slippagePercent: config.PAPER_SLIPPAGE_PERCENT
+        });
+
+        this.futuresExchange = new PaperFuturesAPI({
+            marketDataAPI,
+            journal: this.journal,
+            startingBalance: config.PAPER_FUTURES_BALANCE,
+            takerFeePercent: config.PAPER_FUTURES_FEE_PERCENT,
+            makerFeePercent: config.PAPER_FUTURES_FEE_PERCENT / 2,
+            slippagePercent: config.PAPER_SLIPPAGE_PERCENT
+        });
+
+        logger.info('✅ Paper trading exchanges initialized');
     }
 
-    createMockBinanceFuturesAPI() {
-        return {
-            getAccountInfo: async () => ({ totalWalletBalance: '0.00' }),
-            getPositions: async () => [],
-            newOrder: async () => { throw new Error('Demo mode - futures trading disabled'); }
-        };
+    // Demo mode has no account: reads come back empty, streams are no-ops
+    // and every other call rejects as unsupported
+    createDemoExchange(market) {
+        const exchange = new Exchange({ name: 'demo', market });
+
+        exchange.getAccountInfo = async () => (market === 'spot'
+            ? { canTrade: false, balances: [] }
+            : { totalWalletBalance: '0.00', availableBalance: '0.00', assets: [], positions: [] });
+        exchange.getOpenOrders = async () => [];
+        exchange.getTradeHistory = async () => [];
+        exchange.startTickerStream = () => {};
+        exchange.startKlineStream = () => {};
+        exchange.startUserDataStream = () => {};
+
+        if (market === 'futures') {
+            exchange.getPositions = async () => [];
+        }
+        return exchange;
     }
 
     setupExpress() {
@@ -328,17 +402,30 @@ class CryptoTradingBot {
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
+                eventFeed: this.eventFeed.getStatus(),
                 memory: process.memoryUsage(),
                 version: process.version,
                 environment: process.env.NODE_ENV || 'development'
             });
         });
 
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', async (req, res) => {
+            try {
+                res.set('Content-Type', metrics.contentType);
+                res.send(await metrics.render());
+            } catch (error) {
+                logger.error('Failed to render metrics:', error);
+                res.status(500).send('# metrics unavailable\n');
+            }
+        });
+
         // API routes
         this.app.get('/api/status', (req, res) => {
             res.json({
                 isRunning: this.isRunning,
                 activeTrades: this.activeTrades.size,
+                reconciliation: this.reconciliation,
                 performanceMetrics: this.performanceMetrics,
                 tradingPairs: this.tradingPairs
             });
@@ -357,6 +444,14 @@ class CryptoTradingBot {
             res.json(marketData);
         });
 
+        // Authenticated control endpoints
+        this.app.use('/api/control', new ControlAPI(this, this.apiAuth).router);
+
+        // Dashboard UI and its data endpoints
+        if (this.webServer) {
+            this.app.use(this.webServer.router);
+        }
+
         // Error handling middleware
         this.app.use((error, req, res, next) => {
             logger.error('Express error:', error);
@@ -429,6 +524,33 @@ class CryptoTradingBot {
             this.tradingBot.on('error', (error) => {
                 logger.error('Trading bot error:', error);
             });
+
+            this.tradingBot.on('reconciliation', (report) => {
+                this.handleReconciliation(report);
+            });
+        }
+
+        // Sockets that stay down or silent; the adapters keep reconnecting
+        for (const exchange of [this.exchange, this.futuresExchange]) {
+            exchange?.on('streamAlert', (alert) => {
+                this.handleStreamAlert(alert);
+            });
+        }
+
+        if (this.futuresStrategy) {
+            this.futuresStrategy.on('reconciliation', (report) => {
+                this.handleReconciliation(report);
+            });
+
+            this.futuresStrategy.on('marginAlert', (alert) => {
+                this.handleMarginAlert(alert);
+            });
+        }
+
+        if (this.riskManager) {
+            this.riskManager.on('stateChange', (change) => {
+                this.handleTradingStateChange(change);
+            });
         }
 
         // Market analyzer events
@@ -442,6 +564,9 @@ class CryptoTradingBot {
             });
         }
 
+        this.setupEventFeed();
+        this.setupMetrics();
+
         // Process events
         process.on('SIGINT', () => {
             logger.info('Received SIGINT, shutting down gracefully...');
@@ -465,6 +590,96 @@ class CryptoTradingBot {
         logger.info('✅ Event listeners set up successfully');
     }
 
+    setupEventFeed() {
+        this.eventFeed.registerSource('spot', this.tradingBot, {
+            tradeOpened: 'trades',
+            tradeClosed: 'trades',
+            signalGenerated: 'signals',
+            performanceUpdate: 'performance',
+            emergencyStop: 'risk',
+            reconciliation: 'system',
+            started: 'system',
+            stopped: 'system'
+        });
+
+        this.eventFeed.registerSource('futures', this.futuresStrategy, {
+            positionOpened: 'futures',
+            positionClosed: 'futures',
+            positionsUpdate: 'futures',
+            signalGenerated: 'signals',
+            performanceUpdate: 'performance',
+            dailyStop: 'risk',
+            marginAlert: 'risk',
+            reconciliation: 'system',
+            started: 'system',
+            stopped: 'system'
+        });
+
+        this.eventFeed.registerSource('market', this.marketAnalyzer, {
+            marketAnalysis: 'market',
+            comprehensiveAnalysis: 'market',
+            marketUpdate: 'ticker'
+        });
+
+        this.eventFeed.registerSource('risk', this.riskManager, {
+            riskEvent: 'risk',
+            riskWarning: 'risk',
+            emergencyStop: 'risk',
+            stateChange: 'risk'
+        });
+    }
+
+    setupMetrics() {
+        metrics.registerCollector(() => {
+            const sum = (items, field) => items.reduce((total, item) => total + (parseFloat(item[field]) || 0), 0);
+
+            if (this.tradingBot) {
+                const trades = this.tradingBot.getActiveTrades();
+                metrics.openTrades.set({}, trades.length);
+                metrics.unrealizedPnl.set({ market: 'spot' }, sum(trades, 'pnlUSDT'));
+                metrics.realizedPnl.set({ market: 'spot' }, sum(this.tradingBot.tradeHistory, 'pnlUSDT'));
+            }
+
+            if (this.futuresStrategy) {
+                const { dailyStats, settings } = this.futuresStrategy;
+                const openPositions = this.futuresStrategy.activePositions.size;
+
+                metrics.openPositions.set({}, openPositions);
+                metrics.unrealizedPnl.set({ market: 'futures' },
+                    openPositions > 0 ? sum(this.lastFuturesPositions || [], 'unRealizedProfit') : 0);
+                metrics.dailyPnlPercent.set({ market: 'futures' },
+                    dailyStats.startBalance > 0 ? (dailyStats.pnl / dailyStats.startBalance) * 100 : 0);
+                metrics.dailyLossLimitPercent.set({ market: 'futures' }, settings.dailyMaxLossPercent);
+
+                // Closed futures positions are only kept in the journal
+                if (this.journal) {
+                    metrics.realizedPnl.set({ market: 'futures' },
+                        sum(this.journal.getClosedFuturesPositions(), 'pnl'));
+                }
+            }
+
+            if (this.riskManager) {
+                metrics.dailyPnlPercent.set({ market: 'spot' }, this.riskManager.getPortfolioRisk().dailyPnLPercent);
+                metrics.dailyLossLimitPercent.set({ market: 'spot' }, this.riskManager.riskLimits.maxDailyLoss);
+            }
+
+            if (this.marketAnalyzer) {
+                const now = Date.now();
+                for (const [symbol, data] of this.marketAnalyzer.marketData.entries()) {
+                    metrics.tickerAge.set({ symbol }, (now - data.timestamp) / 1000);
+                    metrics.marketDataStale.set({ symbol }, this.marketAnalyzer.isStale(symbol) ? 1 : 0);
+                }
+            }
+        });
+
+        // Mark prices are only refreshed by the strategy's own polling
+        if (this.futuresStrategy) {
+            this.futuresStrategy.on('positionsUpdate', (update) => {
+                this.lastFuturesPositions = update.positions || [];
+            });
+        }
+    }
+
     async handleTradeOpened(trade) {
         this.activeTrades.set(trade.id, trade);
         this.performanceMetrics.totalTrades++;
@@ -493,6 +708,49 @@ class CryptoTradingBot {
         }
     }
 
+    async handleReconciliation(report) {
+        this.reconciliation[report.source] = {
+            timestamp: report.timestamp,
+            matched: report.matched.length,
+            discrepancies: report.discrepancies || 0,
+            error: report.error
+        };
+
+        if (!report.discrepancies) return;
+
+        logger.warn(`⚠️ ${report.source} reconciliation found ${report.discrepancies} discrepancies`, report);
+
+        if (this.telegramBot) {
+            await this.telegramBot.sendReconciliationReport(report);
+        }
+    }
+
+    async handleTradingStateChange(change) {
+        logger.warn(`🚦 Trading state ${change.from} -> ${change.to} (${change.reason})`, change);
+
+        if (this.telegramBot) {
+            await this.telegramBot.sendTradingStateChange(change);
+        }
+    }
+
+    async handleStreamAlert(alert) {
+        if (alert.type === 'recovered') {
+            logger.info(`✅ ${alert.market} ${alert.stream} stream recovered after ${Math.round(alert.downtime / 1000)}s`, alert);
+        } else {
+            logger.error(`🔌 ${alert.market} ${alert.stream} stream ${alert.type}`, alert);
+        }
+
+        if (this.telegramBot) {
+            await this.telegramBot.sendStreamAlert(alert);
+        }
+    }
+
+    async handleMarginAlert(alert) {
+        if (this.telegramBot) {
+            await this.telegramBot.sendMarginAlert(alert);
+        }
+    }
+
     async handleMarketUpdate(data) {
         this.marketData.set(data.symbol, data);
         
@@ -583,6 +841,9 @@ class CryptoTradingBot {
 
     async start() {
         try {
+            // Components have to exist before anything below starts them
+            await this.initializeComponents();
+
             logger.info('🚀 Starting Crypto Trading Bot...');
             
             // Start web server
@@ -590,6 +851,7 @@ class CryptoTradingBot {
             this.server = this.app.listen(port, () => {
                 logger.info(`🌐 Web server running on port ${port}`);
             });
+            this.eventFeed.attach(this.server);
             
             // Start trading bot
             if (this.tradingBot) {
@@ -603,7 +865,7 @@ class CryptoTradingBot {
             
             // Start market analyzer
             if (this.marketAnalyzer) {
-                await this.marketAnalyzer.start();
+                await this.marketAnalyzer.startDataStream();
             }
             
             this.isRunning = true;
@@ -638,10 +900,11 @@ class CryptoTradingBot {
             
             // Stop market analyzer
             if (this.marketAnalyzer) {
-                await this.marketAnalyzer.stop();
+                await this.marketAnalyzer.stopDataStream();
             }
             
             // Close web server
+            this.eventFeed.close();
             if (this.server) {
                 this.server.close();
             }
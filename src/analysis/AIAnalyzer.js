@@ -3,6 +3,7 @@ const EventEmitter = require('events');
 const _ = require('lodash');
 const ss = require('simple-statistics');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const config = require('../config/config');
 
 class AIAnalyzer extends EventEmitter {
@@ -376,12 +377,15 @@ class AIAnalyzer extends EventEmitter {
             const model = this.models.get('pricePredictor');
             if (!model) throw new Error('Price prediction model not found');
 
-            const inputTensor = tf.tensor3d([features]);
-            const prediction = model.predict(inputTensor);
-            const probabilities = await prediction.data();
+            const probabilities = await metrics.aiInferenceDuration.time({ model: 'pricePredictor' }, async () => {
+                const inputTensor = tf.tensor3d([features]);
+                const prediction = model.predict(inputTensor);
+                const output = await prediction.data();
 
-            inputTensor.dispose();
-            prediction.dispose();
+                inputTensor.dispose();
+                prediction.dispose();
+                return output;
+            });
 
             return {
                 up: probabilities[0],
@@ -402,12 +406,15 @@ class AIAnalyzer extends EventEmitter {
             const model = this.models.get('volatilityPredictor');
             if (!model) throw new Error('Volatility prediction model not found');
 
-            const inputTensor = tf.tensor3d([features]);
-            const prediction = model.predict(inputTensor);
-            const volatility = await prediction.data();
+            const volatility = await metrics.aiInferenceDuration.time({ model: 'volatilityPredictor' }, async () => {
+                const inputTensor = tf.tensor3d([features]);
+                const prediction = model.predict(inputTensor);
+                const output = await prediction.data();
 
-            inputTensor.dispose();
-            prediction.dispose();
+                inputTensor.dispose();
+                prediction.dispose();
+                return output;
+            });
 
             return {
                 predicted: Math.abs(volatility[0]) * 100, // Convert to percentage
@@ -425,12 +432,15 @@ class AIAnalyzer extends EventEmitter {
             const model = this.models.get('sentimentAnalyzer');
             if (!model) throw new Error('Sentiment analysis model not found');
 
-            const inputTensor = tf.tensor2d([features]);
-            const prediction = model.predict(inputTensor);
-            const probabilities = await prediction.data();
+            const probabilities = await metrics.aiInferenceDuration.time({ model: 'sentimentAnalyzer' }, async () => {
+                const inputTensor = tf.tensor2d([features]);
+                const prediction = model.predict(inputTensor);
+                const output = await prediction.data();
 
-            inputTensor.dispose();
-            prediction.dispose();
+                inputTensor.dispose();
+                prediction.dispose();
+                return output;
+            });
 
             return {
                 bullish: probabilities[0],
@@ -5,17 +5,26 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 
 class MarketAnalyzer extends EventEmitter {
-    constructor(binanceAPI) {
+    constructor(exchange) {
         super();
-        this.binanceAPI = binanceAPI;
+        this.exchange = exchange;
         this.marketData = new Map();
-        this.priceHistory = new Map();
         this.volumeData = new Map();
-        this.technicalIndicators = new Map();
         this.marketSentiment = new Map();
         this.activeStreams = new Set();
         this.updateInterval = null;
         this.isRunning = false;
+
+        // Candles and indicators are kept per interval. The primary interval's
+        // maps double as priceHistory/technicalIndicators for single-timeframe callers.
+        this.intervals = config.MARKET_INTERVALS?.length ? config.MARKET_INTERVALS : ['5m'];
+        this.primaryInterval = this.intervals[0];
+        this.timeframes = new Map(this.intervals.map(interval => [interval, {
+            priceHistory: new Map(),
+            technicalIndicators: new Map()
+        }]));
+        this.priceHistory = this.timeframes.get(this.primaryInterval).priceHistory;
+        this.technicalIndicators = this.timeframes.get(this.primaryInterval).technicalIndicators;
         
         
 // Add default config fallbacks at top of constructor
@@ -41,13 +50,13 @@ if (!config.VOLUME_THRESHOLD_USDT) {
     }
 
     setupEventHandlers() {
-        this.binanceAPI.on('tickerUpdate', (ticker) => {
+        this.exchange.on('tickerUpdate', (ticker) => {
             this.updateMarketData(ticker);
         });
 
-        this.binanceAPI.on('klineUpdate', (kline) => {
+        this.exchange.on('klineUpdate', (kline) => {
             this.updatePriceHistory(kline);
-            this.calculateTechnicalIndicators(kline.symbol);
+            this.calculateTechnicalIndicators(kline.symbol, kline.interval);
         });
 
         this.on('marketUpdate', (data) => {
@@ -66,14 +75,19 @@ if (!config.VOLUME_THRESHOLD_USDT) {
             
             // Start ticker streams for trading pairs
             if (config.TRADING_PAIRS && config.TRADING_PAIRS.length > 0) {
-                this.binanceAPI.startTickerStream(config.TRADING_PAIRS);
+                this.exchange.startTickerStream(config.TRADING_PAIRS);
             }
 
             // Start kline streams for major pairs
             const majorPairs = config.MARKET_CATEGORIES?.major || ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'];
             for (const symbol of majorPairs) {
-                this.binanceAPI.startKlineStream(symbol, '5m');
-                this.activeStreams.add(`kline_${symbol}_5m`);
+                this.startKlineStreams(symbol);
+            }
+
+            // Streams are already running, so nothing closes unseen between
+            // the REST snapshot and the first live candle
+            for (const symbol of majorPairs) {
+                await this.loadSymbolHistory(symbol);
             }
 
             // Start periodic market analysis
@@ -89,6 +103,43 @@ if (!config.VOLUME_THRESHOLD_USDT) {
             throw error;
         }
     }
+
+    // Adds ticker and kline streams for symbols other components trade
+    trackSymbols(symbols) {
+        try {
+            const tickerSymbols = new Set(config.TRADING_PAIRS || []);
+            const untracked = symbols.filter(symbol => !this.activeStreams.has(`kline_${symbol}_${this.primaryInterval}`));
+            if (untracked.length === 0) return;
+
+            const newTickers = untracked.filter(symbol => !tickerSymbols.has(symbol));
+            if (newTickers.length > 0) {
+                this.exchange.startTickerStream(newTickers);
+            }
+
+            for (const symbol of untracked) {
+                this.startKlineStreams(symbol);
+                this.loadSymbolHistory(symbol);
+            }
+
+            logger.market('Tracking additional symbols', { symbols: untracked });
+        } catch (error) {
+            logger.error('Failed to track symbols:', error);
+        }
+    }
+
+    startKlineStreams(symbol) {
+        for (const interval of this.intervals) {
+            this.exchange.startKlineStream(symbol, interval);
+            this.activeStreams.add(`kline_${symbol}_${interval}`);
+        }
+    }
+
+    async loadSymbolHistory(symbol) {
+        for (const interval of this.intervals) {
+            await this.loadPriceHistory(symbol, interval);
+        }
+    }
+
     async stopDataStream() {
         if (!this.isRunning) {
             return;
@@ -98,7 +149,7 @@ if (!config.VOLUME_THRESHOLD_USDT) {
             logger.market('Stopping market data streams');
             
             // Stop all streams
-            this.binanceAPI.stopAllStreams();
+            this.exchange.stopAllStreams();
             this.activeStreams.clear();
 
             // Stop periodic analysis
@@ -133,41 +184,94 @@ if (!config.VOLUME_THRESHOLD_USDT) {
         this.emit('marketUpdate', { symbol, ticker });
     }
 
-    updatePriceHistory(kline) {
-        const symbol = kline.symbol;
-        
-        if (!this.priceHistory.has(symbol)) {
-            this.priceHistory.set(symbol, []);
-        }
-
-        const history = this.priceHistory.get(symbol);
-        
-        // Add new price data
-        const priceData = {
+    toCandle(kline) {
+        return {
             timestamp: kline.closeTime,
+            openTime: kline.openTime,
             open: kline.open,
             high: kline.high,
             low: kline.low,
             close: kline.close,
-            volume: kline.volume
+            volume: kline.volume,
+            isFinal: kline.isFinal
         };
+    }
+
+    // Candles are keyed by open time: updates to the open candle replace it,
+    // a newer candle is appended and anything older is already in the history
+    updatePriceHistory(kline) {
+        const symbol = kline.symbol;
+        const interval = kline.interval || this.primaryInterval;
+        const timeframe = this.timeframes.get(interval);
+        if (!timeframe) return;
+
+        if (!timeframe.priceHistory.has(symbol)) {
+            timeframe.priceHistory.set(symbol, []);
+        }
+
+        const history = timeframe.priceHistory.get(symbol);
+        const candle = this.toCandle(kline);
+        const last = history[history.length - 1];
+
+        if (!last || candle.openTime > last.openTime) {
+            // The stream moved on without closing the previous candle
+            if (last && !last.isFinal) {
+                this.loadPriceHistory(symbol, interval, { startTime: last.openTime });
+            }
+
+            history.push(candle);
 
-        // Only add if it's a new/final candle
-        if (kline.isFinal) {
-            history.push(priceData);
-            
             // Keep only recent history
             if (history.length > config.PRICE_HISTORY_LIMIT) {
                 history.shift();
             }
-        } else {
-            // Update the last candle if it's not final
-            if (history.length > 0) {
-                history[history.length - 1] = priceData;
+        } else if (candle.openTime === last.openTime) {
+            history[history.length - 1] = candle;
+        }
+    }
+
+    // Fetches candles over REST and merges them into the history, then
+    // recalculates indicators so they don't wait for the stream to fill up
+    async loadPriceHistory(symbol, interval = this.primaryInterval, { startTime = null } = {}) {
+        if (!this.exchange.supports('getKlines')) return;
+
+        try {
+            const klines = await this.exchange.getKlines(symbol, interval, {
+                limit: config.PRICE_HISTORY_LIMIT,
+                startTime
+            });
+
+            const now = Date.now();
+            this.mergePriceHistory(symbol, klines.map(kline => ({ ...kline, isFinal: kline.closeTime < now })), interval);
+            this.calculateTechnicalIndicators(symbol, interval);
+
+            logger.market('Price history loaded', { symbol, interval, candles: klines.length });
+        } catch (error) {
+            logger.error(`Failed to load price history for ${symbol}:`, error.message);
+        }
+    }
+
+    // Stream candles win over REST ones with the same open time, except that
+    // a partial candle never replaces a closed one
+    mergePriceHistory(symbol, klines, interval = this.primaryInterval) {
+        const { priceHistory } = this.timeframes.get(interval);
+        const candles = new Map();
+        for (const kline of klines) {
+            candles.set(kline.openTime, this.toCandle(kline));
+        }
+
+        for (const candle of priceHistory.get(symbol) || []) {
+            const fetched = candles.get(candle.openTime);
+            if (!fetched || candle.isFinal || !fetched.isFinal) {
+                candles.set(candle.openTime, candle);
             }
         }
 
-        this.priceHistory.set(symbol, history);
+        const merged = Array.from(candles.values())
+            .sort((a, b) => a.openTime - b.openTime)
+            .slice(-config.PRICE_HISTORY_LIMIT);
+
+        priceHistory.set(symbol, merged);
     }
 
     updateVolumeData(symbol, volume) {
@@ -187,8 +291,9 @@ if (!config.VOLUME_THRESHOLD_USDT) {
         this.volumeData.set(symbol, filteredVolume);
     }
 
-    calculateTechnicalIndicators(symbol) {
-        const history = this.priceHistory.get(symbol);
+    calculateTechnicalIndicators(symbol, interval = this.primaryInterval) {
+        const timeframe = this.timeframes.get(interval);
+        const history = timeframe?.priceHistory.get(symbol);
         if (!history || history.length < 50) {
             return;
         }
@@ -292,6 +397,18 @@ if (!config.VOLUME_THRESHOLD_USDT) {
                 indicators.ADX = adx[adx.length - 1];
             }
 
+            // ATR
+            const atrPeriod = config.TECHNICAL_ANALYSIS.ATR_PERIOD || 14;
+            if (history.length >= atrPeriod + 1) {
+                const atr = TechnicalIndicators.ATR.calculate({
+                    high: highs,
+                    low: lows,
+                    close: closes,
+                    period: atrPeriod
+                });
+                indicators.ATR = atr[atr.length - 1];
+            }
+
             // Volume indicators
             if (volumes.length >= 20) {
                 const avgVolume = _.mean(volumes.slice(-20));
@@ -300,13 +417,14 @@ if (!config.VOLUME_THRESHOLD_USDT) {
             }
 
             // Store indicators
-            this.technicalIndicators.set(symbol, {
+            timeframe.technicalIndicators.set(symbol, {
                 ...indicators,
+                interval,
                 timestamp: Date.now(),
                 price: closes[closes.length - 1]
             });
 
-            logger.market('Technical indicators calculated', { symbol, indicators: Object.keys(indicators).length });
+            logger.market('Technical indicators calculated', { symbol, interval, indicators: Object.keys(indicators).length });
 
         } catch (error) {
             logger.error(`Failed to calculate technical indicators for ${symbol}:`, error);
@@ -507,8 +625,8 @@ if (!config.VOLUME_THRESHOLD_USDT) {
 
     async getMarketOverview() {
         try {
-            const topVolume = await this.binanceAPI.getTopVolumeCoins(20);
-            const gainersLosers = await this.binanceAPI.getGainersLosers(10);
+            const topVolume = await this.exchange.getTopVolumeCoins(20);
+            const gainersLosers = await this.exchange.getGainersLosers(10);
 
             return {
                 topVolume: topVolume.slice(0, 10),
@@ -693,16 +811,36 @@ if (!config.VOLUME_THRESHOLD_USDT) {
         return symbol ? this.marketData.get(symbol) : Object.fromEntries(this.marketData);
     }
 
-    getTechnicalIndicators(symbol) {
-        return symbol ? this.technicalIndicators.get(symbol) : Object.fromEntries(this.technicalIndicators);
+    getTechnicalIndicators(symbol, interval = this.primaryInterval) {
+        const indicators = this.timeframes.get(interval)?.technicalIndicators;
+        if (!indicators) return symbol ? undefined : {};
+        return symbol ? indicators.get(symbol) : Object.fromEntries(indicators);
+    }
+
+    // { [interval]: indicators } for every interval with indicators for the symbol
+    getTimeframeIndicators(symbol) {
+        const result = {};
+        for (const [interval, timeframe] of this.timeframes) {
+            const indicators = timeframe.technicalIndicators.get(symbol);
+            if (indicators) result[interval] = indicators;
+        }
+        return result;
     }
 
     getMarketSentiment(symbol) {
         return symbol ? this.marketSentiment.get(symbol) : Object.fromEntries(this.marketSentiment);
     }
 
-    getPriceHistory(symbol, limit = 100) {
-        const history = this.priceHistory.get(symbol);
+    isStale(symbol) {
+        return this.exchange.isSymbolStale(symbol);
+    }
+
+    getStaleSymbols() {
+        return Array.from(this.marketData.keys()).filter(symbol => this.isStale(symbol));
+    }
+
+    getPriceHistory(symbol, limit = 100, interval = this.primaryInterval) {
+        const history = this.timeframes.get(interval)?.priceHistory.get(symbol);
         if (!history) return [];
         return history.slice(-limit);
     }
@@ -723,6 +861,7 @@ if (!config.VOLUME_THRESHOLD_USDT) {
             avgConfidence: Math.round(avgConfidence),
             overallSentiment: this.getOverallMarketSentiment(),
             marketVolatility: Math.round(this.calculateMarketVolatility()),
+            staleSymbols: this.getStaleSymbols(),
             lastUpdate: Math.max(...Array.from(this.marketData.values()).map(d => d.timestamp))
         };
     }
@@ -877,9 +1016,11 @@ if (!config.VOLUME_THRESHOLD_USDT) {
     cleanup() {
         this.stopDataStream();
         this.marketData.clear();
-        this.priceHistory.clear();
+        for (const timeframe of this.timeframes.values()) {
+            timeframe.priceHistory.clear();
+            timeframe.technicalIndicators.clear();
+        }
         this.volumeData.clear();
-        this.technicalIndicators.clear();
         this.marketSentiment.clear();
         this.removeAllListeners();
         logger.market('MarketAnalyzer cleanup completed');
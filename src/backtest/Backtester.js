@@ -0,0 +1,283 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const MarketAnalyzer = require('../analysis/MarketAnalyzer');
+const TradingBot = require('../core/TradingBot');
+const SimulatedExchange = require('./SimulatedExchange');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SimulatedClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+class Backtester extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.settings = {
+            tradingMode: options.tradingMode || config.BACKTEST.TRADING_MODE,
+            strategies: options.strategies || null,
+            initialBalance: options.initialBalance ?? config.BACKTEST.INITIAL_BALANCE,
+            feePercent: options.feePercent ?? config.BACKTEST.FEE_PERCENT,
+            slippagePercent: options.slippagePercent ?? config.BACKTEST.SLIPPAGE_PERCENT
+        };
+
+        // Bot configuration mirrors the live one unless explicitly overridden
+        this.botConfig = { ...config, ...(options.config || {}) };
+        this.aiAnalyzer = options.aiAnalyzer || null;
+        this.riskManager = options.riskManager || null;
+    }
+
+    static loadCandles(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        let rows;
+        if (extension === '.csv') {
+            const lines = content.trim().split(/\r?\n/);
+            const headers = lines.shift().split(',').map(h => h.trim());
+            rows = lines.map(line => {
+                const values = line.split(',');
+                return Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+            });
+        } else {
+            rows = JSON.parse(content);
+        }
+
+        return rows
+            .map(row => Backtester.normalizeCandle(row))
+            .filter(candle => candle && !isNaN(candle.close))
+            .sort((a, b) => a.closeTime - b.closeTime);
+    }
+
+    static normalizeCandle(raw) {
+        // Binance REST kline format
+        if (Array.isArray(raw)) {
+            return {
+                openTime: parseInt(raw[0]),
+                open: parseFloat(raw[1]),
+                high: parseFloat(raw[2]),
+                low: parseFloat(raw[3]),
+                close: parseFloat(raw[4]),
+                volume: parseFloat(raw[5]),
+                closeTime: parseInt(raw[6]),
+                quoteVolume: parseFloat(raw[7] || 0)
+            };
+        }
+
+        if (!raw || typeof raw !== 'object') {
+            return null;
+        }
+
+        const closeTime = parseInt(raw.closeTime || raw.timestamp);
+        return {
+            openTime: parseInt(raw.openTime || closeTime),
+            open: parseFloat(raw.open),
+            high: parseFloat(raw.high),
+            low: parseFloat(raw.low),
+            close: parseFloat(raw.close),
+            volume: parseFloat(raw.volume || 0),
+            closeTime,
+            quoteVolume: parseFloat(raw.quoteVolume || 0)
+        };
+    }
+
+    async run(candlesBySymbol) {
+        const symbols = Object.keys(candlesBySymbol);
+        if (symbols.length === 0) {
+            throw new Error('No candle data provided for backtest');
+        }
+
+        const clock = new SimulatedClock();
+        const exchange = new SimulatedExchange({
+            clock,
+            initialBalance: this.settings.initialBalance,
+            feePercent: this.settings.feePercent,
+            slippagePercent: this.settings.slippagePercent
+        });
+        const marketAnalyzer = new MarketAnalyzer(exchange);
+        const bot = new TradingBot({
+            exchange,
+            marketAnalyzer,
+            aiAnalyzer: this.aiAnalyzer,
+            riskManager: this.riskManager,
+            config: { ...this.botConfig, TRADING_PAIRS: symbols },
+            clock
+        });
+
+        if (!bot.setTradingMode(this.settings.tradingMode)) {
+            throw new Error(`Invalid trading mode: ${this.settings.tradingMode}`);
+        }
+
+        if (this.settings.strategies) {
+            bot.updateConfiguration({ enabledStrategies: this.settings.strategies });
+        }
+
+        // Drive the bot directly instead of start(), which would schedule cron jobs
+        bot.isRunning = true;
+        await bot.strategies.start('spot');
+
+        const timeline = this.buildTimeline(candlesBySymbol);
+        const tickerWindows = new Map(symbols.map(symbol => [symbol, []]));
+
+        logger.trade('Backtest started', {
+            symbols,
+            candles: timeline.length,
+            tradingMode: this.settings.tradingMode,
+            strategies: Array.from(bot.enabledStrategies)
+        });
+
+        for (const { symbol, candle } of timeline) {
+            clock.set(candle.closeTime);
+
+            // Exits are checked along the candle's path before it closes, so a
+            // trade can never be opened and closed on information from the same bar
+            for (const price of this.getIntrabarPath(candle)) {
+                exchange.setPrice(symbol, price);
+                await this.checkExits(bot, symbol);
+            }
+
+            marketAnalyzer.updatePriceHistory({ symbol, ...candle, isFinal: true });
+            marketAnalyzer.calculateTechnicalIndicators(symbol);
+            marketAnalyzer.updateMarketData(this.buildTicker(symbol, candle, tickerWindows.get(symbol)));
+
+            const indicators = marketAnalyzer.getTechnicalIndicators(symbol);
+            if (!indicators) continue;
+
+            const marketData = marketAnalyzer.getMarketData(symbol);
+            const aiAnalysis = this.aiAnalyzer
+                ? await this.aiAnalyzer.analyzeMarket(marketData, indicators, marketAnalyzer.getPriceHistory(symbol, 200))
+                : null;
+
+            await bot.handleComprehensiveAnalysis({
+                symbol,
+                marketData,
+                indicators,
+                sentiment: marketAnalyzer.getMarketSentiment(symbol),
+                aiAnalysis
+            });
+
+            this.emit('progress', { symbol, time: candle.closeTime, activeTrades: bot.activeTrades.size });
+        }
+
+        await bot.closeAllTrades('backtest_end');
+        bot.isRunning = false;
+        await bot.strategies.stop('spot');
+
+        const report = this.buildReport(bot, exchange, timeline);
+        logger.trade('Backtest completed', report.statistics);
+
+        return report;
+    }
+
+    buildTimeline(candlesBySymbol) {
+        const timeline = [];
+        for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+            for (const candle of candles) {
+                timeline.push({ symbol, candle });
+            }
+        }
+        return timeline.sort((a, b) => a.candle.closeTime - b.candle.closeTime);
+    }
+
+    getIntrabarPath(candle) {
+        // Assume the wick against the body is printed first
+        if (candle.close >= candle.open) {
+            return [candle.open, candle.low, candle.high, candle.close];
+        }
+        return [candle.open, candle.high, candle.low, candle.close];
+    }
+
+    async checkExits(bot, symbol) {
+        const trades = Array.from(bot.activeTrades.values()).filter(t => t.symbol === symbol);
+        for (const trade of trades) {
+            await bot.updateTradeStatus(trade);
+            await bot.checkTradeConditions(trade);
+        }
+    }
+
+    buildTicker(symbol, candle, window) {
+        // Rolling 24h window so priceChangePercent matches the live 24h ticker
+        window.push(candle);
+        while (window.length > 0 && window[0].closeTime <= candle.closeTime - DAY_MS) {
+            window.shift();
+        }
+
+        const openPrice = window[0].open;
+        const priceChange = candle.close - openPrice;
+
+        return {
+            symbol,
+            price: candle.close,
+            priceChange,
+            priceChangePercent: openPrice > 0 ? (priceChange / openPrice) * 100 : 0,
+            volume: window.reduce((sum, c) => sum + c.volume, 0),
+            quoteVolume: window.reduce((sum, c) => sum + (c.quoteVolume || c.volume * c.close), 0),
+            openPrice,
+            highPrice: Math.max(...window.map(c => c.high)),
+            lowPrice: Math.min(...window.map(c => c.low)),
+            timestamp: candle.closeTime
+        };
+    }
+
+    buildReport(bot, exchange, timeline) {
+        const trades = [...bot.tradeHistory]
+            .sort((a, b) => a.closeTime - b.closeTime)
+            .map(trade => {
+                const fees = exchange.getCommission(trade.orderId) + exchange.getCommission(trade.closeOrderId);
+                return {
+                    ...trade,
+                    fees,
+                    netPnlUSDT: (trade.pnlUSDT || 0) - fees
+                };
+            });
+
+        const totalFees = trades.reduce((sum, t) => sum + t.fees, 0);
+        const grossPnlUSDT = trades.reduce((sum, t) => sum + (t.pnlUSDT || 0), 0);
+
+        return {
+            settings: { ...this.settings, strategies: Array.from(bot.enabledStrategies) },
+            period: {
+                start: timeline[0].candle.openTime,
+                end: timeline[timeline.length - 1].candle.closeTime,
+                candles: timeline.length
+            },
+            // Same figures logPerformanceMetrics reports for live runs
+            statistics: bot.getStatistics(),
+            sharpeRatio: bot.calculateSharpeRatio(),
+            maxDrawdown: bot.calculateMaxDrawdown(),
+            totals: {
+                grossPnlUSDT,
+                totalFees,
+                netPnlUSDT: grossPnlUSDT - totalFees
+            },
+            trades
+        };
+    }
+
+    saveReport(report, outputPath) {
+        const target = outputPath || path.join(
+            config.BACKTEST.RESULTS_DIR,
+            `backtest_${report.settings.tradingMode}_${Date.now()}.json`
+        );
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(report, null, 2));
+        return target;
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,104 @@
+const Exchange = require('../exchange/Exchange');
+const logger = require('../utils/logger');
+
+// Minimal exchange used by the backtester. It implements the parts of the
+// spot interface that TradingBot and MarketAnalyzer touch and fills every
+// market order at the current simulated price. Only the quote balance is
+// tracked: buys debit it and sells credit it, fees included.
+class SimulatedExchange extends Exchange {
+    constructor({ clock, feePercent = 0, slippagePercent = 0, initialBalance = 0 } = {}) {
+        super({ name: 'simulated', market: 'spot' });
+        this.clock = clock;
+        this.feePercent = feePercent;
+        this.slippagePercent = slippagePercent;
+        this.quoteBalance = initialBalance;
+        this.currentPrices = new Map();
+        this.fills = new Map();
+        this.nextOrderId = 1;
+    }
+
+    setPrice(symbol, price) {
+        this.currentPrices.set(symbol, price);
+    }
+
+    async getTicker(symbol) {
+        if (symbol) {
+            return { [symbol]: this.currentPrices.get(symbol) };
+        }
+        return Object.fromEntries(this.currentPrices);
+    }
+
+    async placeOrder({ symbol, side, type = 'MARKET', quantity }) {
+        const marketPrice = this.currentPrices.get(symbol);
+        if (!marketPrice) {
+            throw new Error(`No simulated price available for ${symbol}`);
+        }
+
+        if (type !== 'MARKET') {
+            throw new Error(`Unsupported simulated order type: ${type}`);
+        }
+
+        // Slippage always works against the order
+        const slippage = marketPrice * (this.slippagePercent / 100);
+        const fillPrice = side === 'BUY' ? marketPrice + slippage : marketPrice - slippage;
+        const qty = parseFloat(quantity);
+        const commission = fillPrice * qty * (this.feePercent / 100);
+        this.quoteBalance += (side === 'BUY' ? -1 : 1) * fillPrice * qty - commission;
+
+        const order = {
+            orderId: this.nextOrderId++,
+            symbol,
+            side,
+            type,
+            status: 'FILLED',
+            origQty: qty,
+            executedQty: qty,
+            transactTime: this.clock.now(),
+            fills: [{
+                price: fillPrice,
+                qty,
+                commission,
+                commissionAsset: 'USDT'
+            }]
+        };
+
+        this.fills.set(order.orderId, order);
+        return order;
+    }
+
+    getCommission(orderId) {
+        const order = this.fills.get(orderId);
+        if (!order) return 0;
+        return order.fills.reduce((sum, fill) => sum + fill.commission, 0);
+    }
+
+    async getAccountInfo() {
+        return {
+            canTrade: true,
+            balances: [{ asset: this.quoteAsset, free: this.quoteBalance.toString(), locked: '0' }]
+        };
+    }
+
+    async getBalance(asset = this.quoteAsset) {
+        const free = asset === this.quoteAsset ? this.quoteBalance : 0;
+        return { asset, free, locked: 0, total: free };
+    }
+
+    async getExchangeInfo() {
+        return {
+            symbols: Array.from(this.currentPrices.keys()).map(symbol => ({ symbol, status: 'TRADING' }))
+        };
+    }
+
+    // Streams are driven by the backtester, so these are no-ops
+    startTickerStream() {}
+    startKlineStream() {}
+    startUserDataStream() {}
+
+    stopAllStreams() {
+        logger.binance('Simulated streams stopped');
+        return true;
+    }
+}
+
+module.exports = SimulatedExchange;
@@ -19,6 +19,7 @@ module.exports = {
     FUTURES_QTY_USDT: parseFloat(process.env.FUTURES_QTY_USDT) || 20,
     FUTURES_TP_PERCENT: parseFloat(process.env.FUTURES_TP_PERCENT) || 0.6,
     FUTURES_SL_PERCENT: parseFloat(process.env.FUTURES_SL_PERCENT) || 0.3,
+    FUTURES_TRADING_MODE: process.env.FUTURES_TRADING_MODE || 'futures_scalp', // Selects the trailing stop preset
     
     // Signal Configuration
     RSI_LONG_THRESHOLD: parseFloat(process.env.RSI_LONG_THRESHOLD) || 30,
@@ -31,8 +32,12 @@ module.exports = {
     
     // Filters
     ENABLE_NEWS_FILTER: process.env.ENABLE_NEWS_FILTER !== 'false',
-    ENABLE_EMA_FILTER: process.env.ENABLE_EMA_FILTER !== 'false',
-    ENABLE_BB_FILTER: process.env.ENABLE_BB_FILTER !== 'false',
+    ENABLE_EMA_FILTER: process.env.ENABLE_EMA_FILTER === 'true',
+    ENABLE_BB_FILTER: process.env.ENABLE_BB_FILTER === 'true',
+    // Futures entries must agree with price vs EMA_<HTF_TREND_EMA> on HTF_TREND_INTERVAL
+    ENABLE_HTF_TREND_FILTER: process.env.ENABLE_HTF_TREND_FILTER === 'true',
+    HTF_TREND_INTERVAL: process.env.HTF_TREND_INTERVAL || '1h',
+    HTF_TREND_EMA: parseInt(process.env.HTF_TREND_EMA) || 50,
     ROI_BASED_TP: process.env.ROI_BASED_TP === 'true',
 
     // AI Analysis Configuration
@@ -51,12 +56,40 @@ module.exports = {
     STOP_LOSS_PERCENTAGE: parseFloat(process.env.STOP_LOSS_PERCENTAGE) || 1,
     TAKE_PROFIT_PERCENTAGE: parseFloat(process.env.TAKE_PROFIT_PERCENTAGE) || 2,
 
+    // Spot OCO brackets placed right after an entry fills. The stop leg is a
+    // STOP_LOSS_LIMIT whose limit sits STOP_LIMIT_OFFSET_PERCENT past the stop
+    // so it still fills when price gaps through.
+    SPOT_OCO: {
+        ENABLED: process.env.SPOT_OCO !== 'false',
+        STOP_LIMIT_OFFSET_PERCENT: parseFloat(process.env.SPOT_OCO_STOP_LIMIT_OFFSET) || 0.2
+    },
+
     // Market Data Settings
     MARKET_UPDATE_INTERVAL: parseInt(process.env.MARKET_UPDATE_INTERVAL) || 30000,
     PRICE_HISTORY_LIMIT: parseInt(process.env.PRICE_HISTORY_LIMIT) || 200,
+    // Kline intervals streamed and analyzed per symbol; the first is the
+    // primary timeframe that signals and the default getters use
+    MARKET_INTERVALS: (process.env.MARKET_INTERVALS || '5m,15m,1h,4h').split(',').map(s => s.trim()).filter(Boolean),
     VOLUME_THRESHOLD_USDT: parseFloat(process.env.VOLUME_THRESHOLD_USDT) || 100000,
 
+    // Futures take-profit ladder. Each rung closes `percent` of the entry size
+    // with a reduce-only LIMIT at `r` times the stop distance (1R). The rest (the
+    // runner) exits through the trailing stop, or at RUNNER_R when trailing is off.
+    // After the first rung fills the stop moves to entry plus BREAK_EVEN_FEE_PERCENT.
+    FUTURES_TP_LADDER: {
+        ENABLED: process.env.FUTURES_TP_LADDER !== 'false',
+        RUNGS: [
+            { percent: 40, r: 1 },
+            { percent: 30, r: 2 }
+        ],
+        RUNNER_R: 3,
+        BREAK_EVEN_FEE_PERCENT: 0.1 // Round-trip taker fees plus a little slippage
+    },
+
     // Trading Modes
+    // trailingStop.type: 'off', 'native' (exchange TRAILING_STOP_MARKET order with
+    // callbackRate %) or 'atr' (software trail, moves the STOP_MARKET order to
+    // price -/+ ATR * atrMultiplier). Both start once the position is activationPercent in profit.
     TRADING_MODES: {
         conservative: {
             name: 'Conservative',
@@ -67,7 +100,8 @@ module.exports = {
             riskLevel: 'low',
             aiConfidenceThreshold: 0.8,
             technicalIndicators: ['SMA', 'RSI', 'MACD'],
-            maxConcurrentTrades: 3
+            maxConcurrentTrades: 3,
+            trailingStop: { type: 'atr', activationPercent: 1.0, callbackRate: 1.0, atrMultiplier: 2.5 }
         },
         balanced: {
             name: 'Balanced',
@@ -78,7 +112,8 @@ module.exports = {
             riskLevel: 'medium',
             aiConfidenceThreshold: 0.7,
             technicalIndicators: ['SMA', 'EMA', 'RSI', 'MACD', 'BB'],
-            maxConcurrentTrades: 5
+            maxConcurrentTrades: 5,
+            trailingStop: { type: 'atr', activationPercent: 0.8, callbackRate: 0.8, atrMultiplier: 2 }
         },
         aggressive: {
             name: 'Aggressive',
@@ -89,7 +124,8 @@ module.exports = {
             riskLevel: 'high',
             aiConfidenceThreshold: 0.6,
             technicalIndicators: ['EMA', 'RSI', 'MACD', 'BB', 'ADX', 'STOCH'],
-            maxConcurrentTrades: 8
+            maxConcurrentTrades: 8,
+            trailingStop: { type: 'native', activationPercent: 1.5, callbackRate: 1.5, atrMultiplier: 1.5 }
         },
         scalping: {
             name: 'Scalping',
@@ -100,7 +136,8 @@ module.exports = {
             riskLevel: 'very_high',
             aiConfidenceThreshold: 0.5,
             technicalIndicators: ['EMA_fast', 'RSI', 'STOCH'],
-            maxConcurrentTrades: 10
+            maxConcurrentTrades: 10,
+            trailingStop: { type: 'native', activationPercent: 0.3, callbackRate: 0.3, atrMultiplier: 1 }
         },
         futures_scalp: {
             name: 'Futures Scalping',
@@ -112,7 +149,8 @@ module.exports = {
             leverage: 20,
             aiConfidenceThreshold: 0.6,
             technicalIndicators: ['RSI', 'EMA_fast'],
-            maxConcurrentTrades: 2
+            maxConcurrentTrades: 2,
+            trailingStop: { type: 'off', activationPercent: 0.4, callbackRate: 0.2, atrMultiplier: 1 }
         }
     },
 
@@ -148,6 +186,22 @@ module.exports = {
         'NEARUSDT', 'APTUSDT', 'OPUSDT', 'ARBUSDT', 'INJUSDT'
     ],
 
+    // Futures symbols traded concurrently. FUTURES_SYMBOLS is a comma separated
+    // list, or "all" for every pair in FUTURES_PAIRS
+    FUTURES_PORTFOLIO: {
+        SYMBOLS: process.env.FUTURES_SYMBOLS
+            ? process.env.FUTURES_SYMBOLS.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+            : [process.env.DEFAULT_FUTURES_SYMBOL || 'BTCUSDT'],
+        MAX_OPEN_POSITIONS: parseInt(process.env.FUTURES_MAX_OPEN_POSITIONS) || 3,
+        MAX_TOTAL_MARGIN_USDT: parseFloat(process.env.FUTURES_MAX_TOTAL_MARGIN_USDT) || 100,
+        DEFAULT_MARGIN_TYPE: process.env.FUTURES_MARGIN_TYPE || 'ISOLATED',
+        // Per-symbol overrides of leverage, marginType, qtyUsdt, tpPercent,
+        // slPercent, rsiLongThreshold and rsiShortThreshold
+        SYMBOL_OVERRIDES: {
+            // ETHUSDT: { leverage: 5, slPercent: 0.4 }
+        }
+    },
+
     // Market Categories
     MARKET_CATEGORIES: {
         major: ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'],
@@ -174,7 +228,8 @@ module.exports = {
         BB_DEVIATION: 2,
         STOCH_K_PERIOD: 14,
         STOCH_D_PERIOD: 3,
-        ADX_PERIOD: 14
+        ADX_PERIOD: 14,
+        ATR_PERIOD: 14
     },
 
     // AI Analysis Settings
@@ -187,11 +242,47 @@ module.exports = {
         SOCIAL_SENTIMENT_ENABLED: false // Disable for now
     },
 
+    // Signal Strategy Plugins. Built-ins live in src/strategies/builtin and
+    // STRATEGY_DIR can add more; STRATEGIES lists the ones enabled at startup
+    STRATEGIES: {
+        DIR: process.env.STRATEGY_DIR || null,
+        ENABLED: (process.env.STRATEGIES || 'ai_signals,technical_analysis,momentum,rsi_candle').split(',').map(s => s.trim()).filter(Boolean),
+        CAPITAL_USDT: parseFloat(process.env.STRATEGY_CAPITAL_USDT) || 0, // Base for allocation percentages, 0 = account balance
+        // Per-strategy parameter overrides, validated against each plugin's schema
+        PARAMS: {
+            // momentum: { minPriceChangePercent: 4 }
+        },
+        // Share of capital (0-100%, 0 blocks new entries) and open trades each
+        // strategy may use (default: no cap)
+        ALLOCATIONS: {
+            // technical_analysis: { percent: 50, maxOpenTrades: 2 }
+        }
+    },
+
+    // Spot Signal Aggregation. Strategy signals for a symbol are combined into
+    // one decision by weighted vote (or consensus) instead of each trading alone
+    SIGNAL_AGGREGATION: {
+        ENABLED: process.env.SIGNAL_AGGREGATION !== 'false',
+        METHOD: process.env.SIGNAL_AGGREGATION_METHOD || 'weighted', // weighted | consensus
+        MIN_AGREEMENT: parseFloat(process.env.SIGNAL_MIN_AGREEMENT) || 0.6, // Share of voting weight on the winning side
+        MIN_COMPONENTS: parseInt(process.env.SIGNAL_MIN_COMPONENTS) || 1,
+        // Component weights; technical, sentiment and volume default to AI_ANALYSIS
+        WEIGHTS: {
+            ai: 0.5
+        }
+    },
+
     // WebSocket Settings
     WEBSOCKET: {
-        RECONNECT_INTERVAL: 5000,
-        MAX_RECONNECT_ATTEMPTS: 10,
-        PING_INTERVAL: 30000
+        RECONNECT_INTERVAL: 5000, // First reconnect delay, doubled on every failed attempt
+        MAX_RECONNECT_DELAY: 5 * 60 * 1000,
+        MAX_RECONNECT_ATTEMPTS: 10, // Deprecated and unused: reconnecting never stops, see RECONNECT_ALERT_AFTER
+        RECONNECT_ALERT_AFTER: 6, // Failed attempts before the stream is alerted as down
+        PING_INTERVAL: 30000,
+        STALE_AFTER: 60000, // A stream quiet for this long marks its symbol stale
+        STALE_ALERT_AFTER: 5 * 60 * 1000, // Streams silent this long on a live socket are alerted
+        STALE_CHECK_INTERVAL: 5000,
+        LISTEN_KEY_KEEPALIVE_INTERVAL: 30 * 60 * 1000 // Keys expire 60 minutes after the last keepalive
     },
 
     // Logging Configuration
@@ -203,7 +294,17 @@ module.exports = {
 
     // Position Sizing Rules
     POSITION_SIZING: {
-        MAX_RISK_PER_TRADE: 2, // 2% of account per trade
+        // fixed_fractional | atr_stop | volatility_target | kelly
+        MODEL: process.env.POSITION_SIZING_MODEL || 'fixed_fractional',
+        FUTURES_MODEL: process.env.FUTURES_SIZING_MODEL || process.env.POSITION_SIZING_MODEL || 'fixed_fractional',
+        MAX_RISK_PER_TRADE: parseFloat(process.env.MAX_RISK_PER_TRADE) || 2, // 2% of account per trade
+        MAX_POSITION_PERCENT: parseFloat(process.env.MAX_POSITION_PERCENT) || 25, // Largest spot position as % of equity
+        ATR_STOP_MULTIPLIER: parseFloat(process.env.ATR_STOP_MULTIPLIER) || 2,
+        TARGET_VOLATILITY_PERCENT: parseFloat(process.env.TARGET_VOLATILITY_PERCENT) || 0.5, // Equity % a one-sigma candle may move
+        VOLATILITY_LOOKBACK: 20, // Candles
+        KELLY_FRACTION: parseFloat(process.env.KELLY_FRACTION) || 0.25,
+        KELLY_MIN_TRADES: 20, // Closed trades needed before Kelly is trusted
+        KELLY_LOOKBACK: 100,
         MAX_TOTAL_EXPOSURE: 20, // 20% max total exposure
         MIN_ACCOUNT_BALANCE: 50, // Minimum $50 USDT to trade
         LEVERAGE_LIMITS: {
@@ -216,171 +317,89 @@ module.exports = {
         }
     },
 
-    // Emergency Settings
-    EMERGENCY: {
-        MAX_CONSECUTIVE_LOSSES: 5,
-        EMERGENCY_STOP_LOSS_PERCENT: 10,
-        COOL_DOWN_PERIOD_MINUTES: 30,
-        FORCE_CLOSE_ALL_ON_ERROR: true
-    }
-};module.exports = {
-    // Telegram Configuration
-    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
-    ADMIN_USER_IDS: process.env.ADMIN_USER_IDS ? process.env.ADMIN_USER_IDS.split(',').map(id => parseInt(id.trim())) : [],
-
-    // Binance API Configuration
-    BINANCE_API_KEY: process.env.BINANCE_API_KEY,
-    BINANCE_SECRET_KEY: process.env.BINANCE_SECRET_KEY,
-    USE_TESTNET: process.env.USE_TESTNET === 'true',
-
-    // Trading Configuration
-    DEFAULT_TRADING_PAIR: process.env.DEFAULT_TRADING_PAIR || 'BTCUSDT',
-    DEFAULT_TRADE_AMOUNT: parseFloat(process.env.DEFAULT_TRADE_AMOUNT) || 10,
-    MAX_CONCURRENT_TRADES: parseInt(process.env.MAX_CONCURRENT_TRADES) || 5,
-
-    // AI Analysis Configuration
-    ENABLE_AI_ANALYSIS: process.env.ENABLE_AI_ANALYSIS !== 'false',
-    AI_CONFIDENCE_THRESHOLD: parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || 0.7,
-    USE_TECHNICAL_INDICATORS: process.env.USE_TECHNICAL_INDICATORS !== 'false',
-    USE_SENTIMENT_ANALYSIS: process.env.USE_SENTIMENT_ANALYSIS !== 'false',
-
-    // Server Configuration
-    PORT: parseInt(process.env.PORT) || 3000,
-    NODE_ENV: process.env.NODE_ENV || 'development',
-
-    // Risk Management
-    MAX_LOSS_PERCENTAGE: parseFloat(process.env.MAX_LOSS_PERCENTAGE) || 2,
-    MAX_PROFIT_PERCENTAGE: parseFloat(process.env.MAX_PROFIT_PERCENTAGE) || 5,
-    STOP_LOSS_PERCENTAGE: parseFloat(process.env.STOP_LOSS_PERCENTAGE) || 1,
-    TAKE_PROFIT_PERCENTAGE: parseFloat(process.env.TAKE_PROFIT_PERCENTAGE) || 2,
-
-    // Market Data Settings
-    MARKET_UPDATE_INTERVAL: parseInt(process.env.MARKET_UPDATE_INTERVAL) || 30000,
-    PRICE_HISTORY_LIMIT: parseInt(process.env.PRICE_HISTORY_LIMIT) || 200,
-    VOLUME_THRESHOLD_USDT: parseFloat(process.env.VOLUME_THRESHOLD_USDT) || 100000,
+    // Correlation Risk. Rolling return correlations between tracked symbols;
+    // pairs at or above the risk manager's maxCorrelationRisk count as one bet
+    CORRELATION: {
+        INTERVAL: process.env.CORRELATION_INTERVAL || '1h', // Must be in MARKET_INTERVALS, else the primary is used
+        LOOKBACK: parseInt(process.env.CORRELATION_LOOKBACK) || 100, // Returns per symbol
+        MIN_OBSERVATIONS: 30, // Overlapping returns needed before a pair is trusted
+        ACTION: process.env.CORRELATION_ACTION || 'downsize', // downsize | reject
+        REFRESH_INTERVAL: 5 * 60 * 1000
+    },
 
-    // Trading Modes
-    TRADING_MODES: {
-        conservative: {
-            name: 'Conservative',
-            description: 'Low risk, stable returns',
-            takeProfitPercent: 1.5,
-            stopLossPercent: 0.8,
-            maxTradeTime: 3600, // 1 hour
-            riskLevel: 'low',
-            aiConfidenceThreshold: 0.8,
-            technicalIndicators: ['SMA', 'RSI', 'MACD'],
-            maxConcurrentTrades: 3
-        },
-        balanced: {
-            name: 'Balanced',
-            description: 'Moderate risk and returns',
-            takeProfitPercent: 2.5,
-            stopLossPercent: 1.5,
-            maxTradeTime: 1800, // 30 minutes
-            riskLevel: 'medium',
-            aiConfidenceThreshold: 0.7,
-            technicalIndicators: ['SMA', 'EMA', 'RSI', 'MACD', 'BB'],
-            maxConcurrentTrades: 5
-        },
-        aggressive: {
-            name: 'Aggressive',
-            description: 'High risk, high potential returns',
-            takeProfitPercent: 4.0,
-            stopLossPercent: 2.5,
-            maxTradeTime: 900, // 15 minutes
-            riskLevel: 'high',
-            aiConfidenceThreshold: 0.6,
-            technicalIndicators: ['EMA', 'RSI', 'MACD', 'BB', 'ADX', 'STOCH'],
-            maxConcurrentTrades: 8
-        },
-        scalping: {
-            name: 'Scalping',
-            description: 'Very fast trades, small profits',
-            takeProfitPercent: 0.5,
-            stopLossPercent: 0.3,
-            maxTradeTime: 300, // 5 minutes
-            riskLevel: 'very_high',
-            aiConfidenceThreshold: 0.5,
-            technicalIndicators: ['EMA_fast', 'RSI', 'STOCH'],
-            maxConcurrentTrades: 10
-        }
+    // Portfolio Risk. Limits on spot and futures together, as % of their combined
+    // equity; RiskManager checks every order that adds exposure against them
+    PORTFOLIO_RISK: {
+        MAX_GROSS_EXPOSURE_PERCENT: parseFloat(process.env.MAX_GROSS_EXPOSURE) || 300, // Sum of position notionals
+        MAX_NET_EXPOSURE_PERCENT: parseFloat(process.env.MAX_NET_EXPOSURE) || 200, // Longs minus shorts
+        MAX_ASSET_EXPOSURE_PERCENT: parseFloat(process.env.MAX_ASSET_EXPOSURE) || 100, // Net per base asset across markets
+        MAX_CATEGORY_EXPOSURE_PERCENT: parseFloat(process.env.MAX_CATEGORY_EXPOSURE) || 150, // Net per MARKET_CATEGORIES bucket
+        MAX_MARGIN_USAGE_PERCENT: parseFloat(process.env.MAX_MARGIN_USAGE) || 50, // Futures initial margin / futures equity
+        MIN_LIQUIDATION_DISTANCE_PERCENT: parseFloat(process.env.MIN_LIQUIDATION_DISTANCE) || 5 // Mark price to liquidation price
     },
 
-    // Supported Trading Pairs
-    TRADING_PAIRS: [
-        // Major pairs
-        'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ADAUSDT', 'DOTUSDT',
-        'XRPUSDT', 'LTCUSDT', 'LINKUSDT', 'BCHUSDT', 'XLMUSDT',
-        
-        // Popular altcoins
-        'SOLUSDT', 'AVAXUSDT', 'MATICUSDT', 'ALGOUSDT', 'ATOMUSDT',
-        'VETUSDT', 'FILUSDT', 'TRXUSDT', 'EOSUSDT', 'XTZUSDT',
-        
-        // DeFi tokens
-        'UNIUSDT', 'SUSHIUSDT', 'CAKEUSDT', 'COMPUSDT', 'AAVEUSDT',
-        'MKRUSDT', 'YFIUSDT', 'SNXUSDT', 'CRVUSDT', '1INCHUSDT',
-        
-        // Meme coins
-        'DOGEUSDT', 'SHIBUSDT', 'PEPEUSDT', 'FLOKIUSDT',
-        
-        // Layer 2
-        'OPUSDT', 'ARBUSDT', 'STRKUSDT',
-        
-        // New trending
-        'SUIUSDT', 'APTUSDT', 'NEARUSDT', 'INJUSDT', 'TIAUSDT'
-    ],
+    // Futures liquidation guard. Liquidation prices are estimated from the
+    // symbol's maintenance margin brackets, or DEFAULT_BRACKETS when the
+    // exchange doesn't provide them
+    FUTURES_LIQUIDATION: {
+        MAX_STOP_TO_LIQUIDATION_RATIO: parseFloat(process.env.MAX_STOP_TO_LIQUIDATION_RATIO) || 0.5, // Entry-to-stop / entry-to-liquidation distance
+        MARGIN_RATIO_WARNING_PERCENT: parseFloat(process.env.MARGIN_RATIO_WARNING) || 50, // Maintenance margin / margin balance
+        MARGIN_RATIO_CRITICAL_PERCENT: parseFloat(process.env.MARGIN_RATIO_CRITICAL) || 80,
+        AUTO_DELEVERAGE: process.env.AUTO_DELEVERAGE === 'true', // Reduce a position when it reaches the critical ratio
+        AUTO_DELEVERAGE_PERCENT: parseFloat(process.env.AUTO_DELEVERAGE_PERCENT) || 25, // Share of the position closed
+        BRACKET_CACHE_MINUTES: 60,
+        // Conservative mid-cap tiers; BTC and ETH get far roomier ones from the exchange
+        DEFAULT_BRACKETS: [
+            { bracket: 1, initialLeverage: 50, notionalFloor: 0, notionalCap: 5000, maintMarginRatio: 0.01, cum: 0 },
+            { bracket: 2, initialLeverage: 25, notionalFloor: 5000, notionalCap: 25000, maintMarginRatio: 0.025, cum: 75 },
+            { bracket: 3, initialLeverage: 20, notionalFloor: 25000, notionalCap: 100000, maintMarginRatio: 0.05, cum: 700 },
+            { bracket: 4, initialLeverage: 10, notionalFloor: 100000, notionalCap: 250000, maintMarginRatio: 0.1, cum: 5700 },
+            { bracket: 5, initialLeverage: 5, notionalFloor: 250000, notionalCap: 1000000, maintMarginRatio: 0.125, cum: 11950 },
+            { bracket: 6, initialLeverage: 4, notionalFloor: 1000000, notionalCap: 5000000, maintMarginRatio: 0.15, cum: 36950 },
+            { bracket: 7, initialLeverage: 1, notionalFloor: 5000000, notionalCap: 30000000, maintMarginRatio: 0.5, cum: 1786950 }
+        ]
+    },
 
-    // Market Categories
-    MARKET_CATEGORIES: {
-        major: ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'],
-        defi: ['UNIUSDT', 'SUSHIUSDT', 'AAVEUSDT', 'COMPUSDT', 'MKRUSDT'],
-        layer1: ['ADAUSDT', 'DOTUSDT', 'SOLUSDT', 'AVAXUSDT', 'ATOMUSDT'],
-        layer2: ['MATICUSDT', 'OPUSDT', 'ARBUSDT'],
-        meme: ['DOGEUSDT', 'SHIBUSDT', 'PEPEUSDT', 'FLOKIUSDT'],
-        gaming: ['AXSUSDT', 'SANDUSDT', 'MANAUSDT', 'ENJUSDT'],
-        metaverse: ['SANDUSDT', 'MANAUSDT', 'ENJUSDT', 'CHZUSDT'],
-        ai: ['FETUSDT', 'OCEANUSDT', 'AGIXUSDT', 'RNDRУСDT']
+    // Emergency Settings
+    // Drive RiskManager's trading state: ACTIVE, COOLDOWN, HALTED_FOR_DAY, KILLED
+    EMERGENCY: {
+        MAX_CONSECUTIVE_LOSSES: 5, // Across spot and futures; starts a cooldown
+        EMERGENCY_STOP_LOSS_PERCENT: 10, // Drawdown from the intraday equity peak that kills trading
+        MAX_INTRADAY_DRAWDOWN_PERCENT: 5, // Drawdown from the intraday equity peak that halts for the day
+        COOL_DOWN_PERIOD_MINUTES: 30,
+        API_ERROR_BURST: 5, // Errors within API_ERROR_WINDOW_SECONDS that start a cooldown
+        API_ERROR_WINDOW_SECONDS: 60,
+        VOLATILITY_SPIKE_RATIO: 3, // Recent vs. baseline realized volatility that starts a cooldown
+        VOLATILITY_RECENT_CANDLES: 12,
+        VOLATILITY_BASELINE_CANDLES: 100,
+        FORCE_CLOSE_ALL_ON_ERROR: true
     },
 
-    // Technical Analysis Settings
-    TECHNICAL_ANALYSIS: {
-        SMA_PERIODS: [10, 20, 50, 100, 200],
-        EMA_PERIODS: [12, 26, 50, 100],
-        RSI_PERIOD: 14,
-        RSI_OVERBOUGHT: 70,
-        RSI_OVERSOLD: 30,
-        MACD_FAST: 12,
-        MACD_SLOW: 26,
-        MACD_SIGNAL: 9,
-        BB_PERIOD: 20,
-        BB_DEVIATION: 2,
-        STOCH_K_PERIOD: 14,
-        STOCH_D_PERIOD: 3,
-        ADX_PERIOD: 14
+    // Backtesting Settings
+    BACKTEST: {
+        TRADING_MODE: 'balanced',
+        INITIAL_BALANCE: 10000, // USDT the simulated account starts with
+        FEE_PERCENT: 0.1, // Taker fee per fill
+        SLIPPAGE_PERCENT: 0.05, // Applied against the order side
+        RESULTS_DIR: 'backtest_results'
     },
 
-    // AI Analysis Settings
-    AI_ANALYSIS: {
-        PRICE_PREDICTION_LOOKBACK: 100,
-        SENTIMENT_WEIGHT: 0.3,
-        TECHNICAL_WEIGHT: 0.5,
-        VOLUME_WEIGHT: 0.2,
-        NEWS_ANALYSIS_ENABLED: false, // Disable for now
-        SOCIAL_SENTIMENT_ENABLED: false // Disable for now
+    // Trade Journal Settings
+    JOURNAL: {
+        DATA_DIR: process.env.JOURNAL_DIR || 'data/journal',
+        TAIL_SIZE: 1000 // Risk and audit events kept in memory for reads
     },
 
-    // WebSocket Settings
-    WEBSOCKET: {
-        RECONNECT_INTERVAL: 5000,
-        MAX_RECONNECT_ATTEMPTS: 10,
-        PING_INTERVAL: 30000
+    // Startup Reconciliation Settings
+    RECONCILIATION: {
+        ADOPT_ORPHAN_POSITIONS: true,    // Track positions found on the exchange but not in the journal
+        REPLACE_PROTECTIVE_ORDERS: true, // Re-place missing stop loss / take profit orders
+        CANCEL_ORPHAN_ORDERS: true,      // Cancel reduce-only orders with no position behind them
+        TRADE_HISTORY_LIMIT: 50          // Fills checked per symbol for positions closed while offline
     },
 
-    // Logging Configuration
-    LOGGING: {
-        LEVEL: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
-        MAX_FILES: '14d',
-        MAX_SIZE: '20m'
+    // Exchange Symbol Filters
+    SYMBOL_RULES: {
+        REFRESH_INTERVAL: 60 * 60 * 1000 // Reload exchangeInfo tick/step sizes and minimums hourly
     }
-};
\ No newline at end of file
+};
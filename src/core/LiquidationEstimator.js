@@ -0,0 +1,102 @@
+const config = require('../config/config');
+
+// Liquidation prices for USDT-M futures positions (one-way mode), using the
+// maintenance margin brackets Binance publishes per symbol:
+//
+//   { bracket, initialLeverage, notionalFloor, notionalCap, maintMarginRatio, cum }
+//
+// The position's notional picks the bracket, whose maintenance margin is
+// notional x maintMarginRatio - cum. Liquidation is where the margin balance
+// falls to that amount:
+//
+//   price = (balance - side x qty x entry + cum) / (qty x maintMarginRatio - side x qty)
+//
+// with side +1 for longs and -1 for shorts. balance is the position's own
+// margin for ISOLATED positions, or the cross wallet balance for CROSSED ones;
+// the caller passes what's left after other positions' margin, which this
+// estimate then treats as committed to the one position.
+class LiquidationEstimator {
+    constructor(settings = config.FUTURES_LIQUIDATION) {
+        this.settings = settings;
+    }
+
+    // Exchange responses carry numbers as strings
+    static normalizeBrackets(brackets = []) {
+        return brackets
+            .map(b => ({
+                bracket: parseInt(b.bracket),
+                initialLeverage: parseFloat(b.initialLeverage),
+                notionalFloor: parseFloat(b.notionalFloor),
+                notionalCap: parseFloat(b.notionalCap),
+                maintMarginRatio: parseFloat(b.maintMarginRatio),
+                cum: parseFloat(b.cum) || 0
+            }))
+            .sort((a, b) => a.notionalFloor - b.notionalFloor);
+    }
+
+    getBrackets(brackets) {
+        return brackets?.length > 0 ? brackets : LiquidationEstimator.normalizeBrackets(this.settings.DEFAULT_BRACKETS);
+    }
+
+    // Positions larger than the last cap still use the last bracket
+    selectBracket(brackets, notional) {
+        const tiers = this.getBrackets(brackets);
+        return tiers.find(b => notional >= b.notionalFloor && notional < b.notionalCap) || tiers[tiers.length - 1];
+    }
+
+    maintenanceMargin(notional, brackets) {
+        const bracket = this.selectBracket(brackets, notional);
+        return Math.max(notional * bracket.maintMarginRatio - bracket.cum, 0);
+    }
+
+    // direction: 1 long, -1 short. Returns the liquidation price (null when the
+    // balance covers any move against the position), the % move from entry
+    // that reaches it, and the bracket used
+    estimate({ entryPrice, quantity, direction, leverage, marginType = 'ISOLATED', walletBalance = 0, brackets }) {
+        const notional = quantity * entryPrice;
+        const bracket = this.selectBracket(brackets, notional);
+        const balance = marginType === 'CROSSED' ? walletBalance : notional / leverage;
+
+        const price = (balance - direction * quantity * entryPrice + bracket.cum) /
+                      (quantity * bracket.maintMarginRatio - direction * quantity);
+        const liquidationPrice = price > 0 && Number.isFinite(price) ? price : null;
+
+        return {
+            liquidationPrice,
+            distancePercent: liquidationPrice === null ? null : (direction * (entryPrice - liquidationPrice)) / entryPrice * 100,
+            notional,
+            margin: balance,
+            maintMargin: this.maintenanceMargin(notional, brackets),
+            maintMarginRatio: bracket.maintMarginRatio,
+            maxLeverage: bracket.initialLeverage,
+            bracket: bracket.bracket
+        };
+    }
+
+    // Reason a planned entry is too close to liquidation, or null. The stop must
+    // trigger within MAX_STOP_TO_LIQUIDATION_RATIO of the way to liquidation so
+    // slippage and mark/last price differences can't carry it past
+    checkStop({ entryPrice, stopLoss, direction, leverage, estimate }) {
+        if (leverage > estimate.maxLeverage) {
+            return `${leverage}x exceeds the ${estimate.maxLeverage}x allowed for a ${estimate.notional.toFixed(2)} USDT position`;
+        }
+        if (estimate.liquidationPrice === null) return null;
+
+        const stopDistance = direction * (entryPrice - stopLoss);
+        const liquidationDistance = direction * (entryPrice - estimate.liquidationPrice);
+        const maxRatio = this.settings.MAX_STOP_TO_LIQUIDATION_RATIO;
+        if (!(liquidationDistance > 0) || stopDistance / liquidationDistance > maxRatio) {
+            return `Stop ${stopLoss} is ${((stopDistance / entryPrice) * 100).toFixed(2)}% away but liquidation ` +
+                   `${estimate.liquidationPrice.toFixed(4)} only ${estimate.distancePercent.toFixed(2)}% at ${leverage}x ` +
+                   `(stop may use at most ${(maxRatio * 100).toFixed(0)}% of that distance)`;
+        }
+        return null;
+    }
+
+    // Maintenance margin as % of margin balance; the exchange liquidates at 100
+    static marginRatio(maintMargin, marginBalance) {
+        return marginBalance > 0 ? (maintMargin / marginBalance) * 100 : Infinity;
+    }
+}
+
+module.exports = LiquidationEstimator;
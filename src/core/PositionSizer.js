@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const MODELS = ['fixed_fractional', 'atr_stop', 'volatility_target', 'kelly'];
+
+// Position sizing shared by the spot bot and the futures strategy. Every model
+// turns account equity into a notional, which is then capped and converted to
+// a quantity at the entry price:
+//
+//   fixed_fractional   risk MAX_RISK_PER_TRADE % of equity between entry and the stop loss
+//   atr_stop           same risk, with the stop taken as ATR_STOP_MULTIPLIER x ATR away
+//   volatility_target  a one-sigma candle (close-to-close, VOLATILITY_LOOKBACK candles)
+//                      moves the position by TARGET_VOLATILITY_PERCENT % of equity
+//   kelly              KELLY_FRACTION of the Kelly fraction from recent closed trade P&L
+//
+// A model missing its inputs (no ATR yet, too few trades for Kelly) falls back
+// to fixed_fractional. size() returns { quantity, notional, model,
+// requestedModel, fallback, cap, inputs }, which callers store on the trade.
+class PositionSizer {
+    constructor(settings = config.POSITION_SIZING) {
+        this.settings = settings;
+    }
+
+    // Win rate and payoff from closed trade P&L values, most recent last
+    static tradeStats(pnls = []) {
+        const wins = pnls.filter(pnl => pnl > 0);
+        const losses = pnls.filter(pnl => pnl <= 0);
+        const avgWin = wins.length > 0 ? wins.reduce((sum, pnl) => sum + pnl, 0) / wins.length : 0;
+        const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0) / losses.length) : 0;
+
+        return {
+            trades: pnls.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: pnls.length > 0 ? wins.length / pnls.length : 0,
+            avgWin,
+            avgLoss
+        };
+    }
+
+    // Standard deviation of close-to-close returns
+    static realizedVolatility(priceHistory = [], lookback = 20) {
+        const closes = priceHistory.slice(-(lookback + 1)).map(candle => candle.close);
+        if (closes.length < 3) return null;
+
+        const returns = [];
+        for (let i = 1; i < closes.length; i++) {
+            returns.push(Math.log(closes[i] / closes[i - 1]));
+        }
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    // equity: account value in quote currency
+    // scale: multiplier applied to the model's size (confidence, trading mode)
+    // maxNotional: hard cap, defaults to MAX_POSITION_PERCENT of equity
+    size({ model = this.settings.MODEL, equity, entryPrice, stopLoss, indicators = {}, priceHistory = [], pnls = [], scale = 1, maxNotional }) {
+        const requestedModel = MODELS.includes(model) ? model : 'fixed_fractional';
+        const inputs = { equity, entryPrice, scale };
+        const result = { quantity: 0, notional: 0, model: requestedModel, requestedModel, fallback: null, cap: null, inputs };
+
+        if (!(equity > 0) || !(entryPrice > 0)) {
+            result.fallback = 'No equity or entry price to size from';
+            return result;
+        }
+
+        let notional = this.modelNotional(requestedModel, { equity, entryPrice, stopLoss, indicators, priceHistory, pnls }, result);
+        notional *= scale;
+
+        const cap = maxNotional ?? (equity * (this.settings.MAX_POSITION_PERCENT || 100)) / 100;
+        inputs.maxNotional = cap;
+        if (notional > cap) {
+            result.cap = `Capped from ${notional.toFixed(2)} to ${cap.toFixed(2)}`;
+            notional = cap;
+        }
+
+        result.notional = Math.max(notional, 0);
+        result.quantity = result.notional / entryPrice;
+
+        if (result.fallback) {
+            logger.trade('Position sizing fell back to fixed_fractional', { requested: requestedModel, reason: result.fallback });
+        }
+
+        return result;
+    }
+
+    modelNotional(model, data, result) {
+        const { inputs } = result;
+        const { equity, entryPrice } = data;
+
+        if (model === 'atr_stop') {
+            const atr = data.indicators.ATR;
+            if (atr > 0) {
+                const stopDistance = atr * this.settings.ATR_STOP_MULTIPLIER;
+                Object.assign(inputs, { atr, atrMultiplier: this.settings.ATR_STOP_MULTIPLIER, stopDistance });
+                return this.riskNotional(equity, entryPrice, stopDistance, inputs);
+            }
+            result.fallback = 'No ATR available';
+        }
+
+        if (model === 'volatility_target') {
+            const volatility = PositionSizer.realizedVolatility(data.priceHistory, this.settings.VOLATILITY_LOOKBACK);
+            if (volatility > 0) {
+                const target = this.settings.TARGET_VOLATILITY_PERCENT / 100;
+                Object.assign(inputs, { volatility, targetVolatility: target });
+                return (equity * target) / volatility;
+            }
+            result.fallback = 'Not enough price history for volatility';
+        }
+
+        if (model === 'kelly') {
+            const stats = PositionSizer.tradeStats(data.pnls.slice(-this.settings.KELLY_LOOKBACK));
+            if (stats.trades >= this.settings.KELLY_MIN_TRADES && stats.avgLoss > 0) {
+                const payoff = stats.avgWin / stats.avgLoss;
+                const kelly = stats.winRate - (1 - stats.winRate) / payoff;
+                const fraction = Math.max(kelly, 0) * this.settings.KELLY_FRACTION;
+                Object.assign(inputs, { ...stats, payoff, kelly, kellyFraction: this.settings.KELLY_FRACTION, fraction });
+                return equity * fraction;
+            }
+            result.fallback = `Kelly needs ${this.settings.KELLY_MIN_TRADES} closed trades with losses, have ${stats.trades}`;
+        }
+
+        // fixed_fractional, and the fallback for the models above
+        result.model = 'fixed_fractional';
+        const stopDistance = Math.abs(entryPrice - data.stopLoss);
+        if (!(stopDistance > 0)) {
+            result.fallback = result.fallback || 'No stop loss distance';
+            return 0;
+        }
+        inputs.stopDistance = stopDistance;
+        return this.riskNotional(equity, entryPrice, stopDistance, inputs);
+    }
+
+    // Notional that loses riskPercent of equity if price moves stopDistance
+    riskNotional(equity, entryPrice, stopDistance, inputs) {
+        const riskPercent = this.settings.MAX_RISK_PER_TRADE;
+        const riskAmount = (equity * riskPercent) / 100;
+        Object.assign(inputs, { riskPercent, riskAmount });
+        return (riskAmount / stopDistance) * entryPrice;
+    }
+}
+
+module.exports = PositionSizer;
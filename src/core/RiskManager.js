@@ -1,10 +1,27 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const PositionSizer = require('./PositionSizer');
+const LiquidationEstimator = require('./LiquidationEstimator');
+const {
+    POSITION_SIZING: sizingConfig,
+    CORRELATION: correlationConfig,
+    PORTFOLIO_RISK: portfolioConfig,
+    MARKET_CATEGORIES: marketCategories,
+    EMERGENCY: emergencyConfig
+} = require('../config/config');
+
+const QUOTE_ASSETS = ['USDT', 'USDC', 'FDUSD', 'BUSD'];
+
+// Least to most severe; see transition()
+const TRADING_STATES = ['ACTIVE', 'COOLDOWN', 'HALTED_FOR_DAY', 'KILLED'];
+const TRADING_STATE_SNAPSHOT = 'trading_state';
 
 class RiskManager extends EventEmitter {
-    constructor(config = {}) {
+    constructor(config = {}, journal = null, marketAnalyzer = null) {
         super();
         this.config = config;
+        this.journal = journal;
+        this.marketAnalyzer = marketAnalyzer;
         this.accountInfo = null;
         
         // Use config values with fallbacks from environment or defaults
@@ -13,11 +30,22 @@ class RiskManager extends EventEmitter {
                          parseFloat(process.env.MAX_LOSS_PERCENTAGE) || 5, // 5% max daily loss
             maxTradeRisk: config.MAX_TRADE_RISK || 
                          parseFloat(process.env.MAX_TRADE_RISK) || 2, // 2% per trade
-            maxCorrelationRisk: 0.7, // Max correlation between positions
+            maxCorrelationRisk: config.MAX_CORRELATION_RISK ||
+                               parseFloat(process.env.MAX_CORRELATION_RISK) || 0.7, // Correlation at which positions count as one bet
+            maxCorrelatedExposure: config.MAX_CORRELATED_EXPOSURE ||
+                                  parseFloat(process.env.MAX_CORRELATED_EXPOSURE) || 30, // % of capital in one correlated group
             maxLeverage: config.MAX_LEVERAGE || 1, // No leverage for spot trading
             maxPositionSize: config.MAX_POSITION_SIZE || 10, // 10% max position size
             maxDrawdown: config.MAX_DRAWDOWN || 10, // 10% max drawdown
-            maxConsecutiveLosses: config.MAX_CONSECUTIVE_LOSSES || 5
+            maxConsecutiveLosses: config.MAX_CONSECUTIVE_LOSSES || 5,
+
+            // Portfolio limits, as % of spot and futures equity combined
+            maxGrossExposure: portfolioConfig.MAX_GROSS_EXPOSURE_PERCENT,
+            maxNetExposure: portfolioConfig.MAX_NET_EXPOSURE_PERCENT,
+            maxAssetExposure: portfolioConfig.MAX_ASSET_EXPOSURE_PERCENT,
+            maxCategoryExposure: portfolioConfig.MAX_CATEGORY_EXPOSURE_PERCENT,
+            maxMarginUsage: portfolioConfig.MAX_MARGIN_USAGE_PERCENT,
+            minLiquidationDistance: portfolioConfig.MIN_LIQUIDATION_DISTANCE_PERCENT
         };
         
         this.dailyStats = {
@@ -26,11 +54,22 @@ class RiskManager extends EventEmitter {
             startBalance: 0,
             currentBalance: 0,
             maxLoss: 0,
+            equityPeak: 0,
+            consecutiveLosses: 0,
             lastResetDate: new Date().toDateString()
         };
+
+        this.tradingState = { state: 'ACTIVE', reason: null, since: Date.now(), until: null, details: {} };
+        this.dailyLossBreached = false;
+        this.apiErrors = [];
         
-        this.positionSizes = new Map();
+        // Books registered by the spot and futures engines, and the last
+        // aggregate built from them
+        this.exposureSources = new Map();
+        this.exposure = null;
+        this.liquidationEstimator = new LiquidationEstimator();
         this.correlationMatrix = new Map();
+        this.correlationUpdatedAt = 0;
         this.riskEvents = [];
         
         this.setupRiskMonitoring();
@@ -46,6 +85,8 @@ class RiskManager extends EventEmitter {
         
         this.dailyStats.startBalance = totalBalance;
         this.dailyStats.currentBalance = totalBalance;
+
+        this.rehydrateFromJournal();
         
         logger.info('Risk manager initialized', {
             totalBalance: totalBalance,
@@ -55,13 +96,76 @@ class RiskManager extends EventEmitter {
         return true;
     }
 
+    rehydrateFromJournal() {
+        if (!this.journal) return;
+
+        try {
+            this.riskEvents = this.journal.loadRiskEvents(100);
+
+            // Keep today's realized loss after a restart so the daily limit still applies
+            const savedStats = this.journal.loadDailyStats('risk', this.dailyStats.lastResetDate);
+            if (savedStats) {
+                this.dailyStats = { ...this.dailyStats, ...savedStats };
+            }
+
+            // A kill survives restarts; halts and cooldowns only until they would have lifted
+            const saved = this.loadTradingState();
+            if (saved) {
+                const { state, since, until } = saved;
+                const stillApplies = state === 'KILLED' ||
+                    (state === 'HALTED_FOR_DAY' && new Date(since).toDateString() === this.dailyStats.lastResetDate) ||
+                    (state === 'COOLDOWN' && until > Date.now());
+                if (stillApplies) {
+                    this.tradingState = saved;
+                }
+            }
+
+            logger.info('Risk state restored from journal', {
+                riskEvents: this.riskEvents.length,
+                dailyPnl: this.dailyStats.pnl,
+                tradingState: this.tradingState.state
+            });
+        } catch (error) {
+            logger.error('Failed to restore risk state from journal:', error);
+        }
+    }
+
+    // The trading state has its own snapshot: risk events are too frequent for
+    // the last state_change to stay within any window worth reading back
+    loadTradingState() {
+        const snapshot = this.journal.loadSnapshot(TRADING_STATE_SNAPSHOT);
+        if (snapshot) return snapshot;
+
+        // Journals written before the snapshot existed
+        const lastChange = this.journal.loadRiskEvents(1000)
+            .filter(event => event.type === 'state_change')
+            .pop();
+        if (!lastChange) return null;
+
+        const { to, reason, until, details } = lastChange.data;
+        return { state: to, reason, since: lastChange.timestamp, until, details };
+    }
+
+    persistTradingState() {
+        this.journal?.saveSnapshot(TRADING_STATE_SNAPSHOT, this.tradingState);
+    }
+
     setupRiskMonitoring() {
         // Reset daily stats at midnight
-        setInterval(() => {
+        this.monitoringInterval = setInterval(() => {
             const today = new Date().toDateString();
             if (today !== this.dailyStats.lastResetDate) {
                 this.resetDailyStats();
             }
+
+            if (this.exposureSources.size > 0) {
+                this.refreshExposure();
+            }
+
+            this.checkVolatility();
+
+            // Lets an expired cooldown go back to ACTIVE
+            this.getTradingState();
         }, 60000); // Check every minute
     }
 
@@ -74,10 +178,17 @@ class RiskManager extends EventEmitter {
             startBalance: this.dailyStats.currentBalance,
             currentBalance: this.dailyStats.currentBalance,
             maxLoss: 0,
+            equityPeak: 0,
+            consecutiveLosses: this.dailyStats.consecutiveLosses,
             lastResetDate: today
         };
         
+        this.journal?.recordDailyStats('risk', { ...this.dailyStats, date: today });
         logger.info('Daily risk stats reset');
+
+        if (this.tradingState.state === 'HALTED_FOR_DAY') {
+            this.setTradingState('ACTIVE', 'new_trading_day');
+        }
     }
 
     calculateTotalBalanceUSDT() {
@@ -164,19 +275,54 @@ class RiskManager extends EventEmitter {
         }
     }
 
+    // Gate used by TradingBot before opening a trade
+    async shouldExecuteTrade(signal, activeTrades = new Map()) {
+        if (!this.isTradingAllowed()) {
+            logger.info('Trade rejected by risk manager', {
+                symbol: signal.symbol,
+                reason: this.describeTradingState()
+            });
+            return false;
+        }
+
+        if (!this.checkDailyLossLimit()) {
+            logger.info('Trade rejected by risk manager', {
+                symbol: signal.symbol,
+                reason: 'Daily loss limit exceeded'
+            });
+            return false;
+        }
+
+        const hasOpenTrade = Array.from(activeTrades.values()).some(t => t.symbol === signal.symbol);
+        if (hasOpenTrade) {
+            logger.info('Trade rejected by risk manager', {
+                symbol: signal.symbol,
+                reason: `Already have position in ${signal.symbol}`
+            });
+            return false;
+        }
+
+        return true;
+    }
+
     checkDailyLossLimit() {
         if (this.dailyStats.startBalance === 0) return true;
         
         const dailyLossPercent = (this.dailyStats.pnl / this.dailyStats.startBalance) * 100;
         
-        if (Math.abs(dailyLossPercent) >= this.riskLimits.maxDailyLoss) {
-            this.logRiskEvent('daily_loss_limit', {
-                currentLoss: dailyLossPercent,
-                limit: this.riskLimits.maxDailyLoss
-            });
+        if (-dailyLossPercent >= this.riskLimits.maxDailyLoss) {
+            // Logged once per breach; later checks only refuse
+            if (!this.dailyLossBreached) {
+                this.dailyLossBreached = true;
+                this.logRiskEvent('daily_loss_limit', {
+                    currentLoss: dailyLossPercent,
+                    limit: this.riskLimits.maxDailyLoss
+                });
+            }
             return false;
         }
         
+        this.dailyLossBreached = false;
         return true;
     }
 
@@ -198,24 +344,416 @@ class RiskManager extends EventEmitter {
         return { approved: true };
     }
 
-    async checkCorrelationRisk(signal) {
-        // Simplified correlation check
-        // In real implementation, you'd calculate actual correlation
-        const currentPositions = Array.from(this.positionSizes.keys());
-        
-        if (currentPositions.length === 0) {
-            return { approved: true };
+    // Each engine registers its book. provider() returns, or resolves to,
+    // { equity, positions: [{ symbol, direction: 1|-1, notional, margin,
+    // leverage, entryPrice, markPrice, liquidationPrice }] } with notional in
+    // quote currency; margin and leverage only apply to futures.
+    registerExposureSource(market, provider) {
+        this.exposureSources.set(market, provider);
+    }
+
+    unregisterExposureSource(market) {
+        this.exposureSources.delete(market);
+    }
+
+    // Reads every registered book into one snapshot. Books that can't be read
+    // are listed in `unavailable` so approvals fail closed.
+    async refreshExposure() {
+        const books = {};
+        const unavailable = [];
+
+        for (const [market, provider] of this.exposureSources) {
+            try {
+                books[market] = await provider();
+            } catch (error) {
+                logger.error(`Failed to read ${market} exposure:`, error);
+                unavailable.push(market);
+            }
         }
-        
-        // For now, just check if we already have a position in the same symbol
-        if (currentPositions.includes(signal.symbol)) {
-            return {
-                approved: false,
-                reason: `Already have position in ${signal.symbol}`
-            };
+
+        const exposure = {
+            equity: 0,
+            gross: 0,
+            net: 0,
+            margin: 0,
+            assets: {},
+            categories: {},
+            markets: {},
+            positions: [],
+            minLiquidationDistance: null,
+            unavailable,
+            updatedAt: Date.now()
+        };
+
+        for (const [market, book] of Object.entries(books)) {
+            exposure.equity += book.equity || 0;
+            exposure.markets[market] = { equity: book.equity || 0, gross: 0, net: 0, margin: 0, positions: 0 };
+            for (const position of book.positions || []) {
+                this.addExposure(exposure, market, position);
+            }
         }
-        
-        return { approved: true };
+
+        this.exposure = exposure;
+        if (unavailable.length === 0 && exposure.equity > 0) {
+            this.recordEquity(exposure.equity);
+        }
+        return exposure;
+    }
+
+    addExposure(exposure, market, position) {
+        const signed = position.direction * position.notional;
+        const asset = this.getBaseAsset(position.symbol);
+        const categories = this.getCategories(position.symbol);
+        const liquidationDistance = this.getLiquidationDistance(position);
+
+        if (!exposure.markets[market]) {
+            exposure.markets[market] = { equity: 0, gross: 0, net: 0, margin: 0, positions: 0 };
+        }
+        const book = exposure.markets[market];
+
+        exposure.gross += position.notional;
+        exposure.net += signed;
+        exposure.margin += position.margin || 0;
+        book.gross += position.notional;
+        book.net += signed;
+        book.margin += position.margin || 0;
+        book.positions++;
+
+        exposure.assets[asset] = (exposure.assets[asset] || 0) + signed;
+        for (const category of categories) {
+            exposure.categories[category] = (exposure.categories[category] || 0) + signed;
+        }
+
+        if (liquidationDistance !== null &&
+            (exposure.minLiquidationDistance === null || liquidationDistance < exposure.minLiquidationDistance)) {
+            exposure.minLiquidationDistance = liquidationDistance;
+        }
+
+        exposure.positions.push({ market, ...position, asset, categories, liquidationDistance });
+    }
+
+    getBaseAsset(symbol) {
+        const quote = QUOTE_ASSETS.find(asset => symbol.endsWith(asset) && symbol.length > asset.length);
+        return quote ? symbol.slice(0, -quote.length) : symbol;
+    }
+
+    // MARKET_CATEGORIES buckets the symbol belongs to; 'other' has no limit
+    getCategories(symbol) {
+        const categories = Object.entries(marketCategories || {})
+            .filter(([, symbols]) => symbols.includes(symbol))
+            .map(([category]) => category);
+        return categories.length > 0 ? categories : ['other'];
+    }
+
+    // Isolated-margin estimate from the default maintenance margin brackets, for
+    // positions the exchange reported without a liquidation price
+    estimateLiquidationPrice(entryPrice, direction, leverage, notional) {
+        if (!(leverage > 1) || !(entryPrice > 0)) return null;
+        return this.liquidationEstimator.estimate({
+            entryPrice,
+            quantity: (notional || entryPrice) / entryPrice,
+            direction,
+            leverage
+        }).liquidationPrice;
+    }
+
+    // % the mark price can move against the position before liquidation;
+    // null for unlevered positions
+    getLiquidationDistance(position) {
+        const markPrice = position.markPrice || position.entryPrice;
+        const liquidationPrice = position.liquidationPrice > 0
+            ? position.liquidationPrice
+            : this.estimateLiquidationPrice(position.entryPrice || markPrice, position.direction, position.leverage, position.notional);
+        if (!liquidationPrice || !(markPrice > 0)) return null;
+
+        return Math.max((position.direction * (markPrice - liquidationPrice)) / markPrice * 100, 0);
+    }
+
+    // The one gate every order from either engine passes before it is sent.
+    // Reduce-only orders are always approved. Anything else is added to the
+    // current portfolio and the result checked against the limits; a limit the
+    // order moves further away from (e.g. a hedge) does not block it.
+    // order: { market, symbol, side: BUY|SELL, quantity, price, leverage, reduceOnly, purpose }
+    // Resolves to { approved, reason, reasons, exposure }.
+    async approveOrder(order) {
+        const { market, symbol, side, quantity, price, leverage = 1, reduceOnly = false, purpose = 'entry' } = order;
+        if (reduceOnly) {
+            return { approved: true, reason: null, reasons: [] };
+        }
+
+        const current = await this.refreshExposure();
+        const direction = side === 'SELL' ? -1 : 1;
+        const notional = Math.abs(parseFloat(quantity) * parseFloat(price)) || 0;
+        const reasons = [];
+
+        if (!this.isTradingAllowed()) {
+            reasons.push(this.describeTradingState());
+        }
+        if (!this.checkDailyLossLimit()) {
+            reasons.push('Daily loss limit exceeded');
+        }
+        if (current.unavailable.length > 0) {
+            reasons.push(`Exposure unavailable for ${current.unavailable.join(', ')}`);
+        }
+        if (!(notional > 0)) {
+            reasons.push('Order has no notional value');
+        }
+        if (!(current.equity > 0)) {
+            reasons.push('No equity to measure exposure against');
+        }
+
+        // addExposure only adds to the sums, books and position list, so a
+        // shallow copy of each keeps the current exposure untouched
+        const projected = {
+            ...current,
+            assets: { ...current.assets },
+            categories: { ...current.categories },
+            markets: Object.fromEntries(Object.entries(current.markets).map(([name, book]) => [name, { ...book }])),
+            positions: current.positions.slice()
+        };
+        if (notional > 0) {
+            const levered = market === 'futures' && leverage > 1;
+            this.addExposure(projected, market, {
+                symbol,
+                direction,
+                notional,
+                margin: market === 'futures' ? notional / leverage : 0,
+                leverage: levered ? leverage : undefined,
+                entryPrice: parseFloat(price),
+                markPrice: parseFloat(price)
+            });
+        }
+
+        if (current.equity > 0 && notional > 0) {
+            reasons.push(...this.checkExposureLimits(current, projected, { market, symbol, leverage }));
+        }
+
+        const result = {
+            approved: reasons.length === 0,
+            reason: reasons.length > 0 ? reasons.join('; ') : null,
+            reasons,
+            exposure: this.describeExposure(projected)
+        };
+
+        if (!result.approved) {
+            this.logRiskEvent('order_rejected', { market, symbol, side, purpose, notional, reasons });
+        }
+
+        return result;
+    }
+
+    checkExposureLimits(current, projected, { market, symbol, leverage }) {
+        const limits = this.riskLimits;
+        const equity = current.equity;
+        const percent = value => (Math.abs(value) / equity) * 100;
+        const grows = (before, after) => Math.abs(after) > Math.abs(before);
+        const reasons = [];
+
+        const gross = percent(projected.gross);
+        if (gross > limits.maxGrossExposure) {
+            reasons.push(`Gross exposure ${gross.toFixed(1)}% would exceed ${limits.maxGrossExposure}%`);
+        }
+
+        const net = percent(projected.net);
+        if (net > limits.maxNetExposure && grows(current.net, projected.net)) {
+            reasons.push(`Net exposure ${net.toFixed(1)}% would exceed ${limits.maxNetExposure}%`);
+        }
+
+        const asset = this.getBaseAsset(symbol);
+        const assetExposure = percent(projected.assets[asset]);
+        if (assetExposure > limits.maxAssetExposure && grows(current.assets[asset] || 0, projected.assets[asset])) {
+            reasons.push(`${asset} exposure ${assetExposure.toFixed(1)}% would exceed ${limits.maxAssetExposure}%`);
+        }
+
+        for (const category of this.getCategories(symbol).filter(c => c !== 'other')) {
+            const categoryExposure = percent(projected.categories[category]);
+            if (categoryExposure > limits.maxCategoryExposure &&
+                grows(current.categories[category] || 0, projected.categories[category])) {
+                reasons.push(`${category} exposure ${categoryExposure.toFixed(1)}% would exceed ${limits.maxCategoryExposure}%`);
+            }
+        }
+
+        if (market === 'futures') {
+            const futuresEquity = projected.markets.futures.equity;
+            const marginUsage = futuresEquity > 0 ? (projected.markets.futures.margin / futuresEquity) * 100 : Infinity;
+            if (marginUsage > limits.maxMarginUsage) {
+                reasons.push(`Margin usage ${marginUsage.toFixed(1)}% would exceed ${limits.maxMarginUsage}%`);
+            }
+
+            const order = projected.positions[projected.positions.length - 1];
+            if (order.liquidationDistance !== null && order.liquidationDistance < limits.minLiquidationDistance) {
+                reasons.push(`Liquidation ${order.liquidationDistance.toFixed(1)}% away at ${leverage}x, minimum ${limits.minLiquidationDistance}%`);
+            }
+        }
+
+        return reasons;
+    }
+
+    // Percentages of equity for the API, dashboard and Telegram
+    describeExposure(exposure = this.exposure) {
+        if (!exposure) return null;
+
+        const equity = exposure.equity;
+        const percent = value => (equity > 0 ? Math.round((value / equity) * 10000) / 100 : 0);
+        const percents = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, percent(value)]));
+        const futures = exposure.markets.futures;
+
+        return {
+            equity,
+            gross: exposure.gross,
+            grossPercent: percent(exposure.gross),
+            net: exposure.net,
+            netPercent: percent(exposure.net),
+            margin: exposure.margin,
+            marginUsagePercent: futures?.equity > 0 ? Math.round((futures.margin / futures.equity) * 10000) / 100 : 0,
+            minLiquidationDistance: exposure.minLiquidationDistance,
+            assets: percents(exposure.assets),
+            categories: percents(exposure.categories),
+            markets: exposure.markets,
+            positions: exposure.positions.length,
+            unavailable: exposure.unavailable,
+            updatedAt: exposure.updatedAt
+        };
+    }
+
+    // Rebuilds the symbol -> symbol -> correlation matrix from the analyzer's
+    // price history: Pearson correlation of log returns on candles both
+    // symbols share. Pairs with too little overlap are left out.
+    updateCorrelationMatrix(symbols = null) {
+        if (!this.marketAnalyzer) return this.correlationMatrix;
+
+        const analyzer = this.marketAnalyzer;
+        const interval = analyzer.intervals?.includes(correlationConfig.INTERVAL)
+            ? correlationConfig.INTERVAL
+            : analyzer.primaryInterval;
+        const tracked = symbols || Object.keys(analyzer.getMarketData() || {});
+
+        const returns = new Map();
+        for (const symbol of tracked) {
+            const history = analyzer.getPriceHistory(symbol, correlationConfig.LOOKBACK + 1, interval);
+            const series = new Map();
+            for (let i = 1; i < history.length; i++) {
+                series.set(history[i].openTime, Math.log(history[i].close / history[i - 1].close));
+            }
+            if (series.size >= correlationConfig.MIN_OBSERVATIONS) {
+                returns.set(symbol, series);
+            }
+        }
+
+        const matrix = new Map();
+        const symbolList = Array.from(returns.keys());
+        for (let i = 0; i < symbolList.length; i++) {
+            for (let j = i + 1; j < symbolList.length; j++) {
+                const a = symbolList[i];
+                const b = symbolList[j];
+                const correlation = this.calculateCorrelation(returns.get(a), returns.get(b));
+                if (correlation === null) continue;
+
+                if (!matrix.has(a)) matrix.set(a, new Map());
+                if (!matrix.has(b)) matrix.set(b, new Map());
+                matrix.get(a).set(b, correlation);
+                matrix.get(b).set(a, correlation);
+            }
+        }
+
+        this.correlationMatrix = matrix;
+        this.correlationInterval = interval;
+        this.correlationUpdatedAt = Date.now();
+        return matrix;
+    }
+
+    calculateCorrelation(seriesA, seriesB) {
+        const pairs = [];
+        for (const [time, value] of seriesA) {
+            if (seriesB.has(time)) pairs.push([value, seriesB.get(time)]);
+        }
+        if (pairs.length < correlationConfig.MIN_OBSERVATIONS) return null;
+
+        const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+        const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (const [a, b] of pairs) {
+            covariance += (a - meanA) * (b - meanB);
+            varianceA += (a - meanA) ** 2;
+            varianceB += (b - meanB) ** 2;
+        }
+
+        if (varianceA === 0 || varianceB === 0) return null;
+        return covariance / Math.sqrt(varianceA * varianceB);
+    }
+
+    getCorrelation(symbolA, symbolB) {
+        if (symbolA === symbolB) return 1;
+        if (Date.now() - this.correlationUpdatedAt > correlationConfig.REFRESH_INTERVAL) {
+            this.updateCorrelationMatrix();
+        }
+        return this.correlationMatrix.get(symbolA)?.get(symbolB) ?? null;
+    }
+
+    getCorrelationMatrix() {
+        const symbols = Array.from(this.correlationMatrix.keys()).sort();
+        const matrix = {};
+        for (const a of symbols) {
+            matrix[a] = {};
+            for (const b of symbols) {
+                const correlation = a === b ? 1 : this.correlationMatrix.get(a).get(b);
+                if (correlation !== undefined) matrix[a][b] = Math.round(correlation * 1000) / 1000;
+            }
+        }
+
+        return {
+            interval: this.correlationInterval || null,
+            updatedAt: this.correlationUpdatedAt || null,
+            threshold: this.riskLimits.maxCorrelationRisk,
+            symbols,
+            matrix
+        };
+    }
+
+    // Open positions that move with the new one: positively correlated on the
+    // same side, or negatively correlated on the opposite side, add up into one
+    // exposure capped at maxCorrelatedExposure % of capital. amount and the
+    // positions' amounts share a unit (notional for spot, margin for futures).
+    // Resolves to { approved, reason, maxAmount, exposure, limit, correlated }.
+    async checkCorrelationRisk(signal, { positions = [], capital = 0 } = {}) {
+        const direction = signal.action === 'SELL' || signal.side === 'SHORT' ? -1 : 1;
+        const amount = signal.amount || 0;
+        const correlated = [];
+
+        for (const position of positions) {
+            const correlation = this.getCorrelation(signal.symbol, position.symbol);
+            if (correlation === null || Math.abs(correlation) < this.riskLimits.maxCorrelationRisk) continue;
+
+            if (position.direction * Math.sign(correlation) === direction) {
+                correlated.push({ symbol: position.symbol, correlation, amount: position.amount });
+            }
+        }
+
+        if (correlated.length === 0 || !(capital > 0)) {
+            return { approved: true, correlated };
+        }
+
+        const exposure = correlated.reduce((sum, position) => sum + position.amount, 0);
+        const limit = (capital * this.riskLimits.maxCorrelatedExposure) / 100;
+        const room = limit - exposure;
+        const result = { exposure, limit, correlated, maxAmount: Math.max(room, 0) };
+
+        if (exposure + amount <= limit) {
+            return { ...result, approved: true };
+        }
+
+        const symbols = correlated.map(p => `${p.symbol} (${p.correlation.toFixed(2)})`).join(', ');
+        const reason = `Correlated exposure ${(exposure + amount).toFixed(2)} would exceed ${limit.toFixed(2)} with ${symbols}`;
+
+        if (correlationConfig.ACTION === 'downsize' && room > 0) {
+            this.logRiskEvent('correlation_downsized', { symbol: signal.symbol, from: amount, to: room, correlated });
+            return { ...result, approved: true, downsized: true, reason };
+        }
+
+        this.logRiskEvent('correlation_rejected', { symbol: signal.symbol, amount, exposure, limit, correlated });
+        return { ...result, approved: false, reason };
     }
 
     checkVolatilityRisk(signal) {
@@ -270,14 +808,6 @@ class RiskManager extends EventEmitter {
         return { valid: true };
     }
 
-    updatePositionSize(symbol, size) {
-        if (size <= 0) {
-            this.positionSizes.delete(symbol);
-        } else {
-            this.positionSizes.set(symbol, size);
-        }
-    }
-
     updateDailyStats(pnl, isNewTrade = false) {
         this.dailyStats.pnl += pnl;
         this.dailyStats.currentBalance += pnl;
@@ -290,6 +820,8 @@ class RiskManager extends EventEmitter {
         if (this.dailyStats.pnl < this.dailyStats.maxLoss) {
             this.dailyStats.maxLoss = this.dailyStats.pnl;
         }
+
+        this.journal?.recordDailyStats('risk', { ...this.dailyStats, date: this.dailyStats.lastResetDate });
         
         // Check if we're approaching limits
         this.checkRiskLimits();
@@ -301,7 +833,7 @@ class RiskManager extends EventEmitter {
         const dailyLossPercent = (this.dailyStats.pnl / this.dailyStats.startBalance) * 100;
         
         // Warning at 75% of daily limit
-        if (Math.abs(dailyLossPercent) >= this.riskLimits.maxDailyLoss * 0.75) {
+        if (-dailyLossPercent >= this.riskLimits.maxDailyLoss * 0.75) {
             this.emit('riskWarning', {
                 type: 'approaching_daily_limit',
                 current: dailyLossPercent,
@@ -309,26 +841,23 @@ class RiskManager extends EventEmitter {
             });
         }
         
-        // Emergency stop at daily limit
-        if (Math.abs(dailyLossPercent) >= this.riskLimits.maxDailyLoss) {
-            this.emit('emergencyStop', {
-                type: 'daily_loss_limit_exceeded',
+        // No new trades for the rest of the day at the limit
+        if (-dailyLossPercent >= this.riskLimits.maxDailyLoss) {
+            this.transition('HALTED_FOR_DAY', 'daily_loss_limit', {
                 current: dailyLossPercent,
                 limit: this.riskLimits.maxDailyLoss
             });
         }
     }
 
+    // Fixed-fractional size under this manager's per-trade risk and position limits
     calculateMaxPositionSize(balance, entryPrice, stopLoss) {
-        // Calculate position size based on risk per trade
-        const riskPerTrade = balance * (this.riskLimits.maxTradeRisk / 100);
-        const priceRisk = Math.abs(entryPrice - stopLoss);
-        const maxQuantity = riskPerTrade / priceRisk;
-        
-        // Also check against max position size limit
-        const maxByPercent = (balance * (this.riskLimits.maxPositionSize / 100)) / entryPrice;
-        
-        return Math.min(maxQuantity, maxByPercent);
+        const sizer = new PositionSizer({
+            ...sizingConfig,
+            MAX_RISK_PER_TRADE: this.riskLimits.maxTradeRisk,
+            MAX_POSITION_PERCENT: this.riskLimits.maxPositionSize
+        });
+        return sizer.size({ model: 'fixed_fractional', equity: balance, entryPrice, stopLoss }).quantity;
     }
 
     logRiskEvent(type, data) {
@@ -345,6 +874,7 @@ class RiskManager extends EventEmitter {
             this.riskEvents.shift();
         }
         
+        this.journal?.recordRiskEvent(event);
         logger.info('Risk event logged', { type, data });
         this.emit('riskEvent', event);
     }
@@ -369,50 +899,217 @@ class RiskManager extends EventEmitter {
     }
 
     getPortfolioRisk() {
-        const totalValue = Array.from(this.positionSizes.values())
-            .reduce((sum, size) => sum + size, 0);
-        
-        const portfolioRisk = {
-            totalExposure: totalValue,
-            exposurePercent: this.dailyStats.currentBalance > 0 ? 
-                           (totalValue / this.dailyStats.currentBalance) * 100 : 0,
-            numberOfPositions: this.positionSizes.size,
-            diversification: this.positionSizes.size > 0 ?
-                           1 / Math.sqrt(this.positionSizes.size) : 0,
+        const exposure = this.describeExposure();
+        const positions = exposure?.positions || 0;
+
+        return {
+            totalExposure: exposure?.gross || 0,
+            exposurePercent: exposure?.grossPercent || 0,
+            netExposure: exposure?.net || 0,
+            netExposurePercent: exposure?.netPercent || 0,
+            marginUsagePercent: exposure?.marginUsagePercent || 0,
+            minLiquidationDistance: exposure?.minLiquidationDistance ?? null,
+            numberOfPositions: positions,
+            diversification: positions > 0 ? 1 / Math.sqrt(positions) : 0,
             dailyPnLPercent: this.dailyStats.startBalance > 0 ?
                            (this.dailyStats.pnl / this.dailyStats.startBalance) * 100 : 0
         };
-        
-        return portfolioRisk;
     }
 
     isWithinRiskLimits() {
         const portfolioRisk = this.getPortfolioRisk();
-        
+        const limits = this.riskLimits;
+        const checks = {
+            dailyLoss: -portfolioRisk.dailyPnLPercent < limits.maxDailyLoss,
+            grossExposure: portfolioRisk.exposurePercent <= limits.maxGrossExposure,
+            netExposure: Math.abs(portfolioRisk.netExposurePercent) <= limits.maxNetExposure,
+            marginUsage: portfolioRisk.marginUsagePercent <= limits.maxMarginUsage,
+            liquidationDistance: portfolioRisk.minLiquidationDistance === null ||
+                                 portfolioRisk.minLiquidationDistance >= limits.minLiquidationDistance
+        };
+
         return {
-            withinLimits: portfolioRisk.exposurePercent <= this.riskLimits.maxPositionSize * this.positionSizes.size &&
-                         Math.abs(portfolioRisk.dailyPnLPercent) < this.riskLimits.maxDailyLoss,
-            checks: {
-                dailyLoss: Math.abs(portfolioRisk.dailyPnLPercent) < this.riskLimits.maxDailyLoss,
-                exposure: portfolioRisk.exposurePercent <= this.riskLimits.maxPositionSize * this.positionSizes.size,
-                positions: this.positionSizes.size <= 10 // Max 10 concurrent positions
-            }
+            withinLimits: Object.values(checks).every(Boolean),
+            checks
         };
     }
 
+    // ACTIVE -> COOLDOWN        consecutive losses, API error bursts, volatility spikes;
+    //                           lifts by itself after COOL_DOWN_PERIOD_MINUTES
+    // ACTIVE -> HALTED_FOR_DAY  daily loss limit, intraday drawdown, an engine's daily stop;
+    //                           lifts at the daily reset
+    // any    -> KILLED          drawdown past EMERGENCY_STOP_LOSS_PERCENT or a manual
+    //                           emergency stop; only resume() leaves it
+    // Triggers only escalate: a milder one during a stricter state is ignored,
+    // and a new cooldown trigger during a cooldown extends it.
+    transition(state, reason, details = {}) {
+        const current = this.getTradingState();
+        if (TRADING_STATES.indexOf(state) < TRADING_STATES.indexOf(current.state)) return false;
+
+        const until = state === 'COOLDOWN' ? Date.now() + emergencyConfig.COOL_DOWN_PERIOD_MINUTES * 60000 : null;
+        if (state === current.state) {
+            if (state === 'COOLDOWN' && until > this.tradingState.until) {
+                this.tradingState.until = until;
+                this.persistTradingState();
+            }
+            return false;
+        }
+
+        this.setTradingState(state, reason, { ...details, until });
+        return true;
+    }
+
+    setTradingState(state, reason, { until = null, ...details } = {}) {
+        const change = { from: this.tradingState.state, to: state, reason, until, details };
+        this.tradingState = { state, reason, since: Date.now(), until, details };
+        this.persistTradingState();
+
+        logger.warn(`Trading state ${change.from} -> ${state}`, { reason, until, details });
+        this.logRiskEvent('state_change', change);
+        this.emit('stateChange', change);
+
+        if (state === 'KILLED') {
+            this.emit('emergencyStop', { type: 'killed', reason, ...details });
+        }
+    }
+
+    getTradingState() {
+        const { state, until } = this.tradingState;
+        if (state === 'COOLDOWN' && until <= Date.now()) {
+            this.setTradingState('ACTIVE', 'cooldown_expired');
+        }
+        return { ...this.tradingState };
+    }
+
+    isTradingAllowed() {
+        return this.getTradingState().state === 'ACTIVE';
+    }
+
+    describeTradingState() {
+        const { state, reason, until } = this.getTradingState();
+        if (state === 'ACTIVE') return 'Trading active';
+        return `Trading ${state} (${reason})${until ? ` until ${new Date(until).toISOString()}` : ''}`;
+    }
+
+    haltForDay(reason, details = {}) {
+        return this.transition('HALTED_FOR_DAY', reason, details);
+    }
+
+    kill(reason, details = {}) {
+        return this.transition('KILLED', reason, details);
+    }
+
+    // Manual way back from any state. The loss streak, error window and
+    // equity peak start over so the same trigger doesn't fire again at once.
+    resume(reason = 'manual_resume') {
+        if (this.tradingState.state === 'ACTIVE') return false;
+
+        this.dailyStats.consecutiveLosses = 0;
+        this.dailyStats.equityPeak = this.exposure?.equity || 0;
+        this.apiErrors = [];
+        this.setTradingState('ACTIVE', reason);
+        return true;
+    }
+
+    // Called by both engines for every closed trade or position
+    recordTradeResult({ market, symbol, pnl = 0 }) {
+        // Break-even closes neither extend nor break the streak
+        if (pnl < 0) {
+            this.dailyStats.consecutiveLosses++;
+        } else if (pnl > 0) {
+            this.dailyStats.consecutiveLosses = 0;
+        }
+        this.updateDailyStats(pnl, true);
+
+        if (this.dailyStats.consecutiveLosses >= emergencyConfig.MAX_CONSECUTIVE_LOSSES) {
+            this.transition('COOLDOWN', 'consecutive_losses', {
+                market,
+                symbol,
+                losses: this.dailyStats.consecutiveLosses,
+                limit: emergencyConfig.MAX_CONSECUTIVE_LOSSES
+            });
+        }
+    }
+
+    recordEquity(equity) {
+        if (equity > this.dailyStats.equityPeak) {
+            this.dailyStats.equityPeak = equity;
+            return;
+        }
+
+        const peak = this.dailyStats.equityPeak;
+        const drawdown = ((peak - equity) / peak) * 100;
+        const details = { drawdown, peak, equity };
+
+        if (drawdown >= emergencyConfig.EMERGENCY_STOP_LOSS_PERCENT) {
+            this.kill('intraday_drawdown', { ...details, limit: emergencyConfig.EMERGENCY_STOP_LOSS_PERCENT });
+        } else if (drawdown >= emergencyConfig.MAX_INTRADAY_DRAWDOWN_PERCENT) {
+            this.haltForDay('intraday_drawdown', { ...details, limit: emergencyConfig.MAX_INTRADAY_DRAWDOWN_PERCENT });
+        }
+    }
+
+    // Exchange and order failures; risk and filter rejections are not API errors
+    recordApiError(market, error) {
+        if (['RISK_REJECTED', 'FILTER_FAILURE'].includes(error?.code)) return;
+
+        const now = Date.now();
+        const window = emergencyConfig.API_ERROR_WINDOW_SECONDS * 1000;
+        this.apiErrors = this.apiErrors.filter(e => now - e.timestamp < window);
+        this.apiErrors.push({ timestamp: now, market, message: error?.message });
+
+        if (this.apiErrors.length >= emergencyConfig.API_ERROR_BURST) {
+            this.transition('COOLDOWN', 'api_error_burst', {
+                market,
+                errors: this.apiErrors.length,
+                windowSeconds: emergencyConfig.API_ERROR_WINDOW_SECONDS,
+                lastError: error?.message
+            });
+            this.apiErrors = [];
+        }
+    }
+
+    // Realized volatility of the last few candles against the candles before
+    // them, per tracked symbol
+    checkVolatility() {
+        if (!this.marketAnalyzer) return;
+
+        const { VOLATILITY_RECENT_CANDLES: recentCandles, VOLATILITY_BASELINE_CANDLES: baselineCandles } = emergencyConfig;
+        for (const symbol of Object.keys(this.marketAnalyzer.getMarketData() || {})) {
+            const history = this.marketAnalyzer.getPriceHistory(symbol, baselineCandles + recentCandles + 1);
+            if (history.length <= baselineCandles + recentCandles) continue;
+
+            const recent = PositionSizer.realizedVolatility(history, recentCandles);
+            const baseline = PositionSizer.realizedVolatility(history.slice(0, -recentCandles), baselineCandles);
+            if (!(recent > 0) || !(baseline > 0)) continue;
+
+            const ratio = recent / baseline;
+            if (ratio >= emergencyConfig.VOLATILITY_SPIKE_RATIO) {
+                this.transition('COOLDOWN', 'abnormal_volatility', {
+                    symbol,
+                    ratio,
+                    limit: emergencyConfig.VOLATILITY_SPIKE_RATIO
+                });
+            }
+        }
+    }
+
     getStatus() {
         return {
+            tradingState: this.getTradingState(),
             riskLimits: this.riskLimits,
             dailyStats: this.dailyStats,
             portfolioRisk: this.getPortfolioRisk(),
             withinLimits: this.isWithinRiskLimits(),
+            exposure: this.describeExposure(),
+            correlation: this.getCorrelationMatrix(),
             recentEvents: this.getRiskEvents(5)
         };
     }
 
     cleanup() {
+        clearInterval(this.monitoringInterval);
         this.removeAllListeners();
-        this.positionSizes.clear();
+        this.exposureSources.clear();
         this.correlationMatrix.clear();
         this.riskEvents = [];
         logger.info('Risk manager cleanup completed');
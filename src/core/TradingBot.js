@@ -2,23 +2,38 @@ const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const cron = require('cron');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const config = require('../config/config');
+const SymbolRules = require('../exchange/SymbolRules');
+const StrategyRegistry = require('../strategies/StrategyRegistry');
+const SignalAggregator = require('../strategies/SignalAggregator');
+const PositionSizer = require('./PositionSizer');
 
 class TradingBot extends EventEmitter {
-    constructor({ binanceAPI, marketAnalyzer, aiAnalyzer, riskManager, config: botConfig }) {
+    constructor({ exchange, marketAnalyzer, aiAnalyzer, riskManager, config: botConfig, clock, journal, symbolRules, strategies }) {
         super();
         
-        this.binanceAPI = binanceAPI;
+        this.exchange = exchange;
+        this.symbolRules = symbolRules || new SymbolRules({ exchange });
         this.marketAnalyzer = marketAnalyzer;
         this.aiAnalyzer = aiAnalyzer;
         this.riskManager = riskManager;
-        this.config = botConfig;
+        // index.js passes the root config, which has no strategy or OCO section
+        this.config = { STRATEGIES: config.STRATEGIES, SPOT_OCO: config.SPOT_OCO, ...botConfig };
+
+        // Signal plugins; index.js shares one registry with the futures engine
+        this.strategies = strategies || StrategyRegistry.createDefault({ context: { aiAnalyzer, marketAnalyzer } });
+        this.signalAggregator = new SignalAggregator();
+        this.positionSizer = new PositionSizer();
+        
+        // Backtests inject a simulated clock so trade timestamps follow candle time
+        this.clock = clock || { now: () => Date.now() };
+        this.journal = journal || null;
         
         this.isRunning = false;
         this.activeTrades = new Map();
         this.tradeHistory = [];
         this.tradingMode = 'balanced';
-        this.enabledStrategies = new Set(['ai_signals', 'technical_analysis', 'momentum']);
         
         this.statistics = {
             totalTrades: 0,
@@ -33,6 +48,13 @@ class TradingBot extends EventEmitter {
         
         this.cronJobs = new Map();
         this.setupEventHandlers();
+
+        // The risk manager sees open trades as the spot book
+        this.riskManager?.registerExposureSource('spot', () => this.getExposure());
+    }
+
+    get enabledStrategies() {
+        return new Set(this.strategies.getEnabled('spot').map(entry => entry.id));
     }
 
     setupEventHandlers() {
@@ -46,12 +68,12 @@ class TradingBot extends EventEmitter {
         });
 
         // Binance events (only if API is available)
-        if (this.binanceAPI) {
-            this.binanceAPI.on('executionReport', (report) => {
+        if (this.exchange) {
+            this.exchange.on('executionReport', (report) => {
                 this.handleExecutionReport(report);
             });
 
-            this.binanceAPI.on('balanceUpdate', (update) => {
+            this.exchange.on('balanceUpdate', (update) => {
                 this.handleBalanceUpdate(update);
             });
         }
@@ -71,8 +93,8 @@ class TradingBot extends EventEmitter {
         try {
             logger.trade('Starting TradingBot...');
 
-            // Skip initialization if no API keys (for testing)
-            if (this.config.BINANCE_API_KEY && this.config.BINANCE_SECRET_KEY) {
+            // Skip initialization if no API keys (for testing); paper trading has its own account
+            if (this.config.PAPER_TRADING || (this.config.BINANCE_API_KEY && this.config.BINANCE_SECRET_KEY)) {
                 try {
                     await this.initialize();
                 } catch (error) {
@@ -88,10 +110,13 @@ class TradingBot extends EventEmitter {
             // Start periodic analysis
             this.startPeriodicAnalysis();
 
-            // Start user data stream only if API is available and working
-            if (this.binanceAPI && this.config.BINANCE_API_KEY) {
+            await this.strategies.start('spot');
+
+            // Fills, OCO legs and balances arrive over the user data stream;
+            // without it OCO fills are picked up by polling
+            if (this.exchange && (this.config.PAPER_TRADING || this.config.BINANCE_API_KEY)) {
                 try {
-                    this.binanceAPI.startUserDataStream();
+                    await this.exchange.startUserDataStream();
                 } catch (error) {
                     logger.error('Failed to start user data stream:', error.message);
                 }
@@ -122,11 +147,13 @@ class TradingBot extends EventEmitter {
 
             // Stop cron jobs
             this.stopCronJobs();
+            await this.strategies.stop('spot');
 
             // Stop data streams
-            if (this.binanceAPI) {
-                this.binanceAPI.stopAllStreams();
+            if (this.exchange) {
+                this.exchange.stopAllStreams();
             }
+            this.symbolRules.stop();
 
             this.isRunning = false;
             logger.trade('TradingBot stopped successfully');
@@ -140,10 +167,13 @@ class TradingBot extends EventEmitter {
 
     async initialize() {
         try {
+            // Restore trades from the journal before touching the exchange
+            this.rehydrateFromJournal();
+
             // Get account info (skip if API fails)
             let accountInfo = null;
             try {
-                accountInfo = await this.binanceAPI.getAccountInfo();
+                accountInfo = await this.exchange.getAccountInfo();
                 if (!accountInfo) {
                     throw new Error('Failed to get account information');
                 }
@@ -152,6 +182,17 @@ class TradingBot extends EventEmitter {
                 return; // Skip rest of initialization
             }
 
+            // Line up restored trades with actual balances
+            await this.reconcileWithExchange(accountInfo);
+            await this.verifyProtectiveOcos();
+
+            // Load tick/step sizes and minimums for order rounding
+            try {
+                await this.symbolRules.start();
+            } catch (error) {
+                logger.error('Failed to load symbol rules, orders will not be pre-validated:', error.message);
+            }
+
             // Validate trading pairs
             await this.validateTradingPairs();
 
@@ -171,9 +212,143 @@ class TradingBot extends EventEmitter {
         }
     }
 
+    rehydrateFromJournal() {
+        if (!this.journal) return;
+
+        try {
+            const { activeTrades, tradeHistory } = this.journal.loadSpotTrades();
+
+            this.activeTrades = activeTrades;
+            this.tradeHistory = tradeHistory;
+
+            // Rebuild statistics the same way they were accumulated live
+            this.statistics.totalTrades = tradeHistory.length + activeTrades.size;
+            tradeHistory.forEach(trade => this.updateStatistics(trade));
+
+            logger.trade('Trades restored from journal', {
+                activeTrades: activeTrades.size,
+                closedTrades: tradeHistory.length
+            });
+        } catch (error) {
+            logger.error('Failed to restore trades from journal:', error);
+        }
+    }
+
+    async reconcileWithExchange(accountInfo) {
+        const report = {
+            source: 'spot',
+            timestamp: this.clock.now(),
+            matched: [],
+            closed: [],
+            flagged: []
+        };
+
+        try {
+            const balances = new Map();
+            (accountInfo.balances || []).forEach(balance => {
+                balances.set(balance.asset, parseFloat(balance.free || 0) + parseFloat(balance.locked || 0));
+            });
+
+            // Spot trades are long-only holdings, so each open BUY needs its base asset on the account
+            const requiredByAsset = new Map();
+            for (const trade of this.activeTrades.values()) {
+                if (trade.side !== 'BUY') continue;
+                const asset = this.getBaseAsset(trade.symbol);
+                requiredByAsset.set(asset, (requiredByAsset.get(asset) || 0) + parseFloat(trade.quantity));
+            }
+
+            for (const [tradeId, trade] of Array.from(this.activeTrades.entries())) {
+                if (trade.side !== 'BUY') continue;
+
+                const asset = this.getBaseAsset(trade.symbol);
+                const held = balances.get(asset) || 0;
+                const required = requiredByAsset.get(asset);
+
+                // Allow for fees taken in the base asset
+                if (held >= required * 0.99) {
+                    report.matched.push({ id: tradeId, symbol: trade.symbol, quantity: trade.quantity });
+                    continue;
+                }
+
+                if (held > 0) {
+                    report.flagged.push({ id: tradeId, symbol: trade.symbol, issue: 'balance_short', required, held });
+                    continue;
+                }
+
+                // Sold outside the bot or while it was down; P&L is unknown so stats are left alone
+                trade.status = 'CLOSED';
+                trade.closeTime = this.clock.now();
+                trade.closeReason = 'missing_on_exchange';
+
+                this.tradeHistory.push({ ...trade });
+                this.activeTrades.delete(tradeId);
+                this.journal?.recordTradeClosed(trade);
+                report.closed.push({ id: tradeId, symbol: trade.symbol, quantity: trade.quantity });
+            }
+
+            // Holdings in traded pairs that no journaled trade accounts for
+            const tradingPairs = this.config.TRADING_PAIRS || [];
+            for (const symbol of tradingPairs) {
+                const asset = this.getBaseAsset(symbol);
+                const held = balances.get(asset) || 0;
+                if (held > 0 && !requiredByAsset.has(asset)) {
+                    report.flagged.push({ symbol, issue: 'untracked_balance', asset, held });
+                }
+            }
+
+            report.discrepancies = report.closed.length + report.flagged.length;
+
+            logger.trade('Spot reconciliation completed', {
+                matched: report.matched.length,
+                discrepancies: report.discrepancies
+            });
+        } catch (error) {
+            logger.error('Failed to reconcile spot trades:', error);
+            report.error = error.message;
+        }
+
+        this.emit('reconciliation', report);
+        return report;
+    }
+
+    // Restored trades may point at brackets that no longer rest on the exchange
+    // (paper state is not persisted); those go back to bot-side polling
+    async verifyProtectiveOcos() {
+        if (!this.exchange.supports('getOpenOrders')) return;
+
+        const symbols = new Set(Array.from(this.activeTrades.values())
+            .filter(t => t.oco?.status === 'ACTIVE')
+            .map(t => t.symbol));
+
+        for (const symbol of symbols) {
+            try {
+                const openOrders = await this.exchange.getOpenOrders(symbol);
+                const liveLists = new Set(openOrders.map(o => o.orderListId));
+
+                for (const trade of this.activeTrades.values()) {
+                    if (trade.symbol !== symbol || trade.oco?.status !== 'ACTIVE') continue;
+                    if (liveLists.has(trade.oco.orderListId)) continue;
+
+                    trade.oco.status = 'MISSING';
+                    this.journal?.recordTradeUpdated(trade);
+                    logger.warn(`OCO bracket for trade ${trade.id} not found on the exchange, using bot-side stop loss/take profit`, {
+                        symbol,
+                        orderListId: trade.oco.orderListId
+                    });
+                }
+            } catch (error) {
+                logger.error(`Failed to verify OCO brackets for ${symbol}:`, error.message);
+            }
+        }
+    }
+
+    getBaseAsset(symbol) {
+        return symbol.replace(/(USDT|BUSD|FDUSD|BTC|ETH|BNB)$/, '');
+    }
+
     async validateTradingPairs() {
         try {
-            const exchangeInfo = await this.binanceAPI.getExchangeInfo();
+            const exchangeInfo = await this.exchange.getExchangeInfo();
             if (!exchangeInfo) {
                 throw new Error('Failed to get exchange information');
             }
@@ -234,6 +409,11 @@ class TradingBot extends EventEmitter {
 
         try {
             for (const [tradeId, trade] of this.activeTrades.entries()) {
+                if (trade.oco?.status === 'ACTIVE' && !this.exchange?.isUserDataStreamActive()) {
+                    await this.checkOcoStatus(trade);
+                    if (!this.activeTrades.has(tradeId)) continue;
+                }
+
                 await this.updateTradeStatus(trade);
                 await this.checkTradeConditions(trade);
             }
@@ -243,11 +423,11 @@ class TradingBot extends EventEmitter {
     }
 
     async updateTradeStatus(trade) {
-        if (!this.binanceAPI) return;
+        if (!this.exchange) return;
 
         try {
             // Get current price
-            const ticker = await this.binanceAPI.prices(trade.symbol);
+            const ticker = await this.exchange.getTicker(trade.symbol);
             const currentPrice = parseFloat(ticker[trade.symbol]);
             
             // Calculate P&L
@@ -258,7 +438,7 @@ class TradingBot extends EventEmitter {
             trade.currentPrice = currentPrice;
             trade.pnl = pnlPercent;
             trade.pnlUSDT = (trade.quantity * trade.entryPrice * pnlPercent) / 100;
-            trade.lastUpdate = Date.now();
+            trade.lastUpdate = this.clock.now();
 
         } catch (error) {
             logger.error(`Failed to update trade ${trade.id}:`, error);
@@ -268,6 +448,9 @@ class TradingBot extends EventEmitter {
     async checkTradeConditions(trade) {
         if (!trade.currentPrice) return;
 
+        // The exchange-side bracket owns the exits; fills arrive as execution reports
+        if (trade.oco?.status === 'ACTIVE') return;
+
         try {
             // Check stop loss
             if (trade.stopLoss && this.shouldTriggerStopLoss(trade)) {
@@ -315,6 +498,7 @@ class TradingBot extends EventEmitter {
             const newStopLoss = currentPrice * (1 - trailingPercent / 100);
             if (newStopLoss > trade.stopLoss) {
                 trade.stopLoss = newStopLoss;
+                this.journal?.recordTradeUpdated(trade);
                 logger.trade(`Updated trailing stop for trade ${trade.id}`, {
                     symbol: trade.symbol,
                     newStopLoss: newStopLoss
@@ -324,6 +508,7 @@ class TradingBot extends EventEmitter {
             const newStopLoss = currentPrice * (1 + trailingPercent / 100);
             if (newStopLoss < trade.stopLoss) {
                 trade.stopLoss = newStopLoss;
+                this.journal?.recordTradeUpdated(trade);
                 logger.trade(`Updated trailing stop for trade ${trade.id}`, {
                     symbol: trade.symbol,
                     newStopLoss: newStopLoss
@@ -394,6 +579,11 @@ async performPeriodicAnalysis() {
                 return;
             }
 
+            // Signals built from a stalled feed would trade on old prices
+            if (this.marketAnalyzer.isStale(symbol)) {
+                return;
+            }
+
             // Check if we've reached max concurrent trades
             if (this.activeTrades.size >= (this.config.MAX_CONCURRENT_TRADES || 5)) {
                 return;
@@ -401,223 +591,54 @@ async performPeriodicAnalysis() {
 
             // Generate trading signals
             const signals = await this.generateTradingSignals(analysisData);
-
-            // Execute trades based on signals
             for (const signal of signals) {
-                if (await this.shouldExecuteSignal(signal)) {
-                    await this.executeTrade(signal);
-                }
-            }
-        } catch (error) {
-            logger.error('Error handling comprehensive analysis:', error);
-        }
-    }
-
-    async generateTradingSignals(analysisData) {
-        const { symbol, marketData, indicators, sentiment, aiAnalysis } = analysisData;
-        const signals = [];
-
-        try {
-            // AI-based signals
-            if (aiAnalysis && this.enabledStrategies.has('ai_signals') && this.aiAnalyzer) {
-                try {
-                    const aiSignals = await this.aiAnalyzer.generateTradingSignals(
-                        aiAnalysis.predictions, 
-                        marketData, 
-                        this.tradingMode
-                    );
-                    signals.push(...aiSignals.map(s => ({ ...s, strategy: 'ai_signals' })));
-                } catch (error) {
-                    logger.error('Error generating AI signals:', error);
-                }
+                metrics.signalsGenerated.inc({ strategy: signal.strategy || 'unknown' });
             }
 
-            // Technical analysis signals
-            if (this.enabledStrategies.has('technical_analysis')) {
-                const techSignals = this.generateTechnicalSignals(symbol, marketData, indicators);
-                signals.push(...techSignals);
+            // One decision per symbol, so opposing strategies can't both trade
+            const { decisions, rejected } = this.signalAggregator.aggregate(signals);
+            for (const { symbol: rejectedSymbol, reason, signals: conflicting } of rejected) {
+                logger.trade('Signals not acted on', { symbol: rejectedSymbol, reason });
+                conflicting.forEach(signal => metrics.signalsFiltered.inc({ strategy: signal.strategy || 'unknown' }));
             }
 
-            // Momentum signals
-            if (this.enabledStrategies.has('momentum')) {
-                const momentumSignals = this.generateMomentumSignals(symbol, marketData, indicators);
-                signals.push(...momentumSignals);
-            }
-
-            // Sentiment-based signals
-            if (this.enabledStrategies.has('sentiment_analysis')) {
-                const sentimentSignals = this.generateSentimentSignals(symbol, marketData, sentiment);
-                signals.push(...sentimentSignals);
-            }
-
-        } catch (error) {
-            logger.error('Error generating trading signals:', error);
-        }
-
-        return signals;
-    }
-
-    generateTechnicalSignals(symbol, marketData, indicators) {
-        const signals = [];
-        const price = marketData.price;
-
-        try {
-            // RSI signals
-            if (indicators.RSI) {
-                if (indicators.RSI < 30) {
-                    signals.push({
-                        symbol,
-                        action: 'BUY',
-                        strategy: 'technical_analysis',
-                        indicator: 'RSI',
-                        confidence: (30 - indicators.RSI) / 30,
-                        entryPrice: price,
-                        reasoning: `RSI oversold at ${indicators.RSI.toFixed(2)}`
-                    });
-                } else if (indicators.RSI > 70) {
-                    signals.push({
-                        symbol,
-                        action: 'SELL',
-                        strategy: 'technical_analysis',
-                        indicator: 'RSI',
-                        confidence: (indicators.RSI - 70) / 30,
-                        entryPrice: price,
-                        reasoning: `RSI overbought at ${indicators.RSI.toFixed(2)}`
-                    });
-                }
-            }
-
-            // MACD signals
-            if (indicators.MACD && indicators.MACDSignal) {
-                const macdDiff = indicators.MACD - indicators.MACDSignal;
-                if (macdDiff > 0 && indicators.MACDHistogram > 0) {
-                    signals.push({
-                        symbol,
-                        action: 'BUY',
-                        strategy: 'technical_analysis',
-                        indicator: 'MACD',
-                        confidence: Math.min(Math.abs(macdDiff) / 10, 0.8),
-                        entryPrice: price,
-                        reasoning: 'MACD bullish crossover'
-                    });
-                } else if (macdDiff < 0 && indicators.MACDHistogram < 0) {
-                    signals.push({
-                        symbol,
-                        action: 'SELL',
-                        strategy: 'technical_analysis',
-                        indicator: 'MACD',
-                        confidence: Math.min(Math.abs(macdDiff) / 10, 0.8),
-                        entryPrice: price,
-                        reasoning: 'MACD bearish crossover'
-                    });
+            // Execute trades based on the decisions
+            for (const signal of decisions) {
+                const strategy = signal.strategy || 'unknown';
+                if (signal.explanation) {
+                    logger.trade('Signal decision', { symbol: signal.symbol, action: signal.action, explanation: signal.explanation });
                 }
-            }
+                this.emit('signalGenerated', signal);
 
-            // Bollinger Bands signals
-            if (indicators.BB_Upper && indicators.BB_Lower) {
-                if (price <= indicators.BB_Lower) {
-                    signals.push({
-                        symbol,
-                        action: 'BUY',
-                        strategy: 'technical_analysis',
-                        indicator: 'BB',
-                        confidence: 0.6,
-                        entryPrice: price,
-                        reasoning: 'Price at lower Bollinger Band'
-                    });
-                } else if (price >= indicators.BB_Upper) {
-                    signals.push({
-                        symbol,
-                        action: 'SELL',
-                        strategy: 'technical_analysis',
-                        indicator: 'BB',
-                        confidence: 0.6,
-                        entryPrice: price,
-                        reasoning: 'Price at upper Bollinger Band'
-                    });
+                if (await this.shouldExecuteSignal(signal)) {
+                    if (await this.executeTrade(signal)) {
+                        metrics.signalsExecuted.inc({ strategy });
+                    }
+                } else {
+                    metrics.signalsFiltered.inc({ strategy });
                 }
             }
-
         } catch (error) {
-            logger.error('Error generating technical signals:', error);
+            logger.error('Error handling comprehensive analysis:', error);
         }
-
-        return signals;
     }
 
-    generateMomentumSignals(symbol, marketData, indicators) {
-        const signals = [];
+    // Every enabled spot strategy plugin gets the symbol's full analysis; each
+    // signal comes back stamped with the strategy that produced it
+    async generateTradingSignals(analysisData) {
+        const { symbol } = analysisData;
 
         try {
-            // Price momentum
-            const priceChange = marketData.priceChangePercent;
-            if (Math.abs(priceChange) > 5) {
-                signals.push({
-                    symbol,
-                    action: priceChange > 0 ? 'BUY' : 'SELL',
-                    strategy: 'momentum',
-                    indicator: 'price_momentum',
-                    confidence: Math.min(Math.abs(priceChange) / 10, 0.8),
-                    entryPrice: marketData.price,
-                    reasoning: `Strong momentum: ${priceChange.toFixed(2)}%`
-                });
-            }
-
-            // Volume momentum
-            if (indicators.VolumeRatio && indicators.VolumeRatio > 2) {
-                signals.push({
-                    symbol,
-                    action: priceChange > 0 ? 'BUY' : 'SELL',
-                    strategy: 'momentum',
-                    indicator: 'volume_momentum',
-                    confidence: Math.min(indicators.VolumeRatio / 5, 0.7),
-                    entryPrice: marketData.price,
-                    reasoning: `High volume: ${indicators.VolumeRatio.toFixed(2)}x average`
-                });
-            }
-
+            return await this.strategies.generateSignals('spot', {
+                ...analysisData,
+                tradingMode: this.tradingMode,
+                timeframes: this.marketAnalyzer.getTimeframeIndicators(symbol),
+                priceHistory: this.marketAnalyzer.getPriceHistory(symbol)
+            });
         } catch (error) {
-            logger.error('Error generating momentum signals:', error);
+            logger.error('Error generating trading signals:', error);
+            return [];
         }
-
-        return signals;
-    }
-
-    generateSentimentSignals(symbol, marketData, sentiment) {
-        const signals = [];
-
-        try {
-            if (sentiment && sentiment.overall) {
-                const sentimentScore = sentiment.overall;
-                
-                if (sentimentScore > 0.7) {
-                    signals.push({
-                        symbol,
-                        action: 'BUY',
-                        strategy: 'sentiment_analysis',
-                        indicator: 'sentiment',
-                        confidence: sentimentScore,
-                        entryPrice: marketData.price,
-                        reasoning: `Bullish sentiment: ${(sentimentScore * 100).toFixed(1)}%`
-                    });
-                } else if (sentimentScore < 0.3) {
-                    signals.push({
-                        symbol,
-                        action: 'SELL',
-                        strategy: 'sentiment_analysis',
-                        indicator: 'sentiment',
-                        confidence: 1 - sentimentScore,
-                        entryPrice: marketData.price,
-                        reasoning: `Bearish sentiment: ${(sentimentScore * 100).toFixed(1)}%`
-                    });
-                }
-            }
-
-        } catch (error) {
-            logger.error('Error generating sentiment signals:', error);
-        }
-
-        return signals;
     }
 
     async shouldExecuteSignal(signal) {
@@ -646,14 +667,67 @@ async performPeriodicAnalysis() {
     }
 
     async executeTrade(signal) {
-        if (!this.binanceAPI) {
+        if (!this.exchange) {
             logger.trade('Cannot execute trade: No API connection');
             return null;
         }
 
         try {
             const tradeId = uuidv4();
-            const quantity = this.calculateTradeQuantity(signal);
+
+            const sizing = await this.calculateTradeQuantity(signal);
+            if (!(sizing.quantity > 0)) {
+                logger.trade('Trade skipped: position size is zero', { symbol: signal.symbol, sizing });
+                return null;
+            }
+
+            // Correlated open trades (e.g. stacked BTC/ETH/SOL longs) share one exposure cap
+            if (this.riskManager) {
+                const correlation = await this.riskManager.checkCorrelationRisk(
+                    { ...signal, amount: sizing.notional },
+                    {
+                        positions: Array.from(this.activeTrades.values()).map(trade => ({
+                            symbol: trade.symbol,
+                            direction: trade.side === 'SELL' ? -1 : 1,
+                            amount: trade.quantity * trade.entryPrice
+                        })),
+                        capital: sizing.inputs.equity
+                    }
+                );
+                if (!correlation.approved) {
+                    logger.trade('Trade skipped: correlated exposure limit', { symbol: signal.symbol, reason: correlation.reason });
+                    return null;
+                }
+                if (correlation.downsized) {
+                    logger.trade('Trade downsized: correlated exposure limit', { symbol: signal.symbol, reason: correlation.reason, notional: correlation.maxAmount });
+                    sizing.correlation = { from: sizing.notional, to: correlation.maxAmount, correlated: correlation.correlated };
+                    sizing.notional = correlation.maxAmount;
+                    sizing.quantity = correlation.maxAmount / signal.entryPrice;
+                }
+            }
+
+            // Round to the symbol's step size and check minQty/minNotional before sending
+            const orderParams = this.symbolRules.prepareOrder({
+                symbol: signal.symbol,
+                side: signal.action,
+                type: 'MARKET',
+                quantity: sizing.quantity.toFixed(8)
+            }, signal.entryPrice);
+            const quantity = orderParams.quantity;
+
+            // Each strategy trades within its share of capital and open trades
+            const allocationIssue = await this.strategies.checkAllocation(signal.strategy, {
+                amount: quantity * signal.entryPrice,
+                openTrades: Array.from(this.activeTrades.values()).map(trade => ({
+                    strategy: trade.strategy,
+                    amount: trade.quantity * trade.entryPrice
+                })),
+                getCapital: () => this.getStrategyCapital()
+            });
+            if (allocationIssue) {
+                logger.trade('Trade skipped: strategy allocation exceeded', { symbol: signal.symbol, reason: allocationIssue });
+                return null;
+            }
             
             // Create trade object
             const trade = {
@@ -666,26 +740,34 @@ async performPeriodicAnalysis() {
                 confidence: signal.confidence,
                 reasoning: signal.reasoning,
                 status: 'PENDING',
-                openTime: Date.now(),
+                openTime: this.clock.now(),
                 stopLoss: this.calculateStopLoss(signal),
-                takeProfit: this.calculateTakeProfit(signal)
+                takeProfit: this.calculateTakeProfit(signal),
+                sizing
             };
 
             // Execute order on exchange
-            const order = await this.binanceAPI.order({
-                symbol: signal.symbol,
-                side: signal.action,
-                type: 'MARKET',
-                quantity: quantity
-            });
+            const order = await this.placeOrder(orderParams, { price: signal.entryPrice, purpose: 'entry' });
 
             if (order) {
                 trade.orderId = order.orderId;
                 trade.status = 'FILLED';
                 trade.executedPrice = order.fills?.[0]?.price || signal.entryPrice;
+
+                // P&L is measured from what actually filled, fees included
+                const entryFills = this.summarizeFills(trade.symbol, order.fills);
+                if (entryFills.quantity > 0) {
+                    trade.entryPrice = entryFills.averagePrice;
+                    trade.entryCommission = entryFills.commission;
+                }
                 
                 this.activeTrades.set(tradeId, trade);
                 this.statistics.totalTrades++;
+                this.strategies.recordTradeOpened(trade);
+
+                this.journal?.recordOrder('spot', order, { tradeId, purpose: 'entry' });
+                await this.placeProtectiveOco(trade, order);
+                this.journal?.recordTradeOpened(trade);
                 
                 logger.trade('Trade executed', trade);
                 this.emit('tradeOpened', trade);
@@ -694,24 +776,163 @@ async performPeriodicAnalysis() {
             }
 
         } catch (error) {
+            if (error.code === 'RISK_REJECTED') {
+                logger.trade('Trade rejected by risk manager', { symbol: signal.symbol, reasons: error.reasons });
+                return null;
+            }
             logger.error('Failed to execute trade:', error);
+            this.riskManager?.recordApiError('spot', error);
             return null;
         }
     }
 
-    calculateTradeQuantity(signal) {
-        const baseAmount = this.config.DEFAULT_TRADE_AMOUNT || 10;
-        const confidenceMultiplier = signal.confidence;
-        
-        // Adjust quantity based on trading mode
+    async placeOrder(orderParams, context = {}) {
+        await this.requestOrderApproval(orderParams, context);
+        return this.exchange.placeOrder(orderParams);
+    }
+
+    // Every order is approved by the risk manager before it reaches the
+    // exchange; exits and brackets pass reduceOnly and are never blocked
+    async requestOrderApproval(orderParams, { price, purpose, reduceOnly = false } = {}) {
+        if (this.riskManager) {
+            const approval = await this.riskManager.approveOrder({
+                market: 'spot',
+                symbol: orderParams.symbol,
+                side: orderParams.side,
+                quantity: orderParams.quantity,
+                price: orderParams.price || price,
+                reduceOnly,
+                purpose
+            });
+            if (!approval.approved) {
+                const error = new Error(`Order rejected by risk manager: ${approval.reason}`);
+                error.code = 'RISK_REJECTED';
+                error.reasons = approval.reasons;
+                throw error;
+            }
+        }
+    }
+
+    // Open trades at their last price, for RiskManager.approveOrder. A balance
+    // that can't be read fails the approval rather than counting as zero equity.
+    async getExposure() {
+        return {
+            equity: await this.readAccountEquity(),
+            positions: Array.from(this.activeTrades.values()).map(trade => ({
+                symbol: trade.symbol,
+                direction: trade.side === 'SELL' ? -1 : 1,
+                notional: trade.quantity * (trade.currentPrice || trade.entryPrice),
+                entryPrice: trade.entryPrice,
+                markPrice: trade.currentPrice || trade.entryPrice
+            }))
+        };
+    }
+
+    // Hands stop loss and take profit to the exchange as one OCO bracket so they
+    // still fire while the bot is down. Venues without OCO support, or a rejected
+    // bracket, leave the trade on bot-side polling.
+    async placeProtectiveOco(trade, entryOrder) {
+        if (!this.config.SPOT_OCO?.ENABLED || !this.exchange.supports('placeOcoOrder')) return null;
+        if (!trade.stopLoss || !trade.takeProfit) return null;
+
+        try {
+            const { symbol } = trade;
+            const side = trade.side === 'BUY' ? 'SELL' : 'BUY';
+
+            // Commission charged in the base asset leaves less to sell
+            const baseAsset = this.getBaseAsset(symbol);
+            const baseCommission = (entryOrder.fills || [])
+                .filter(fill => fill.commissionAsset === baseAsset)
+                .reduce((sum, fill) => sum + parseFloat(fill.commission), 0);
+            const executedQty = parseFloat(entryOrder.executedQty || trade.quantity);
+            const quantity = side === 'SELL' ? executedQty - baseCommission : executedQty;
+
+            const offset = (this.config.SPOT_OCO.STOP_LIMIT_OFFSET_PERCENT || 0) / 100;
+            const stopLimitPrice = side === 'SELL'
+                ? trade.stopLoss * (1 - offset)
+                : trade.stopLoss * (1 + offset);
+
+            const params = {
+                symbol,
+                side,
+                quantity: this.symbolRules.formatQuantity(symbol, quantity),
+                price: this.symbolRules.formatPrice(symbol, trade.takeProfit),
+                stopPrice: this.symbolRules.formatPrice(symbol, trade.stopLoss),
+                stopLimitPrice: this.symbolRules.formatPrice(symbol, stopLimitPrice),
+                stopLimitTimeInForce: 'GTC'
+            };
+
+            // Both legs share the quantity; the stop limit is the lower notional
+            const reason = this.symbolRules.checkOrder(symbol, {
+                quantity: params.quantity,
+                price: Math.min(params.price, params.stopLimitPrice)
+            });
+            if (reason) {
+                throw new Error(reason);
+            }
+
+            await this.requestOrderApproval(params, { purpose: 'protection', reduceOnly: true });
+            const orderList = await this.exchange.placeOcoOrder(params);
+            const reports = orderList.orderReports || [];
+            const takeProfitLeg = reports.find(o => o.type === 'LIMIT_MAKER');
+            const stopLossLeg = reports.find(o => o.type === 'STOP_LOSS_LIMIT');
+
+            trade.oco = {
+                orderListId: orderList.orderListId,
+                takeProfitOrderId: takeProfitLeg?.orderId,
+                stopLossOrderId: stopLossLeg?.orderId,
+                quantity: params.quantity,
+                stopLimitPrice: parseFloat(params.stopLimitPrice),
+                status: 'ACTIVE'
+            };
+
+            this.journal?.recordOrder('spot', orderList, { tradeId: trade.id, purpose: 'oco' });
+            logger.trade(`OCO bracket placed for trade ${trade.id}`, {
+                symbol,
+                orderListId: trade.oco.orderListId,
+                takeProfit: params.price,
+                stopLoss: params.stopPrice
+            });
+
+            return trade.oco;
+        } catch (error) {
+            logger.warn(`OCO bracket for trade ${trade.id} not placed, using bot-side stop loss/take profit:`, error.message);
+            return null;
+        }
+    }
+
+    async cancelProtectiveOco(trade) {
+        // Cancel reports for our own cancel must not read as an outside cancel
+        trade.oco.status = 'CANCELLING';
+
+        try {
+            await this.exchange.cancelOcoOrder(trade.symbol, trade.oco.orderListId);
+            trade.oco.status = 'CANCELED';
+        } catch (error) {
+            trade.oco.status = 'ACTIVE';
+            throw error;
+        }
+    }
+
+    // Resolves to the PositionSizer result; its model and inputs go on the trade
+    async calculateTradeQuantity(signal) {
+        // Adjust size based on confidence and trading mode
         const modeMultiplier = {
             conservative: 0.5,
             balanced: 1.0,
             aggressive: 1.5,
             scalping: 2.0
         }[this.tradingMode] || 1.0;
-        
-        return (baseAmount * confidenceMultiplier * modeMultiplier).toFixed(8);
+
+        return this.positionSizer.size({
+            equity: await this.getAccountEquity(),
+            entryPrice: signal.entryPrice,
+            stopLoss: this.calculateStopLoss(signal),
+            indicators: this.marketAnalyzer.getTechnicalIndicators(signal.symbol) || {},
+            priceHistory: this.marketAnalyzer.getPriceHistory(signal.symbol),
+            pnls: this.tradeHistory.map(trade => trade.netPnlUSDT ?? trade.pnlUSDT).filter(pnl => pnl !== undefined),
+            scale: signal.confidence * modeMultiplier
+        });
     }
 
     calculateStopLoss(signal) {
@@ -743,59 +964,139 @@ async performPeriodicAnalysis() {
 
         try {
             // Execute close order
-            if (this.binanceAPI) {
-                const closeOrder = await this.binanceAPI.order({
+            if (this.exchange) {
+                // Pull the bracket first; if it can't be cancelled it may already
+                // have filled, so the close is abandoned rather than doubled
+                if (trade.oco?.status === 'ACTIVE') {
+                    await this.cancelProtectiveOco(trade);
+                }
+
+                const closeOrder = await this.placeOrder({
                     symbol: trade.symbol,
                     side: trade.side === 'BUY' ? 'SELL' : 'BUY',
                     type: 'MARKET',
-                    quantity: trade.quantity
-                });
+                    quantity: this.symbolRules.formatQuantity(trade.symbol, trade.oco?.quantity || trade.quantity, { market: true })
+                }, { purpose: 'exit', reduceOnly: true });
 
                 if (closeOrder) {
-                    trade.exitPrice = closeOrder.fills?.[0]?.price || trade.currentPrice;
+                    const exitFills = this.summarizeFills(trade.symbol, closeOrder.fills);
+                    trade.exitPrice = exitFills.quantity > 0 ? exitFills.averagePrice : trade.currentPrice;
+                    trade.exitCommission = exitFills.commission;
                     trade.closeOrderId = closeOrder.orderId;
+                    this.journal?.recordOrder('spot', closeOrder, { tradeId, purpose: 'exit' });
                 }
             }
 
-            // Update trade status
-            trade.status = 'CLOSED';
-            trade.closeTime = Date.now();
-            trade.closeReason = reason;
-            trade.duration = trade.closeTime - trade.openTime;
+            this.finalizeTrade(trade, reason);
+            return true;
+
+        } catch (error) {
+            logger.error(`Failed to close trade ${tradeId}:`, error);
+            this.riskManager?.recordApiError('spot', error);
+            return false;
+        }
+    }
+
+    // Averages a set of fills and prices their commission in the quote asset.
+    // Fees paid in a third asset (BNB) are kept per asset but not priced.
+    summarizeFills(symbol, fills = []) {
+        const baseAsset = this.getBaseAsset(symbol);
+        const quoteAsset = symbol.slice(baseAsset.length);
+        const summary = { quantity: 0, quoteQty: 0, averagePrice: 0, commission: 0, otherCommission: {} };
+
+        for (const fill of fills || []) {
+            const price = parseFloat(fill.price);
+            const qty = parseFloat(fill.qty);
+            const commission = parseFloat(fill.commission || 0);
 
-            // Calculate final P&L
-            if (trade.exitPrice) {
-                const pnlPercent = trade.side === 'BUY' 
-                    ? ((trade.exitPrice - trade.entryPrice) / trade.entryPrice) * 100
-                    : ((trade.entryPrice - trade.exitPrice) / trade.entryPrice) * 100;
+            summary.quantity += qty;
+            summary.quoteQty += price * qty;
 
-                trade.pnl = pnlPercent;
-                trade.pnlUSDT = (trade.quantity * trade.entryPrice * pnlPercent) / 100;
+            if (fill.commissionAsset === quoteAsset) {
+                summary.commission += commission;
+            } else if (fill.commissionAsset === baseAsset) {
+                summary.commission += commission * price;
+            } else if (commission > 0) {
+                summary.otherCommission[fill.commissionAsset] = (summary.otherCommission[fill.commissionAsset] || 0) + commission;
             }
+        }
 
-            // Update statistics
-            this.updateStatistics(trade);
+        summary.averagePrice = summary.quantity > 0 ? summary.quoteQty / summary.quantity : 0;
+        return summary;
+    }
 
-            // Move to history
-            this.tradeHistory.push({ ...trade });
-            this.activeTrades.delete(tradeId);
+    // Without a user data stream an OCO fill is only visible by polling:
+    // once the list is gone from the open orders, its leg fills say how it ended
+    async checkOcoStatus(trade) {
+        try {
+            const openOrders = await this.exchange.getOpenOrders(trade.symbol);
+            if (openOrders.some(o => o.orderListId === trade.oco.orderListId)) return;
 
-            logger.trade('Trade closed', {
-                id: tradeId,
-                symbol: trade.symbol,
-                pnl: trade.pnl,
-                reason: reason
-            });
+            const legIds = [trade.oco.takeProfitOrderId, trade.oco.stopLossOrderId];
+            const fills = (await this.exchange.getTradeHistory(trade.symbol, 50))
+                .filter(fill => legIds.includes(fill.orderId));
 
-            this.emit('tradeClosed', trade);
-            return true;
+            if (fills.length === 0) {
+                trade.oco.status = 'MISSING';
+                this.journal?.recordTradeUpdated(trade);
+                logger.warn(`OCO bracket for trade ${trade.id} is gone without fills, using bot-side stop loss/take profit`);
+                return;
+            }
 
+            const exitFills = this.summarizeFills(trade.symbol, fills);
+            trade.oco.status = 'FILLED';
+            trade.exitPrice = exitFills.averagePrice;
+            trade.exitCommission = exitFills.commission;
+            trade.closeOrderId = fills[fills.length - 1].orderId;
+
+            this.finalizeTrade(trade, trade.closeOrderId === trade.oco.takeProfitOrderId ? 'take_profit' : 'stop_loss');
         } catch (error) {
-            logger.error(`Failed to close trade ${tradeId}:`, error);
-            return false;
+            logger.error(`Failed to check OCO bracket for trade ${trade.id}:`, error.message);
         }
     }
 
+    finalizeTrade(trade, reason) {
+        // Update trade status
+        trade.status = 'CLOSED';
+        trade.closeTime = this.clock.now();
+        trade.closeReason = reason;
+        trade.duration = trade.closeTime - trade.openTime;
+
+        // Calculate final P&L
+        if (trade.exitPrice) {
+            const pnlPercent = trade.side === 'BUY' 
+                ? ((trade.exitPrice - trade.entryPrice) / trade.entryPrice) * 100
+                : ((trade.entryPrice - trade.exitPrice) / trade.entryPrice) * 100;
+
+            trade.pnl = pnlPercent;
+            trade.pnlUSDT = (trade.quantity * trade.entryPrice * pnlPercent) / 100;
+        }
+
+        trade.fees = (trade.entryCommission || 0) + (trade.exitCommission || 0);
+        if (trade.pnlUSDT !== undefined) {
+            trade.netPnlUSDT = trade.pnlUSDT - trade.fees;
+        }
+
+        // Update statistics
+        this.updateStatistics(trade);
+        this.strategies.recordTradeClosed(trade, trade.netPnlUSDT ?? trade.pnlUSDT ?? 0);
+        this.riskManager?.recordTradeResult({ market: 'spot', symbol: trade.symbol, pnl: trade.netPnlUSDT ?? trade.pnlUSDT ?? 0 });
+
+        // Move to history
+        this.tradeHistory.push({ ...trade });
+        this.activeTrades.delete(trade.id);
+        this.journal?.recordTradeClosed(trade);
+
+        logger.trade('Trade closed', {
+            id: trade.id,
+            symbol: trade.symbol,
+            pnl: trade.pnl,
+            reason: reason
+        });
+
+        this.emit('tradeClosed', trade);
+    }
+
     async closeAllTrades(reason = 'manual') {
         const tradeIds = Array.from(this.activeTrades.keys());
         const results = [];
@@ -831,6 +1132,8 @@ async performPeriodicAnalysis() {
 
     handleExecutionReport(report) {
         try {
+            if (report.orderListId > -1 && this.handleOcoReport(report)) return;
+
             const trade = Array.from(this.activeTrades.values())
                 .find(t => t.orderId === report.orderId);
 
@@ -848,6 +1151,59 @@ async performPeriodicAnalysis() {
         }
     }
 
+    // Returns true when the report belongs to a trade's OCO bracket
+    handleOcoReport(report) {
+        const trade = Array.from(this.activeTrades.values())
+            .find(t => t.oco && t.symbol === report.symbol && t.oco.orderListId === report.orderListId);
+        if (!trade) return false;
+
+        // Commission accrues per fill, partial fills included
+        if (report.executionType === 'TRADE') {
+            const fee = this.summarizeFills(trade.symbol, [{
+                price: report.lastFilledPrice,
+                qty: report.lastFilledQty,
+                commission: report.commission,
+                commissionAsset: report.commissionAsset
+            }]);
+            trade.exitCommission = (trade.exitCommission || 0) + fee.commission;
+        }
+
+        switch (report.orderStatus) {
+            case 'FILLED': {
+                const reason = report.orderId === trade.oco.takeProfitOrderId ? 'take_profit' : 'stop_loss';
+                trade.oco.status = 'FILLED';
+                trade.exitPrice = report.executedQty > 0
+                    ? report.cumulativeQuoteQty / report.executedQty
+                    : report.lastFilledPrice;
+                trade.closeOrderId = report.orderId;
+                this.journal?.recordOrder('spot', report, { tradeId: trade.id, purpose: 'exit' });
+                this.finalizeTrade(trade, reason);
+                break;
+            }
+            case 'PARTIALLY_FILLED':
+                trade.oco.executedQty = report.executedQty;
+                logger.trade(`OCO leg partially filled for trade ${trade.id}`, {
+                    orderId: report.orderId,
+                    executedQty: report.executedQty
+                });
+                break;
+            case 'CANCELED':
+            case 'REJECTED':
+                // Cancelled outside the bot: take the exits back
+                if (trade.oco.status === 'ACTIVE') {
+                    trade.oco.status = 'CANCELED';
+                    this.journal?.recordTradeUpdated(trade);
+                    logger.warn(`OCO bracket for trade ${trade.id} cancelled on the exchange, using bot-side stop loss/take profit`);
+                }
+                break;
+            default:
+                // NEW, and EXPIRED for the leg that lost to a fill
+                break;
+        }
+
+        return true;
+    }
+
     handleBalanceUpdate(update) {
         try {
             logger.trade('Balance update received', update);
@@ -892,6 +1248,7 @@ async performPeriodicAnalysis() {
             isRunning: this.isRunning,
             tradingMode: this.tradingMode,
             enabledStrategies: Array.from(this.enabledStrategies),
+            strategies: this.strategies.describe('spot'),
             activeTrades: this.activeTrades.size,
             totalTrades: this.statistics.totalTrades,
             winRate: this.statistics.winRate,
@@ -925,23 +1282,45 @@ async performPeriodicAnalysis() {
     }
 
     enableStrategy(strategy) {
-        this.enabledStrategies.add(strategy);
-        logger.trade('Strategy enabled', { strategy });
+        this.strategies.enable(strategy, 'spot');
     }
 
     disableStrategy(strategy) {
-        this.enabledStrategies.delete(strategy);
-        logger.trade('Strategy disabled', { strategy });
+        this.strategies.disable(strategy, 'spot');
+    }
+
+    // Capital that strategy allocation percentages apply to
+    async getStrategyCapital() {
+        return this.config.STRATEGIES?.CAPITAL_USDT || this.getAccountEquity();
+    }
+
+    async getAccountEquity() {
+        try {
+            return await this.readAccountEquity();
+        } catch (error) {
+            logger.error('Failed to get account equity:', error.message);
+            return 0;
+        }
+    }
+
+    // Free quote balance plus open trades at entry: longs hold their cost,
+    // shorts owe back the proceeds already credited to the balance. Throws when
+    // the balance can't be read.
+    async readAccountEquity() {
+        const balance = await this.exchange.getBalance(this.exchange.quoteAsset || 'USDT');
+        const openValue = Array.from(this.activeTrades.values())
+            .reduce((sum, trade) => sum + (trade.side === 'BUY' ? 1 : -1) * trade.quantity * trade.entryPrice, 0);
+        return (balance?.free || 0) + openValue;
     }
 
     // Additional utility methods
     async getAccountBalance() {
-        if (!this.binanceAPI) {
+        if (!this.exchange) {
             return null;
         }
 
         try {
-            const accountInfo = await this.binanceAPI.getAccountInfo();
+            const accountInfo = await this.exchange.getAccountInfo();
             return accountInfo;
         } catch (error) {
             logger.error('Failed to get account balance:', error);
@@ -1111,9 +1490,16 @@ async performPeriodicAnalysis() {
             }
 
             if (newConfig.enabledStrategies) {
-                this.enabledStrategies.clear();
+                const enabled = this.enabledStrategies;
+                enabled.forEach(strategy => {
+                    if (!newConfig.enabledStrategies.includes(strategy)) {
+                        this.disableStrategy(strategy);
+                    }
+                });
                 newConfig.enabledStrategies.forEach(strategy => {
-                    this.enableStrategy(strategy);
+                    if (!enabled.has(strategy)) {
+                        this.enableStrategy(strategy);
+                    }
                 });
             }
 
@@ -1190,7 +1576,7 @@ async performPeriodicAnalysis() {
     isHealthy() {
         return {
             isRunning: this.isRunning,
-            hasActiveConnections: !!this.binanceAPI,
+            hasActiveConnections: !!this.exchange,
             activeTrades: this.activeTrades.size,
             cronJobsActive: this.cronJobs.size,
             lastActivity: Date.now(),
@@ -1265,51 +1651,6 @@ async performPeriodicAnalysis() {
         }
     }
 
-    generateRSISignals(signals) {
-        try {
-            if (!this.marketAnalyzer) return;
-            
-            const tradingPairs = this.config.TRADING_PAIRS || ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'];
-            
-            tradingPairs.forEach(symbol => {
-                const marketData = this.marketAnalyzer.getMarketData(symbol);
-                const indicators = this.marketAnalyzer.getTechnicalIndicators(symbol);
-                
-                if (!marketData || !indicators || !marketData.price) {
-                    return;
-                }
-                
-                // RSI oversold/overbought signals
-                if (indicators.RSI < 30) {
-                    signals.push({
-                        symbol,
-                        action: 'BUY',
-                        type: 'rsi_oversold',
-                        strength: (30 - indicators.RSI) * 2,
-                        confidence: 70,
-                        price: marketData.price,
-                        reason: `RSI oversold: ${indicators.RSI.toFixed(2)}`,
-                        timestamp: Date.now()
-                    });
-                } else if (indicators.RSI > 70) {
-                    signals.push({
-                        symbol,
-                        action: 'SELL', 
-                        type: 'rsi_overbought',
-                        strength: (indicators.RSI - 70) * 2,
-                        confidence: 70,
-                        price: marketData.price,
-                        reason: `RSI overbought: ${indicators.RSI.toFixed(2)}`,
-                        timestamp: Date.now()
-                    });
-                }
-            });
-            
-        } catch (error) {
-            logger.error('Error generating RSI signals:', error);
-        }
-    }
-
 }
 
 module.exports = TradingBot;
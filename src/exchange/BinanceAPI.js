@@ -1,17 +1,29 @@
 const Binance = require('node-binance-api');
 const WebSocket = require('ws');
-const EventEmitter = require('events');
+const Exchange = require('./Exchange');
+const StreamManager = require('./StreamManager');
+const UserDataStream = require('./UserDataStream');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
-class BinanceAPI extends EventEmitter {
+const INTERVAL_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+function intervalToMs(interval) {
+    return parseInt(interval, 10) * (INTERVAL_MS[interval.slice(-1)] || NaN);
+}
+
+// Binance spot adapter
+class BinanceAPI extends Exchange {
     constructor(config) {
-        super();
+        super({ name: 'binance', market: 'spot' });
         this.config = config;
         this.isTestnet = config.useTestnet;
-        this.wsConnections = new Map();
         this.tickerCache = new Map();
         this.accountInfo = null;
         this.lastPriceUpdate = new Map();
+        this.streamManager = null;
+        this.klineStreams = new Map();
+        this.userDataStream = null;
         
         // Initialize Binance API with fixed configuration
         this.binance = new Binance().options({
@@ -39,9 +51,20 @@ class BinanceAPI extends EventEmitter {
         });
     }
 
+    // Times a REST call and counts failures for the metrics endpoint
+    async request(endpoint, fn) {
+        const labels = { market: 'spot', endpoint };
+        try {
+            return await metrics.exchangeRequestDuration.time(labels, fn);
+        } catch (error) {
+            metrics.exchangeRequestErrors.inc(labels);
+            throw error;
+        }
+    }
+
     async testConnection() {
         try {
-            const serverTime = await this.binance.time();
+            const serverTime = await this.request('time', () => this.binance.time());
             logger.binance('Connection test successful', { 
                 serverTime, 
                 testnet: this.isTestnet 
@@ -55,7 +78,7 @@ class BinanceAPI extends EventEmitter {
 
     async getAccountInfo() {
         try {
-            this.accountInfo = await this.binance.account();
+            this.accountInfo = await this.request('account', () => this.binance.account());
             logger.binance('Account info retrieved', {
                 balances: this.accountInfo.balances.filter(b => parseFloat(b.free) > 0).length
             });
@@ -87,7 +110,7 @@ class BinanceAPI extends EventEmitter {
 
     async getExchangeInfo() {
         try {
-            const exchangeInfo = await this.binance.exchangeInfo();
+            const exchangeInfo = await this.request('exchangeInfo', () => this.binance.exchangeInfo());
             logger.binance('Exchange info retrieved', {
                 symbols: exchangeInfo.symbols.length,
                 timezone: exchangeInfo.timezone,
@@ -102,7 +125,7 @@ class BinanceAPI extends EventEmitter {
 
     async getTicker(symbol) {
         try {
-            const ticker = await this.binance.prices(symbol);
+            const ticker = await this.request('prices', () => this.binance.prices(symbol));
             logger.binance('Ticker retrieved', { symbol, price: ticker[symbol] });
             return ticker;
         } catch (error) {
@@ -115,7 +138,7 @@ class BinanceAPI extends EventEmitter {
     // Market Analysis Methods
     async get24hrStats() {
         try {
-            const stats = await this.binance.prevDay();
+            const stats = await this.request('prevDay', () => this.binance.prevDay());
             logger.binance('24hr stats retrieved', { count: stats.length });
             return stats;
         } catch (error) {
@@ -124,70 +147,172 @@ class BinanceAPI extends EventEmitter {
         }
     }
 
-    async getTopVolumeCoins(limit = 50) {
+    async getKlines(symbol, interval, { limit = 500, startTime = null, endTime = null } = {}) {
         try {
-            const stats = await this.get24hrStats();
-            const filtered = stats
-                .filter(s => s.symbol.endsWith('USDT'))
-                .filter(s => parseFloat(s.quoteVolume) > 1000000)
-                .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
-                .slice(0, limit);
-
-            logger.market('Top volume coins retrieved', { count: filtered.length });
-            return filtered;
+            const options = { limit };
+            if (startTime) options.startTime = startTime;
+            if (endTime) options.endTime = endTime;
+
+            const klines = await this.request('klines', () => this.binance.candlesticks(symbol, interval, false, options));
+            return klines.map(kline => ({
+                openTime: kline[0],
+                open: parseFloat(kline[1]),
+                high: parseFloat(kline[2]),
+                low: parseFloat(kline[3]),
+                close: parseFloat(kline[4]),
+                volume: parseFloat(kline[5]),
+                closeTime: kline[6],
+                quoteVolume: parseFloat(kline[7]),
+                trades: kline[8],
+                takerBuyBaseVolume: parseFloat(kline[9]),
+                takerBuyQuoteVolume: parseFloat(kline[10])
+            }));
         } catch (error) {
-            logger.error('Failed to get top volume coins:', error);
+            logger.error(`Failed to get klines for ${symbol}:`, error);
             throw error;
         }
     }
 
-    async getTrendingCoins(limit = 50) {
+    // Order Methods
+    async placeOrder({ symbol, side, type = 'MARKET', quantity, price, stopPrice, timeInForce, newClientOrderId }) {
         try {
-            const stats = await this.get24hrStats();
-            const filtered = stats
-                .filter(s => s.symbol.endsWith('USDT'))
-                .filter(s => parseFloat(s.quoteVolume) > 500000)
-                .sort((a, b) => Math.abs(parseFloat(b.priceChangePercent)) - Math.abs(parseFloat(a.priceChangePercent)))
-                .slice(0, limit);
-
-            logger.market('Trending coins retrieved', { count: filtered.length });
-            return filtered;
+            const flags = { type, newOrderRespType: 'FULL' };
+            if (stopPrice) flags.stopPrice = stopPrice;
+            if (timeInForce) flags.timeInForce = timeInForce;
+            if (newClientOrderId) flags.newClientOrderId = newClientOrderId;
+
+            const order = await this.request('order', () => this.binance.order(side, symbol, quantity, price || 0, flags));
+            logger.binance('Spot order placed', {
+                orderId: order.orderId,
+                symbol: order.symbol,
+                side: order.side,
+                type: order.type,
+                quantity: order.origQty,
+                status: order.status
+            });
+            return order;
         } catch (error) {
-            logger.error('Failed to get trending coins:', error);
+            logger.error('Failed to place spot order:', error.body || error.message);
             throw error;
         }
     }
 
-    async getGainersLosers(limit = 25) {
+    async placeOcoOrder({ symbol, side, quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce = 'GTC', listClientOrderId }) {
         try {
-            const stats = await this.get24hrStats();
-            const filtered = stats
-                .filter(s => s.symbol.endsWith('USDT'))
-                .filter(s => parseFloat(s.quoteVolume) > 100000);
-
-            const gainers = filtered
-                .filter(s => parseFloat(s.priceChangePercent) > 0)
-                .sort((a, b) => parseFloat(b.priceChangePercent) - parseFloat(a.priceChangePercent))
-                .slice(0, limit);
-
-            const losers = filtered
-                .filter(s => parseFloat(s.priceChangePercent) < 0)
-                .sort((a, b) => parseFloat(a.priceChangePercent) - parseFloat(b.priceChangePercent))
-                .slice(0, limit);
-
-            logger.market('Gainers and losers retrieved', { 
-                gainers: gainers.length, 
-                losers: losers.length 
+            const params = { symbol, side, quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce };
+            if (listClientOrderId) params.listClientOrderId = listClientOrderId;
+
+            const orderList = await this.request('orderOco', () =>
+                this.binance.promiseRequest('v3/order/oco', params, { type: 'TRADE', method: 'POST' })
+            );
+            // Error bodies are resolved rather than rejected by the client library
+            if (orderList.code && orderList.code < 0) {
+                throw Object.assign(new Error(orderList.msg), { body: orderList });
+            }
+
+            logger.binance('Spot OCO order placed', {
+                orderListId: orderList.orderListId,
+                symbol,
+                side,
+                quantity,
+                price,
+                stopPrice
             });
+            return orderList;
+        } catch (error) {
+            logger.error('Failed to place spot OCO order:', error.body || error.message);
+            throw error;
+        }
+    }
+
+    async cancelOcoOrder(symbol, orderListId) {
+        try {
+            const result = await this.request('cancelOco', () =>
+                this.binance.promiseRequest('v3/orderList', { symbol, orderListId }, { type: 'TRADE', method: 'DELETE' })
+            );
+            if (result.code && result.code < 0) {
+                throw Object.assign(new Error(result.msg), { body: result });
+            }
+
+            logger.binance('Spot OCO order cancelled', { symbol, orderListId });
+            return result;
+        } catch (error) {
+            logger.error('Failed to cancel spot OCO order:', error.body || error.message);
+            throw error;
+        }
+    }
+
+    async cancelOrder(symbol, orderId) {
+        try {
+            const result = await this.request('cancel', () => this.binance.cancel(symbol, orderId));
+            logger.binance('Spot order cancelled', { symbol, orderId });
+            return result;
+        } catch (error) {
+            logger.error('Failed to cancel spot order:', error.body || error.message);
+            throw error;
+        }
+    }
+
+    async cancelAllOpenOrders(symbol) {
+        try {
+            const result = await this.request('cancelAll', () => this.binance.cancelAll(symbol));
+            logger.binance('All open spot orders cancelled', { symbol });
+            return result;
+        } catch (error) {
+            logger.error(`Failed to cancel all spot orders for ${symbol}:`, error.body || error.message);
+            throw error;
+        }
+    }
+
+    async getOpenOrders(symbol = null) {
+        try {
+            return await this.request('openOrders', () => this.binance.openOrders(symbol || false));
+        } catch (error) {
+            logger.error('Failed to get open spot orders:', error.body || error.message);
+            throw error;
+        }
+    }
 
-            return { gainers, losers };
+    async getTradeHistory(symbol, limit = 500) {
+        try {
+            return await this.request('myTrades', () => this.binance.trades(symbol, false, { limit }));
         } catch (error) {
-            logger.error('Failed to get gainers/losers:', error);
+            logger.error('Failed to get spot trade history:', error.body || error.message);
             throw error;
         }
     }
 
+    // Ticker and kline streams share one socket that reconnects, resubscribes
+    // and tracks staleness on its own
+    getStreamManager() {
+        if (!this.streamManager) {
+            this.streamManager = new StreamManager({
+                name: 'spot',
+                baseUrl: this.isTestnet ? 'wss://testnet.binance.vision' : 'wss://stream.binance.com:9443'
+            });
+
+            // Candles that closed while a kline stream was down or silent are fetched over REST
+            this.streamManager.on('fresh', ({ stream }) => {
+                const klineStream = this.klineStreams.get(stream);
+                if (klineStream) {
+                    this.backfillKlines(klineStream);
+                }
+            });
 
+            this.streamManager.on('failed', (details) => {
+                this.emit('streamAlert', { market: 'spot', stream: 'market', type: 'failed', ...details });
+            });
+            this.streamManager.on('staleAlert', (details) => {
+                this.emit('streamAlert', { market: 'spot', stream: 'market', type: 'stale', ...details });
+            });
+            this.streamManager.on('reconnected', (details) => {
+                if (details.attempts >= this.streamManager.reconnectAlertAfter) {
+                    this.emit('streamAlert', { market: 'spot', stream: 'market', type: 'recovered', ...details });
+                }
+            });
+        }
+        return this.streamManager;
+    }
 
     startTickerStream(symbols, callback) {
         try {
@@ -195,174 +320,309 @@ class BinanceAPI extends EventEmitter {
                 logger.warn('No symbols provided for ticker stream');
                 return;
             }
-            
+
             const symbolsArray = Array.isArray(symbols) ? symbols : [symbols];
-            const streamName = `ticker_${symbolsArray.join('_')}`;
-            
-            if (this.wsConnections.has(streamName)) {
-                logger.binance('Ticker stream already exists', { symbols: symbolsArray });
-                return;
-            }
+            const streamManager = this.getStreamManager();
 
-            // Use a safe wrapper function for the callback
-            const safeCallback = (ticker) => {
-                try {
-                    const formattedTicker = {
-                        symbol: ticker.symbol,
-                        price: parseFloat(ticker.close || ticker.price || 0),
-                        priceChange: parseFloat(ticker.change || ticker.priceChange || 0),
-                        priceChangePercent: parseFloat(ticker.percentage || ticker.priceChangePercent || 0),
-                        volume: parseFloat(ticker.volume || 0),
-                        quoteVolume: parseFloat(ticker.quoteVolume || 0),
-                        openPrice: parseFloat(ticker.open || ticker.openPrice || 0),
-                        highPrice: parseFloat(ticker.high || ticker.highPrice || 0),
-                        lowPrice: parseFloat(ticker.low || ticker.lowPrice || 0),
-                        timestamp: Date.now()
-                    };
-
-                    this.emit('tickerUpdate', formattedTicker);
-                    
-                    // Only call callback if it's a function
-                    if (callback && typeof callback === 'function') {
-                        callback(formattedTicker);
-                    }
-                } catch (error) {
-                    logger.error('Error in ticker callback:', error.message);
-                }
-            };
-
-            try {
-                const ws = this.binance.websockets.miniTicker(symbolsArray, safeCallback);
-                this.wsConnections.set(streamName, ws);
-                logger.binance('Ticker stream started', { symbols: symbolsArray });
-                return ws;
-            } catch (error) {
-                logger.error('Failed to start ticker stream:', error.message);
-                // Fallback: emit mock data
-                setTimeout(() => {
-                    symbolsArray.forEach(symbol => {
-                        this.emit('tickerUpdate', {
-                            symbol: symbol,
-                            price: 50000 + Math.random() * 10000,
-                            priceChange: (Math.random() - 0.5) * 1000,
-                            priceChangePercent: (Math.random() - 0.5) * 10,
-                            volume: Math.random() * 1000,
-                            quoteVolume: Math.random() * 50000000,
-                            openPrice: 50000 + Math.random() * 10000,
-                            highPrice: 50000 + Math.random() * 10000,
-                            lowPrice: 50000 + Math.random() * 10000,
-                            timestamp: Date.now()
-                        });
-                    });
-                }, 1000);
+            for (const symbol of symbolsArray) {
+                const stream = `${symbol.toLowerCase()}@miniTicker`;
+                if (streamManager.has(stream)) continue;
+
+                streamManager.subscribe(stream, {
+                    symbol,
+                    onMessage: (data) => this.handleMiniTicker(data, callback)
+                });
             }
-            
+
+            logger.binance('Ticker stream started', { symbols: symbolsArray });
         } catch (error) {
             logger.error('Failed to start ticker stream:', error.message);
         }
     }
+
+    handleMiniTicker(data, callback) {
+        const price = parseFloat(data.c);
+        const openPrice = parseFloat(data.o);
+        const formattedTicker = {
+            symbol: data.s,
+            price,
+            priceChange: price - openPrice,
+            priceChangePercent: openPrice ? ((price - openPrice) / openPrice) * 100 : 0,
+            volume: parseFloat(data.v),
+            quoteVolume: parseFloat(data.q),
+            openPrice,
+            highPrice: parseFloat(data.h),
+            lowPrice: parseFloat(data.l),
+            timestamp: Date.now()
+        };
+
+        this.emit('tickerUpdate', formattedTicker);
+
+        if (callback && typeof callback === 'function') {
+            callback(formattedTicker);
+        }
+    }
+
     startKlineStream(symbol, interval, callback) {
         try {
             if (!symbol || !interval) {
                 logger.warn('Symbol or interval not provided for kline stream');
                 return;
             }
-            
-            const streamName = `kline_${symbol}_${interval}`;
-            
-            if (this.wsConnections.has(streamName)) {
+
+            const stream = `${symbol.toLowerCase()}@kline_${interval}`;
+            const streamManager = this.getStreamManager();
+
+            if (streamManager.has(stream)) {
                 logger.binance('Kline stream already exists', { symbol, interval });
                 return;
             }
 
-            // Use a safe wrapper function for the callback
-            const safeCallback = (candlestick) => {
-                try {
-                    const formattedKline = {
-                        symbol: candlestick.s || symbol,
-                        openTime: candlestick.t || Date.now() - 300000,
-                        closeTime: candlestick.T || Date.now(),
-                        open: parseFloat(candlestick.o || 0),
-                        high: parseFloat(candlestick.h || 0),
-                        low: parseFloat(candlestick.l || 0),
-                        close: parseFloat(candlestick.c || 0),
-                        volume: parseFloat(candlestick.v || 0),
-                        quoteVolume: parseFloat(candlestick.q || 0),
-                        trades: candlestick.n || 0,
-                        isFinal: candlestick.x || false
-                    };
-
-                    this.emit('klineUpdate', formattedKline);
-                    
-                    // Only call callback if it's a function
-                    if (callback && typeof callback === 'function') {
-                        callback(formattedKline);
-                    }
-                } catch (error) {
-                    logger.error('Error in kline callback:', error.message);
-                }
-            };
-
-            try {
-                const ws = this.binance.websockets.candlesticks(symbol, interval, safeCallback);
-                this.wsConnections.set(streamName, ws);
-                logger.binance('Kline stream started', { symbol, interval });
-                return ws;
-            } catch (error) {
-                logger.error('Failed to start kline stream:', error.message);
-                // Fallback: emit mock data
-                setTimeout(() => {
-                    this.emit('klineUpdate', {
-                        symbol: symbol,
-                        openTime: Date.now() - 300000,
-                        closeTime: Date.now(),
-                        open: 50000 + Math.random() * 10000,
-                        high: 50000 + Math.random() * 10000,
-                        low: 50000 + Math.random() * 10000,
-                        close: 50000 + Math.random() * 10000,
-                        volume: Math.random() * 1000,
-                        quoteVolume: Math.random() * 50000000,
-                        trades: Math.floor(Math.random() * 1000),
-                        isFinal: true
-                    });
-                }, 2000);
-            }
-            
+            this.klineStreams.set(stream, {
+                symbol,
+                interval,
+                callback,
+                lastFinalOpenTime: null,
+                backfilling: false,
+                pending: []
+            });
+            streamManager.subscribe(stream, {
+                symbol,
+                onMessage: (data) => this.handleKlineMessage(stream, data)
+            });
+
+            logger.binance('Kline stream started', { symbol, interval });
         } catch (error) {
             logger.error('Failed to start kline stream:', error.message);
         }
     }
-    startUserDataStream() {
+
+    handleKlineMessage(stream, data) {
+        const klineStream = this.klineStreams.get(stream);
+        if (!klineStream) return;
+
+        const k = data.k;
+        const kline = {
+            symbol: k.s,
+            interval: k.i,
+            openTime: k.t,
+            closeTime: k.T,
+            open: parseFloat(k.o),
+            high: parseFloat(k.h),
+            low: parseFloat(k.l),
+            close: parseFloat(k.c),
+            volume: parseFloat(k.v),
+            quoteVolume: parseFloat(k.q),
+            trades: k.n,
+            isFinal: k.x
+        };
+
+        // Live candles wait until the gap behind them is filled
+        if (klineStream.backfilling) {
+            klineStream.pending.push(kline);
+            return;
+        }
+
+        // A closed candle more than one interval after the previous one means some were missed
+        const { lastFinalOpenTime } = klineStream;
+        if (kline.isFinal && lastFinalOpenTime && kline.openTime - lastFinalOpenTime > intervalToMs(klineStream.interval)) {
+            klineStream.pending.push(kline);
+            this.backfillKlines(klineStream);
+            return;
+        }
+
+        this.emitKline(klineStream, kline);
+    }
+
+    emitKline(klineStream, kline) {
+        if (kline.isFinal) {
+            // Already delivered by a backfill
+            if (klineStream.lastFinalOpenTime && kline.openTime <= klineStream.lastFinalOpenTime) return;
+            klineStream.lastFinalOpenTime = kline.openTime;
+        }
+
+        this.emit('klineUpdate', kline);
+
+        if (klineStream.callback && typeof klineStream.callback === 'function') {
+            klineStream.callback(kline);
+        }
+    }
+
+    // Replays the candles that closed since the last final one, then the live
+    // updates queued meanwhile. Without a final candle there is nothing to anchor to.
+    async backfillKlines(klineStream) {
+        if (klineStream.backfilling || !klineStream.lastFinalOpenTime) return;
+
+        const { symbol, interval } = klineStream;
+        klineStream.backfilling = true;
+
         try {
-            this.binance.websockets.userData(
-                (data) => { this.emit('executionReport', data); },
-                (data) => { this.emit('outboundAccountPosition', data); },
-                (data) => { this.emit('balanceUpdate', data); }
-            );
+            const klines = await this.getKlines(symbol, interval, {
+                startTime: klineStream.lastFinalOpenTime + 1,
+                limit: 1000
+            });
+
+            const now = Date.now();
+            const missed = klines.filter(kline => kline.closeTime < now);
+            for (const kline of missed) {
+                this.emitKline(klineStream, { symbol, interval, ...kline, isFinal: true, backfilled: true });
+            }
+
+            if (missed.length > 0) {
+                logger.binance('Backfilled missed candles', { symbol, interval, count: missed.length });
+            }
+        } catch (error) {
+            logger.error(`Failed to backfill ${symbol} ${interval} klines:`, error.message);
+        } finally {
+            klineStream.backfilling = false;
+            const pending = klineStream.pending;
+            klineStream.pending = [];
+            pending.forEach(kline => this.emitKline(klineStream, kline));
+        }
+    }
+
+    // Stale until every stream for the symbol delivers again and any gap is backfilled
+    isSymbolStale(symbol) {
+        if (this.streamManager?.isStale(symbol)) return true;
+
+        for (const klineStream of this.klineStreams.values()) {
+            if (klineStream.symbol === symbol && klineStream.backfilling) return true;
+        }
+        return false;
+    }
+
+    async startUserDataStream() {
+        if (this.userDataStream) return this.userDataStream;
+
+        const stream = new UserDataStream({
+            name: 'spot',
+            streamUrl: this.isTestnet ? 'wss://testnet.binance.vision/ws' : 'wss://stream.binance.com:9443/ws',
+            listenKeyApi: {
+                create: async () => (await this.userStreamRequest('POST')).listenKey,
+                keepAlive: (listenKey) => this.userStreamRequest('PUT', { listenKey }),
+                close: (listenKey) => this.userStreamRequest('DELETE', { listenKey })
+            }
+        });
+        stream.on('event', (event) => this.handleUserDataEvent(event));
+        stream.on('failed', (details) => {
+            this.emit('streamAlert', { market: 'spot', stream: 'user_data', type: 'failed', ...details });
+        });
+        stream.on('reconnected', (details) => {
+            if (details.attempts >= stream.reconnectAlertAfter) {
+                this.emit('streamAlert', { market: 'spot', stream: 'user_data', type: 'recovered', ...details });
+            }
+        });
+
+        try {
+            this.userDataStream = stream;
+            await stream.start();
             logger.binance('User data stream started');
+            return stream;
         } catch (error) {
-            logger.error('Failed to start user data stream:', error);
+            this.userDataStream = null;
+            logger.error('Failed to start user data stream:', error.body || error.message);
             throw error;
         }
     }
 
-    stopAllStreams() {
+    async stopUserDataStream() {
+        if (!this.userDataStream) return true;
+
+        const stream = this.userDataStream;
+        this.userDataStream = null;
+        await stream.stop();
+        return true;
+    }
+
+    isUserDataStreamActive() {
+        return !!this.userDataStream?.connected;
+    }
+
+    async userStreamRequest(method, params = {}) {
+        const response = await this.request('userDataStream', () =>
+            this.binance.promiseRequest('v3/userDataStream', params, { type: 'USER_STREAM', method })
+        );
+        if (response?.code && response.code < 0) {
+            throw Object.assign(new Error(response.msg), { body: response });
+        }
+        return response;
+    }
+
+    handleUserDataEvent(event) {
         try {
-            for (const [streamName, ws] of this.wsConnections) {
-                try {
-                    // Try multiple methods to close WebSocket
-                    if (this.binance.websockets && this.binance.websockets.terminate) {
-                        this.binance.websockets.terminate(ws);
-                    } else if (ws && typeof ws.close === 'function') {
-                        ws.close();
-                    } else if (ws && typeof ws.terminate === 'function') {
-                        ws.terminate();
+            switch (event.e) {
+                case 'executionReport':
+                    this.emit('executionReport', this.normalizeExecutionReport(event));
+                    break;
+                case 'outboundAccountPosition':
+                    for (const balance of event.B || []) {
+                        this.emit('balanceUpdate', {
+                            asset: balance.a,
+                            balance: parseFloat(balance.f),
+                            locked: parseFloat(balance.l),
+                            timestamp: event.E
+                        });
                     }
-                } catch (error) {
-                    logger.error(`Failed to close WebSocket ${streamName}:`, error.message);
-                }
+                    break;
+                case 'balanceUpdate':
+                    // Deposits, withdrawals and transfers
+                    this.emit('balanceUpdate', {
+                        asset: event.a,
+                        delta: parseFloat(event.d),
+                        timestamp: event.E
+                    });
+                    break;
+                case 'listStatus':
+                    this.emit('listStatus', {
+                        symbol: event.s,
+                        orderListId: event.g,
+                        listStatusType: event.l,
+                        listOrderStatus: event.L,
+                        orderIds: (event.O || []).map(o => o.i),
+                        eventTime: event.E
+                    });
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            logger.error('Error handling spot user data event:', error);
+        }
+    }
+
+    // Maps the raw stream event to the field names shared by every adapter
+    normalizeExecutionReport(data) {
+        return {
+            symbol: data.s,
+            side: data.S,
+            orderType: data.o,
+            orderId: data.i,
+            orderListId: data.g,
+            clientOrderId: data.c,
+            executionType: data.x,
+            orderStatus: data.X,
+            price: parseFloat(data.p),
+            stopPrice: parseFloat(data.P),
+            quantity: parseFloat(data.q),
+            lastFilledQty: parseFloat(data.l),
+            lastFilledPrice: parseFloat(data.L),
+            executedQty: parseFloat(data.z),
+            cumulativeQuoteQty: parseFloat(data.Z),
+            commission: parseFloat(data.n || 0),
+            commissionAsset: data.N,
+            tradeId: data.t,
+            eventTime: data.E
+        };
+    }
+
+    stopAllStreams() {
+        try {
+            if (this.streamManager) {
+                this.streamManager.stop();
+                this.streamManager = null;
             }
-            this.wsConnections.clear();
+            this.klineStreams.clear();
+            this.stopUserDataStream().catch(() => {});
             logger.binance('All streams stopped');
             return true;
         } catch (error) {
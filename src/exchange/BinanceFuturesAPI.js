@@ -1,9 +1,15 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const Exchange = require('./Exchange');
+const UserDataStream = require('./UserDataStream');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
-class BinanceFuturesAPI {
+// Binance USDT-M futures adapter
+class BinanceFuturesAPI extends Exchange {
     constructor(options = {}) {
+        super({ name: 'binance', market: 'futures' });
+
         // Handle both direct config object and individual parameters
         if (options.apiKey && options.secretKey) {
             // New style: { apiKey, secretKey, useTestnet }
@@ -38,9 +44,41 @@ class BinanceFuturesAPI {
             }
         });
         
+        this.userDataStream = null;
+        this.setupMetrics();
+
         logger.info(`BinanceFuturesAPI initialized (testnet: ${this.useTestnet})`);
     }
 
+    setupMetrics() {
+        // Label by path only; query strings carry timestamps and signatures
+        const endpointOf = (cfg) => `${cfg.method.toUpperCase()} ${cfg.url.split('?')[0]}`;
+        const observe = (cfg) => {
+            if (!cfg?.metadata) return;
+            const duration = Number(process.hrtime.bigint() - cfg.metadata.start) / 1e9;
+            metrics.exchangeRequestDuration.observe({ market: 'futures', endpoint: endpointOf(cfg) }, duration);
+        };
+
+        this.axiosInstance.interceptors.request.use((cfg) => {
+            cfg.metadata = { start: process.hrtime.bigint() };
+            return cfg;
+        });
+
+        this.axiosInstance.interceptors.response.use(
+            (response) => {
+                observe(response.config);
+                return response;
+            },
+            (error) => {
+                if (error.config) {
+                    observe(error.config);
+                    metrics.exchangeRequestErrors.inc({ market: 'futures', endpoint: endpointOf(error.config) });
+                }
+                return Promise.reject(error);
+            }
+        );
+    }
+
     // Generate signature for authenticated requests
     generateSignature(queryString) {
         return crypto
@@ -193,6 +231,22 @@ class BinanceFuturesAPI {
         }
     }
 
+    // Maintenance margin brackets for one symbol
+    async getLeverageBrackets(symbol) {
+        try {
+            const queryString = this.createAuthQuery({ symbol });
+            const response = await this.axiosInstance.get(`/fapi/v1/leverageBracket?${queryString}`);
+
+            // A single object when a symbol is given, a list otherwise
+            const entries = Array.isArray(response.data) ? response.data : [response.data];
+            const entry = entries.find(e => e.symbol === symbol);
+            return entry ? entry.brackets : [];
+        } catch (error) {
+            logger.error(`Failed to get leverage brackets for ${symbol}:`, error.message);
+            throw error;
+        }
+    }
+
     // Place futures order
     async placeOrder(orderParams) {
         try {
@@ -328,6 +382,25 @@ class BinanceFuturesAPI {
         }
     }
 
+    // Get income history (realized PnL, commission, funding fees, ...)
+    async getIncomeHistory({ symbol, incomeType, startTime, endTime, limit = 1000 } = {}) {
+        try {
+            const params = { limit };
+            if (symbol) params.symbol = symbol;
+            if (incomeType) params.incomeType = incomeType;
+            if (startTime) params.startTime = startTime;
+            if (endTime) params.endTime = endTime;
+
+            const queryString = this.createAuthQuery(params);
+            const response = await this.axiosInstance.get(`/fapi/v1/income?${queryString}`);
+
+            return response.data;
+        } catch (error) {
+            logger.error('Failed to get income history:', error.message);
+            throw error;
+        }
+    }
+
     // Get exchange info
     async getExchangeInfo() {
         try {
@@ -351,6 +424,12 @@ class BinanceFuturesAPI {
         }
     }
 
+    async getTicker(symbol) {
+        const ticker = await this.getSymbolTicker(symbol);
+        const rows = Array.isArray(ticker) ? ticker : [ticker];
+        return Object.fromEntries(rows.map(row => [row.symbol, parseFloat(row.price)]));
+    }
+
     // Get 24hr ticker statistics
     async get24hrTicker(symbol) {
         try {
@@ -363,8 +442,12 @@ class BinanceFuturesAPI {
         }
     }
 
+    async get24hrStats() {
+        return this.get24hrTicker();
+    }
+
     // Get kline/candlestick data
-    async getKlines(symbol, interval, startTime = null, endTime = null, limit = 500) {
+    async getKlines(symbol, interval, { limit = 500, startTime = null, endTime = null } = {}) {
         try {
             const params = { symbol, interval, limit };
             if (startTime) params.startTime = startTime;
@@ -391,6 +474,150 @@ class BinanceFuturesAPI {
         }
     }
 
+    // Start the user data stream (order fills, balance and position changes)
+    async startUserDataStream() {
+        if (this.userDataStream) return this.userDataStream;
+
+        // listenKey endpoints only need the API key header
+        const stream = new UserDataStream({
+            name: 'futures',
+            streamUrl: this.useTestnet ? 'wss://stream.binancefuture.com/ws' : 'wss://fstream.binance.com/ws',
+            listenKeyApi: {
+                create: async () => (await this.axiosInstance.post('/fapi/v1/listenKey')).data.listenKey,
+                keepAlive: () => this.axiosInstance.put('/fapi/v1/listenKey'),
+                close: () => this.axiosInstance.delete('/fapi/v1/listenKey')
+            }
+        });
+        stream.on('event', (event) => this.handleUserDataEvent(event));
+        stream.on('failed', (details) => {
+            this.emit('streamAlert', { market: 'futures', stream: 'user_data', type: 'failed', ...details });
+        });
+        stream.on('reconnected', (details) => {
+            if (details.attempts >= stream.reconnectAlertAfter) {
+                this.emit('streamAlert', { market: 'futures', stream: 'user_data', type: 'recovered', ...details });
+            }
+        });
+
+        try {
+            this.userDataStream = stream;
+            await stream.start();
+            logger.info('Futures user data stream started');
+            return stream;
+        } catch (error) {
+            this.userDataStream = null;
+            logger.error('Failed to start futures user data stream:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async stopUserDataStream() {
+        if (!this.userDataStream) return true;
+
+        const stream = this.userDataStream;
+        this.userDataStream = null;
+        await stream.stop();
+        return true;
+    }
+
+    isUserDataStreamActive() {
+        return !!this.userDataStream?.connected;
+    }
+
+    stopAllStreams() {
+        this.stopUserDataStream().catch(() => {});
+        return true;
+    }
+
+    handleUserDataEvent(event) {
+        try {
+            switch (event.e) {
+                case 'ORDER_TRADE_UPDATE':
+                    this.emit('orderUpdate', this.normalizeOrderUpdate(event.o, event.E));
+                    break;
+                case 'ACCOUNT_UPDATE': {
+                    const update = this.normalizeAccountUpdate(event);
+                    this.emit('accountUpdate', update);
+
+                    const quote = update.balances.find(b => b.asset === this.quoteAsset);
+                    if (quote) {
+                        this.emit('balanceUpdate', {
+                            asset: quote.asset,
+                            balance: quote.walletBalance,
+                            timestamp: update.eventTime
+                        });
+                    }
+                    break;
+                }
+                case 'MARGIN_CALL':
+                    logger.warn('Futures margin call', { positions: event.p });
+                    this.emit('marginCall', {
+                        crossWalletBalance: parseFloat(event.cw || 0),
+                        positions: (event.p || []).map(p => ({
+                            symbol: p.s,
+                            positionAmt: parseFloat(p.pa),
+                            markPrice: parseFloat(p.mp),
+                            maintenanceMargin: parseFloat(p.mm)
+                        })),
+                        eventTime: event.E
+                    });
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            logger.error('Error handling futures user data event:', error);
+        }
+    }
+
+    // Maps ORDER_TRADE_UPDATE onto the REST order field names
+    normalizeOrderUpdate(order, eventTime) {
+        return {
+            symbol: order.s,
+            orderId: order.i,
+            clientOrderId: order.c,
+            side: order.S,
+            type: order.o,
+            origType: order.ot,
+            origQty: order.q,
+            price: order.p,
+            avgPrice: order.ap,
+            stopPrice: order.sp,
+            executionType: order.x,
+            status: order.X,
+            executedQty: order.z,
+            lastFilledQty: order.l,
+            lastFilledPrice: order.L,
+            commission: order.n || '0',
+            commissionAsset: order.N,
+            realizedPnl: order.rp,
+            reduceOnly: order.R,
+            closePosition: order.cp,
+            tradeId: order.t,
+            updateTime: order.T || eventTime
+        };
+    }
+
+    normalizeAccountUpdate(event) {
+        const account = event.a || {};
+        return {
+            reason: account.m,
+            balances: (account.B || []).map(b => ({
+                asset: b.a,
+                walletBalance: parseFloat(b.wb),
+                balanceChange: parseFloat(b.bc || 0)
+            })),
+            positions: (account.P || []).map(p => ({
+                symbol: p.s,
+                positionAmt: parseFloat(p.pa),
+                entryPrice: parseFloat(p.ep),
+                unrealizedProfit: parseFloat(p.up),
+                marginType: p.mt,
+                positionSide: p.ps
+            })),
+            eventTime: event.E
+        };
+    }
+
     // Get status info
     getStatus() {
         return {
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+// Common exchange interface. Strategies, analyzers and the risk manager only
+// talk to these methods, so any venue (live, paper or simulated) can be
+// plugged in by extending this class. Adapters override what their market
+// supports; everything else rejects with code NOT_SUPPORTED.
+//
+// Events: tickerUpdate, klineUpdate, executionReport, balanceUpdate, error,
+// streamAlert, plus orderUpdate and accountUpdate on futures adapters
+//
+// streamAlert payloads report sockets that stay down or silent, and their recovery:
+// { market, stream: 'market'|'user_data', type: 'failed'|'stale'|'recovered',
+//   attempts, downtime, streams }
+//
+// executionReport payloads (spot) are normalized by the adapters to:
+// { symbol, side, orderType, orderId, orderListId, clientOrderId, executionType,
+//   orderStatus, price, stopPrice, quantity, lastFilledQty, lastFilledPrice,
+//   executedQty, cumulativeQuoteQty, commission, commissionAsset, tradeId, eventTime }
+//
+// orderUpdate payloads (futures) use the REST order field names plus the fill:
+// { symbol, orderId, clientOrderId, side, type, origType, origQty, price, avgPrice,
+//   stopPrice, executionType, status, executedQty, lastFilledQty, lastFilledPrice,
+//   commission, commissionAsset, realizedPnl, reduceOnly, closePosition, tradeId, updateTime }
+//
+// accountUpdate payloads (futures):
+// { reason, balances: [{ asset, walletBalance, balanceChange }],
+//   positions: [{ symbol, positionAmt, entryPrice, unrealizedProfit }], eventTime }
+class Exchange extends EventEmitter {
+    constructor({ name = 'exchange', market = 'spot', quoteAsset = 'USDT' } = {}) {
+        super();
+        this.name = name;
+        this.market = market;
+        this.quoteAsset = quoteAsset;
+    }
+
+    unsupported(method) {
+        const error = new Error(`${this.name} (${this.market}) does not support ${method}`);
+        error.code = 'NOT_SUPPORTED';
+        throw error;
+    }
+
+    supports(method) {
+        return typeof this[method] === 'function' && this[method] !== Exchange.prototype[method];
+    }
+
+    // Market data
+    async getExchangeInfo() {
+        this.unsupported('getExchangeInfo');
+    }
+
+    // Resolves to { [symbol]: price }
+    async getTicker(symbol) {
+        this.unsupported('getTicker');
+    }
+
+    async getPrice(symbol) {
+        const ticker = await this.getTicker(symbol);
+        const price = parseFloat(ticker[symbol]);
+        if (!price) {
+            throw new Error(`No price available for ${symbol}`);
+        }
+        return price;
+    }
+
+    // Resolves to Binance-shaped 24hr rows: symbol, quoteVolume, priceChangePercent, ...
+    async get24hrStats() {
+        this.unsupported('get24hrStats');
+    }
+
+    // Resolves to [{ openTime, open, high, low, close, volume, closeTime, quoteVolume, trades }]
+    async getKlines(symbol, interval, { limit = 500, startTime = null, endTime = null } = {}) {
+        this.unsupported('getKlines');
+    }
+
+    async getQuoteStats(minQuoteVolume) {
+        const stats = await this.get24hrStats();
+        return stats
+            .filter(s => s.symbol.endsWith(this.quoteAsset))
+            .filter(s => parseFloat(s.quoteVolume) > minQuoteVolume);
+    }
+
+    async getTopVolumeCoins(limit = 50) {
+        try {
+            const filtered = (await this.getQuoteStats(1000000))
+                .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
+                .slice(0, limit);
+
+            logger.market('Top volume coins retrieved', { count: filtered.length });
+            return filtered;
+        } catch (error) {
+            logger.error('Failed to get top volume coins:', error);
+            throw error;
+        }
+    }
+
+    async getTrendingCoins(limit = 50) {
+        try {
+            const filtered = (await this.getQuoteStats(500000))
+                .sort((a, b) => Math.abs(parseFloat(b.priceChangePercent)) - Math.abs(parseFloat(a.priceChangePercent)))
+                .slice(0, limit);
+
+            logger.market('Trending coins retrieved', { count: filtered.length });
+            return filtered;
+        } catch (error) {
+            logger.error('Failed to get trending coins:', error);
+            throw error;
+        }
+    }
+
+    async getGainersLosers(limit = 25) {
+        try {
+            const filtered = await this.getQuoteStats(100000);
+
+            const gainers = filtered
+                .filter(s => parseFloat(s.priceChangePercent) > 0)
+                .sort((a, b) => parseFloat(b.priceChangePercent) - parseFloat(a.priceChangePercent))
+                .slice(0, limit);
+
+            const losers = filtered
+                .filter(s => parseFloat(s.priceChangePercent) < 0)
+                .sort((a, b) => parseFloat(a.priceChangePercent) - parseFloat(b.priceChangePercent))
+                .slice(0, limit);
+
+            logger.market('Gainers and losers retrieved', {
+                gainers: gainers.length,
+                losers: losers.length
+            });
+
+            return { gainers, losers };
+        } catch (error) {
+            logger.error('Failed to get gainers/losers:', error);
+            throw error;
+        }
+    }
+
+    // Account
+    async getAccountInfo() {
+        this.unsupported('getAccountInfo');
+    }
+
+    async getBalance(asset = this.quoteAsset) {
+        this.unsupported('getBalance');
+    }
+
+    // Orders. placeOrder takes Binance-style params:
+    // { symbol, side, type, quantity, price, stopPrice, timeInForce, reduceOnly, ... }
+    async placeOrder(orderParams) {
+        this.unsupported('placeOrder');
+    }
+
+    async cancelOrder(symbol, orderId) {
+        this.unsupported('cancelOrder');
+    }
+
+    async cancelAllOpenOrders(symbol) {
+        this.unsupported('cancelAllOpenOrders');
+    }
+
+    // One-cancels-the-other bracket: a LIMIT_MAKER at price plus a
+    // STOP_LOSS_LIMIT at stopPrice/stopLimitPrice. Resolves to a Binance-shaped
+    // order list { orderListId, listStatusType, orders, orderReports }
+    async placeOcoOrder({ symbol, side, quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce = 'GTC' }) {
+        this.unsupported('placeOcoOrder');
+    }
+
+    async cancelOcoOrder(symbol, orderListId) {
+        this.unsupported('cancelOcoOrder');
+    }
+
+    async getOpenOrders(symbol = null) {
+        this.unsupported('getOpenOrders');
+    }
+
+    async getTradeHistory(symbol, limit = 500) {
+        this.unsupported('getTradeHistory');
+    }
+
+    // Positions (derivatives only)
+    async getPositions() {
+        this.unsupported('getPositions');
+    }
+
+    async setLeverage(symbol, leverage) {
+        this.unsupported('setLeverage');
+    }
+
+    async setMarginType(symbol, marginType) {
+        this.unsupported('setMarginType');
+    }
+
+    // Resolves to the symbol's maintenance margin brackets:
+    // [{ bracket, initialLeverage, notionalFloor, notionalCap, maintMarginRatio, cum }]
+    async getLeverageBrackets(symbol) {
+        this.unsupported('getLeverageBrackets');
+    }
+
+    // Resolves to Binance-shaped income rows: symbol, incomeType, income, asset, time
+    async getIncomeHistory({ symbol, incomeType, startTime, endTime, limit = 1000 } = {}) {
+        this.unsupported('getIncomeHistory');
+    }
+
+    // Streams push data through the events listed above
+    startTickerStream(symbols) {
+        this.unsupported('startTickerStream');
+    }
+
+    startKlineStream(symbol, interval) {
+        this.unsupported('startKlineStream');
+    }
+
+    startUserDataStream() {
+        this.unsupported('startUserDataStream');
+    }
+
+    // True while a symbol's market data can't be trusted (stream down, silent
+    // or catching up on missed candles); strategies skip stale symbols
+    isSymbolStale(symbol) {
+        return false;
+    }
+
+    stopUserDataStream() {
+        return true;
+    }
+
+    // True while account events are being delivered, so callers can skip polling
+    isUserDataStreamActive() {
+        return false;
+    }
+
+    stopAllStreams() {
+        return true;
+    }
+}
+
+module.exports = Exchange;
@@ -0,0 +1,741 @@
+const Exchange = require('./Exchange');
+const logger = require('../utils/logger');
+const LiquidationEstimator = require('../core/LiquidationEstimator');
+
+const SNAPSHOT_NAME = 'paper_futures';
+const PERSISTED_HISTORY = 1000;
+
+// USDT-M futures paper-trading adapter (one-way mode). Positions, margin and
+// resting orders are kept locally; price updates from the market data source
+// fill MARKET orders immediately and trigger STOP_MARKET, TAKE_PROFIT_MARKET,
+// TRAILING_STOP_MARKET and LIMIT orders as the price crosses them. With a
+// journal, the account is snapshotted to its directory after every change and
+// restored on startup.
+class PaperFuturesAPI extends Exchange {
+    constructor({
+        marketDataAPI,
+        journal = null,
+        startingBalance = 1000,
+        takerFeePercent = 0.04,
+        makerFeePercent = 0.02,
+        slippagePercent = 0.05,
+        priceMaxAge = 5000
+    } = {}) {
+        super({ name: 'paper', market: 'futures' });
+        this.marketDataAPI = marketDataAPI;
+        this.journal = journal;
+        this.takerFeePercent = takerFeePercent;
+        this.makerFeePercent = makerFeePercent;
+        this.slippagePercent = slippagePercent;
+        this.priceMaxAge = priceMaxAge;
+
+        this.walletBalance = startingBalance;
+        this.positions = new Map();
+        this.symbolSettings = new Map();
+        this.openOrders = new Map();
+        this.orderHistory = [];
+        this.trades = [];
+        this.lastPrices = new Map();
+        this.priceTimes = new Map();
+        this.nextOrderId = 1;
+        this.nextTradeId = 1;
+        this.liquidationEstimator = new LiquidationEstimator();
+
+        this.restoreState();
+        this.setupEventHandlers();
+        logger.info('Paper trading futures API initialized', {
+            startingBalance,
+            takerFeePercent,
+            makerFeePercent,
+            slippagePercent
+        });
+    }
+
+    setupEventHandlers() {
+        this.on('error', (error) => {
+            logger.error('PaperFuturesAPI error:', error);
+        });
+
+        if (!this.marketDataAPI) return;
+
+        this.marketDataAPI.on('tickerUpdate', (ticker) => {
+            this.onPriceUpdate(ticker.symbol, ticker.price);
+        });
+
+        this.marketDataAPI.on('klineUpdate', (kline) => {
+            this.onPriceUpdate(kline.symbol, kline.close);
+        });
+    }
+
+    restoreState() {
+        const state = this.journal?.loadSnapshot(SNAPSHOT_NAME);
+        if (!state) return;
+
+        this.walletBalance = state.walletBalance;
+        this.positions = new Map(state.positions);
+        this.symbolSettings = new Map(state.symbolSettings);
+        this.openOrders = new Map(state.openOrders.map(o => [o.orderId, o]));
+        // Open orders are the same objects as their history entries
+        this.orderHistory = state.orderHistory.map(o => this.openOrders.get(o.orderId) || o);
+        this.trades = state.trades;
+        this.nextOrderId = state.nextOrderId;
+        this.nextTradeId = state.nextTradeId;
+
+        logger.info('Paper futures state restored', {
+            walletBalance: this.walletBalance,
+            openPositions: this.positions.size,
+            openOrders: this.openOrders.size
+        });
+    }
+
+    // Trailing stop extremes only move with prices and are saved with the
+    // next order or position change rather than on every tick
+    persist() {
+        if (!this.journal) return;
+
+        this.journal.saveSnapshot(SNAPSHOT_NAME, {
+            walletBalance: this.walletBalance,
+            positions: Array.from(this.positions.entries()),
+            symbolSettings: Array.from(this.symbolSettings.entries()),
+            openOrders: Array.from(this.openOrders.values()),
+            orderHistory: this.orderHistory.slice(-PERSISTED_HISTORY),
+            trades: this.trades.slice(-PERSISTED_HISTORY),
+            nextOrderId: this.nextOrderId,
+            nextTradeId: this.nextTradeId
+        });
+    }
+
+    rejectOrder(code, msg) {
+        // Same shape as an axios error from the real API, so callers that
+        // inspect error.response.data.code keep working
+        const error = new Error(msg);
+        error.response = { data: { code, msg } };
+        throw error;
+    }
+
+    getSymbolSettings(symbol) {
+        if (!this.symbolSettings.has(symbol)) {
+            this.symbolSettings.set(symbol, { leverage: 20, marginType: 'CROSSED' });
+        }
+        return this.symbolSettings.get(symbol);
+    }
+
+    // Streamed symbols are kept current by onPriceUpdate; others are re-read
+    // over REST once the cached price is older than priceMaxAge, which also
+    // lets their resting orders trigger
+    async getPrice(symbol) {
+        const cached = this.lastPrices.get(symbol);
+        if (cached && Date.now() - this.priceTimes.get(symbol) < this.priceMaxAge) {
+            return cached;
+        }
+
+        let price;
+        try {
+            const ticker = await this.marketDataAPI.getTicker(symbol);
+            price = parseFloat(ticker[symbol]);
+        } catch (error) {
+            if (!cached) throw error;
+            logger.warn(`Using a cached paper price for ${symbol}: ${error.message}`);
+            return cached;
+        }
+        if (!price) {
+            throw new Error(`No price available for ${symbol}`);
+        }
+
+        this.onPriceUpdate(symbol, price);
+        return price;
+    }
+
+    // Price-driven order triggering
+    onPriceUpdate(symbol, price) {
+        if (!price) return;
+        this.lastPrices.set(symbol, price);
+        this.priceTimes.set(symbol, Date.now());
+
+        const resting = Array.from(this.openOrders.values()).filter(o => o.symbol === symbol);
+        for (const order of resting) {
+            try {
+                this.checkRestingOrder(order, price);
+            } catch (error) {
+                logger.error(`Failed to process paper order ${order.orderId}:`, error.message);
+            }
+        }
+    }
+
+    isTriggered(order, price) {
+        const stopPrice = parseFloat(order.stopPrice);
+        const limitPrice = parseFloat(order.price);
+
+        switch (order.type) {
+            case 'STOP_MARKET':
+                return order.side === 'SELL' ? price <= stopPrice : price >= stopPrice;
+            case 'TAKE_PROFIT_MARKET':
+                return order.side === 'SELL' ? price >= stopPrice : price <= stopPrice;
+            case 'LIMIT':
+                return order.side === 'SELL' ? price >= limitPrice : price <= limitPrice;
+            case 'TRAILING_STOP_MARKET': {
+                if (!order.activated) return false;
+                const rate = parseFloat(order.priceRate) / 100;
+                return order.side === 'SELL'
+                    ? price <= order.trailingExtremePrice * (1 - rate)
+                    : price >= order.trailingExtremePrice * (1 + rate);
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Trailing stops arm at activatePrice (or right away without one) and then
+    // follow the best price seen: the high for SELL orders, the low for BUY
+    trackTrailingStop(order, price) {
+        const activatePrice = parseFloat(order.activatePrice);
+        if (!order.activated) {
+            order.activated = !activatePrice || (order.side === 'SELL' ? price >= activatePrice : price <= activatePrice);
+            if (!order.activated) return;
+            order.trailingExtremePrice = price;
+        }
+
+        order.trailingExtremePrice = order.side === 'SELL'
+            ? Math.max(order.trailingExtremePrice, price)
+            : Math.min(order.trailingExtremePrice, price);
+    }
+
+    checkRestingOrder(order, price) {
+        if (order.type === 'TRAILING_STOP_MARKET') {
+            this.trackTrailingStop(order, price);
+        }
+        if (!this.isTriggered(order, price)) return;
+
+        if (order.type === 'LIMIT') {
+            this.executeRestingOrder(order, parseFloat(order.price), true);
+        } else {
+            this.executeRestingOrder(order, price, false);
+        }
+    }
+
+    executeRestingOrder(order, price, isMaker) {
+        this.openOrders.delete(order.orderId);
+
+        const quantity = this.resolveQuantity(order);
+        if (quantity <= 0) {
+            // Reduce-only order with nothing left to reduce
+            order.status = 'EXPIRED';
+            order.updateTime = Date.now();
+            this.persist();
+            logger.info('Paper futures order expired', { orderId: order.orderId, symbol: order.symbol, type: order.type });
+            this.emit('orderUpdate', { ...order, executionType: 'EXPIRED' });
+            return;
+        }
+
+        const fillPrice = isMaker ? price : this.applySlippage(order.side, price);
+        this.fillOrder(order, quantity, fillPrice, isMaker);
+
+        logger.info('Paper futures order triggered', {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            type: order.type,
+            side: order.side,
+            quantity,
+            price: fillPrice
+        });
+    }
+
+    applySlippage(side, price) {
+        const slippage = price * (this.slippagePercent / 100);
+        return side === 'BUY' ? price + slippage : price - slippage;
+    }
+
+    resolveQuantity(order) {
+        const position = this.positions.get(order.symbol);
+        const positionAmt = position ? position.positionAmt : 0;
+        const requested = order.closePosition ? Math.abs(positionAmt) : parseFloat(order.origQty);
+
+        if (!order.reduceOnly && !order.closePosition) {
+            return requested;
+        }
+
+        // Reduce-only orders may only shrink a position on the opposite side
+        const reducible = order.side === 'SELL' ? Math.max(positionAmt, 0) : Math.max(-positionAmt, 0);
+        return Math.min(requested, reducible);
+    }
+
+    fillOrder(order, quantity, fillPrice, isMaker) {
+        const feePercent = isMaker ? this.makerFeePercent : this.takerFeePercent;
+        const commission = fillPrice * quantity * (feePercent / 100);
+        const realizedPnl = this.applyFill(order.symbol, order.side, quantity, fillPrice);
+
+        this.walletBalance += realizedPnl - commission;
+
+        order.status = 'FILLED';
+        order.executedQty = quantity.toString();
+        order.avgPrice = fillPrice.toString();
+        order.cumQuote = (fillPrice * quantity).toString();
+        order.updateTime = Date.now();
+
+        const trade = {
+            symbol: order.symbol,
+            id: this.nextTradeId++,
+            orderId: order.orderId,
+            side: order.side,
+            price: fillPrice.toString(),
+            qty: quantity.toString(),
+            realizedPnl: realizedPnl.toString(),
+            quoteQty: order.cumQuote,
+            commission: commission.toString(),
+            commissionAsset: 'USDT',
+            time: order.updateTime,
+            positionSide: 'BOTH',
+            buyer: order.side === 'BUY',
+            maker: isMaker
+        };
+        this.trades.push(trade);
+        this.persist();
+
+        this.emit('orderUpdate', {
+            ...order,
+            executionType: 'TRADE',
+            lastFilledQty: trade.qty,
+            lastFilledPrice: trade.price,
+            realizedPnl: trade.realizedPnl,
+            commission: trade.commission,
+            commissionAsset: trade.commissionAsset,
+            tradeId: trade.id
+        });
+
+        const position = this.positions.get(order.symbol);
+        this.emit('accountUpdate', {
+            reason: 'ORDER',
+            balances: [{ asset: 'USDT', walletBalance: this.walletBalance, balanceChange: realizedPnl - commission }],
+            positions: [{
+                symbol: order.symbol,
+                positionAmt: position ? position.positionAmt : 0,
+                entryPrice: position ? position.entryPrice : 0,
+                unrealizedProfit: 0
+            }],
+            eventTime: order.updateTime
+        });
+
+        return trade;
+    }
+
+    // Updates the one-way position and returns the realized PnL of the fill
+    applyFill(symbol, side, quantity, price) {
+        const signedQty = side === 'BUY' ? quantity : -quantity;
+        const position = this.positions.get(symbol) || { symbol, positionAmt: 0, entryPrice: 0 };
+        const currentAmt = position.positionAmt;
+        let realizedPnl = 0;
+
+        if (currentAmt === 0 || Math.sign(currentAmt) === Math.sign(signedQty)) {
+            // Opening or adding: volume-weighted entry price
+            const newAmt = currentAmt + signedQty;
+            position.entryPrice = (Math.abs(currentAmt) * position.entryPrice + quantity * price) / Math.abs(newAmt);
+            position.positionAmt = newAmt;
+        } else {
+            const closingQty = Math.min(Math.abs(currentAmt), quantity);
+            realizedPnl = Math.sign(currentAmt) * closingQty * (price - position.entryPrice);
+
+            const newAmt = currentAmt + signedQty;
+            if (Math.abs(newAmt) < 1e-12) {
+                position.positionAmt = 0;
+                position.entryPrice = 0;
+            } else if (Math.sign(newAmt) !== Math.sign(currentAmt)) {
+                // Flipped through zero, the remainder opens at the fill price
+                position.positionAmt = newAmt;
+                position.entryPrice = price;
+            } else {
+                position.positionAmt = newAmt;
+            }
+        }
+
+        if (position.positionAmt === 0) {
+            this.positions.delete(symbol);
+        } else {
+            this.positions.set(symbol, position);
+        }
+
+        return realizedPnl;
+    }
+
+    getUnrealizedProfit(position) {
+        const markPrice = this.lastPrices.get(position.symbol) || position.entryPrice;
+        return position.positionAmt * (markPrice - position.entryPrice);
+    }
+
+    getPositionMargin(position) {
+        const { leverage } = this.getSymbolSettings(position.symbol);
+        return Math.abs(position.positionAmt) * position.entryPrice / leverage;
+    }
+
+    // Maintenance margin from the default brackets, as the real account reports it
+    getMaintenanceMargin(position) {
+        return this.liquidationEstimator.maintenanceMargin(Math.abs(position.positionAmt) * position.entryPrice);
+    }
+
+    // Cross positions are backed by the wallet less what other positions use
+    getLiquidationPrice(position) {
+        if (!position.positionAmt) return 0;
+
+        const { leverage, marginType } = this.getSymbolSettings(position.symbol);
+        const estimate = this.liquidationEstimator.estimate({
+            entryPrice: position.entryPrice,
+            quantity: Math.abs(position.positionAmt),
+            direction: position.positionAmt > 0 ? 1 : -1,
+            leverage,
+            marginType,
+            walletBalance: this.getAvailableBalance() + this.getPositionMargin(position) - this.getUnrealizedProfit(position)
+        });
+        return estimate.liquidationPrice || 0;
+    }
+
+    getAvailableBalance() {
+        let usedMargin = 0;
+        let unrealizedProfit = 0;
+        for (const position of this.positions.values()) {
+            usedMargin += this.getPositionMargin(position);
+            unrealizedProfit += this.getUnrealizedProfit(position);
+        }
+        return this.walletBalance + unrealizedProfit - usedMargin;
+    }
+
+    // Account
+    async getAccountInfo() {
+        let unrealizedProfit = 0;
+        let positionInitialMargin = 0;
+        let maintMargin = 0;
+        for (const position of this.positions.values()) {
+            unrealizedProfit += this.getUnrealizedProfit(position);
+            positionInitialMargin += this.getPositionMargin(position);
+            maintMargin += this.getMaintenanceMargin(position);
+        }
+
+        const marginBalance = this.walletBalance + unrealizedProfit;
+        const availableBalance = marginBalance - positionInitialMargin;
+
+        return {
+            paperTrading: true,
+            canTrade: true,
+            totalWalletBalance: this.walletBalance.toString(),
+            totalUnrealizedProfit: unrealizedProfit.toString(),
+            totalMarginBalance: marginBalance.toString(),
+            totalPositionInitialMargin: positionInitialMargin.toString(),
+            totalMaintMargin: maintMargin.toString(),
+            availableBalance: availableBalance.toString(),
+            maxWithdrawAmount: Math.max(availableBalance, 0).toString(),
+            assets: [{
+                asset: 'USDT',
+                walletBalance: this.walletBalance.toString(),
+                unrealizedProfit: unrealizedProfit.toString(),
+                marginBalance: marginBalance.toString(),
+                maintMargin: maintMargin.toString(),
+                initialMargin: positionInitialMargin.toString(),
+                positionInitialMargin: positionInitialMargin.toString(),
+                openOrderInitialMargin: '0',
+                crossWalletBalance: this.walletBalance.toString(),
+                crossUnPnl: unrealizedProfit.toString(),
+                availableBalance: availableBalance.toString(),
+                maxWithdrawAmount: Math.max(availableBalance, 0).toString()
+            }],
+            positions: await this.getPositions()
+        };
+    }
+
+    async getBalance(asset = 'USDT') {
+        const account = await this.getAccountInfo();
+        const balance = account.assets.find(a => a.asset === asset);
+
+        return balance ? {
+            asset: balance.asset,
+            walletBalance: parseFloat(balance.walletBalance),
+            unrealizedProfit: parseFloat(balance.unrealizedProfit),
+            marginBalance: parseFloat(balance.marginBalance),
+            maintMargin: parseFloat(balance.maintMargin),
+            initialMargin: parseFloat(balance.initialMargin),
+            positionInitialMargin: parseFloat(balance.positionInitialMargin),
+            openOrderInitialMargin: parseFloat(balance.openOrderInitialMargin),
+            crossWalletBalance: parseFloat(balance.crossWalletBalance),
+            crossUnPnl: parseFloat(balance.crossUnPnl),
+            availableBalance: parseFloat(balance.availableBalance),
+            maxWithdrawAmount: parseFloat(balance.maxWithdrawAmount)
+        } : null;
+    }
+
+    async getPositions() {
+        // positionRisk format, one entry per symbol that has been configured or traded
+        const symbols = new Set([...this.symbolSettings.keys(), ...this.positions.keys()]);
+
+        return Array.from(symbols).map(symbol => {
+            const position = this.positions.get(symbol) || { symbol, positionAmt: 0, entryPrice: 0 };
+            const { leverage, marginType } = this.getSymbolSettings(symbol);
+            const markPrice = this.lastPrices.get(symbol) || position.entryPrice;
+
+            return {
+                symbol,
+                positionAmt: position.positionAmt.toString(),
+                entryPrice: position.entryPrice.toString(),
+                markPrice: markPrice.toString(),
+                unRealizedProfit: this.getUnrealizedProfit(position).toString(),
+                liquidationPrice: this.getLiquidationPrice(position).toString(),
+                leverage: leverage.toString(),
+                marginType: marginType === 'ISOLATED' ? 'isolated' : 'cross',
+                isolatedMargin: marginType === 'ISOLATED' ? this.getPositionMargin(position).toString() : '0',
+                notional: (position.positionAmt * markPrice).toString(),
+                positionSide: 'BOTH',
+                updateTime: Date.now()
+            };
+        });
+    }
+
+    async setLeverage(symbol, leverage) {
+        const value = parseInt(leverage);
+        if (!value || value < 1 || value > 125) {
+            this.rejectOrder(-4028, `Leverage ${leverage} is not valid`);
+        }
+
+        this.getSymbolSettings(symbol).leverage = value;
+        this.persist();
+        logger.info('Paper leverage set', { symbol, leverage: value });
+
+        return { symbol, leverage: value, maxNotionalValue: '1000000' };
+    }
+
+    async setMarginType(symbol, marginType) {
+        const settings = this.getSymbolSettings(symbol);
+        if (this.positions.has(symbol) && settings.marginType !== marginType) {
+            this.rejectOrder(-4048, 'Margin type cannot be changed if there exists position.');
+        }
+
+        settings.marginType = marginType;
+        this.persist();
+        logger.info('Paper margin type set', { symbol, marginType });
+        return { code: 200, msg: 'success' };
+    }
+
+    // Orders
+    async placeOrder(orderParams) {
+        try {
+            const {
+                symbol,
+                side,
+                type,
+                quantity,
+                price,
+                stopPrice,
+                timeInForce,
+                reduceOnly,
+                newClientOrderId,
+                closePosition,
+                activationPrice,
+                callbackRate
+            } = orderParams;
+
+            if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'].includes(type)) {
+                this.rejectOrder(-1116, `Invalid orderType: ${type}`);
+            }
+
+            const isClosePosition = closePosition === true || closePosition === 'true';
+            const qty = parseFloat(quantity);
+            if (!isClosePosition && (!qty || qty <= 0)) {
+                this.rejectOrder(-4003, 'Quantity less than or equal to zero.');
+            }
+
+            if (type === 'LIMIT' && !parseFloat(price)) {
+                this.rejectOrder(-1102, 'Mandatory parameter \'price\' was not sent.');
+            }
+
+            if ((type === 'STOP_MARKET' || type === 'TAKE_PROFIT_MARKET') && !parseFloat(stopPrice)) {
+                this.rejectOrder(-1102, 'Mandatory parameter \'stopPrice\' was not sent.');
+            }
+
+            const rate = parseFloat(callbackRate);
+            if (type === 'TRAILING_STOP_MARKET' && !(rate >= 0.1 && rate <= 5)) {
+                this.rejectOrder(-2007, 'Invalid callBack rate.');
+            }
+
+            const now = Date.now();
+            const order = {
+                orderId: this.nextOrderId++,
+                symbol,
+                status: 'NEW',
+                clientOrderId: newClientOrderId || `paper_${now}`,
+                price: (price || 0).toString(),
+                avgPrice: '0',
+                origQty: isClosePosition ? '0' : qty.toString(),
+                executedQty: '0',
+                cumQuote: '0',
+                timeInForce: timeInForce || 'GTC',
+                type,
+                reduceOnly: reduceOnly === true || reduceOnly === 'true',
+                closePosition: isClosePosition,
+                side,
+                positionSide: 'BOTH',
+                stopPrice: (stopPrice || 0).toString(),
+                workingType: orderParams.workingType || 'CONTRACT_PRICE',
+                origType: type,
+                updateTime: now
+            };
+
+            if (type === 'TRAILING_STOP_MARKET') {
+                order.activatePrice = (activationPrice || 0).toString();
+                order.priceRate = rate.toString();
+                order.activated = false;
+            }
+
+            this.orderHistory.push(order);
+
+            if (type === 'MARKET') {
+                await this.executeMarketOrder(order);
+            } else {
+                const currentPrice = await this.getPrice(symbol);
+                if (!['LIMIT', 'TRAILING_STOP_MARKET'].includes(type) && this.isTriggered(order, currentPrice)) {
+                    this.rejectOrder(-2021, 'Order would immediately trigger.');
+                }
+
+                this.openOrders.set(order.orderId, order);
+                this.persist();
+                // A limit order that is already marketable fills right away
+                this.checkRestingOrder(order, currentPrice);
+            }
+
+            logger.info('Paper futures order placed', {
+                orderId: order.orderId,
+                symbol: order.symbol,
+                side: order.side,
+                type: order.type,
+                quantity: order.origQty,
+                status: order.status
+            });
+
+            return { ...order };
+
+        } catch (error) {
+            logger.error('Failed to place paper futures order:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async executeMarketOrder(order) {
+        const quantity = this.resolveQuantity(order);
+        if (quantity <= 0) {
+            this.rejectOrder(-2022, 'ReduceOnly Order is rejected.');
+        }
+
+        const marketPrice = await this.getPrice(order.symbol);
+        const fillPrice = this.applySlippage(order.side, marketPrice);
+
+        // Only the part that opens or grows exposure needs fresh margin
+        const position = this.positions.get(order.symbol);
+        const positionAmt = position ? position.positionAmt : 0;
+        const reducing = order.side === 'SELL' ? Math.max(positionAmt, 0) : Math.max(-positionAmt, 0);
+        const openingQty = Math.max(quantity - reducing, 0);
+
+        if (openingQty > 0) {
+            const { leverage } = this.getSymbolSettings(order.symbol);
+            const requiredMargin = openingQty * fillPrice / leverage;
+            const fee = fillPrice * quantity * (this.takerFeePercent / 100);
+
+            if (requiredMargin + fee > this.getAvailableBalance()) {
+                this.rejectOrder(-2019, 'Margin is insufficient.');
+            }
+        }
+
+        this.fillOrder(order, quantity, fillPrice, false);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        const order = this.openOrders.get(parseInt(orderId));
+        if (!order || order.symbol !== symbol) {
+            this.rejectOrder(-2011, 'Unknown order sent.');
+        }
+
+        this.openOrders.delete(order.orderId);
+        order.status = 'CANCELED';
+        order.updateTime = Date.now();
+        this.persist();
+
+        logger.info('Paper futures order cancelled', { orderId: order.orderId, symbol });
+        this.emit('orderUpdate', { ...order, executionType: 'CANCELED' });
+
+        return { ...order };
+    }
+
+    async cancelAllOpenOrders(symbol) {
+        const cancelled = Array.from(this.openOrders.values()).filter(o => o.symbol === symbol);
+        for (const order of cancelled) {
+            await this.cancelOrder(symbol, order.orderId);
+        }
+
+        logger.info('All paper orders cancelled', { symbol, count: cancelled.length });
+        return { code: 200, msg: 'The operation of cancel all open order is done.' };
+    }
+
+    async getOpenOrders(symbol = null) {
+        return Array.from(this.openOrders.values())
+            .filter(o => !symbol || o.symbol === symbol)
+            .map(o => ({ ...o }));
+    }
+
+    async getOrderHistory(symbol, limit = 500) {
+        return this.orderHistory
+            .filter(o => o.symbol === symbol)
+            .slice(-limit)
+            .map(o => ({ ...o }));
+    }
+
+    async getTradeHistory(symbol, limit = 500) {
+        return this.trades
+            .filter(t => t.symbol === symbol)
+            .slice(-limit)
+            .map(t => ({ ...t }));
+    }
+
+    // No signed endpoint to ask, so every symbol uses the configured brackets
+    async getLeverageBrackets(symbol) {
+        return LiquidationEstimator.normalizeBrackets(this.liquidationEstimator.settings.DEFAULT_BRACKETS);
+    }
+
+    // Market data
+    async getExchangeInfo() {
+        return this.marketDataAPI.getExchangeInfo();
+    }
+
+    async getSymbolTicker(symbol) {
+        return { symbol, price: (await this.getPrice(symbol)).toString(), time: Date.now() };
+    }
+
+    async getTicker(symbol) {
+        return { [symbol]: await this.getPrice(symbol) };
+    }
+
+    async get24hrStats() {
+        return this.marketDataAPI.get24hrStats();
+    }
+
+    async getKlines(symbol, interval, options) {
+        return this.marketDataAPI.getKlines(symbol, interval, options);
+    }
+
+    isSymbolStale(symbol) {
+        return this.marketDataAPI.isSymbolStale(symbol);
+    }
+
+    // Fills and position changes are emitted as they happen, there is no
+    // account stream to open
+    startUserDataStream() {
+        logger.info('Paper futures user data stream started');
+    }
+
+    isUserDataStreamActive() {
+        return true;
+    }
+
+    getStatus() {
+        return {
+            paperTrading: true,
+            walletBalance: this.walletBalance,
+            openPositions: this.positions.size,
+            openOrders: this.openOrders.size
+        };
+    }
+}
+
+module.exports = PaperFuturesAPI;
@@ -0,0 +1,600 @@
+const Exchange = require('./Exchange');
+const logger = require('../utils/logger');
+
+const QUOTE_ASSETS = ['USDT', 'BUSD', 'FDUSD', 'BTC', 'ETH', 'BNB'];
+const SNAPSHOT_NAME = 'paper_spot';
+const PERSISTED_ORDERS = 1000;
+
+// Spot paper-trading adapter. Market data comes from a real (public) data
+// source; orders are filled locally against virtual balances. MARKET orders
+// fill on placement; OCO brackets rest and are checked on every price update.
+// With a journal, balances and orders are snapshotted to its directory after
+// every change and restored on startup.
+class PaperTradingAPI extends Exchange {
+    constructor({ marketDataAPI, journal = null, startingBalance = 10000, feePercent = 0.1, slippagePercent = 0.05, priceMaxAge = 5000 } = {}) {
+        super({ name: 'paper', market: 'spot' });
+        this.marketDataAPI = marketDataAPI;
+        this.journal = journal;
+        this.feePercent = feePercent;
+        this.slippagePercent = slippagePercent;
+        this.priceMaxAge = priceMaxAge;
+
+        this.balances = new Map([['USDT', { free: startingBalance, locked: 0 }]]);
+        this.lastPrices = new Map();
+        this.priceTimes = new Map();
+        this.orders = [];
+        this.orderLists = new Map();
+        this.nextOrderId = 1;
+        this.nextOrderListId = 1;
+        this.nextTradeId = 1;
+
+        this.restoreState();
+        this.setupEventHandlers();
+        logger.binance('Paper trading spot API initialized', { startingBalance, feePercent, slippagePercent });
+    }
+
+    setupEventHandlers() {
+        this.on('error', (error) => {
+            logger.error('PaperTradingAPI error:', error);
+        });
+
+        if (!this.marketDataAPI) return;
+
+        // Re-emit market data so consumers can subscribe to this adapter only
+        this.marketDataAPI.on('tickerUpdate', (ticker) => {
+            this.onPriceUpdate(ticker.symbol, ticker.price);
+            this.emit('tickerUpdate', ticker);
+        });
+
+        this.marketDataAPI.on('klineUpdate', (kline) => {
+            this.onPriceUpdate(kline.symbol, kline.close);
+            this.emit('klineUpdate', kline);
+        });
+
+        this.marketDataAPI.on('streamAlert', (alert) => {
+            this.emit('streamAlert', alert);
+        });
+    }
+
+    restoreState() {
+        const state = this.journal?.loadSnapshot(SNAPSHOT_NAME);
+        if (!state) return;
+
+        this.balances = new Map(state.balances);
+        this.orders = state.orders;
+        this.orderLists = new Map(state.orderLists);
+        this.nextOrderId = state.nextOrderId;
+        this.nextOrderListId = state.nextOrderListId;
+        this.nextTradeId = state.nextTradeId;
+
+        logger.binance('Paper spot state restored', {
+            balances: Object.fromEntries(this.balances),
+            openOrderLists: this.orderLists.size
+        });
+    }
+
+    persist() {
+        if (!this.journal) return;
+
+        this.journal.saveSnapshot(SNAPSHOT_NAME, {
+            balances: Array.from(this.balances.entries()),
+            orders: this.orders.slice(-PERSISTED_ORDERS),
+            orderLists: Array.from(this.orderLists.entries()),
+            nextOrderId: this.nextOrderId,
+            nextOrderListId: this.nextOrderListId,
+            nextTradeId: this.nextTradeId
+        });
+    }
+
+    // Price-driven OCO triggering
+    onPriceUpdate(symbol, price) {
+        if (!price) return;
+        this.lastPrices.set(symbol, price);
+        this.priceTimes.set(symbol, Date.now());
+
+        const resting = Array.from(this.orderLists.values()).filter(l => l.symbol === symbol);
+        for (const orderList of resting) {
+            try {
+                this.checkOrderList(orderList, price);
+            } catch (error) {
+                logger.error(`Failed to process paper order list ${orderList.orderListId}:`, error.message);
+            }
+        }
+    }
+
+    splitSymbol(symbol) {
+        const quote = QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length);
+        if (!quote) {
+            throw new Error(`Unsupported paper trading symbol: ${symbol}`);
+        }
+        return { base: symbol.slice(0, -quote.length), quote };
+    }
+
+    getAssetBalance(asset) {
+        if (!this.balances.has(asset)) {
+            this.balances.set(asset, { free: 0, locked: 0 });
+        }
+        return this.balances.get(asset);
+    }
+
+    // Streamed symbols are kept current by onPriceUpdate; others are re-read
+    // over REST once the cached price is older than priceMaxAge, which also
+    // lets their resting orders trigger
+    async getPrice(symbol) {
+        const cached = this.lastPrices.get(symbol);
+        if (cached && Date.now() - this.priceTimes.get(symbol) < this.priceMaxAge) {
+            return cached;
+        }
+
+        let price;
+        try {
+            const ticker = await this.marketDataAPI.getTicker(symbol);
+            price = parseFloat(ticker[symbol]);
+        } catch (error) {
+            if (!cached) throw error;
+            logger.warn(`Using a cached paper price for ${symbol}: ${error.message}`);
+            return cached;
+        }
+        if (!price) {
+            throw new Error(`No price available for ${symbol}`);
+        }
+
+        this.onPriceUpdate(symbol, price);
+        return price;
+    }
+
+    async getTicker(symbol) {
+        if (symbol) {
+            return { [symbol]: await this.getPrice(symbol) };
+        }
+        return Object.fromEntries(this.lastPrices);
+    }
+
+    async placeOrder({ symbol, side, type = 'MARKET', quantity }) {
+        try {
+            if (type !== 'MARKET') {
+                throw new Error(`Paper trading supports MARKET spot orders only (got ${type})`);
+            }
+
+            const qty = parseFloat(quantity);
+            if (!qty || qty <= 0) {
+                throw new Error(`Invalid order quantity: ${quantity}`);
+            }
+
+            const { base, quote } = this.splitSymbol(symbol);
+            const marketPrice = await this.getPrice(symbol);
+
+            // Slippage always works against the order
+            const slippage = marketPrice * (this.slippagePercent / 100);
+            const fillPrice = side === 'BUY' ? marketPrice + slippage : marketPrice - slippage;
+            const quoteQty = fillPrice * qty;
+            const commission = quoteQty * (this.feePercent / 100);
+
+            const baseBalance = this.getAssetBalance(base);
+            const quoteBalance = this.getAssetBalance(quote);
+
+            if (side === 'BUY') {
+                if (quoteBalance.free < quoteQty + commission) {
+                    throw new Error(`Insufficient ${quote} balance: ${quoteBalance.free.toFixed(2)} < ${(quoteQty + commission).toFixed(2)}`);
+                }
+                quoteBalance.free -= quoteQty + commission;
+                baseBalance.free += qty;
+            } else {
+                if (baseBalance.free < qty) {
+                    throw new Error(`Insufficient ${base} balance: ${baseBalance.free} < ${qty}`);
+                }
+                baseBalance.free -= qty;
+                quoteBalance.free += quoteQty - commission;
+            }
+
+            const order = {
+                symbol,
+                orderId: this.nextOrderId++,
+                clientOrderId: `paper_${Date.now()}`,
+                transactTime: Date.now(),
+                price: '0.00000000',
+                origQty: qty.toString(),
+                executedQty: qty.toString(),
+                cummulativeQuoteQty: quoteQty.toString(),
+                status: 'FILLED',
+                timeInForce: 'GTC',
+                type,
+                side,
+                fills: [{
+                    price: fillPrice.toString(),
+                    qty: qty.toString(),
+                    commission: commission.toString(),
+                    commissionAsset: quote,
+                    tradeId: this.nextTradeId++
+                }]
+            };
+
+            this.orders.push(order);
+            this.persist();
+
+            logger.binance('Paper spot order filled', {
+                orderId: order.orderId,
+                symbol,
+                side,
+                quantity: qty,
+                price: fillPrice,
+                commission
+            });
+
+            this.emit('balanceUpdate', {
+                asset: quote,
+                balance: quoteBalance.free,
+                timestamp: order.transactTime
+            });
+
+            return order;
+
+        } catch (error) {
+            logger.error('Failed to place paper spot order:', error.message);
+            throw error;
+        }
+    }
+
+    // LIMIT_MAKER leg at price, STOP_LOSS_LIMIT leg triggered at stopPrice with
+    // its limit at stopLimitPrice. The balance the bracket could spend is locked
+    // until one leg fills or the list is cancelled.
+    async placeOcoOrder({ symbol, side, quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce = 'GTC', listClientOrderId }) {
+        try {
+            const qty = parseFloat(quantity);
+            const limitPrice = parseFloat(price);
+            const triggerPrice = parseFloat(stopPrice);
+            const stopLimit = parseFloat(stopLimitPrice || stopPrice);
+
+            if (!qty || qty <= 0) {
+                throw new Error(`Invalid order quantity: ${quantity}`);
+            }
+            if (!limitPrice || !triggerPrice || !stopLimit) {
+                throw new Error('OCO orders need price, stopPrice and stopLimitPrice');
+            }
+
+            const { base, quote } = this.splitSymbol(symbol);
+            const marketPrice = await this.getPrice(symbol);
+
+            // Same rule as Binance: SELL limit > market > stop, BUY limit < market < stop
+            const validPrices = side === 'SELL'
+                ? limitPrice > marketPrice && marketPrice > triggerPrice
+                : limitPrice < marketPrice && marketPrice < triggerPrice;
+            if (!validPrices) {
+                throw new Error(`The relationship of the prices for the orders is not correct (market ${marketPrice})`);
+            }
+
+            const lockAsset = side === 'SELL' ? base : quote;
+            const lockAmount = side === 'SELL'
+                ? qty
+                : qty * Math.max(limitPrice, stopLimit) * (1 + this.feePercent / 100);
+            const balance = this.getAssetBalance(lockAsset);
+            if (balance.free < lockAmount) {
+                throw new Error(`Insufficient ${lockAsset} balance: ${balance.free} < ${lockAmount}`);
+            }
+            balance.free -= lockAmount;
+            balance.locked += lockAmount;
+
+            const orderListId = this.nextOrderListId++;
+            const now = Date.now();
+            const leg = (type, legPrice, legStopPrice) => ({
+                symbol,
+                orderId: this.nextOrderId++,
+                orderListId,
+                clientOrderId: `paper_${now}_${this.nextOrderId}`,
+                transactTime: now,
+                price: legPrice.toString(),
+                origQty: qty.toString(),
+                executedQty: '0',
+                cummulativeQuoteQty: '0',
+                status: 'NEW',
+                timeInForce: type === 'LIMIT_MAKER' ? 'GTC' : stopLimitTimeInForce,
+                type,
+                side,
+                stopPrice: legStopPrice ? legStopPrice.toString() : '0',
+                fills: []
+            });
+
+            const orderList = {
+                orderListId,
+                listClientOrderId: listClientOrderId || `paper_list_${orderListId}`,
+                symbol,
+                side,
+                quantity: qty,
+                lock: { asset: lockAsset, amount: lockAmount },
+                triggered: false,
+                transactionTime: now,
+                orders: [
+                    leg('LIMIT_MAKER', limitPrice, null),
+                    leg('STOP_LOSS_LIMIT', stopLimit, triggerPrice)
+                ]
+            };
+            this.orderLists.set(orderListId, orderList);
+            this.persist();
+
+            logger.binance('Paper spot OCO order placed', {
+                orderListId,
+                symbol,
+                side,
+                quantity: qty,
+                price: limitPrice,
+                stopPrice: triggerPrice
+            });
+
+            orderList.orders.forEach(order => this.emitExecutionReport(order, 'NEW'));
+            return this.toOrderListResponse(orderList, 'EXEC_STARTED', 'EXECUTING');
+
+        } catch (error) {
+            logger.error('Failed to place paper spot OCO order:', error.message);
+            throw error;
+        }
+    }
+
+    checkOrderList(orderList, price) {
+        const [limitLeg, stopLeg] = orderList.orders;
+        const isSell = orderList.side === 'SELL';
+        const limitPrice = parseFloat(limitLeg.price);
+
+        if (isSell ? price >= limitPrice : price <= limitPrice) {
+            this.fillOrderListLeg(orderList, limitLeg, limitPrice);
+            return;
+        }
+
+        const triggerPrice = parseFloat(stopLeg.stopPrice);
+        if (!orderList.triggered) {
+            orderList.triggered = isSell ? price <= triggerPrice : price >= triggerPrice;
+            if (!orderList.triggered) return;
+            this.persist();
+            logger.binance('Paper spot OCO stop triggered', { orderListId: orderList.orderListId, price });
+        }
+
+        // Once triggered the stop leg is a resting limit: it only fills while
+        // price is still on the right side of stopLimitPrice
+        const stopLimit = parseFloat(stopLeg.price);
+        if (isSell ? price >= stopLimit : price <= stopLimit) {
+            const slippage = price * (this.slippagePercent / 100);
+            const fillPrice = isSell ? Math.max(price - slippage, stopLimit) : Math.min(price + slippage, stopLimit);
+            this.fillOrderListLeg(orderList, stopLeg, fillPrice);
+        }
+    }
+
+    fillOrderListLeg(orderList, filledLeg, fillPrice) {
+        this.orderLists.delete(orderList.orderListId);
+        this.releaseOrderListLock(orderList);
+
+        const { base, quote } = this.splitSymbol(orderList.symbol);
+        const qty = orderList.quantity;
+        const quoteQty = fillPrice * qty;
+        const commission = quoteQty * (this.feePercent / 100);
+        const baseBalance = this.getAssetBalance(base);
+        const quoteBalance = this.getAssetBalance(quote);
+
+        if (orderList.side === 'BUY') {
+            quoteBalance.free -= quoteQty + commission;
+            baseBalance.free += qty;
+        } else {
+            baseBalance.free -= qty;
+            quoteBalance.free += quoteQty - commission;
+        }
+
+        const now = Date.now();
+        const fill = {
+            price: fillPrice.toString(),
+            qty: qty.toString(),
+            commission: commission.toString(),
+            commissionAsset: quote,
+            tradeId: this.nextTradeId++
+        };
+
+        for (const order of orderList.orders) {
+            order.updateTime = now;
+            if (order === filledLeg) {
+                order.status = 'FILLED';
+                order.executedQty = qty.toString();
+                order.cummulativeQuoteQty = quoteQty.toString();
+                order.transactTime = now;
+                order.fills = [fill];
+                this.orders.push(order);
+                this.emitExecutionReport(order, 'TRADE', fill);
+            } else {
+                order.status = 'EXPIRED';
+                this.emitExecutionReport(order, 'EXPIRED');
+            }
+        }
+
+        logger.binance('Paper spot OCO leg filled', {
+            orderListId: orderList.orderListId,
+            orderId: filledLeg.orderId,
+            type: filledLeg.type,
+            symbol: orderList.symbol,
+            side: orderList.side,
+            quantity: qty,
+            price: fillPrice,
+            commission
+        });
+
+        this.persist();
+
+        this.emit('balanceUpdate', {
+            asset: quote,
+            balance: quoteBalance.free,
+            timestamp: now
+        });
+    }
+
+    releaseOrderListLock(orderList) {
+        const balance = this.getAssetBalance(orderList.lock.asset);
+        balance.locked = Math.max(balance.locked - orderList.lock.amount, 0);
+        balance.free += orderList.lock.amount;
+    }
+
+    async cancelOcoOrder(symbol, orderListId) {
+        try {
+            const orderList = this.orderLists.get(parseInt(orderListId));
+            if (!orderList || orderList.symbol !== symbol) {
+                const error = new Error(`Order list ${orderListId} does not exist`);
+                error.code = -2011;
+                throw error;
+            }
+
+            this.orderLists.delete(orderList.orderListId);
+            this.releaseOrderListLock(orderList);
+
+            const now = Date.now();
+            for (const order of orderList.orders) {
+                order.status = 'CANCELED';
+                order.updateTime = now;
+                this.emitExecutionReport(order, 'CANCELED');
+            }
+            this.persist();
+
+            logger.binance('Paper spot OCO order cancelled', { symbol, orderListId: orderList.orderListId });
+            return this.toOrderListResponse(orderList, 'ALL_DONE', 'ALL_DONE');
+
+        } catch (error) {
+            logger.error('Failed to cancel paper spot OCO order:', error.message);
+            throw error;
+        }
+    }
+
+    toOrderListResponse(orderList, listStatusType, listOrderStatus) {
+        return {
+            orderListId: orderList.orderListId,
+            contingencyType: 'OCO',
+            listStatusType,
+            listOrderStatus,
+            listClientOrderId: orderList.listClientOrderId,
+            transactionTime: orderList.transactionTime,
+            symbol: orderList.symbol,
+            orders: orderList.orders.map(o => ({ symbol: o.symbol, orderId: o.orderId, clientOrderId: o.clientOrderId })),
+            orderReports: orderList.orders.map(({ fills, ...order }) => ({ ...order }))
+        };
+    }
+
+    emitExecutionReport(order, executionType, fill = null) {
+        this.emit('executionReport', {
+            symbol: order.symbol,
+            side: order.side,
+            orderType: order.type,
+            orderId: order.orderId,
+            orderListId: order.orderListId ?? -1,
+            clientOrderId: order.clientOrderId,
+            executionType,
+            orderStatus: order.status,
+            price: parseFloat(order.price),
+            stopPrice: parseFloat(order.stopPrice || 0),
+            quantity: parseFloat(order.origQty),
+            lastFilledQty: fill ? parseFloat(fill.qty) : 0,
+            lastFilledPrice: fill ? parseFloat(fill.price) : 0,
+            executedQty: parseFloat(order.executedQty),
+            cumulativeQuoteQty: parseFloat(order.cummulativeQuoteQty),
+            commission: fill ? parseFloat(fill.commission) : 0,
+            commissionAsset: fill ? fill.commissionAsset : null,
+            tradeId: fill ? fill.tradeId : -1,
+            eventTime: order.updateTime || order.transactTime
+        });
+    }
+
+    async getAccountInfo() {
+        const balances = Array.from(this.balances.entries()).map(([asset, balance]) => ({
+            asset,
+            free: balance.free.toString(),
+            locked: balance.locked.toString()
+        }));
+
+        return {
+            canTrade: true,
+            canWithdraw: false,
+            canDeposit: false,
+            accountType: 'SPOT',
+            paperTrading: true,
+            balances
+        };
+    }
+
+    async getBalance(asset = 'USDT') {
+        const balance = this.getAssetBalance(asset);
+        return {
+            asset,
+            free: balance.free,
+            locked: balance.locked,
+            total: balance.free + balance.locked
+        };
+    }
+
+    getOrderHistory(symbol = null) {
+        return symbol ? this.orders.filter(o => o.symbol === symbol) : [...this.orders];
+    }
+
+    // Only OCO legs ever rest; MARKET orders fill on placement
+    async getOpenOrders(symbol = null) {
+        return Array.from(this.orderLists.values())
+            .filter(l => !symbol || l.symbol === symbol)
+            .flatMap(l => l.orders.map(({ fills, ...order }) => ({ ...order })));
+    }
+
+    async cancelAllOpenOrders(symbol) {
+        const orderLists = Array.from(this.orderLists.values()).filter(l => l.symbol === symbol);
+        const results = [];
+        for (const orderList of orderLists) {
+            results.push(await this.cancelOcoOrder(symbol, orderList.orderListId));
+        }
+        return results;
+    }
+
+    async getTradeHistory(symbol, limit = 500) {
+        return this.getOrderHistory(symbol)
+            .flatMap(order => order.fills.map(fill => ({
+                symbol: order.symbol,
+                id: fill.tradeId,
+                orderId: order.orderId,
+                price: fill.price,
+                qty: fill.qty,
+                quoteQty: (parseFloat(fill.price) * parseFloat(fill.qty)).toString(),
+                commission: fill.commission,
+                commissionAsset: fill.commissionAsset,
+                time: order.transactTime,
+                isBuyer: order.side === 'BUY'
+            })))
+            .slice(-limit);
+    }
+
+    // Market data is read straight from the underlying source
+    async getExchangeInfo() {
+        return this.marketDataAPI.getExchangeInfo();
+    }
+
+    async get24hrStats() {
+        return this.marketDataAPI.get24hrStats();
+    }
+
+    async getKlines(symbol, interval, options) {
+        return this.marketDataAPI.getKlines(symbol, interval, options);
+    }
+
+    startTickerStream(symbols) {
+        return this.marketDataAPI.startTickerStream(symbols);
+    }
+
+    startKlineStream(symbol, interval) {
+        return this.marketDataAPI.startKlineStream(symbol, interval);
+    }
+
+    isSymbolStale(symbol) {
+        return this.marketDataAPI.isSymbolStale(symbol);
+    }
+
+    startUserDataStream() {
+        // Fills are reported synchronously, there is no account stream to open
+        logger.binance('Paper trading user data stream started');
+    }
+
+    isUserDataStreamActive() {
+        return true;
+    }
+
+    stopAllStreams() {
+        return this.marketDataAPI.stopAllStreams();
+    }
+}
+
+module.exports = PaperTradingAPI;
@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const config = require('../config/config');
+const { reconnectDelay } = require('../utils/backoff');
+
+// Binance allows 1024 streams per connection; SUBSCRIBE requests are batched
+const SUBSCRIBE_BATCH = 200;
+
+// Market data streams multiplexed over one Binance combined-stream socket.
+// Subscriptions are replayed after every reconnect, a ping left unanswered for
+// a whole interval drops the socket, and a stream that stays quiet for longer
+// than staleAfter marks its symbol stale until data flows again. Reconnects
+// back off exponentially and never stop; failed is raised once the attempts
+// reach reconnectAlertAfter, staleAlert once streams on a live socket have
+// been silent for staleAlertAfter.
+//
+// subscribe(stream, { symbol, onMessage }) takes raw stream names such as
+// btcusdt@miniTicker or btcusdt@kline_5m; onMessage gets the event payload.
+// Events: connected, disconnected, reconnected ({ downtime, attempts }),
+// stale ({ stream, symbol }), fresh ({ stream, symbol }),
+// failed ({ attempts, downtime }), staleAlert ({ streams: [{ stream, symbol, since }] })
+class StreamManager extends EventEmitter {
+    constructor({
+        name,
+        baseUrl,
+        reconnectInterval = config.WEBSOCKET.RECONNECT_INTERVAL,
+        maxReconnectDelay = config.WEBSOCKET.MAX_RECONNECT_DELAY,
+        reconnectAlertAfter = config.WEBSOCKET.RECONNECT_ALERT_AFTER,
+        pingInterval = config.WEBSOCKET.PING_INTERVAL,
+        staleAfter = config.WEBSOCKET.STALE_AFTER,
+        staleAlertAfter = config.WEBSOCKET.STALE_ALERT_AFTER,
+        staleCheckInterval = config.WEBSOCKET.STALE_CHECK_INTERVAL
+    }) {
+        super();
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.reconnectInterval = reconnectInterval;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.reconnectAlertAfter = reconnectAlertAfter;
+        this.pingInterval = pingInterval;
+        this.staleAfter = staleAfter;
+        this.staleAlertAfter = staleAlertAfter;
+        this.staleCheckInterval = staleCheckInterval;
+
+        this.streams = new Map();
+        this.ws = null;
+        this.connected = false;
+        this.stopped = true;
+        this.alive = false;
+        this.requestId = 0;
+        this.reconnectAttempts = 0;
+        this.disconnectedAt = null;
+        this.pingTimer = null;
+        this.staleTimer = null;
+        this.reconnectTimer = null;
+    }
+
+    has(stream) {
+        return this.streams.has(stream);
+    }
+
+    subscribe(stream, { symbol, onMessage }) {
+        if (this.streams.has(stream)) return;
+
+        this.streams.set(stream, {
+            symbol,
+            onMessage,
+            subscribedAt: Date.now(),
+            lastMessage: null,
+            stale: false,
+            staleSince: null,
+            staleAlerted: false
+        });
+
+        if (this.stopped) {
+            this.start();
+        } else if (this.connected) {
+            this.sendSubscription('SUBSCRIBE', [stream]);
+        }
+    }
+
+    unsubscribe(stream) {
+        if (!this.streams.delete(stream)) return;
+
+        if (this.connected) {
+            this.sendSubscription('UNSUBSCRIBE', [stream]);
+        }
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+
+        clearInterval(this.staleTimer);
+        this.staleTimer = setInterval(() => this.checkStale(), this.staleCheckInterval);
+        this.staleTimer.unref?.();
+    }
+
+    stop() {
+        this.stopped = true;
+        this.connected = false;
+        clearInterval(this.pingTimer);
+        clearInterval(this.staleTimer);
+        clearTimeout(this.reconnectTimer);
+        this.pingTimer = null;
+        this.staleTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.disconnectedAt = null;
+        this.streams.clear();
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.terminate();
+        }
+
+        logger.binance(`${this.name} market streams stopped`);
+    }
+
+    connect() {
+        const ws = new WebSocket(`${this.baseUrl}/stream`);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            const attempts = this.reconnectAttempts;
+            this.connected = true;
+            this.alive = true;
+            this.reconnectAttempts = 0;
+            this.sendSubscription('SUBSCRIBE', Array.from(this.streams.keys()));
+            this.startHeartbeat();
+
+            logger.binance(`${this.name} market streams connected`, { streams: this.streams.size });
+            this.emit('connected');
+
+            if (this.disconnectedAt) {
+                const downtime = Date.now() - this.disconnectedAt;
+                this.disconnectedAt = null;
+                metrics.websocketReconnects.inc({ stream: `${this.name}_market` });
+                this.emit('reconnected', { downtime, attempts });
+            }
+        });
+
+        ws.on('message', (raw) => this.handleMessage(raw));
+
+        ws.on('pong', () => {
+            this.alive = true;
+        });
+
+        ws.on('error', (error) => {
+            logger.error(`${this.name} market stream error:`, error.message);
+        });
+
+        ws.on('close', () => {
+            if (this.ws !== ws) return;
+
+            this.ws = null;
+            this.connected = false;
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+            this.disconnectedAt = this.disconnectedAt || Date.now();
+
+            // Nothing flows while disconnected, so nothing can be trusted
+            for (const stream of this.streams.keys()) {
+                this.markStale(stream);
+            }
+
+            logger.warn(`${this.name} market streams disconnected`);
+            this.emit('disconnected');
+            if (!this.stopped) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    sendSubscription(method, streams) {
+        for (let i = 0; i < streams.length; i += SUBSCRIBE_BATCH) {
+            this.ws.send(JSON.stringify({
+                method,
+                params: streams.slice(i, i + SUBSCRIBE_BATCH),
+                id: ++this.requestId
+            }));
+        }
+    }
+
+    handleMessage(raw) {
+        this.alive = true;
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            logger.error(`Failed to parse ${this.name} market stream message:`, error.message);
+            return;
+        }
+
+        // Replies to SUBSCRIBE/UNSUBSCRIBE
+        if (message.id !== undefined && !message.stream) {
+            if (message.error) {
+                logger.error(`${this.name} stream subscription rejected:`, message.error.msg || message.error);
+            }
+            return;
+        }
+
+        const entry = this.streams.get(message.stream);
+        if (!entry) return;
+
+        entry.lastMessage = Date.now();
+        if (entry.stale) {
+            entry.stale = false;
+            entry.staleSince = null;
+            entry.staleAlerted = false;
+            logger.binance(`${message.stream} is live again`);
+            this.emit('fresh', { stream: message.stream, symbol: entry.symbol });
+        }
+
+        try {
+            entry.onMessage(message.data);
+        } catch (error) {
+            logger.error(`Error handling ${message.stream} message:`, error.message);
+        }
+    }
+
+    startHeartbeat() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = setInterval(() => {
+            if (!this.ws || !this.connected) return;
+
+            if (!this.alive) {
+                logger.warn(`${this.name} market stream missed a heartbeat, reconnecting`);
+                this.ws.terminate();
+                return;
+            }
+
+            this.alive = false;
+            this.ws.ping();
+        }, this.pingInterval);
+        this.pingTimer.unref?.();
+    }
+
+    checkStale() {
+        const now = Date.now();
+        const silent = [];
+        for (const [stream, entry] of this.streams) {
+            const since = entry.lastMessage || entry.subscribedAt;
+            if (now - since > this.staleAfter) {
+                this.markStale(stream);
+            }
+
+            // Outages are reported through failed; this catches a live socket gone quiet
+            if (this.connected && entry.stale && !entry.staleAlerted && now - entry.staleSince > this.staleAlertAfter) {
+                entry.staleAlerted = true;
+                silent.push({ stream, symbol: entry.symbol, since: entry.lastMessage });
+            }
+        }
+
+        if (silent.length > 0) {
+            logger.error(`${this.name} streams silent for over ${Math.round(this.staleAlertAfter / 60000)} minutes`, { streams: silent.map(s => s.stream) });
+            this.emit('staleAlert', { streams: silent });
+        }
+    }
+
+    markStale(stream) {
+        const entry = this.streams.get(stream);
+        if (!entry || entry.stale) return;
+
+        entry.stale = true;
+        entry.staleSince = Date.now();
+        logger.warn(`${stream} is stale`, { lastMessage: entry.lastMessage });
+        this.emit('stale', { stream, symbol: entry.symbol });
+    }
+
+    isStale(symbol) {
+        for (const entry of this.streams.values()) {
+            if (entry.symbol === symbol && entry.stale) return true;
+        }
+        return false;
+    }
+
+    getStatus() {
+        return Array.from(this.streams, ([stream, entry]) => ({
+            stream,
+            symbol: entry.symbol,
+            lastMessage: entry.lastMessage,
+            stale: entry.stale
+        }));
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+
+        if (this.reconnectAttempts === this.reconnectAlertAfter) {
+            const downtime = Date.now() - this.disconnectedAt;
+            logger.error(`${this.name} market streams still down after ${this.reconnectAttempts} reconnect attempts, still retrying`, { downtime });
+            this.emit('failed', { attempts: this.reconnectAttempts, downtime });
+        }
+
+        this.reconnectAttempts++;
+        const delay = reconnectDelay(this.reconnectAttempts, { base: this.reconnectInterval, max: this.maxReconnectDelay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.stopped) return;
+            this.connect();
+        }, delay);
+        this.reconnectTimer.unref?.();
+    }
+}
+
+module.exports = StreamManager;
@@ -0,0 +1,223 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// Number of decimals implied by a step such as "0.00100000"
+function decimalsOf(step) {
+    const [, fraction = ''] = String(step).split('.');
+    return fraction.replace(/0+$/, '').length;
+}
+
+function findFilter(symbolInfo, ...types) {
+    return (symbolInfo.filters || []).find(f => types.includes(f.filterType)) || {};
+}
+
+// Caches exchangeInfo trading rules (tick size, step size, minimums) for one
+// exchange and shapes order parameters so they pass the exchange filters.
+// Symbols without filter data are passed through unchanged.
+class SymbolRules {
+    constructor({ exchange, refreshInterval = config.SYMBOL_RULES?.REFRESH_INTERVAL || 3600000 } = {}) {
+        this.exchange = exchange;
+        this.refreshInterval = refreshInterval;
+        this.rules = new Map();
+        this.lastLoaded = null;
+        this.refreshTimer = null;
+    }
+
+    async start() {
+        await this.load();
+
+        if (!this.refreshTimer && this.refreshInterval > 0) {
+            this.refreshTimer = setInterval(() => {
+                this.load().catch(() => {});
+            }, this.refreshInterval);
+            this.refreshTimer.unref?.();
+        }
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    async load() {
+        try {
+            const exchangeInfo = await this.exchange.getExchangeInfo();
+            const rules = new Map();
+
+            for (const symbolInfo of exchangeInfo?.symbols || []) {
+                const parsed = this.parseSymbol(symbolInfo);
+                if (parsed) rules.set(parsed.symbol, parsed);
+            }
+
+            this.rules = rules;
+            this.lastLoaded = Date.now();
+            logger.binance('Symbol rules loaded', { market: this.exchange.market, symbols: rules.size });
+            return rules;
+        } catch (error) {
+            logger.error('Failed to load symbol rules:', error);
+            throw error;
+        }
+    }
+
+    parseSymbol(symbolInfo) {
+        const priceFilter = findFilter(symbolInfo, 'PRICE_FILTER');
+        const lotSize = findFilter(symbolInfo, 'LOT_SIZE');
+        const marketLotSize = findFilter(symbolInfo, 'MARKET_LOT_SIZE');
+        // Spot uses NOTIONAL/MIN_NOTIONAL.minNotional, futures MIN_NOTIONAL.notional
+        const notional = findFilter(symbolInfo, 'NOTIONAL', 'MIN_NOTIONAL');
+
+        if (!priceFilter.tickSize && !lotSize.stepSize) {
+            return null;
+        }
+
+        const stepSize = parseFloat(lotSize.stepSize) || 0;
+        const marketStepSize = parseFloat(marketLotSize.stepSize) || stepSize;
+
+        return {
+            symbol: symbolInfo.symbol,
+            status: symbolInfo.status,
+            tickSize: parseFloat(priceFilter.tickSize) || 0,
+            minPrice: parseFloat(priceFilter.minPrice) || 0,
+            maxPrice: parseFloat(priceFilter.maxPrice) || 0,
+            stepSize,
+            minQty: parseFloat(lotSize.minQty) || 0,
+            maxQty: parseFloat(lotSize.maxQty) || 0,
+            marketStepSize,
+            marketMinQty: parseFloat(marketLotSize.minQty) || parseFloat(lotSize.minQty) || 0,
+            marketMaxQty: parseFloat(marketLotSize.maxQty) || parseFloat(lotSize.maxQty) || 0,
+            minNotional: parseFloat(notional.minNotional ?? notional.notional) || 0,
+            applyMinToMarket: (notional.applyMinToMarket ?? notional.applyToMarket) !== false,
+            pricePrecision: priceFilter.tickSize ? decimalsOf(priceFilter.tickSize) : symbolInfo.pricePrecision,
+            quantityPrecision: lotSize.stepSize ? decimalsOf(lotSize.stepSize) : symbolInfo.quantityPrecision,
+            marketQuantityPrecision: decimalsOf(marketLotSize.stepSize || lotSize.stepSize || 0)
+        };
+    }
+
+    getRules(symbol) {
+        return this.rules.get(symbol) || null;
+    }
+
+    getMinNotional(symbol) {
+        return this.getRules(symbol)?.minNotional || 0;
+    }
+
+    // Prices snap to the nearest tick
+    roundPrice(symbol, price) {
+        const rules = this.getRules(symbol);
+        const value = parseFloat(price);
+        if (!rules || !rules.tickSize) return value;
+
+        const ticks = Math.round(value / rules.tickSize);
+        return parseFloat((ticks * rules.tickSize).toFixed(rules.pricePrecision));
+    }
+
+    // Quantities always round down so the order never exceeds what was sized
+    roundQuantity(symbol, quantity, { market = false } = {}) {
+        const rules = this.getRules(symbol);
+        const value = parseFloat(quantity);
+        if (!rules) return value;
+
+        const step = market ? rules.marketStepSize : rules.stepSize;
+        if (!step) return value;
+
+        const precision = market ? rules.marketQuantityPrecision : rules.quantityPrecision;
+        // The epsilon keeps 0.3 / 0.1 from flooring to 2 steps
+        const steps = Math.floor(value / step + 1e-9);
+        return parseFloat((steps * step).toFixed(precision));
+    }
+
+    formatPrice(symbol, price) {
+        const rules = this.getRules(symbol);
+        const rounded = this.roundPrice(symbol, price);
+        return rules?.tickSize ? rounded.toFixed(rules.pricePrecision) : String(rounded);
+    }
+
+    formatQuantity(symbol, quantity, options = {}) {
+        const rules = this.getRules(symbol);
+        const rounded = this.roundQuantity(symbol, quantity, options);
+        if (!rules || !(options.market ? rules.marketStepSize : rules.stepSize)) return String(rounded);
+
+        const precision = options.market ? rules.marketQuantityPrecision : rules.quantityPrecision;
+        return rounded.toFixed(precision);
+    }
+
+    // Returns the reason an order would be rejected, or null when it passes
+    checkOrder(symbol, { quantity, price, market = false, reduceOnly = false }) {
+        const rules = this.getRules(symbol);
+        if (!rules) return null;
+
+        if (rules.status && rules.status !== 'TRADING') {
+            return `${symbol} is not trading (${rules.status})`;
+        }
+
+        const qty = parseFloat(quantity);
+        const minQty = market ? rules.marketMinQty : rules.minQty;
+        const maxQty = market ? rules.marketMaxQty : rules.maxQty;
+
+        if (!qty || qty <= 0 || qty < minQty) {
+            return `Quantity ${qty} below minimum ${minQty} (LOT_SIZE)`;
+        }
+        if (maxQty && qty > maxQty) {
+            return `Quantity ${qty} above maximum ${maxQty} (LOT_SIZE)`;
+        }
+
+        const value = parseFloat(price);
+        if (value && rules.minPrice && value < rules.minPrice) {
+            return `Price ${value} below minimum ${rules.minPrice} (PRICE_FILTER)`;
+        }
+        if (value && rules.maxPrice && value > rules.maxPrice) {
+            return `Price ${value} above maximum ${rules.maxPrice} (PRICE_FILTER)`;
+        }
+
+        // Reduce-only orders are exempt from the notional minimum
+        const checkNotional = !reduceOnly && (!market || rules.applyMinToMarket);
+        if (checkNotional && value && rules.minNotional && qty * value < rules.minNotional) {
+            return `Notional ${(qty * value).toFixed(2)} below minimum ${rules.minNotional} (MIN_NOTIONAL)`;
+        }
+
+        return null;
+    }
+
+    // Rounds price, stopPrice, activationPrice and quantity to the symbol filters and validates
+    // the result. referencePrice is used for the notional check on MARKET and
+    // stop orders, which carry no limit price.
+    prepareOrder(orderParams, referencePrice = null) {
+        const { symbol } = orderParams;
+        const market = orderParams.type === 'MARKET';
+        const params = { ...orderParams };
+
+        if (params.quantity !== undefined) {
+            params.quantity = this.formatQuantity(symbol, params.quantity, { market });
+        }
+        if (params.price) {
+            params.price = this.formatPrice(symbol, params.price);
+        }
+        if (params.stopPrice) {
+            params.stopPrice = this.formatPrice(symbol, params.stopPrice);
+        }
+        if (params.activationPrice) {
+            params.activationPrice = this.formatPrice(symbol, params.activationPrice);
+        }
+
+        if (params.quantity !== undefined && !params.closePosition) {
+            const reason = this.checkOrder(symbol, {
+                quantity: params.quantity,
+                price: params.price || params.stopPrice || referencePrice,
+                market,
+                reduceOnly: params.reduceOnly === true || params.reduceOnly === 'true'
+            });
+
+            if (reason) {
+                const error = new Error(`Order rejected by ${symbol} filters: ${reason}`);
+                error.code = 'FILTER_FAILURE';
+                throw error;
+            }
+        }
+
+        return params;
+    }
+}
+
+module.exports = SymbolRules;
@@ -0,0 +1,211 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const config = require('../config/config');
+const { reconnectDelay } = require('../utils/backoff');
+
+// Account event stream behind a Binance listenKey. The key expires 60 minutes
+// after its last keepalive, so it is refreshed on an interval; a failed
+// keepalive or a listenKeyExpired event gets a fresh key and a new socket.
+// Reconnects back off exponentially and never stop; failed is raised once the
+// attempts reach reconnectAlertAfter.
+//
+// listenKeyApi: { create() -> listenKey, keepAlive(listenKey), close(listenKey) }
+// Events: event (parsed payload), connected, disconnected, renewed,
+// reconnected ({ downtime, attempts }), failed ({ attempts, downtime })
+class UserDataStream extends EventEmitter {
+    constructor({
+        name,
+        streamUrl,
+        listenKeyApi,
+        keepAliveInterval = config.WEBSOCKET.LISTEN_KEY_KEEPALIVE_INTERVAL,
+        reconnectInterval = config.WEBSOCKET.RECONNECT_INTERVAL,
+        maxReconnectDelay = config.WEBSOCKET.MAX_RECONNECT_DELAY,
+        reconnectAlertAfter = config.WEBSOCKET.RECONNECT_ALERT_AFTER
+    }) {
+        super();
+        this.name = name;
+        this.streamUrl = streamUrl;
+        this.listenKeyApi = listenKeyApi;
+        this.keepAliveInterval = keepAliveInterval;
+        this.reconnectInterval = reconnectInterval;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.reconnectAlertAfter = reconnectAlertAfter;
+
+        this.listenKey = null;
+        this.ws = null;
+        this.connected = false;
+        this.stopped = true;
+        this.renewing = false;
+        this.reconnectAttempts = 0;
+        this.disconnectedAt = null;
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+    }
+
+    async start() {
+        this.stopped = false;
+        await this.openListenKey();
+        this.connect();
+        this.scheduleKeepAlive();
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.connected = false;
+        clearInterval(this.keepAliveTimer);
+        clearTimeout(this.reconnectTimer);
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.terminate();
+        }
+
+        if (this.listenKey) {
+            const listenKey = this.listenKey;
+            this.listenKey = null;
+            await this.listenKeyApi.close(listenKey).catch((error) => {
+                logger.error(`Failed to close ${this.name} listenKey:`, error.message);
+            });
+        }
+
+        logger.binance(`${this.name} user data stream stopped`);
+    }
+
+    async openListenKey() {
+        this.listenKey = await this.listenKeyApi.create();
+        if (!this.listenKey) {
+            throw new Error(`No listenKey returned for the ${this.name} user data stream`);
+        }
+    }
+
+    connect() {
+        const ws = new WebSocket(`${this.streamUrl}/${this.listenKey}`);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            const attempts = this.reconnectAttempts;
+            this.connected = true;
+            this.reconnectAttempts = 0;
+            logger.binance(`${this.name} user data stream connected`);
+            this.emit('connected');
+
+            if (this.disconnectedAt) {
+                const downtime = Date.now() - this.disconnectedAt;
+                this.disconnectedAt = null;
+                this.emit('reconnected', { downtime, attempts });
+            }
+        });
+
+        ws.on('message', (raw) => this.handleMessage(raw));
+
+        ws.on('error', (error) => {
+            logger.error(`${this.name} user data stream error:`, error.message);
+        });
+
+        ws.on('close', () => {
+            // Sockets replaced by a renewal close on purpose
+            if (this.ws !== ws) return;
+
+            this.connected = false;
+            this.disconnectedAt = this.disconnectedAt || Date.now();
+            this.emit('disconnected');
+            if (!this.stopped) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    handleMessage(raw) {
+        let event;
+        try {
+            event = JSON.parse(raw.toString());
+        } catch (error) {
+            logger.error(`Failed to parse ${this.name} user data event:`, error.message);
+            return;
+        }
+
+        if (event.e === 'listenKeyExpired') {
+            logger.warn(`${this.name} listenKey expired, renewing`);
+            this.renew();
+            return;
+        }
+
+        this.emit('event', event);
+    }
+
+    scheduleKeepAlive() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveInterval);
+        this.keepAliveTimer.unref?.();
+    }
+
+    async keepAlive() {
+        if (this.stopped || !this.listenKey) return;
+
+        try {
+            await this.listenKeyApi.keepAlive(this.listenKey);
+        } catch (error) {
+            logger.warn(`${this.name} listenKey keepalive failed, renewing:`, error.message);
+            await this.renew();
+        }
+    }
+
+    // New key, new socket; the old socket is dropped once the new one is made
+    async renew() {
+        if (this.renewing || this.stopped) return;
+        this.renewing = true;
+
+        try {
+            await this.openListenKey();
+
+            const previous = this.ws;
+            this.connect();
+            previous?.terminate();
+
+            metrics.websocketReconnects.inc({ stream: `${this.name}_user_data` });
+            logger.binance(`${this.name} user data stream renewed`);
+            this.emit('renewed');
+        } catch (error) {
+            logger.error(`Failed to renew ${this.name} user data stream:`, error.message);
+            this.disconnectedAt = this.disconnectedAt || Date.now();
+            this.scheduleReconnect();
+        } finally {
+            this.renewing = false;
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+
+        if (this.reconnectAttempts === this.reconnectAlertAfter) {
+            const downtime = Date.now() - this.disconnectedAt;
+            logger.error(`${this.name} user data stream still down after ${this.reconnectAttempts} reconnect attempts, still retrying`, { downtime });
+            this.emit('failed', { attempts: this.reconnectAttempts, downtime });
+        }
+
+        this.reconnectAttempts++;
+        const delay = reconnectDelay(this.reconnectAttempts, { base: this.reconnectInterval, max: this.maxReconnectDelay });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.stopped) return;
+
+            // A key that still answers keepalives can be reused
+            try {
+                await this.listenKeyApi.keepAlive(this.listenKey);
+                this.connect();
+                metrics.websocketReconnects.inc({ stream: `${this.name}_user_data` });
+            } catch (error) {
+                await this.renew();
+            }
+        }, delay);
+        this.reconnectTimer.unref?.();
+    }
+}
+
+module.exports = UserDataStream;
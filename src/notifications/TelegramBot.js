@@ -1,5 +1,6 @@
 const TelegramBotAPI = require('node-telegram-bot-api');
 const EventEmitter = require('events');
+const config = require('../config/config');
 
 class TelegramBot extends EventEmitter {
     constructor(token, chatId) {
@@ -15,8 +16,9 @@ class TelegramBot extends EventEmitter {
             this.authorizedUsers.add(parseInt(chatId));
         }
         
-        // Trading bot reference (will be set externally)
+        // Trading bot and futures strategy references (will be set externally)
         this.tradingBot = null;
+        this.futuresStrategy = null;
     }
 
     async initialize() {
@@ -170,6 +172,22 @@ class TelegramBot extends EventEmitter {
                     await this.handleSettings(chatId);
                     break;
                     
+                case '/risk':
+                    await this.handleRisk(chatId);
+                    break;
+                    
+                case '/futuresstatus':
+                    await this.handleFuturesStatus(chatId);
+                    break;
+                    
+                case '/positions':
+                    await this.handlePositions(chatId);
+                    break;
+                    
+                case '/trailing':
+                    await this.handleTrailing(chatId, args);
+                    break;
+                    
                 case '/id':
                     await this.handleGetId(chatId, msg);
                     break;
@@ -245,6 +263,12 @@ Welcome ${user.first_name}! Your advanced trading assistant is ready.
 /starttrading - Start automated trading
 /stoptrading - Stop automated trading
 /emergency - Emergency stop all trades
+/risk - Risk limits and correlated pairs
+
+🔹 *Futures Commands:*
+/futuresstatus - Per-symbol futures status
+/positions - Open futures positions
+/trailing - Trailing stop settings
 
 🔹 *Settings:*
 /settings - Bot configuration
@@ -553,6 +577,181 @@ Use the buttons below to modify settings.`;
         });
     }
 
+    async handleRisk(chatId) {
+        const riskManager = this.tradingBot?.riskManager;
+        if (!riskManager) {
+            await this.sendMessage(chatId, '❌ Risk manager not initialized');
+            return;
+        }
+
+        await riskManager.refreshExposure();
+        const risk = riskManager.getStatus();
+        const { correlation } = risk;
+
+        // Pairs that count as one bet, strongest first
+        const pairs = [];
+        correlation.symbols.forEach((a, i) => {
+            correlation.symbols.slice(i + 1).forEach(b => {
+                const value = correlation.matrix[a][b];
+                if (value !== undefined && Math.abs(value) >= correlation.threshold) {
+                    pairs.push({ a, b, value });
+                }
+            });
+        });
+        pairs.sort((x, y) => Math.abs(y.value) - Math.abs(x.value));
+
+        const state = risk.tradingState;
+        let riskMessage = `🛡️ *Risk*
+
+🚦 *Trading state:* ${state.state.replace(/_/g, ' ')}${state.reason ? ` (${state.reason.replace(/_/g, ' ')})` : ''}${state.until ? ` until ${new Date(state.until).toLocaleTimeString()}` : ''}
+📉 *Daily P&L:* ${risk.portfolioRisk.dailyPnLPercent.toFixed(2)}% (limit -${risk.riskLimits.maxDailyLoss}%)
+📦 *Gross exposure:* ${risk.portfolioRisk.exposurePercent.toFixed(1)}% (limit ${risk.riskLimits.maxGrossExposure}%)
+⚖️ *Net exposure:* ${risk.portfolioRisk.netExposurePercent.toFixed(1)}% (limit ${risk.riskLimits.maxNetExposure}%)
+🏦 *Margin usage:* ${risk.portfolioRisk.marginUsagePercent.toFixed(1)}% (limit ${risk.riskLimits.maxMarginUsage}%)
+💥 *Nearest liquidation:* ${risk.portfolioRisk.minLiquidationDistance === null ? '-' : `${risk.portfolioRisk.minLiquidationDistance.toFixed(1)}%`}
+📊 *Correlated exposure cap:* ${risk.riskLimits.maxCorrelatedExposure}% of capital
+🔗 *Correlation threshold:* ${correlation.threshold} on ${correlation.interval || '-'} returns
+
+🔗 *Correlated pairs:*
+`;
+        if (pairs.length === 0) {
+            riskMessage += correlation.symbols.length > 0 ? '• None above threshold' : '• Not enough price history yet';
+        } else {
+            riskMessage += pairs.slice(0, 10).map(p => `• ${p.a} / ${p.b}: ${p.value.toFixed(2)}`).join('\n');
+        }
+
+        await this.sendMessage(chatId, riskMessage, { parse_mode: 'Markdown' });
+    }
+
+    async handleFuturesStatus(chatId) {
+        const futuresStrategy = this.futuresStrategy;
+        if (!futuresStrategy) {
+            await this.sendMessage(chatId, '❌ Futures strategy not available');
+            return;
+        }
+
+        const status = futuresStrategy.getStatus();
+        const dailyStats = futuresStrategy.getDailyStats();
+        const breakdown = await futuresStrategy.getSymbolBreakdown();
+
+        let statusMessage = `📊 *Futures Status*
+
+🤖 *Strategy:* ${status.isRunning ? '🟢 Active' : '🔴 Inactive'}
+📦 *Positions:* ${breakdown.openPositions}/${breakdown.caps.maxOpenPositions}
+💳 *Margin:* ${breakdown.usedMargin.toFixed(2)}/${breakdown.caps.maxTotalMarginUsdt} USDT
+💵 *Daily P&L:* ${dailyStats.pnl > 0 ? '+' : ''}${dailyStats.pnl.toFixed(2)} (${dailyStats.trades} trades)
+
+📈 *Per Symbol:*
+`;
+        for (const entry of breakdown.symbols) {
+            const { settings, stats } = entry;
+            const sides = entry.positions.map(p => p.side).join('/') || 'flat';
+
+            statusMessage += `*${entry.symbol}*${entry.configured ? '' : ' (not configured)'} - ${sides}\n` +
+                `⚡ ${settings.leverage}x ${settings.marginType} | 💰 ${settings.qtyUsdt} USDT | ` +
+                `🎯 TP ${settings.tpPercent}% | 🛑 SL ${settings.slPercent}%\n` +
+                `🔢 ${stats.trades} trades (${stats.wins}W/${stats.losses}L) | ` +
+                `💵 ${stats.pnl > 0 ? '+' : ''}${stats.pnl.toFixed(2)}` +
+                (entry.positions.length > 0 ? ` | uPnL ${entry.unrealizedPnl.toFixed(2)}` : '') + '\n\n';
+        }
+
+        await this.sendMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+    }
+
+    async handlePositions(chatId) {
+        const futuresStrategy = this.futuresStrategy;
+        if (!futuresStrategy) {
+            await this.sendMessage(chatId, '❌ Futures strategy not available');
+            return;
+        }
+
+        const breakdown = await futuresStrategy.getSymbolBreakdown();
+        if (breakdown.openPositions === 0) {
+            await this.sendMessage(chatId, '📊 No open futures positions');
+            return;
+        }
+
+        let positionsMessage = '📊 *Open Futures Positions*\n\n';
+        for (const entry of breakdown.symbols.filter(e => e.positions.length > 0)) {
+            positionsMessage += `*${entry.symbol}* (${entry.settings.leverage}x, margin ${entry.margin.toFixed(2)} USDT)\n`;
+
+            for (const position of entry.positions) {
+                const pnl = parseFloat(position.unRealizedProfit) || 0;
+                positionsMessage += `${pnl >= 0 ? '🟢' : '🔴'} *${position.side}* ${position.size} @ ${position.entryPrice}\n` +
+                    `PnL: ${pnl > 0 ? '+' : ''}${pnl.toFixed(2)}\n` +
+                    `Stop: ${position.stopLoss || 'N/A'}${position.breakEvenSet ? ' (break-even)' : ''}\n`;
+
+                // Take-profit ladder progress; the runner rides the stop instead
+                if (position.tpLadder) {
+                    const rungs = position.tpLadder.filter(r => r.rung !== 'runner');
+                    const filled = rungs.filter(r => r.status === 'filled').length;
+                    const runner = position.tpLadder.find(r => r.rung === 'runner');
+                    positionsMessage += `TP ladder: ${filled}/${rungs.length} filled` +
+                        (runner ? `, runner ${runner.status}` : '') + '\n';
+                }
+                positionsMessage += '\n';
+            }
+        }
+
+        positionsMessage += `Open: ${breakdown.openPositions}/${breakdown.caps.maxOpenPositions} | ` +
+            `Margin: ${breakdown.usedMargin.toFixed(2)}/${breakdown.caps.maxTotalMarginUsdt} USDT`;
+
+        await this.sendMessage(chatId, positionsMessage, { parse_mode: 'Markdown' });
+    }
+
+    // Plain text: trading mode names and percentages don't need Markdown
+    async handleTrailing(chatId, args) {
+        const futuresStrategy = this.futuresStrategy;
+        if (!futuresStrategy) {
+            await this.sendMessage(chatId, '❌ Futures strategy not available');
+            return;
+        }
+
+        const action = args[0]?.toLowerCase();
+        if (!action) {
+            const { tradingMode, trailingStop } = futuresStrategy.settings;
+            await this.sendMessage(chatId,
+                `Trailing stop (${tradingMode} mode): ${trailingStop.type}\n` +
+                `Activation: +${trailingStop.activationPercent}%\n` +
+                `Callback rate: ${trailingStop.callbackRate}% (native)\n` +
+                `ATR multiplier: ${trailingStop.atrMultiplier}x (atr)\n\n` +
+                'Use:\n' +
+                '/trailing off\n' +
+                '/trailing native [callback % 0.1-5]\n' +
+                '/trailing atr [ATR multiplier]\n' +
+                '/trailing activation [percent]\n' +
+                `/trailing mode [${Object.keys(config.TRADING_MODES).join('|')}]`
+            );
+            return;
+        }
+
+        try {
+            let trailingStop;
+            if (action === 'mode') {
+                trailingStop = futuresStrategy.setTradingMode(args[1]?.toLowerCase());
+            } else if (action === 'activation') {
+                if (isNaN(parseFloat(args[1]))) {
+                    await this.sendMessage(chatId, '❌ Use: /trailing activation [percent]');
+                    return;
+                }
+                trailingStop = futuresStrategy.updateTrailingStop({ activationPercent: args[1] });
+            } else if (action === 'native') {
+                trailingStop = futuresStrategy.updateTrailingStop({ type: 'native', callbackRate: args[1] });
+            } else if (action === 'atr') {
+                trailingStop = futuresStrategy.updateTrailingStop({ type: 'atr', atrMultiplier: args[1] });
+            } else {
+                trailingStop = futuresStrategy.updateTrailingStop({ type: action });
+            }
+
+            await this.sendMessage(chatId,
+                `✅ Trailing stop: ${trailingStop.type} ` +
+                `(activation +${trailingStop.activationPercent}%, callback ${trailingStop.callbackRate}%, ` +
+                `ATR x${trailingStop.atrMultiplier})\nApplies to new positions.`);
+        } catch (error) {
+            await this.sendMessage(chatId, `❌ Failed to update trailing stop: ${error.message}`);
+        }
+    }
+
     async handleGetId(chatId, msg) {
         const user = msg.from;
         const idMessage = `🆔 *Your Information:*
@@ -672,6 +871,76 @@ ${action === 'opened' ? '🎯 Trade is now active!' : `💰 P&L: $${trade.profit
         return await this.sendNotification(message, { parse_mode: 'Markdown' });
     }
 
+    async sendReconciliationReport(report) {
+        const lines = [
+            ...(report.adopted || []).map(p => `📥 Adopted ${p.side} ${p.symbol} (${p.size})`),
+            ...(report.closed || []).map(t => `📕 Closed while offline: ${t.symbol}${t.pnl !== undefined ? ` (P&L: $${t.pnl.toFixed(2)})` : ''}`),
+            ...(report.protectiveOrdersPlaced || []).map(o => `🛡️ Re-placed ${o.type.replace('_', ' ')} for ${o.symbol} @ ${o.price}`),
+            ...(report.cancelledOrders || []).map(o => `🗑️ Cancelled orphan ${o.type} order on ${o.symbol}`),
+            ...(report.flagged || []).map(f => `⚠️ ${f.symbol}: ${f.issue.replace(/_/g, ' ')}`)
+        ];
+
+        const message = `🔍 *${report.source === 'futures' ? 'Futures' : 'Spot'} Reconciliation*
+
+✅ Matched: ${report.matched.length}
+❗ Discrepancies: ${report.discrepancies}
+
+${lines.join('\n')}`;
+
+        return await this.sendNotification(message, { parse_mode: 'Markdown' });
+    }
+
+    async sendTradingStateChange(change) {
+        const emoji = { ACTIVE: '🟢', COOLDOWN: '🟡', HALTED_FOR_DAY: '🟠', KILLED: '🔴' }[change.to] || '🚦';
+        const details = Object.entries(change.details || {})
+            .map(([key, value]) => `• ${key}: ${typeof value === 'number' ? Number(value.toFixed(2)) : value}`);
+
+        // Plain text: error messages in the details may not be valid Markdown
+        const message = `${emoji} Trading ${change.to.replace(/_/g, ' ')}
+
+Was: ${change.from.replace(/_/g, ' ')}
+Reason: ${change.reason.replace(/_/g, ' ')}
+${change.until ? `Until: ${new Date(change.until).toLocaleString()}\n` : ''}${details.join('\n')}`;
+
+        return await this.sendNotification(message);
+    }
+
+    async sendStreamAlert(alert) {
+        const name = `${alert.market} ${alert.stream.replace('_', ' ')} stream`;
+        const minutes = alert.downtime ? Math.round(alert.downtime / 60000) : 0;
+        let message;
+        if (alert.type === 'recovered') {
+            message = `✅ The ${name} is back after ${minutes} min`;
+        } else if (alert.type === 'stale') {
+            message = `🔌 The ${name} is connected but silent for: ${alert.streams.map(s => s.stream).join(', ')}\n\nAffected symbols are skipped until data flows again.`;
+        } else {
+            message = `🔌 The ${name} is down (${alert.attempts} reconnect attempts, ${minutes} min)\n\nStill retrying. Until it is back, ${alert.stream === 'market' ? 'symbols are stale and no entries are made' : 'fills and exchange-side closes are picked up by polling'}.`;
+        }
+
+        return await this.sendNotification(message);
+    }
+
+    async sendMarginAlert(alert) {
+        const emoji = { normal: '✅', warning: '⚠️', critical: '🚨' }[alert.level];
+        const lines = [
+            `${emoji} Margin ratio ${alert.level.toUpperCase()}: ${alert.symbol} ${alert.side}`,
+            '',
+            `Margin ratio: ${alert.marginRatio.toFixed(1)}% (${alert.marginType})`,
+            `Maintenance margin: ${alert.maintMargin.toFixed(2)} USDT of ${alert.marginBalance.toFixed(2)} USDT`,
+            `Mark price: ${alert.markPrice}`
+        ];
+        if (alert.liquidationPrice) {
+            lines.push(`Liquidation: ${Number(alert.liquidationPrice.toFixed(4))} (${alert.liquidationDistance.toFixed(2)}% away)`);
+        }
+        if (alert.deleveraged) {
+            lines.push(`Deleveraged: closed ${alert.deleveraged.quantity} (${alert.deleveraged.percent}%)`);
+        } else if (alert.level === 'critical') {
+            lines.push('Consider reducing the position or adding margin');
+        }
+
+        return await this.sendNotification(lines.join('\n'));
+    }
+
     async sendStartupNotification() {
         const message = `🚀 *Crypto Trading Bot Started*
 
@@ -701,6 +970,10 @@ Send /start to begin.`;
     setTradingBot(tradingBot) {
         this.tradingBot = tradingBot;
     }
+
+    setFuturesStrategy(futuresStrategy) {
+        this.futuresStrategy = futuresStrategy;
+    }
 }
 
 module.exports = TelegramBot;
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// Append-only JSONL journal. Every record is written synchronously so a crash
+// or PM2 restart never loses an acknowledged trade, and state is rebuilt by
+// replaying the files in order.
+const STREAMS = {
+    trades: 'trades.jsonl',
+    orders: 'orders.jsonl',
+    futures: 'futures_positions.jsonl',
+    dailyStats: 'daily_stats.jsonl',
+    riskEvents: 'risk_events.jsonl',
+    audit: 'audit.jsonl'
+};
+
+// Event streams only matter for the day they were written, so each day's file
+// is moved to archive/. The trade and position streams are needed to rebuild
+// open trades, so they are compacted to the latest record of each trade instead.
+const ROTATED_STREAMS = ['orders', 'dailyStats', 'riskEvents', 'audit'];
+const COMPACTED_STREAMS = {
+    trades: data => data.id,
+    futures: data => data.orderId
+};
+
+function dayStamp(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+class TradeJournal {
+    constructor({ dataDir } = {}) {
+        this.dataDir = path.resolve(dataDir || config.JOURNAL.DATA_DIR);
+        this.initialized = false;
+        this.closedFuturesPositions = null;
+        this.tailSize = config.JOURNAL.TAIL_SIZE;
+        this.tails = {};
+        this.day = null;
+    }
+
+    initialize() {
+        if (this.initialized) return;
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.initialized = true;
+        this.rollover();
+
+        logger.info('Trade journal initialized', { dataDir: this.dataDir });
+    }
+
+    append(stream, type, data) {
+        try {
+            this.initialize();
+            this.rollover();
+
+            const record = { timestamp: Date.now(), type, data };
+            fs.appendFileSync(path.join(this.dataDir, STREAMS[stream]), JSON.stringify(record) + '\n');
+
+            const tail = this.tails[stream];
+            if (tail) {
+                tail.push(record);
+                if (tail.length > this.tailSize) tail.shift();
+            }
+            return record;
+        } catch (error) {
+            // Journaling must never block trading
+            logger.error(`Failed to write ${stream} journal record:`, error);
+            return null;
+        }
+    }
+
+    read(stream) {
+        const filePath = path.join(this.dataDir, STREAMS[stream]);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const records = [];
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line after a crash is expected, anything else is worth a warning
+                logger.warn(`Skipping unreadable ${stream} journal line`, { line: line.slice(0, 200) });
+            }
+        }
+
+        return records;
+    }
+
+    // Runs on startup and on the first write of every day
+    rollover() {
+        const today = dayStamp(Date.now());
+        if (this.day === today) return;
+        this.day = today;
+
+        for (const stream of ROTATED_STREAMS) {
+            try {
+                this.archive(stream, today);
+            } catch (error) {
+                logger.error(`Failed to archive the ${stream} journal:`, error);
+            }
+        }
+
+        for (const [stream, keyOf] of Object.entries(COMPACTED_STREAMS)) {
+            try {
+                this.compact(stream, keyOf);
+            } catch (error) {
+                logger.error(`Failed to compact the ${stream} journal:`, error);
+            }
+        }
+    }
+
+    // Named after the day of the last write; a day already archived (a clock
+    // change, or a file restored by hand) gets the new records appended
+    archive(stream, today) {
+        const filePath = path.join(this.dataDir, STREAMS[stream]);
+        if (!fs.existsSync(filePath)) return;
+
+        const day = dayStamp(fs.statSync(filePath).mtimeMs);
+        if (day === today) return;
+
+        const archiveDir = path.join(this.dataDir, 'archive');
+        const archivePath = path.join(archiveDir, STREAMS[stream].replace('.jsonl', `.${day}.jsonl`));
+        fs.mkdirSync(archiveDir, { recursive: true });
+
+        if (fs.existsSync(archivePath)) {
+            fs.appendFileSync(archivePath, fs.readFileSync(filePath));
+            fs.unlinkSync(filePath);
+        } else {
+            fs.renameSync(filePath, archivePath);
+        }
+
+        logger.info(`Archived ${stream} journal`, { file: archivePath });
+    }
+
+    // Keeps every closed record and the latest record of each open trade, which
+    // is all the replay in loadSpotTrades / loadFuturesPositions ends up using.
+    // Trailing stop moves otherwise add an updated record per step.
+    compact(stream, keyOf) {
+        const records = this.read(stream);
+        const latest = new Map();
+
+        records.forEach((record, index) => {
+            if (record.type !== 'closed') latest.set(keyOf(record.data), index);
+        });
+        const closedKeys = new Set(records.filter(r => r.type === 'closed').map(r => keyOf(r.data)));
+
+        const kept = records.filter((record, index) => {
+            if (record.type === 'closed') return true;
+            const key = keyOf(record.data);
+            return !closedKeys.has(key) && latest.get(key) === index;
+        });
+        if (kept.length === records.length) return;
+
+        const filePath = path.join(this.dataDir, STREAMS[stream]);
+        fs.writeFileSync(`${filePath}.tmp`, kept.map(record => JSON.stringify(record) + '\n').join(''));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+
+        logger.info(`Compacted ${stream} journal`, { before: records.length, after: kept.length });
+    }
+
+    // The latest records of a tailed stream, read from the file once and then
+    // kept current by append
+    tail(stream) {
+        if (!this.tails[stream]) {
+            this.tails[stream] = this.read(stream).slice(-this.tailSize);
+        }
+        return this.tails[stream];
+    }
+
+    // Whole-state snapshots (the paper exchanges) are rewritten on every save,
+    // through a temp file so a crash mid-write keeps the previous snapshot
+    saveSnapshot(name, state) {
+        try {
+            this.initialize();
+
+            const filePath = path.join(this.dataDir, `${name}.json`);
+            fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(state));
+            fs.renameSync(`${filePath}.tmp`, filePath);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to write ${name} snapshot:`, error);
+            return false;
+        }
+    }
+
+    loadSnapshot(name) {
+        const filePath = path.join(this.dataDir, `${name}.json`);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read ${name} snapshot:`, error);
+            return null;
+        }
+    }
+
+    // Spot trades
+    recordTradeOpened(trade) {
+        return this.append('trades', 'opened', trade);
+    }
+
+    recordTradeUpdated(trade) {
+        return this.append('trades', 'updated', trade);
+    }
+
+    recordTradeClosed(trade) {
+        return this.append('trades', 'closed', trade);
+    }
+
+    // Orders from either engine
+    recordOrder(source, order, context = {}) {
+        return this.append('orders', source, { ...context, order });
+    }
+
+    // Futures positions
+    recordPositionOpened(position) {
+        return this.append('futures', 'opened', position);
+    }
+
+    recordPositionUpdated(position) {
+        return this.append('futures', 'updated', position);
+    }
+
+    recordPositionClosed(position, details = {}) {
+        const record = this.append('futures', 'closed', { ...position, ...details });
+        if (record && this.closedFuturesPositions) {
+            this.closedFuturesPositions.push(record.data);
+        }
+        return record;
+    }
+
+    recordDailyStats(source, stats) {
+        return this.append('dailyStats', source, stats);
+    }
+
+    recordRiskEvent(event) {
+        return this.append('riskEvents', event.type, event);
+    }
+
+    recordAuditEvent(entry) {
+        return this.append('audit', entry.action, entry);
+    }
+
+    // Rehydration
+    loadSpotTrades() {
+        const activeTrades = new Map();
+        const tradeHistory = [];
+
+        for (const { type, data } of this.read('trades')) {
+            if (type === 'opened' || type === 'updated') {
+                activeTrades.set(data.id, data);
+            } else if (type === 'closed') {
+                activeTrades.delete(data.id);
+                tradeHistory.push(data);
+            }
+        }
+
+        return { activeTrades, tradeHistory };
+    }
+
+    loadFuturesPositions() {
+        const activePositions = new Map();
+        const closedPositions = [];
+
+        for (const { type, data } of this.read('futures')) {
+            if (type === 'opened' || type === 'updated') {
+                activePositions.set(data.orderId, data);
+            } else if (type === 'closed') {
+                activePositions.delete(data.orderId);
+                closedPositions.push(data);
+            }
+        }
+
+        return { activePositions, closedPositions };
+    }
+
+    // Read from the file once, then kept current by recordPositionClosed so
+    // the dashboard and metrics don't replay the whole stream on every poll
+    getClosedFuturesPositions() {
+        if (!this.closedFuturesPositions) {
+            this.closedFuturesPositions = this.loadFuturesPositions().closedPositions;
+        }
+        return this.closedFuturesPositions.slice();
+    }
+
+    loadDailyStats(source, date = new Date().toDateString()) {
+        const records = this.read('dailyStats').filter(r => r.type === source && r.data.date === date);
+        return records.length > 0 ? records[records.length - 1].data : null;
+    }
+
+    loadRiskEvents(limit = 100) {
+        return this.tail('riskEvents').slice(-limit).map(r => r.data);
+    }
+
+    loadAuditEvents(limit = 100) {
+        return this.tail('audit').slice(-limit).map(r => ({ timestamp: r.timestamp, ...r.data }));
+    }
+
+    getOrders(source = null) {
+        return this.read('orders')
+            .filter(r => !source || r.type === source)
+            .map(r => ({ timestamp: r.timestamp, ...r.data }));
+    }
+}
+
+module.exports = TradeJournal;
@@ -5,19 +5,62 @@
 const { EventEmitter } = require('events');
 const cron = require('cron');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const config = require('../config/config');
+const SymbolRules = require('../exchange/SymbolRules');
+const StrategyRegistry = require('./StrategyRegistry');
+const PositionSizer = require('../core/PositionSizer');
+const LiquidationEstimator = require('../core/LiquidationEstimator');
+
+// Settings that can differ per symbol, with the limits every value is clamped to
+const SYMBOL_SETTING_LIMITS = {
+    leverage: [1, 50],
+    qtyUsdt: [1, 1000],
+    tpPercent: [0.1, 5],
+    slPercent: [0.1, 3],
+    rsiLongThreshold: [15, 40],
+    rsiShortThreshold: [60, 85]
+};
+
+function clampSetting(key, value) {
+    const [min, max] = SYMBOL_SETTING_LIMITS[key];
+    return Math.min(Math.max(value, min), max);
+}
+
+const TRAILING_STOP_TYPES = ['off', 'native', 'atr'];
+
+// Binance accepts callback rates between 0.1% and 5% in 0.1 steps
+const TRAILING_STOP_LIMITS = {
+    activationPercent: [0, 10],
+    callbackRate: [0.1, 5],
+    atrMultiplier: [0.5, 10]
+};
 
 class FuturesStrategy extends EventEmitter {
-    constructor({ binanceFuturesAPI, marketAnalyzer, aiAnalyzer, riskManager }) {
+    // The Control API validates runtime changes against the same ranges
+    static SYMBOL_SETTING_LIMITS = SYMBOL_SETTING_LIMITS;
+
+    constructor({ exchange, marketAnalyzer, aiAnalyzer, riskManager, journal, symbolRules, strategies }) {
         super();
         
-        this.binanceFuturesAPI = binanceFuturesAPI;
+        this.exchange = exchange;
+        this.symbolRules = symbolRules || new SymbolRules({ exchange });
         this.marketAnalyzer = marketAnalyzer;
         this.aiAnalyzer = aiAnalyzer;
         this.riskManager = riskManager;
+        this.journal = journal || null;
+
+        // Entry signal plugins; index.js shares one registry with the spot bot
+        this.strategies = strategies || StrategyRegistry.createDefault({ context: { aiAnalyzer, marketAnalyzer } });
+        this.positionSizer = new PositionSizer();
+        this.closedPnls = []; // Recent closed position P&L, for Kelly sizing
+        this.liquidationEstimator = new LiquidationEstimator();
+        this.leverageBrackets = new Map(); // symbol -> { brackets, fetchedAt }
+        this.marginLevels = new Map(); // symbol -> last margin ratio level
         
-        // Strategy settings with validation
+        // Strategy settings with validation; per-symbol values default to the global ones
         this.settings = this.validateAndSetSettings();
+        this.symbolSettings = this.buildSymbolSettings();
         
         // State management
         this.isRunning = false;
@@ -37,25 +80,121 @@ class FuturesStrategy extends EventEmitter {
 
     validateAndSetSettings() {
         const settings = {
-            symbol: config.DEFAULT_FUTURES_SYMBOL || 'BTCUSDT',
-            leverage: Math.min(Math.max(config.FUTURES_LEVERAGE || 10, 1), 50), // Limit leverage
-            qtyUsdt: Math.min(Math.max(config.FUTURES_QTY_USDT || 20, 1), 1000), // Limit position size
-            tpPercent: Math.min(Math.max(config.FUTURES_TP_PERCENT || 0.6, 0.1), 5), // Limit TP
-            slPercent: Math.min(Math.max(config.FUTURES_SL_PERCENT || 0.3, 0.1), 3), // Limit SL
-            rsiLongThreshold: Math.min(Math.max(config.RSI_LONG_THRESHOLD || 30, 15), 40),
-            rsiShortThreshold: Math.min(Math.max(config.RSI_SHORT_THRESHOLD || 70, 60), 85),
+            leverage: clampSetting('leverage', config.FUTURES_LEVERAGE || 10), // Limit leverage
+            qtyUsdt: clampSetting('qtyUsdt', config.FUTURES_QTY_USDT || 20), // Limit position size
+            tpPercent: clampSetting('tpPercent', config.FUTURES_TP_PERCENT || 0.6), // Limit TP
+            slPercent: clampSetting('slPercent', config.FUTURES_SL_PERCENT || 0.3), // Limit SL
+            rsiLongThreshold: clampSetting('rsiLongThreshold', config.RSI_LONG_THRESHOLD || 30),
+            rsiShortThreshold: clampSetting('rsiShortThreshold', config.RSI_SHORT_THRESHOLD || 70),
+            marginType: config.FUTURES_PORTFOLIO?.DEFAULT_MARGIN_TYPE || 'ISOLATED',
+            maxOpenPositions: Math.max(config.FUTURES_PORTFOLIO?.MAX_OPEN_POSITIONS || 3, 1),
+            maxTotalMarginUsdt: Math.max(config.FUTURES_PORTFOLIO?.MAX_TOTAL_MARGIN_USDT || 100, 1),
             signalCheckInterval: Math.max(config.SIGNAL_CHECK_INTERVAL || 30, 10), // Min 10 seconds
             dailyTargetPercent: Math.min(config.DAILY_TARGET_PERCENT || 5, 20), // Max 20%
             dailyMaxLossPercent: Math.min(config.DAILY_MAX_LOSS_PERCENT || 3, 10), // Max 10%
             minBalance: Math.max(config.MIN_ACCOUNT_BALANCE || 50, 10), // Min $10
-            maxConsecutiveLosses: Math.min(config.MAX_CONSECUTIVE_LOSSES || 5, 10)
+            maxConsecutiveLosses: Math.min(config.MAX_CONSECUTIVE_LOSSES || 5, 10),
+            tradingMode: config.TRADING_MODES?.[config.FUTURES_TRADING_MODE] ? config.FUTURES_TRADING_MODE : 'futures_scalp'
+        };
+        settings.trailingStop = this.resolveTrailingStop(config.TRADING_MODES?.[settings.tradingMode]?.trailingStop);
+
+        const ladder = config.FUTURES_TP_LADDER || {};
+        settings.tpLadder = {
+            enabled: ladder.ENABLED !== false && (ladder.RUNGS || []).length > 0,
+            rungs: (ladder.RUNGS || []).map(rung => ({ percent: rung.percent, r: rung.r })),
+            runnerR: ladder.RUNNER_R || 3,
+            breakEvenFeePercent: ladder.BREAK_EVEN_FEE_PERCENT ?? 0.1
+        };
+
+        // Margin ratio (maintenance margin / margin balance) alert levels for open positions
+        const liquidation = config.FUTURES_LIQUIDATION || {};
+        settings.marginGuard = {
+            warningPercent: liquidation.MARGIN_RATIO_WARNING_PERCENT || 50,
+            criticalPercent: Math.max(liquidation.MARGIN_RATIO_CRITICAL_PERCENT || 80, liquidation.MARGIN_RATIO_WARNING_PERCENT || 50),
+            autoDeleverage: liquidation.AUTO_DELEVERAGE === true,
+            deleveragePercent: Math.min(Math.max(liquidation.AUTO_DELEVERAGE_PERCENT || 25, 1), 100)
+        };
+
+        // The trend filter needs an interval the analyzer streams and an EMA it calculates
+        settings.trendFilter = {
+            enabled: config.ENABLE_HTF_TREND_FILTER === true,
+            interval: config.HTF_TREND_INTERVAL || '1h',
+            emaPeriod: config.HTF_TREND_EMA || 50
         };
+        if (settings.trendFilter.enabled && (!(config.MARKET_INTERVALS || []).includes(settings.trendFilter.interval) ||
+            !config.TECHNICAL_ANALYSIS.EMA_PERIODS.includes(settings.trendFilter.emaPeriod))) {
+            logger.warn('⚠️ Higher-timeframe trend filter disabled: interval not in MARKET_INTERVALS or EMA period not calculated', {
+                interval: settings.trendFilter.interval,
+                emaPeriod: settings.trendFilter.emaPeriod
+            });
+            settings.trendFilter.enabled = false;
+        }
 
         // Log validated settings
         logger.trade('Strategy settings validated', settings);
         return settings;
     }
 
+    resolveTrailingStop(changes = {}, current = { type: 'off', activationPercent: 0, callbackRate: 1, atrMultiplier: 2 }) {
+        const trailingStop = { ...current };
+
+        if (changes.type !== undefined) {
+            if (!TRAILING_STOP_TYPES.includes(changes.type)) {
+                throw new Error(`Trailing stop type must be one of: ${TRAILING_STOP_TYPES.join(', ')}`);
+            }
+            trailingStop.type = changes.type;
+        }
+
+        for (const [key, [min, max]] of Object.entries(TRAILING_STOP_LIMITS)) {
+            const value = parseFloat(changes[key]);
+            if (!Number.isNaN(value)) {
+                trailingStop[key] = Math.min(Math.max(value, min), max);
+            }
+        }
+        trailingStop.callbackRate = Math.round(trailingStop.callbackRate * 10) / 10;
+
+        return trailingStop;
+    }
+
+    buildSymbolSettings() {
+        const portfolio = config.FUTURES_PORTFOLIO || {};
+        let symbols = portfolio.SYMBOLS?.length ? portfolio.SYMBOLS : [config.DEFAULT_FUTURES_SYMBOL || 'BTCUSDT'];
+        if (symbols.length === 1 && symbols[0] === 'ALL') {
+            symbols = config.FUTURES_PAIRS;
+        }
+        const symbolSettings = new Map();
+
+        for (const symbol of symbols) {
+            symbolSettings.set(symbol, this.resolveSymbolSettings(symbol, portfolio.SYMBOL_OVERRIDES?.[symbol]));
+        }
+
+        logger.trade('Futures symbols configured', { symbols: Array.from(symbolSettings.keys()) });
+        return symbolSettings;
+    }
+
+    // Overrides win over the global settings and are clamped to the same limits
+    resolveSymbolSettings(symbol, overrides = {}) {
+        const resolved = { symbol, overrides: { ...overrides } };
+
+        for (const key of Object.keys(SYMBOL_SETTING_LIMITS)) {
+            const value = overrides[key] !== undefined ? overrides[key] : this.settings[key];
+            resolved[key] = clampSetting(key, value);
+        }
+        resolved.leverage = Math.round(resolved.leverage);
+        resolved.marginType = (overrides.marginType || this.settings.marginType) === 'CROSSED' ? 'CROSSED' : 'ISOLATED';
+
+        return resolved;
+    }
+
+    getSymbolSettings(symbol) {
+        // Positions on unconfigured symbols (e.g. adopted ones) fall back to the globals
+        return this.symbolSettings.get(symbol) || this.resolveSymbolSettings(symbol);
+    }
+
+    getSymbols() {
+        return Array.from(this.symbolSettings.keys());
+    }
+
     initializeDailyStats() {
         return {
             date: new Date().toDateString(),
@@ -67,15 +206,27 @@ class FuturesStrategy extends EventEmitter {
             losses: 0,
             maxProfit: 0,
             maxLoss: 0,
+            targetReached: false, // Futures-only stop for the rest of the day
+            bySymbol: {},
             lastReset: Date.now()
         };
     }
 
+    getSymbolStats(symbol) {
+        if (!this.dailyStats.bySymbol) {
+            this.dailyStats.bySymbol = {};
+        }
+        if (!this.dailyStats.bySymbol[symbol]) {
+            this.dailyStats.bySymbol[symbol] = { trades: 0, wins: 0, losses: 0, pnl: 0 };
+        }
+        return this.dailyStats.bySymbol[symbol];
+    }
+
     setupEventListeners() {
         // Listen for market analysis updates
         if (this.marketAnalyzer) {
             this.marketAnalyzer.on('technicalAnalysisUpdate', (data) => {
-                if (data.symbol === this.settings.symbol) {
+                if (this.symbolSettings.has(data.symbol)) {
                     this.handleTechnicalUpdate(data);
                 }
             });
@@ -84,7 +235,7 @@ class FuturesStrategy extends EventEmitter {
         // Listen for AI analysis updates
         if (this.aiAnalyzer) {
             this.aiAnalyzer.on('analysisComplete', (analysis) => {
-                if (analysis.symbol === this.settings.symbol) {
+                if (this.symbolSettings.has(analysis.symbol)) {
                     this.handleAIAnalysis(analysis);
                 }
             });
@@ -95,6 +246,20 @@ class FuturesStrategy extends EventEmitter {
             this.riskManager.on('emergencyStop', () => {
                 this.handleEmergencyStop();
             });
+
+            // Open positions are the risk manager's futures book
+            this.riskManager.registerExposureSource('futures', () => this.getExposure());
+        }
+
+        // Fills and position changes pushed by the exchange
+        if (this.exchange) {
+            this.exchange.on('orderUpdate', (update) => {
+                this.handleOrderUpdate(update);
+            });
+
+            this.exchange.on('accountUpdate', (update) => {
+                this.handleAccountUpdate(update);
+            });
         }
     }
 
@@ -109,12 +274,33 @@ class FuturesStrategy extends EventEmitter {
             // Validate prerequisites
             await this.validatePrerequisites();
 
+            // Load tick/step sizes before any order is shaped
+            try {
+                await this.symbolRules.start();
+            } catch (error) {
+                logger.warn('⚠️ Symbol rules unavailable, orders will not be pre-validated', { error: error.message });
+            }
+
+            // Restore positions and today's stats from the journal
+            this.rehydrateFromJournal();
+
             // Initialize account settings
             await this.initializeAccount();
 
+            // Line up restored state with what the exchange actually holds
+            await this.reconcileWithExchange();
+
+            // Fills and exchange-side closes arrive as events from here on
+            await this.startUserDataStream();
+
+            // Make sure the analyzer streams every symbol we trade
+            this.marketAnalyzer?.trackSymbols?.(this.getSymbols());
+
             // Reset daily stats if needed
             this.checkAndResetDailyStats();
 
+            await this.strategies.start('futures');
+
             // Start monitoring jobs
             this.startMonitoringJobs();
 
@@ -122,9 +308,9 @@ class FuturesStrategy extends EventEmitter {
             this.emit('started');
             
             logger.trade('✅ Futures Strategy started successfully', {
-                symbol: this.settings.symbol,
-                leverage: this.settings.leverage,
-                positionSize: this.settings.qtyUsdt
+                symbols: this.getSymbols(),
+                maxOpenPositions: this.settings.maxOpenPositions,
+                maxTotalMarginUsdt: this.settings.maxTotalMarginUsdt
             });
 
         } catch (error) {
@@ -133,29 +319,252 @@ class FuturesStrategy extends EventEmitter {
         }
     }
 
+    async startUserDataStream() {
+        if (!this.exchange.supports('startUserDataStream')) return;
+
+        try {
+            await this.exchange.startUserDataStream();
+        } catch (error) {
+            logger.warn('⚠️ Futures user data stream unavailable, closes will be detected by polling', { error: error.message });
+        }
+    }
+
     async validatePrerequisites() {
-        if (!this.binanceAPI) {
-            throw new Error('Binance Futures API not available');
+        if (!this.exchange) {
+            throw new Error('Futures exchange not available');
         }
-        
-        // Check if binanceAPI has required methods
-        if (!this.binanceAPI.getAccount) {
-            logger.warn('BinanceAPI missing required futures methods, creating fallback');
-            this.binanceAPI.getAccount = async () => {
-                return { 
-                    totalWalletBalance: '1000.00',
-                    availableBalance: '1000.00',
-                    assets: [{ asset: 'USDT', walletBalance: '1000.00', availableBalance: '1000.00' }]
-                };
-            };
-            this.binanceAPI.getPositions = async () => [];
+
+        if (!this.exchange.getPositions || !this.exchange.placeOrder) {
+            throw new Error('Futures exchange is missing required methods');
         }
         
         return true;
     }
+    rehydrateFromJournal() {
+        if (!this.journal) return;
+
+        try {
+            const { activePositions, closedPositions } = this.journal.loadFuturesPositions();
+            this.activePositions = activePositions;
+            this.closedPnls = closedPositions
+                .map(position => position.pnl)
+                .filter(pnl => typeof pnl === 'number')
+                .slice(-config.POSITION_SIZING.KELLY_LOOKBACK);
+
+            const savedStats = this.journal.loadDailyStats('futures');
+            if (savedStats) {
+                const { consecutiveLosses, ...dailyStats } = savedStats;
+                this.dailyStats = { ...this.initializeDailyStats(), ...dailyStats };
+                this.consecutiveLosses = consecutiveLosses || 0;
+            }
+
+            logger.trade('📂 Futures state restored from journal', {
+                activePositions: this.activePositions.size,
+                dailyPnl: this.dailyStats.pnl,
+                consecutiveLosses: this.consecutiveLosses
+            });
+        } catch (error) {
+            logger.error('Failed to restore futures state from journal:', error);
+        }
+    }
+
+    async reconcileWithExchange() {
+        const report = {
+            source: 'futures',
+            timestamp: Date.now(),
+            matched: [],
+            adopted: [],
+            flagged: [],
+            closed: [],
+            protectiveOrdersPlaced: [],
+            cancelledOrders: []
+        };
+
+        try {
+            logger.trade('🔍 Reconciling futures positions with exchange...');
+
+            const positions = (await this.exchange.getPositions())
+                .filter(pos => Math.abs(parseFloat(pos.positionAmt || 0)) > 0);
+            const openOrders = await this.exchange.getOpenOrders();
+            const unmatched = new Set(positions);
+
+            // Journaled positions: still open, or closed while we were offline
+            for (const tracked of Array.from(this.activePositions.values())) {
+                const exchangePosition = positions.find(pos =>
+                    pos.symbol === tracked.symbol &&
+                    (parseFloat(pos.positionAmt) > 0 ? 'LONG' : 'SHORT') === tracked.side
+                );
+
+                if (!exchangePosition) {
+                    await this.closeMissingPosition(tracked, report);
+                    continue;
+                }
+
+                unmatched.delete(exchangePosition);
+
+                const size = Math.abs(parseFloat(exchangePosition.positionAmt));
+                if (Math.abs(size - parseFloat(tracked.size)) > 1e-8) {
+                    report.flagged.push({
+                        symbol: tracked.symbol,
+                        issue: 'size_mismatch',
+                        journal: parseFloat(tracked.size),
+                        exchange: size
+                    });
+                    tracked.size = size.toString();
+                    this.journal?.recordPositionUpdated(tracked);
+                }
+
+                await this.ensureProtectiveOrders(tracked, openOrders, report);
+                report.matched.push({ symbol: tracked.symbol, side: tracked.side, size });
+            }
+
+            // Exchange positions we have no record of
+            for (const position of unmatched) {
+                if (config.RECONCILIATION.ADOPT_ORPHAN_POSITIONS) {
+                    const adopted = this.adoptPosition(position);
+                    await this.ensureProtectiveOrders(adopted, openOrders, report);
+                    report.adopted.push({ symbol: adopted.symbol, side: adopted.side, size: adopted.size });
+                } else {
+                    report.flagged.push({
+                        symbol: position.symbol,
+                        issue: 'untracked_position',
+                        positionAmt: position.positionAmt
+                    });
+                }
+            }
+
+            // Reduce-only orders left behind by positions that no longer exist
+            for (const order of openOrders) {
+                const hasPosition = positions.some(pos => pos.symbol === order.symbol);
+                if (hasPosition) continue;
+
+                if (order.reduceOnly && config.RECONCILIATION.CANCEL_ORPHAN_ORDERS) {
+                    await this.exchange.cancelOrder(order.symbol, order.orderId);
+                    report.cancelledOrders.push({ symbol: order.symbol, orderId: order.orderId, type: order.type });
+                } else {
+                    report.flagged.push({
+                        symbol: order.symbol,
+                        issue: 'orphan_order',
+                        orderId: order.orderId,
+                        type: order.type
+                    });
+                }
+            }
+
+            report.discrepancies = report.adopted.length + report.flagged.length + report.closed.length +
+                report.protectiveOrdersPlaced.length + report.cancelledOrders.length;
+
+            logger.trade('✅ Futures reconciliation completed', {
+                matched: report.matched.length,
+                discrepancies: report.discrepancies
+            });
+
+        } catch (error) {
+            logger.error('❌ Futures reconciliation failed:', error);
+            report.error = error.message;
+        }
+
+        this.emit('reconciliation', report);
+        return report;
+    }
+
+    async closeMissingPosition(tracked, report) {
+        // Work out how the position ended from fills after it was opened
+        let fills = { realizedPnl: 0, commission: 0, funding: 0, pnl: 0, closeTime: null, lastOrderId: null };
+        try {
+            fills = await this.collectPositionFills(tracked, { attempts: 1 });
+        } catch (error) {
+            logger.error(`Failed to load fills for ${tracked.symbol}:`, error.message);
+        }
+
+        this.updateTradeStats(tracked, {
+            ...fills,
+            closeOrderId: fills.lastOrderId,
+            reason: fills.closeTime ? 'closed_while_offline' : 'missing_on_exchange'
+        });
+
+        report.closed.push({
+            symbol: tracked.symbol,
+            side: tracked.side,
+            pnl: fills.pnl,
+            fillsFound: !!fills.closeTime
+        });
+    }
+
+    adoptPosition(position) {
+        const amount = parseFloat(position.positionAmt);
+        const side = amount > 0 ? 'LONG' : 'SHORT';
+        const entryPrice = parseFloat(position.entryPrice);
+        const { stopLoss, takeProfit } = this.calculateStopLossAndTakeProfit({ side, symbol: position.symbol }, entryPrice);
+
+        const positionData = {
+            orderId: `adopted_${position.symbol}_${Date.now()}`,
+            symbol: position.symbol,
+            side,
+            size: Math.abs(amount).toString(),
+            entryPrice,
+            stopLoss,
+            takeProfit,
+            signal: 'adopted_on_reconciliation',
+            timestamp: position.updateTime || Date.now(),
+            partialProfitTaken: false,
+            adopted: true
+        };
+
+        this.activePositions.set(positionData.orderId, positionData);
+        this.journal?.recordPositionOpened(positionData);
+
+        logger.trade('📥 Adopted untracked position', positionData);
+        return positionData;
+    }
+
+    async ensureProtectiveOrders(tracked, openOrders, report) {
+        if (!config.RECONCILIATION.REPLACE_PROTECTIVE_ORDERS) return;
+
+        const closingSide = tracked.side === 'LONG' ? 'SELL' : 'BUY';
+        const symbolOrders = openOrders.filter(o => o.symbol === tracked.symbol && o.side === closingSide);
+        const hasStop = symbolOrders.some(o => o.type === 'STOP_MARKET' || o.type === 'TRAILING_STOP_MARKET');
+        const hasTarget = symbolOrders.some(o => o.type === 'LIMIT' || o.type === 'TAKE_PROFIT_MARKET');
+        const size = parseFloat(tracked.size);
+        let updated = false;
+
+        if (!hasStop && tracked.stopLoss) {
+            try {
+                const stopOrder = await this.setStopLoss(tracked.side, tracked.stopLoss, size, tracked.symbol);
+                tracked.stopLossOrderId = stopOrder.orderId;
+                report.protectiveOrdersPlaced.push({ symbol: tracked.symbol, type: 'stop_loss', price: tracked.stopLoss });
+                updated = true;
+            } catch (error) {
+                report.flagged.push({ symbol: tracked.symbol, issue: 'stop_loss_not_placed', error: error.message });
+            }
+        }
+
+        if (!hasTarget && tracked.takeProfit) {
+            try {
+                const tpOrder = await this.setTakeProfit(tracked.side, tracked.takeProfit, size, tracked.symbol);
+                tracked.takeProfitOrderId = tpOrder.orderId;
+                report.protectiveOrdersPlaced.push({ symbol: tracked.symbol, type: 'take_profit', price: tracked.takeProfit });
+                updated = true;
+            } catch (error) {
+                report.flagged.push({ symbol: tracked.symbol, issue: 'take_profit_not_placed', error: error.message });
+            }
+        }
+
+        if (updated) {
+            this.journal?.recordPositionUpdated(tracked);
+        }
+    }
+
+    persistDailyStats() {
+        this.journal?.recordDailyStats('futures', {
+            ...this.dailyStats,
+            consecutiveLosses: this.consecutiveLosses
+        });
+    }
+
     async validateAccountBalance() {
         try {
-            const accountInfo = await this.binanceFuturesAPI.getAccountInfo();
+            const accountInfo = await this.exchange.getAccountInfo();
             const balance = parseFloat(accountInfo.totalWalletBalance);
             
             if (balance < this.settings.minBalance) {
@@ -166,6 +575,7 @@ class FuturesStrategy extends EventEmitter {
             if (this.dailyStats.startBalance === 0) {
                 this.dailyStats.startBalance = balance;
                 this.dailyStats.currentBalance = balance;
+                this.persistDailyStats();
             }
 
             logger.trade('✅ Balance validation passed', { balance, minimum: this.settings.minBalance });
@@ -180,26 +590,32 @@ class FuturesStrategy extends EventEmitter {
         try {
             logger.trade('Initializing account settings...');
 
-            // Set leverage
-            await this.binanceFuturesAPI.setLeverage(this.settings.symbol, this.settings.leverage);
-            
-            // Set margin type to ISOLATED for better risk management
-            try {
-                await this.binanceFuturesAPI.setMarginType(this.settings.symbol, 'ISOLATED');
-            } catch (error) {
-                // Margin type might already be set
-                if (error.response?.data?.code !== -4046) {
-                    logger.warn('Failed to set margin type:', error.message);
-                }
+            for (const symbolSettings of this.symbolSettings.values()) {
+                await this.applySymbolAccountSettings(symbolSettings);
             }
 
-            logger.trade('✅ Account settings initialized');
+            logger.trade('✅ Account settings initialized', { symbols: this.getSymbols() });
 
         } catch (error) {
             throw new Error(`Failed to initialize account: ${error.message}`);
         }
     }
 
+    async applySymbolAccountSettings({ symbol, leverage, marginType }) {
+        // Set leverage
+        await this.exchange.setLeverage(symbol, leverage);
+
+        // ISOLATED by default for better risk management
+        try {
+            await this.exchange.setMarginType(symbol, marginType);
+        } catch (error) {
+            // Margin type might already be set
+            if (error.response?.data?.code !== -4046) {
+                logger.warn(`Failed to set margin type for ${symbol}:`, error.message);
+            }
+        }
+    }
+
     startMonitoringJobs() {
         // Signal checking job
         this.signalCheckJob = new cron.CronJob(
@@ -238,6 +654,7 @@ class FuturesStrategy extends EventEmitter {
             this.dailyStats = this.initializeDailyStats();
             this.consecutiveLosses = 0;
             this.emergencyStop = false;
+            this.persistDailyStats();
         }
     }
 
@@ -255,34 +672,33 @@ class FuturesStrategy extends EventEmitter {
             this.lastSignalCheck = now;
 
             // Check daily limits first
-            if (await this.checkDailyLimits()) {
+            if (this.canOpenPositions() && await this.checkDailyLimits()) {
                 return; // Stop if limits exceeded
             }
 
-            // Check for existing positions
-            const positions = await this.getActivePositions();
-            const longPosition = positions.find(p => p.side === 'LONG');
-            const shortPosition = positions.find(p => p.side === 'SHORT');
+            // Book positions that exchange-side orders closed without a stream event
+            await this.detectClosedPositions();
 
-            // If we have positions, monitor them
-            if (longPosition || shortPosition) {
+            // Monitor existing positions across all symbols
+            const positions = await this.getActivePositions();
+            if (positions.length > 0) {
                 await this.monitorPositions(positions);
-                
-                // Update position tracking
-                this.updatePositionTracking(positions);
-                
-                this.emit('positionsUpdate', {
-                    timestamp: Date.now(),
-                    hasPositions: true,
-                    long: !!longPosition,
-                    short: !!shortPosition,
-                    positions: positions
-                });
-                return;
             }
+            await this.checkMarginRatios(positions);
+
+            // Update position tracking
+            this.updatePositionTracking(positions);
+
+            // Look for entries on symbols without a position, while under the global cap
+            // and while the risk manager's trading state allows new positions
+            for (const symbol of this.symbolSettings.keys()) {
+                if (!this.canOpenPositions()) break;
+                if (positions.length >= this.settings.maxOpenPositions) break;
+                if (positions.some(p => p.symbol === symbol)) continue;
+                if (this.marketAnalyzer.isStale(symbol)) continue;
 
-            // No positions, look for entry signals
-            await this.analyzeEntrySignals();
+                await this.analyzeEntrySignals(symbol);
+            }
 
         } catch (error) {
             logger.error('Error checking signals:', error);
@@ -299,12 +715,12 @@ class FuturesStrategy extends EventEmitter {
                 target: this.settings.dailyTargetPercent,
                 current: dailyPnlPercent.toFixed(2)
             });
-            await this.stopTradingForDay('profit_target_reached');
+            await this.stopTradingForDay('profit_target_reached', { futuresOnly: true });
             return true;
         }
 
         // Check loss limit
-        if (Math.abs(dailyPnlPercent) >= this.settings.dailyMaxLossPercent) {
+        if (-dailyPnlPercent >= this.settings.dailyMaxLossPercent) {
             logger.trade('🚨 Daily loss limit exceeded!', {
                 limit: this.settings.dailyMaxLossPercent,
                 current: dailyPnlPercent.toFixed(2)
@@ -313,49 +729,60 @@ class FuturesStrategy extends EventEmitter {
             return true;
         }
 
-        // Check consecutive losses
-        if (this.consecutiveLosses >= this.settings.maxConsecutiveLosses) {
+        // Check consecutive losses. With a risk manager every result already went
+        // to recordTradeResult, whose loss streak puts both engines in COOLDOWN
+        if (!this.riskManager && this.consecutiveLosses >= this.settings.maxConsecutiveLosses) {
             logger.trade('🚨 Maximum consecutive losses reached!', {
                 losses: this.consecutiveLosses,
                 limit: this.settings.maxConsecutiveLosses
             });
-            await this.stopTradingForDay('consecutive_losses');
+            await this.stopTradingForDay('consecutive_losses', { futuresOnly: true });
             return true;
         }
 
         return false;
     }
 
-    async analyzeEntrySignals() {
+    async analyzeEntrySignals(symbol) {
         try {
             // Get market data and indicators
-            const marketData = this.marketAnalyzer.getMarketData(this.settings.symbol);
-            const indicators = this.marketAnalyzer.getTechnicalIndicators(this.settings.symbol);
-            const priceHistory = this.marketAnalyzer.getPriceHistory(this.settings.symbol, 20);
+            const marketData = this.marketAnalyzer.getMarketData(symbol);
+            const indicators = this.marketAnalyzer.getTechnicalIndicators(symbol);
+            const priceHistory = this.marketAnalyzer.getPriceHistory(symbol, 20);
 
             if (!marketData || !indicators || !priceHistory || priceHistory.length < 2) {
-                logger.trade('Insufficient data for signal analysis');
+                logger.trade('Insufficient data for signal analysis', { symbol });
                 return;
             }
 
-            // Get latest candle
-            const latestCandle = priceHistory[priceHistory.length - 1];
-            const isGreenCandle = latestCandle.close > latestCandle.open;
-            const isRedCandle = latestCandle.close < latestCandle.open;
-
-            // Analyze signals
-            const signal = this.analyzeEntrySignal(indicators, isGreenCandle, isRedCandle, marketData);
+            // Every enabled futures strategy votes; the most confident signal is taken
+            const signals = await this.strategies.generateSignals('futures', {
+                symbol,
+                marketData,
+                indicators,
+                priceHistory,
+                timeframes: this.marketAnalyzer.getTimeframeIndicators(symbol),
+                settings: this.getSymbolSettings(symbol)
+            });
+            const signal = signals
+                .filter(s => s.action === 'BUY' || s.action === 'SELL')
+                .sort((a, b) => b.confidence - a.confidence)[0];
 
-            if (signal.action !== 'WAIT') {
+            if (signal) {
                 logger.trade('Signal detected', signal);
+                this.emit('signalGenerated', signal);
+                metrics.signalsGenerated.inc({ strategy: 'futures' });
 
                 // Apply additional filters
                 const filteredSignal = await this.applySignalFilters(signal, indicators, priceHistory, marketData);
                 
                 if (filteredSignal.approved) {
-                    await this.executeEntry(filteredSignal, marketData.price);
+                    await this.executeEntry(filteredSignal.adjustedSignal, marketData.price);
                 } else {
+                    metrics.signalsFiltered.inc({ strategy: 'futures' });
                     logger.trade('Signal filtered out', { 
+                        symbol,
+                        strategy: signal.strategy,
                         reason: filteredSignal.rejectionReason,
                         originalSignal: signal.action
                     });
@@ -363,75 +790,8 @@ class FuturesStrategy extends EventEmitter {
             }
 
         } catch (error) {
-            logger.error('Error analyzing entry signals:', error);
-        }
-    }
-
-    analyzeEntrySignal(indicators, isGreenCandle, isRedCandle, marketData) {
-        const signal = {
-            action: 'WAIT',
-            reason: '',
-            confidence: 0,
-            entryPrice: marketData.price,
-            symbol: this.settings.symbol
-        };
-
-        // RSI + Candlestick Logic with improved conditions
-        if (indicators.RSI < this.settings.rsiLongThreshold && isGreenCandle) {
-            // Additional confirmation for long signals
-            const isEMASupport = indicators.EMA_12 && indicators.EMA_26 && 
-                                indicators.EMA_12 > indicators.EMA_26;
-            const isVolumeGood = marketData.volume && marketData.volume > marketData.avgVolume * 1.2;
-            
-            signal.action = 'BUY';
-            signal.side = 'LONG';
-            signal.reason = `RSI oversold (${indicators.RSI.toFixed(2)}) + Green candle`;
-            signal.confidence = this.calculateConfidence(indicators, 'LONG', isEMASupport, isVolumeGood);
-            
-        } else if (indicators.RSI > this.settings.rsiShortThreshold && isRedCandle) {
-            // Additional confirmation for short signals
-            const isEMAResistance = indicators.EMA_12 && indicators.EMA_26 && 
-                                  indicators.EMA_12 < indicators.EMA_26;
-            const isVolumeGood = marketData.volume && marketData.volume > marketData.avgVolume * 1.2;
-            
-            signal.action = 'SELL';
-            signal.side = 'SHORT';
-            signal.reason = `RSI overbought (${indicators.RSI.toFixed(2)}) + Red candle`;
-            signal.confidence = this.calculateConfidence(indicators, 'SHORT', isEMAResistance, isVolumeGood);
-        }
-
-        return signal;
-    }
-
-    calculateConfidence(indicators, direction, trendConfirmation, volumeConfirmation) {
-        let confidence = 0.5; // Base confidence
-
-        // RSI strength
-        if (direction === 'LONG') {
-            confidence += (30 - indicators.RSI) / 30 * 0.2; // Max +0.2
-        } else {
-            confidence += (indicators.RSI - 70) / 30 * 0.2; // Max +0.2
-        }
-
-        // Trend confirmation
-        if (trendConfirmation) {
-            confidence += 0.15;
-        }
-
-        // Volume confirmation
-        if (volumeConfirmation) {
-            confidence += 0.1;
-        }
-
-        // MACD confirmation
-        if (indicators.MACD && indicators.MACDSignal) {
-            const macdBullish = indicators.MACD > indicators.MACDSignal;
-            if ((direction === 'LONG' && macdBullish) || (direction === 'SHORT' && !macdBullish)) {
-                confidence += 0.05;
-            }
+            logger.error(`Error analyzing entry signals for ${symbol}:`, error);
         }
-
-        return Math.min(Math.max(confidence, 0), 1);
     }
 
     async applySignalFilters(signal, indicators, priceHistory, marketData) {
@@ -492,6 +852,31 @@ class FuturesStrategy extends EventEmitter {
                 }
             }
 
+            // Higher-timeframe trend filter: longs above the HTF EMA, shorts below it
+            const { trendFilter } = this.settings;
+            if (trendFilter.enabled) {
+                const emaName = `EMA_${trendFilter.emaPeriod}`;
+                const htfEma = this.marketAnalyzer.getTechnicalIndicators(signal.symbol, trendFilter.interval)?.[emaName];
+
+                if (!htfEma) {
+                    result.approved = false;
+                    result.rejectionReason = `No ${trendFilter.interval} ${emaName} for trend filter`;
+                    return result;
+                }
+
+                if (signal.side === 'LONG' && marketData.price < htfEma) {
+                    result.approved = false;
+                    result.rejectionReason = `Price below ${trendFilter.interval} ${emaName} for long signal`;
+                    return result;
+                }
+
+                if (signal.side === 'SHORT' && marketData.price > htfEma) {
+                    result.approved = false;
+                    result.rejectionReason = `Price above ${trendFilter.interval} ${emaName} for short signal`;
+                    return result;
+                }
+            }
+
             // Time-based filter (avoid low liquidity hours)
             const hour = new Date().getUTCHours();
             if (hour >= 22 || hour <= 4) { // 22:00 - 04:00 UTC
@@ -545,10 +930,10 @@ class FuturesStrategy extends EventEmitter {
             if (!this.aiAnalyzer) return null;
             
             const analysis = await this.aiAnalyzer.analyzeMarket(
-                this.settings.symbol,
-                this.marketAnalyzer.getMarketData(this.settings.symbol),
-                this.marketAnalyzer.getTechnicalIndicators(this.settings.symbol),
-                this.marketAnalyzer.getPriceHistory(this.settings.symbol, 100)
+                signal.symbol,
+                this.marketAnalyzer.getMarketData(signal.symbol),
+                this.marketAnalyzer.getTechnicalIndicators(signal.symbol),
+                this.marketAnalyzer.getPriceHistory(signal.symbol, 100)
             );
             
             return analysis;
@@ -562,6 +947,9 @@ class FuturesStrategy extends EventEmitter {
         try {
             logger.trade('🎯 Executing entry signal', signal);
 
+            const { symbol } = signal;
+            const symbolSettings = this.getSymbolSettings(symbol);
+
             // Final balance validation
             const balance = await this.validateAccountBalance();
             if (balance < this.settings.minBalance) {
@@ -569,24 +957,98 @@ class FuturesStrategy extends EventEmitter {
                 return;
             }
 
+            // Calculate stop loss and take profit
+            const { stopLoss, takeProfit } = this.calculateStopLossAndTakeProfit(signal, currentPrice);
+
             // Calculate position size with risk management
-            const positionSize = this.calculatePositionSize(currentPrice, balance);
-            if (positionSize < 0.001) {
-                logger.trade('Position size too small', { positionSize });
+            const sizing = this.calculatePositionSize(signal, currentPrice, balance, symbolSettings, stopLoss);
+            let rawPositionSize = sizing.quantity;
+            if (rawPositionSize <= 0) {
+                logger.trade('Position size too small', { symbol, positionSize: rawPositionSize, sizing });
                 return;
             }
 
-            // Calculate stop loss and take profit
-            const { stopLoss, takeProfit } = this.calculateStopLossAndTakeProfit(signal, currentPrice);
+            // Global caps across every symbol
+            const positions = await this.getActivePositions();
+            const capBreach = this.checkPortfolioCaps(positions, (rawPositionSize * currentPrice) / symbolSettings.leverage);
+            if (capBreach) {
+                logger.trade('⛔ Entry blocked by portfolio cap', { symbol, reason: capBreach });
+                return;
+            }
 
-            // Prepare order parameters
-            const orderParams = {
-                symbol: this.settings.symbol,
+            // Positions that move together (stacked BTC/ETH/SOL longs) share one margin cap
+            if (this.riskManager) {
+                const correlation = await this.riskManager.checkCorrelationRisk(
+                    { ...signal, amount: (rawPositionSize * currentPrice) / symbolSettings.leverage },
+                    {
+                        positions: positions.map(p => ({
+                            symbol: p.symbol,
+                            direction: p.side === 'SHORT' ? -1 : 1,
+                            amount: this.getPositionMargin(p)
+                        })),
+                        capital: balance + positions.reduce((sum, p) => sum + this.getPositionMargin(p), 0)
+                    }
+                );
+                if (!correlation.approved) {
+                    logger.trade('⛔ Entry blocked by correlated exposure', { symbol, reason: correlation.reason });
+                    return;
+                }
+                if (correlation.downsized) {
+                    rawPositionSize = (correlation.maxAmount * symbolSettings.leverage) / currentPrice;
+                    sizing.correlation = { from: sizing.quantity, to: rawPositionSize, correlated: correlation.correlated };
+                    logger.trade('📉 Entry downsized for correlated exposure', { symbol, reason: correlation.reason, positionSize: rawPositionSize });
+                }
+            }
+
+            // Per-strategy share of margin and open positions
+            const allocationIssue = await this.strategies.checkAllocation(signal.strategy, {
+                amount: (rawPositionSize * currentPrice) / symbolSettings.leverage,
+                openTrades: Array.from(this.activePositions.values()).map(p => ({
+                    strategy: p.strategy,
+                    amount: (parseFloat(p.size) * parseFloat(p.entryPrice)) / this.getSymbolSettings(p.symbol).leverage
+                })),
+                getCapital: () => config.STRATEGIES?.CAPITAL_USDT || balance + positions.reduce((sum, p) => sum + this.getPositionMargin(p), 0)
+            });
+            if (allocationIssue) {
+                logger.trade('⛔ Entry blocked by strategy allocation', { symbol, reason: allocationIssue });
+                return;
+            }
+
+            // The stop has to trigger well before liquidation at this leverage and size
+            const liquidation = await this.checkLiquidationRisk(signal, {
+                entryPrice: currentPrice,
+                quantity: rawPositionSize,
+                stopLoss,
+                symbolSettings,
+                balance
+            });
+            if (liquidation.reason) {
+                logger.trade('⛔ Entry blocked by liquidation guard', {
+                    symbol,
+                    reason: liquidation.reason,
+                    liquidationPrice: liquidation.estimate.liquidationPrice
+                });
+                this.riskManager?.logRiskEvent('liquidation_guard_rejected', {
+                    symbol,
+                    side: signal.side,
+                    leverage: symbolSettings.leverage,
+                    stopLoss,
+                    liquidationPrice: liquidation.estimate.liquidationPrice,
+                    reason: liquidation.reason
+                });
+                return;
+            }
+            sizing.liquidation = liquidation.estimate;
+
+            // Prepare order parameters, rounded and checked against the symbol filters
+            const orderParams = this.symbolRules.prepareOrder({
+                symbol,
                 side: signal.side === 'LONG' ? 'BUY' : 'SELL',
                 type: 'MARKET',
-                quantity: positionSize.toFixed(3),
+                quantity: rawPositionSize,
                 timeInForce: 'GTC'
-            };
+            }, currentPrice);
+            const positionSize = parseFloat(orderParams.quantity);
 
             logger.trade('📝 Order parameters', {
                 ...orderParams,
@@ -596,7 +1058,13 @@ class FuturesStrategy extends EventEmitter {
             });
 
             // Execute market order
-            const order = await this.binanceFuturesAPI.placeOrder(orderParams);
+            const order = await this.placeOrder(orderParams, {
+                price: currentPrice,
+                leverage: symbolSettings.leverage,
+                purpose: 'entry'
+            });
+            this.journal?.recordOrder('futures', order, { purpose: 'entry' });
+            metrics.signalsExecuted.inc({ strategy: 'futures' });
             
             logger.trade('✅ Entry order executed', {
                 orderId: order.orderId,
@@ -607,13 +1075,39 @@ class FuturesStrategy extends EventEmitter {
             });
 
             // Set stop loss order
-            await this.setStopLoss(signal.side, stopLoss, positionSize);
+            const stopOrder = await this.setStopLoss(signal.side, stopLoss, positionSize, symbol);
+
+            const entryPrice = parseFloat(order.avgPrice) || currentPrice;
+            const trailingStop = { ...this.settings.trailingStop };
+
+            // Take profit: a ladder of partial exits, or a single order for the whole size
+            let tpOrder = null;
+            let tpLadder = null;
+            if (this.settings.tpLadder.enabled) {
+                tpLadder = await this.placeTakeProfitLadder(signal.side, entryPrice, stopLoss, positionSize, symbol, trailingStop);
+            } else {
+                tpOrder = await this.setTakeProfit(signal.side, takeProfit, positionSize, symbol);
+            }
 
-            // Set take profit order
-            await this.setTakeProfit(signal.side, takeProfit, positionSize);
+            // Optional exchange-side trailing stop; the fixed stop stays as the floor
+            let trailingOrder = null;
+            if (trailingStop.type === 'native') {
+                trailingOrder = await this.setNativeTrailingStop(signal.side, entryPrice, positionSize, symbol, trailingStop);
+            }
 
             // Update tracking
-            this.updatePositionEntry(order, signal, stopLoss, takeProfit);
+            this.updatePositionEntry(order, signal, stopLoss, tpLadder ? tpLadder.finalTarget : takeProfit, {
+                sizing,
+                stopLossOrderId: stopOrder?.orderId,
+                takeProfitOrderId: tpOrder?.orderId,
+                trailingStopOrderId: trailingOrder?.orderId,
+                trailingStop,
+                initialSize: positionSize,
+                initialStopLoss: stopLoss,
+                estimatedLiquidationPrice: liquidation.estimate.liquidationPrice,
+                tpLadder: tpLadder?.rungs || null,
+                breakEvenSet: false
+            });
 
             // Emit event
             this.emit('positionOpened', {
@@ -623,11 +1117,16 @@ class FuturesStrategy extends EventEmitter {
                 size: positionSize,
                 entryPrice: order.avgPrice || currentPrice,
                 stopLoss,
-                takeProfit,
+                takeProfit: tpLadder ? tpLadder.finalTarget : takeProfit,
+                tpLadder: tpLadder?.rungs || null,
                 signal
             });
 
         } catch (error) {
+            if (error.code === 'RISK_REJECTED') {
+                logger.trade('⛔ Entry rejected by risk manager', { symbol: signal.symbol, reasons: error.reasons });
+                return;
+            }
             logger.error('❌ Failed to execute entry:', error);
             
             // Don't throw error, handle gracefully
@@ -635,83 +1134,182 @@ class FuturesStrategy extends EventEmitter {
         }
     }
 
-    calculatePositionSize(currentPrice, balance) {
-        // Use a percentage of balance for position sizing
-        const riskPercent = 0.02; // Risk 2% of balance per trade
-        const riskAmount = balance * riskPercent;
-        
-        // Calculate position size based on stop loss distance
-        const stopLossDistance = this.settings.slPercent / 100;
-        const maxPositionValue = riskAmount / stopLossDistance;
-        
-        // Convert to quantity
-        let positionSize = maxPositionValue / currentPrice;
-        
-        // Apply maximum position size limit
-        const maxPositionValue_limit = (this.settings.qtyUsdt / this.settings.leverage);
-        const maxQuantity = maxPositionValue_limit / currentPrice;
-        
-        positionSize = Math.min(positionSize, maxQuantity);
-        
-        // Apply minimum notional value (Binance requirement)
-        const minNotional = 5; // $5 minimum
-        const minQuantity = minNotional / currentPrice;
-        
-        if (positionSize < minQuantity) {
-            logger.trade('Position size below minimum notional', {
-                calculated: positionSize,
-                minimum: minQuantity,
-                minNotional
+    // Every order is approved by the risk manager before it reaches the
+    // exchange; reduce-only exits and protective orders are never blocked
+    async placeOrder(orderParams, { price, leverage, purpose, reduceOnly = false } = {}) {
+        if (this.riskManager) {
+            const approval = await this.riskManager.approveOrder({
+                market: 'futures',
+                symbol: orderParams.symbol,
+                side: orderParams.side,
+                quantity: orderParams.quantity,
+                price: orderParams.price || price,
+                leverage: leverage || this.getSymbolSettings(orderParams.symbol).leverage,
+                reduceOnly,
+                purpose
             });
-            return 0;
+            if (!approval.approved) {
+                const error = new Error(`Order rejected by risk manager: ${approval.reason}`);
+                error.code = 'RISK_REJECTED';
+                error.reasons = approval.reasons;
+                throw error;
+            }
         }
 
-        return positionSize;
+        return this.exchange.placeOrder(orderParams);
     }
 
-    calculateStopLossAndTakeProfit(signal, currentPrice) {
-        let stopLoss, takeProfit;
-
-        if (signal.side === 'LONG') {
-            stopLoss = currentPrice * (1 - this.settings.slPercent / 100);
-            takeProfit = currentPrice * (1 + this.settings.tpPercent / 100);
-        } else {
-            stopLoss = currentPrice * (1 + this.settings.slPercent / 100);
-            takeProfit = currentPrice * (1 - this.settings.tpPercent / 100);
-        }
+    // Open positions at mark price, for RiskManager.approveOrder
+    async getExposure() {
+        const accountInfo = await this.exchange.getAccountInfo();
+        const positions = await this.getActivePositions();
 
         return {
-            stopLoss: parseFloat(stopLoss.toFixed(this.getPricePrecision())),
-            takeProfit: parseFloat(takeProfit.toFixed(this.getPricePrecision()))
+            equity: parseFloat(accountInfo.totalMarginBalance || accountInfo.totalWalletBalance) || 0,
+            positions: positions.map(p => ({
+                symbol: p.symbol,
+                direction: p.side === 'SHORT' ? -1 : 1,
+                notional: Math.abs(parseFloat(p.notional) || p.size * p.markPrice),
+                margin: this.getPositionMargin(p),
+                leverage: parseFloat(p.leverage) || this.getSymbolSettings(p.symbol).leverage,
+                entryPrice: p.entryPrice,
+                markPrice: parseFloat(p.markPrice) || p.entryPrice,
+                liquidationPrice: parseFloat(p.liquidationPrice) || 0
+            }))
         };
     }
 
-    getPricePrecision() {
-        // Different symbols have different price precision
-        const precisionMap = {
-            'BTCUSDT': 2,
-            'ETHUSDT': 2,
-            'BNBUSDT': 3,
-            'ADAUSDT': 4,
-            'SOLUSDT': 3
-        };
-        
-        return precisionMap[this.settings.symbol] || 4;
+    // Cached per symbol; the configured default brackets stand in when the
+    // exchange can't provide them
+    async getLeverageBrackets(symbol) {
+        const cached = this.leverageBrackets.get(symbol);
+        const maxAge = (config.FUTURES_LIQUIDATION?.BRACKET_CACHE_MINUTES || 60) * 60 * 1000;
+        if (cached && Date.now() - cached.fetchedAt < maxAge) {
+            return cached.brackets;
+        }
+
+        let brackets = [];
+        if (this.exchange.supports('getLeverageBrackets')) {
+            try {
+                brackets = LiquidationEstimator.normalizeBrackets(await this.exchange.getLeverageBrackets(symbol));
+            } catch (error) {
+                logger.warn(`⚠️ Using default leverage brackets for ${symbol}: ${error.message}`);
+            }
+        }
+
+        brackets = this.liquidationEstimator.getBrackets(brackets);
+        this.leverageBrackets.set(symbol, { brackets, fetchedAt: Date.now() });
+        return brackets;
     }
 
-    async setStopLoss(side, stopLossPrice, quantity) {
+    // Estimated liquidation of a planned entry and the reason it is too close
+    // to the stop, if it is. Cross positions are backed by the available balance.
+    async checkLiquidationRisk(signal, { entryPrice, quantity, stopLoss, symbolSettings, balance }) {
+        const direction = signal.side === 'SHORT' ? -1 : 1;
+        const estimate = this.liquidationEstimator.estimate({
+            entryPrice,
+            quantity,
+            direction,
+            leverage: symbolSettings.leverage,
+            marginType: symbolSettings.marginType,
+            walletBalance: balance,
+            brackets: await this.getLeverageBrackets(signal.symbol)
+        });
+
+        const reason = this.liquidationEstimator.checkStop({
+            entryPrice,
+            stopLoss,
+            direction,
+            leverage: symbolSettings.leverage,
+            estimate
+        });
+
+        return { estimate, reason };
+    }
+
+    // Margin used by a position: notional value divided by its leverage
+    getPositionMargin(position) {
+        const leverage = parseFloat(position.leverage) || this.getSymbolSettings(position.symbol).leverage;
+        return Math.abs(parseFloat(position.notional) || position.size * position.markPrice) / leverage;
+    }
+
+    // Returns the reason a new position would breach the global caps, or null
+    checkPortfolioCaps(positions, newMargin) {
+        if (positions.length >= this.settings.maxOpenPositions) {
+            return `Max open positions reached (${positions.length}/${this.settings.maxOpenPositions})`;
+        }
+
+        const usedMargin = positions.reduce((sum, p) => sum + this.getPositionMargin(p), 0);
+        if (usedMargin + newMargin > this.settings.maxTotalMarginUsdt) {
+            return `Total margin ${(usedMargin + newMargin).toFixed(2)} USDT would exceed ${this.settings.maxTotalMarginUsdt} USDT`;
+        }
+
+        return null;
+    }
+
+    // Sized by the shared PositionSizer from the available balance; the symbol's
+    // qtyUsdt is the most margin one position may use
+    calculatePositionSize(signal, currentPrice, balance, symbolSettings, stopLoss) {
+        const sizing = this.positionSizer.size({
+            model: config.POSITION_SIZING.FUTURES_MODEL,
+            equity: balance,
+            entryPrice: currentPrice,
+            stopLoss,
+            indicators: this.marketAnalyzer.getTechnicalIndicators(signal.symbol) || {},
+            priceHistory: this.marketAnalyzer.getPriceHistory(signal.symbol),
+            pnls: this.closedPnls,
+            maxNotional: symbolSettings.qtyUsdt * symbolSettings.leverage
+        });
+        sizing.inputs.leverage = symbolSettings.leverage;
+
+        // Apply minimum notional value from the exchange filters
+        const minNotional = this.symbolRules.getMinNotional(symbolSettings.symbol) || 5;
+
+        if (sizing.quantity > 0 && sizing.notional < minNotional) {
+            logger.trade('Position size below minimum notional', {
+                symbol: symbolSettings.symbol,
+                calculated: sizing.quantity,
+                minimum: minNotional / currentPrice,
+                minNotional
+            });
+            return { ...sizing, quantity: 0 };
+        }
+
+        return sizing;
+    }
+
+    calculateStopLossAndTakeProfit(signal, currentPrice) {
+        const { slPercent, tpPercent } = this.getSymbolSettings(signal.symbol);
+        let stopLoss, takeProfit;
+
+        if (signal.side === 'LONG') {
+            stopLoss = currentPrice * (1 - slPercent / 100);
+            takeProfit = currentPrice * (1 + tpPercent / 100);
+        } else {
+            stopLoss = currentPrice * (1 + slPercent / 100);
+            takeProfit = currentPrice * (1 - tpPercent / 100);
+        }
+
+        return {
+            stopLoss: this.symbolRules.roundPrice(signal.symbol, stopLoss),
+            takeProfit: this.symbolRules.roundPrice(signal.symbol, takeProfit)
+        };
+    }
+
+    async setStopLoss(side, stopLossPrice, quantity, symbol) {
         try {
-            const stopLossParams = {
-                symbol: this.settings.symbol,
+            const stopLossParams = this.symbolRules.prepareOrder({
+                symbol,
                 side: side === 'LONG' ? 'SELL' : 'BUY',
                 type: 'STOP_MARKET',
-                quantity: quantity.toFixed(3),
+                quantity,
                 stopPrice: stopLossPrice,
                 timeInForce: 'GTC',
                 reduceOnly: true
-            };
+            });
 
-            const stopOrder = await this.binanceFuturesAPI.placeOrder(stopLossParams);
+            const stopOrder = await this.placeOrder(stopLossParams, { purpose: 'stop_loss', reduceOnly: true });
+            this.journal?.recordOrder('futures', stopOrder, { purpose: 'stop_loss' });
             logger.trade('✅ Stop loss order placed', {
                 orderId: stopOrder.orderId,
                 stopPrice: stopLossPrice
@@ -725,19 +1323,20 @@ class FuturesStrategy extends EventEmitter {
         }
     }
 
-    async setTakeProfit(side, takeProfitPrice, quantity) {
+    async setTakeProfit(side, takeProfitPrice, quantity, symbol) {
         try {
-            const takeProfitParams = {
-                symbol: this.settings.symbol,
+            const takeProfitParams = this.symbolRules.prepareOrder({
+                symbol,
                 side: side === 'LONG' ? 'SELL' : 'BUY',
                 type: 'LIMIT',
-                quantity: quantity.toFixed(3),
+                quantity,
                 price: takeProfitPrice,
                 timeInForce: 'GTC',
                 reduceOnly: true
-            };
+            });
 
-            const tpOrder = await this.binanceFuturesAPI.placeOrder(takeProfitParams);
+            const tpOrder = await this.placeOrder(takeProfitParams, { purpose: 'take_profit', reduceOnly: true });
+            this.journal?.recordOrder('futures', tpOrder, { purpose: 'take_profit' });
             logger.trade('✅ Take profit order placed', {
                 orderId: tpOrder.orderId,
                 price: takeProfitPrice
@@ -751,6 +1350,249 @@ class FuturesStrategy extends EventEmitter {
         }
     }
 
+    async setNativeTrailingStop(side, entryPrice, quantity, symbol, trailingStop) {
+        try {
+            const direction = side === 'LONG' ? 1 : -1;
+            const trailingParams = this.symbolRules.prepareOrder({
+                symbol,
+                side: side === 'LONG' ? 'SELL' : 'BUY',
+                type: 'TRAILING_STOP_MARKET',
+                quantity,
+                callbackRate: trailingStop.callbackRate,
+                activationPrice: trailingStop.activationPercent > 0
+                    ? entryPrice * (1 + direction * trailingStop.activationPercent / 100)
+                    : undefined,
+                timeInForce: 'GTC',
+                reduceOnly: true
+            });
+
+            const trailingOrder = await this.placeOrder(trailingParams, { purpose: 'trailing_stop', reduceOnly: true });
+            this.journal?.recordOrder('futures', trailingOrder, { purpose: 'trailing_stop' });
+            logger.trade('✅ Trailing stop order placed', {
+                orderId: trailingOrder.orderId,
+                symbol,
+                activationPrice: trailingParams.activationPrice,
+                callbackRate: trailingParams.callbackRate
+            });
+
+            return trailingOrder;
+
+        } catch (error) {
+            // The fixed stop loss still protects the position
+            logger.error('❌ Failed to set trailing stop:', error);
+            return null;
+        }
+    }
+
+    // Places one reduce-only LIMIT per ladder rung at entry +/- r * (entry - stop).
+    // Rungs too small for the lot size are folded into the runner. Without a
+    // trailing stop the runner gets its own LIMIT at runnerR.
+    async placeTakeProfitLadder(side, entryPrice, stopLoss, positionSize, symbol, trailingStop) {
+        const { rungs, runnerR } = this.settings.tpLadder;
+        const direction = side === 'LONG' ? 1 : -1;
+        const riskPerUnit = Math.abs(entryPrice - stopLoss);
+        const targetAt = r => this.symbolRules.roundPrice(symbol, entryPrice + direction * r * riskPerUnit);
+        const ladder = [];
+        let remaining = positionSize;
+
+        for (const [index, rung] of rungs.entries()) {
+            const quantity = this.symbolRules.roundQuantity(symbol, positionSize * rung.percent / 100);
+            const entry = {
+                rung: index + 1,
+                percent: rung.percent,
+                r: rung.r,
+                price: targetAt(rung.r),
+                quantity,
+                orderId: null,
+                status: 'pending'
+            };
+
+            if (quantity <= 0 || quantity > remaining) {
+                entry.status = 'skipped';
+                ladder.push(entry);
+                continue;
+            }
+
+            try {
+                const tpOrder = await this.setTakeProfit(side, entry.price, quantity, symbol);
+                entry.orderId = tpOrder.orderId;
+                entry.status = 'open';
+                remaining = this.symbolRules.roundQuantity(symbol, remaining - quantity);
+            } catch (error) {
+                // Usually below the minimum quantity; the runner keeps this share
+                logger.warn(`TP ladder rung ${entry.rung} not placed for ${symbol}:`, error.message);
+                entry.status = 'skipped';
+            }
+            ladder.push(entry);
+        }
+
+        const runner = {
+            rung: 'runner',
+            percent: Math.round(remaining / positionSize * 100),
+            r: trailingStop.type === 'off' ? runnerR : null,
+            price: trailingStop.type === 'off' ? targetAt(runnerR) : null,
+            quantity: remaining,
+            orderId: null,
+            status: 'trailing'
+        };
+
+        if (remaining > 0 && trailingStop.type === 'off') {
+            try {
+                const runnerOrder = await this.setTakeProfit(side, runner.price, remaining, symbol);
+                runner.orderId = runnerOrder.orderId;
+                runner.status = 'open';
+            } catch (error) {
+                // The stop still covers the runner's share
+                logger.warn(`TP ladder runner not placed for ${symbol}:`, error.message);
+                runner.status = 'skipped';
+            }
+        }
+        if (remaining > 0) {
+            ladder.push(runner);
+        }
+
+        logger.trade('🪜 Take-profit ladder placed', {
+            symbol,
+            rungs: ladder.map(({ rung, quantity, price, status }) => ({ rung, quantity, price, status }))
+        });
+
+        const targets = ladder.filter(r => r.price && r.status === 'open');
+        return {
+            rungs: ladder,
+            finalTarget: targets.length > 0 ? targets[targets.length - 1].price : null
+        };
+    }
+
+    // Marks ladder rungs whose orders are gone and whose size has left the
+    // position as filled, then moves the stop to break-even after the first fill
+    async checkTakeProfitLadder(position) {
+        const tracked = this.activePositions.get(position.orderId);
+        if (!tracked?.tpLadder) return;
+
+        const openRungs = tracked.tpLadder.filter(r => r.status === 'open');
+        if (openRungs.length === 0) return;
+
+        const openOrders = await this.exchange.getOpenOrders(tracked.symbol);
+        const openIds = new Set(openOrders.map(o => o.orderId));
+        const size = parseFloat(position.size);
+        let filledSize = tracked.tpLadder
+            .filter(r => r.status === 'filled')
+            .reduce((sum, r) => sum + r.quantity, 0);
+        let updated = false;
+
+        for (const rung of openRungs) {
+            if (openIds.has(rung.orderId)) continue;
+
+            // An order that vanished without reducing the position was cancelled
+            const expectedSize = tracked.initialSize - filledSize - rung.quantity;
+            if (size <= expectedSize + 1e-9) {
+                filledSize += rung.quantity;
+                this.markRungFilled(tracked, rung);
+            } else {
+                rung.status = 'cancelled';
+                rung.updatedAt = Date.now();
+            }
+            updated = true;
+        }
+
+        if (!tracked.breakEvenSet && tracked.tpLadder.some(r => r.status === 'filled')) {
+            await this.moveStopToBreakEven(tracked, size);
+        }
+
+        if (updated) {
+            this.journal?.recordPositionUpdated(tracked);
+        }
+    }
+
+    markRungFilled(tracked, rung) {
+        rung.status = 'filled';
+        rung.updatedAt = Date.now();
+
+        logger.trade('🎯 Take-profit rung filled', {
+            symbol: tracked.symbol,
+            rung: rung.rung,
+            quantity: rung.quantity,
+            price: rung.price
+        });
+        this.emit('takeProfitRungFilled', { symbol: tracked.symbol, side: tracked.side, rung: { ...rung } });
+    }
+
+    async moveStopToBreakEven(tracked, size) {
+        const direction = tracked.side === 'LONG' ? 1 : -1;
+        const entryPrice = parseFloat(tracked.entryPrice);
+        const breakEven = this.symbolRules.roundPrice(
+            tracked.symbol,
+            entryPrice * (1 + direction * this.settings.tpLadder.breakEvenFeePercent / 100)
+        );
+
+        // A trailing stop may already be tighter than break-even
+        const currentStop = parseFloat(tracked.stopLoss);
+        if (currentStop && direction * (breakEven - currentStop) <= 0) {
+            tracked.breakEvenSet = true;
+            return;
+        }
+
+        if (await this.moveStopLoss(tracked, breakEven, size)) {
+            tracked.breakEvenSet = true;
+            logger.trade('🛡️ Stop moved to break-even', { symbol: tracked.symbol, side: tracked.side, stopLoss: breakEven });
+            this.emit('stopMovedToBreakEven', { symbol: tracked.symbol, side: tracked.side, stopLoss: breakEven });
+        }
+    }
+
+    // Replaces the STOP_MARKET order. The new order is placed before the old one
+    // is cancelled so the position is never left without a stop.
+    async moveStopLoss(tracked, newStop, size) {
+        try {
+            const stopOrder = await this.setStopLoss(tracked.side, newStop, size, tracked.symbol);
+            if (tracked.stopLossOrderId) {
+                await this.exchange.cancelOrder(tracked.symbol, tracked.stopLossOrderId).catch(error => {
+                    logger.warn(`Failed to cancel previous stop ${tracked.stopLossOrderId}:`, error.message);
+                });
+            }
+
+            tracked.stopLoss = newStop;
+            tracked.stopLossOrderId = stopOrder.orderId;
+            this.journal?.recordPositionUpdated(tracked);
+            return true;
+
+        } catch (error) {
+            logger.error(`❌ Failed to move stop loss for ${tracked.symbol}:`, error);
+            return false;
+        }
+    }
+
+    // Software trailing stop: moves the STOP_MARKET order to ATR * multiplier
+    // behind the price once the position is far enough in profit. The stop only
+    // ever tightens.
+    async updateAtrTrailingStop(position, currentPrice) {
+        const tracked = this.activePositions.get(position.orderId);
+        if (!tracked || tracked.trailingStop?.type !== 'atr') return;
+
+        const { activationPercent, atrMultiplier } = tracked.trailingStop;
+        const atr = this.marketAnalyzer.getTechnicalIndicators(tracked.symbol)?.ATR;
+        if (!atr) return;
+
+        const direction = tracked.side === 'LONG' ? 1 : -1;
+        const entryPrice = parseFloat(tracked.entryPrice);
+        const profitPercent = direction * (currentPrice - entryPrice) / entryPrice * 100;
+        if (profitPercent < activationPercent) return;
+
+        const newStop = this.symbolRules.roundPrice(tracked.symbol, currentPrice - direction * atr * atrMultiplier);
+        const currentStop = parseFloat(tracked.stopLoss);
+        if (currentStop && direction * (newStop - currentStop) <= 0) return;
+
+        if (await this.moveStopLoss(tracked, newStop, parseFloat(position.size))) {
+            logger.trade('📈 Trailing stop moved', {
+                symbol: tracked.symbol,
+                side: tracked.side,
+                from: currentStop,
+                to: newStop,
+                atr
+            });
+            this.emit('trailingStopUpdated', { symbol: tracked.symbol, side: tracked.side, stopLoss: newStop, previous: currentStop });
+        }
+    }
+
     async monitorPositions(positions) {
         for (const position of positions) {
             try {
@@ -782,10 +1624,124 @@ class FuturesStrategy extends EventEmitter {
         // Check for manual exit conditions
         await this.checkManualExitConditions(position, currentPrice, pnlPercent);
 
+        // Follow up on ladder fills, then trail the stop for ATR trailing positions
+        if (this.activePositions.has(position.orderId)) {
+            await this.checkTakeProfitLadder(position);
+            await this.updateAtrTrailingStop(position, currentPrice);
+        }
+
         // Update position tracking
         this.updatePositionStatus(position, currentPrice, pnl);
     }
 
+    // Maintenance margin against the margin backing each position: its own for
+    // isolated positions, the cross balance for cross ones. Alerts when a
+    // position moves between normal, warning and critical, and with
+    // auto-deleverage on, cuts it once each time it turns critical.
+    async checkMarginRatios(positions) {
+        for (const symbol of this.marginLevels.keys()) {
+            if (!positions.some(p => p.symbol === symbol)) this.marginLevels.delete(symbol);
+        }
+        if (positions.length === 0) return;
+
+        try {
+            const { warningPercent, criticalPercent, autoDeleverage, deleveragePercent } = this.settings.marginGuard;
+            const isCross = p => (p.marginType || this.getSymbolSettings(p.symbol).marginType).toUpperCase().startsWith('CROSS');
+
+            let crossBalance = 0;
+            let crossMaintMargin = 0;
+            const maintMargins = new Map();
+            for (const position of positions) {
+                const notional = Math.abs(parseFloat(position.notional) || position.size * position.markPrice);
+                const maintMargin = this.liquidationEstimator.maintenanceMargin(notional, await this.getLeverageBrackets(position.symbol));
+                maintMargins.set(position.symbol, maintMargin);
+                if (isCross(position)) crossMaintMargin += maintMargin;
+            }
+            if (positions.some(isCross)) {
+                const account = await this.exchange.getAccountInfo();
+                crossBalance = account.totalCrossWalletBalance !== undefined
+                    ? parseFloat(account.totalCrossWalletBalance) + parseFloat(account.totalCrossUnPnl || 0)
+                    : parseFloat(account.totalMarginBalance) || 0;
+            }
+
+            for (const position of positions) {
+                const cross = isCross(position);
+                const maintMargin = cross ? crossMaintMargin : maintMargins.get(position.symbol);
+                const marginBalance = cross
+                    ? crossBalance
+                    : (parseFloat(position.isolatedWallet ?? position.isolatedMargin) || this.getPositionMargin(position)) +
+                      (parseFloat(position.unRealizedProfit) || 0);
+                const marginRatio = LiquidationEstimator.marginRatio(maintMargin, marginBalance);
+                const level = marginRatio >= criticalPercent ? 'critical' : marginRatio >= warningPercent ? 'warning' : 'normal';
+                const previousLevel = this.marginLevels.get(position.symbol) || 'normal';
+
+                this.marginLevels.set(position.symbol, level);
+                if (level === previousLevel) continue;
+
+                const markPrice = parseFloat(position.markPrice) || position.entryPrice;
+                const liquidationPrice = parseFloat(position.liquidationPrice) || position.estimatedLiquidationPrice || null;
+                const alert = {
+                    symbol: position.symbol,
+                    side: position.side,
+                    level,
+                    previousLevel,
+                    marginRatio,
+                    marginType: cross ? 'CROSSED' : 'ISOLATED',
+                    maintMargin,
+                    marginBalance,
+                    markPrice,
+                    liquidationPrice,
+                    liquidationDistance: liquidationPrice
+                        ? Math.abs(markPrice - liquidationPrice) / markPrice * 100
+                        : null,
+                    deleveraged: null
+                };
+
+                if (level === 'critical' && autoDeleverage) {
+                    alert.deleveraged = await this.deleveragePosition(position, deleveragePercent);
+                }
+
+                if (level === 'normal') {
+                    logger.trade('✅ Margin ratio back to normal', alert);
+                } else {
+                    logger.warn(`⚠️ Margin ratio ${level} on ${position.symbol}: ${marginRatio.toFixed(1)}%`, alert);
+                    this.riskManager?.logRiskEvent(`margin_ratio_${level}`, alert);
+                }
+                this.emit('marginAlert', alert);
+            }
+        } catch (error) {
+            logger.error('Failed to check margin ratios:', error);
+        }
+    }
+
+    // Reduce-only market close of part of a position; resolves to what was
+    // closed, or null when the order could not be placed
+    async deleveragePosition(position, percent) {
+        try {
+            const orderParams = this.symbolRules.prepareOrder({
+                symbol: position.symbol,
+                side: position.side === 'LONG' ? 'SELL' : 'BUY',
+                type: 'MARKET',
+                quantity: Math.abs(parseFloat(position.size)) * percent / 100,
+                reduceOnly: true
+            });
+
+            const order = await this.placeOrder(orderParams, { purpose: 'deleverage', reduceOnly: true });
+            this.journal?.recordOrder('futures', order, { purpose: 'deleverage' });
+
+            logger.trade('🪂 Position deleveraged', {
+                orderId: order.orderId,
+                symbol: position.symbol,
+                percentage: percent + '%',
+                size: orderParams.quantity
+            });
+            return { orderId: order.orderId, quantity: parseFloat(orderParams.quantity), percent };
+        } catch (error) {
+            logger.error(`❌ Failed to deleverage ${position.symbol}:`, error);
+            return null;
+        }
+    }
+
     calculatePositionPnL(position, currentPrice) {
         const side = position.side === 'LONG' ? 1 : -1;
         return side * parseFloat(position.size) * (currentPrice - parseFloat(position.entryPrice));
@@ -802,8 +1758,8 @@ class FuturesStrategy extends EventEmitter {
             return;
         }
 
-        // Take partial profits on large gains
-        if (pnlPercent > 5 && !position.partialProfitTaken) {
+        // Take partial profits on large gains (positions without a TP ladder)
+        if (pnlPercent > 5 && !position.partialProfitTaken && !position.tpLadder) {
             logger.trade('💰 Taking partial profits', {
                 symbol: position.symbol,
                 pnlPercent
@@ -825,6 +1781,12 @@ class FuturesStrategy extends EventEmitter {
     }
 
     async closePosition(position, reason) {
+        // Marks the close as ours so the stream doesn't book it a second time
+        const tracked = this.activePositions.get(position.orderId) || null;
+        if (tracked) {
+            tracked.closingReason = reason;
+        }
+
         try {
             logger.trade('🔄 Closing position', { symbol: position.symbol, reason });
 
@@ -832,15 +1794,16 @@ class FuturesStrategy extends EventEmitter {
             await this.cancelAllOrders(position.symbol);
 
             // Place market order to close position
-            const closeParams = {
+            const closeParams = this.symbolRules.prepareOrder({
                 symbol: position.symbol,
                 side: position.side === 'LONG' ? 'SELL' : 'BUY',
                 type: 'MARKET',
-                quantity: Math.abs(parseFloat(position.size)).toFixed(3),
+                quantity: Math.abs(parseFloat(position.size)),
                 reduceOnly: true
-            };
+            });
 
-            const closeOrder = await this.binanceFuturesAPI.placeOrder(closeParams);
+            const closeOrder = await this.placeOrder(closeParams, { purpose: 'exit', reduceOnly: true });
+            this.journal?.recordOrder('futures', closeOrder, { purpose: 'exit', reason });
             
             logger.trade('✅ Position closed', {
                 orderId: closeOrder.orderId,
@@ -848,34 +1811,223 @@ class FuturesStrategy extends EventEmitter {
                 reason
             });
 
-            // Update stats
-            this.updateTradeStats(position, closeOrder, reason);
-
-            // Emit event
-            this.emit('positionClosed', {
-                position,
-                closeOrder,
-                reason
-            });
+            // Book the result from the fills and emit positionClosed
+            await this.settlePosition(tracked || position, { reason, closeOrder });
 
         } catch (error) {
+            if (tracked) {
+                delete tracked.closingReason;
+            }
             logger.error('❌ Failed to close position:', error);
         }
     }
 
+    findTrackedPosition(symbol) {
+        return Array.from(this.activePositions.values()).find(p => p.symbol === symbol) || null;
+    }
+
+    // Exit fills pushed by the exchange. Ladder rungs are marked as they fill;
+    // the position itself is booked once the exchange reports it flat.
+    handleOrderUpdate(update) {
+        try {
+            if (update.executionType !== 'TRADE' || update.status !== 'FILLED') return;
+
+            const tracked = this.findTrackedPosition(update.symbol);
+            const rung = tracked?.tpLadder?.find(r => r.orderId === update.orderId && r.status === 'open');
+            if (!rung) return;
+
+            this.markRungFilled(tracked, rung);
+            this.journal?.recordPositionUpdated(tracked);
+
+            const filled = tracked.tpLadder
+                .filter(r => r.status === 'filled')
+                .reduce((sum, r) => sum + r.quantity, 0);
+            const remaining = this.symbolRules.roundQuantity(tracked.symbol, tracked.initialSize - filled);
+
+            if (!tracked.breakEvenSet && remaining > 0) {
+                this.moveStopToBreakEven(tracked, remaining).catch((error) => {
+                    logger.error(`❌ Failed to move ${tracked.symbol} stop to break-even:`, error);
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling futures order update:', error);
+        }
+    }
+
+    handleAccountUpdate(update) {
+        try {
+            if (update.reason === 'FUNDING_FEE') {
+                logger.trade('💸 Funding fee applied', {
+                    balances: update.balances.map(b => ({ asset: b.asset, change: b.balanceChange }))
+                });
+            }
+
+            for (const position of update.positions || []) {
+                if (position.positionAmt !== 0) continue;
+
+                const tracked = this.findTrackedPosition(position.symbol);
+                if (!tracked || tracked.closingReason || tracked.settling) continue;
+
+                this.handleExchangeClose(tracked).catch((error) => {
+                    logger.error(`❌ Failed to book ${tracked.symbol} close:`, error);
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling futures account update:', error);
+        }
+    }
+
+    // Without a user data stream, positions closed by exchange-side orders are
+    // noticed when they drop out of the position list
+    async detectClosedPositions() {
+        if (this.activePositions.size === 0 || this.exchange.isUserDataStreamActive()) return;
+
+        try {
+            const open = (await this.exchange.getPositions())
+                .filter(pos => Math.abs(parseFloat(pos.positionAmt || 0)) > 0);
+
+            for (const tracked of Array.from(this.activePositions.values())) {
+                if (tracked.closingReason || tracked.settling) continue;
+
+                const stillOpen = open.some(pos =>
+                    pos.symbol === tracked.symbol &&
+                    (parseFloat(pos.positionAmt) > 0 ? 'LONG' : 'SHORT') === tracked.side
+                );
+                if (!stillOpen) {
+                    await this.handleExchangeClose(tracked);
+                }
+            }
+        } catch (error) {
+            logger.error('Failed to check for closed positions:', error.message);
+        }
+    }
+
+    // A stop, target or trailing stop closed the position on the exchange
+    async handleExchangeClose(tracked) {
+        if (tracked.settling) return;
+        tracked.settling = true;
+
+        logger.trade('📭 Position closed on exchange', { symbol: tracked.symbol, side: tracked.side });
+
+        // Reduce-only orders outlive the position they protected
+        await this.cancelAllOrders(tracked.symbol);
+        await this.settlePosition(tracked);
+    }
+
+    async settlePosition(tracked, { reason = null, closeOrder = null } = {}) {
+        let fills = { realizedPnl: 0, commission: 0, funding: 0, pnl: 0, closeTime: null, lastOrderId: null };
+        try {
+            fills = await this.collectPositionFills(tracked, { closeOrderId: closeOrder?.orderId });
+        } catch (error) {
+            logger.error(`❌ Failed to load fills for ${tracked.symbol}, PnL not recorded:`, error.message);
+        }
+
+        const exitReason = reason || this.resolveExitReason(tracked, fills.lastOrderId);
+
+        this.updateTradeStats(tracked, {
+            ...fills,
+            closeTime: fills.closeTime || Date.now(),
+            closeOrderId: closeOrder?.orderId || fills.lastOrderId,
+            reason: exitReason
+        });
+
+        this.emit('positionClosed', {
+            position: tracked,
+            closeOrder,
+            reason: exitReason,
+            pnl: fills.pnl,
+            realizedPnl: fills.realizedPnl,
+            commission: fills.commission,
+            funding: fills.funding,
+            closedOnExchange: !closeOrder
+        });
+    }
+
+    // Realized PnL and commission come from the account's fills, funding from
+    // the income history. Fills can take a moment to show up, so the lookup is
+    // retried until the closing fills cover the position.
+    async collectPositionFills(tracked, { closeOrderId = null, attempts = 3 } = {}) {
+        const closingSide = tracked.side === 'LONG' ? 'SELL' : 'BUY';
+        const expectedQty = parseFloat(tracked.initialSize || tracked.size) || 0;
+        let summary = null;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const fills = await this.exchange.getTradeHistory(tracked.symbol, config.RECONCILIATION.TRADE_HISTORY_LIMIT);
+            summary = { realizedPnl: 0, commission: 0, funding: 0, closedQty: 0, closeTime: null, lastOrderId: null };
+
+            for (const fill of fills) {
+                const isEntry = fill.orderId === tracked.orderId;
+                // Positions we never tracked only know their own close order
+                const isExit = tracked.timestamp
+                    ? fill.side === closingSide && fill.time >= tracked.timestamp
+                    : fill.orderId === closeOrderId;
+                if (!isEntry && !isExit) continue;
+
+                summary.realizedPnl += parseFloat(fill.realizedPnl || 0);
+                // BNB-paid fees can't be priced here and are left out
+                if (!fill.commissionAsset || fill.commissionAsset === this.exchange.quoteAsset) {
+                    summary.commission += parseFloat(fill.commission || 0);
+                }
+
+                if (isExit) {
+                    summary.closedQty += parseFloat(fill.qty || 0);
+                    if (fill.time >= (summary.closeTime || 0)) {
+                        summary.closeTime = fill.time;
+                        summary.lastOrderId = fill.orderId;
+                    }
+                }
+            }
+
+            if (summary.closedQty >= expectedQty * 0.999 || attempt === attempts) break;
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        if (tracked.timestamp && this.exchange.supports('getIncomeHistory')) {
+            try {
+                const income = await this.exchange.getIncomeHistory({
+                    symbol: tracked.symbol,
+                    incomeType: 'FUNDING_FEE',
+                    startTime: tracked.timestamp
+                });
+                summary.funding = income.reduce((sum, row) => sum + parseFloat(row.income || 0), 0);
+            } catch (error) {
+                logger.error(`Failed to load funding fees for ${tracked.symbol}:`, error.message);
+            }
+        }
+
+        summary.pnl = summary.realizedPnl - summary.commission + summary.funding;
+        return summary;
+    }
+
+    // Names the exchange-side order that made the last closing fill
+    resolveExitReason(tracked, orderId) {
+        if (orderId === null || orderId === undefined) return 'closed_on_exchange';
+
+        if (orderId === tracked.stopLossOrderId) {
+            const stopMoved = tracked.initialStopLoss && parseFloat(tracked.stopLoss) !== parseFloat(tracked.initialStopLoss);
+            if (!stopMoved) return 'stop_loss';
+            return tracked.trailingStop?.type === 'atr' ? 'trailing_stop' : 'break_even_stop';
+        }
+        if (orderId === tracked.trailingStopOrderId) return 'trailing_stop';
+        if (orderId === tracked.takeProfitOrderId || tracked.tpLadder?.some(r => r.orderId === orderId)) {
+            return 'take_profit';
+        }
+        return 'closed_on_exchange';
+    }
+
     async takePartialProfit(position, percentage) {
         try {
-            const partialSize = Math.abs(parseFloat(position.size)) * percentage;
-            
-            const partialCloseParams = {
+            const partialCloseParams = this.symbolRules.prepareOrder({
                 symbol: position.symbol,
                 side: position.side === 'LONG' ? 'SELL' : 'BUY',
                 type: 'MARKET',
-                quantity: partialSize.toFixed(3),
+                quantity: Math.abs(parseFloat(position.size)) * percentage,
                 reduceOnly: true
-            };
+            });
+            const partialSize = parseFloat(partialCloseParams.quantity);
 
-            const partialOrder = await this.binanceFuturesAPI.placeOrder(partialCloseParams);
+            const partialOrder = await this.placeOrder(partialCloseParams, { purpose: 'partial_exit', reduceOnly: true });
+            this.journal?.recordOrder('futures', partialOrder, { purpose: 'partial_exit' });
             
             logger.trade('✅ Partial profit taken', {
                 orderId: partialOrder.orderId,
@@ -885,6 +2037,11 @@ class FuturesStrategy extends EventEmitter {
 
             // Mark as partial profit taken
             position.partialProfitTaken = true;
+            if (this.activePositions.has(position.orderId)) {
+                const tracked = this.activePositions.get(position.orderId);
+                tracked.partialProfitTaken = true;
+                this.journal?.recordPositionUpdated(tracked);
+            }
 
         } catch (error) {
             logger.error('❌ Failed to take partial profit:', error);
@@ -893,7 +2050,7 @@ class FuturesStrategy extends EventEmitter {
 
     async cancelAllOrders(symbol) {
         try {
-            await this.binanceFuturesAPI.cancelAllOpenOrders(symbol);
+            await this.exchange.cancelAllOpenOrders(symbol);
             logger.trade('✅ All orders cancelled', { symbol });
         } catch (error) {
             logger.error('❌ Failed to cancel orders:', error);
@@ -902,27 +2059,39 @@ class FuturesStrategy extends EventEmitter {
 
     async getActivePositions() {
         try {
-            if (!this.binanceAPI || !this.binanceAPI.getPositions) {
-                logger.warn('getPositions method not available');
-                return [];
-            }
-            
-            return this.binanceAPI.getPositions().then(positions => {
-                return positions.filter(pos => Math.abs(parseFloat(pos.positionAmt || 0)) > 0);
-            }).catch(error => {
-                logger.error('Error getting positions:', error.message);
-                return [];
-            });
+            const positions = await this.exchange.getPositions();
+            const tracked = Array.from(this.activePositions.values());
+
+            // positionRisk entries only carry a signed amount, so derive side/size
+            // and merge in what we tracked when the position was opened
+            return positions
+                .filter(pos => Math.abs(parseFloat(pos.positionAmt || 0)) > 0)
+                .map(pos => {
+                    const amount = parseFloat(pos.positionAmt);
+                    const side = amount > 0 ? 'LONG' : 'SHORT';
+                    const entry = tracked.find(p => p.symbol === pos.symbol && p.side === side);
+
+                    return {
+                        ...entry,
+                        ...pos,
+                        side,
+                        size: Math.abs(amount),
+                        entryPrice: parseFloat(pos.entryPrice),
+                        notional: parseFloat(pos.notional)
+                    };
+                });
         } catch (error) {
             logger.error('Error getting active positions:', error.message);
             return [];
         }
     }
+
     async stop() {
         try {
             logger.trade('🛑 Stopping Futures Strategy...');
 
             this.isRunning = false;
+            this.symbolRules.stop();
 
             // Stop all monitoring jobs
             if (this.signalCheckJob) {
@@ -940,13 +2109,23 @@ class FuturesStrategy extends EventEmitter {
                 this.riskCheckJob = null;
             }
 
+            await this.strategies.stop('futures');
+
             // Cancel all open orders
             try {
-                await this.cancelAllOrders(this.settings.symbol);
+                for (const symbol of this.symbolSettings.keys()) {
+                    await this.cancelAllOrders(symbol);
+                }
             } catch (error) {
                 logger.error('Error cancelling orders during stop:', error);
             }
 
+            try {
+                await this.exchange.stopUserDataStream();
+            } catch (error) {
+                logger.error('Error stopping futures user data stream:', error);
+            }
+
             this.emit('stopped');
             logger.trade('✅ Futures Strategy stopped');
 
@@ -978,7 +2157,7 @@ class FuturesStrategy extends EventEmitter {
     }
 
     // Helper methods for tracking and stats
-    updatePositionEntry(order, signal, stopLoss, takeProfit) {
+    updatePositionEntry(order, signal, stopLoss, takeProfit, protectiveOrders = {}) {
         const positionData = {
             orderId: order.orderId,
             symbol: order.symbol,
@@ -988,12 +2167,19 @@ class FuturesStrategy extends EventEmitter {
             stopLoss,
             takeProfit,
             signal: signal.reason,
+            strategy: signal.strategy,
             timestamp: Date.now(),
-            partialProfitTaken: false
+            partialProfitTaken: false,
+            ...protectiveOrders
         };
 
         this.activePositions.set(order.orderId, positionData);
         this.dailyStats.trades++;
+        this.getSymbolStats(order.symbol).trades++;
+
+        this.strategies.recordTradeOpened(positionData);
+        this.journal?.recordPositionOpened(positionData);
+        this.persistDailyStats();
     }
 
     updatePositionStatus(position, currentPrice, pnl) {
@@ -1010,33 +2196,58 @@ class FuturesStrategy extends EventEmitter {
         });
     }
 
-    updateTradeStats(position, closeOrder, reason) {
-        const pnl = parseFloat(closeOrder.cumQuote || '0');
-        
-        this.dailyStats.pnl += pnl;
-        this.dailyStats.currentBalance += pnl;
+    updateTradeStats(position, { pnl = 0, realizedPnl = pnl, commission = 0, funding = 0, closeOrderId = null, closeTime = Date.now(), reason }) {
+        // Closes from an earlier day (found on reconciliation) only go to the journal
+        if (closeTime && new Date(closeTime).toDateString() === this.dailyStats.date) {
+            const symbolStats = this.getSymbolStats(position.symbol);
+
+            this.dailyStats.pnl += pnl;
+            this.dailyStats.currentBalance += pnl;
+            symbolStats.pnl += pnl;
+
+            this.riskManager?.recordTradeResult({ market: 'futures', symbol: position.symbol, pnl });
+
+            if (pnl > 0) {
+                this.dailyStats.wins++;
+                symbolStats.wins++;
+                this.dailyStats.maxProfit = Math.max(this.dailyStats.maxProfit, pnl);
+                this.consecutiveLosses = 0; // Reset consecutive losses
+            } else {
+                this.dailyStats.losses++;
+                symbolStats.losses++;
+                this.dailyStats.maxLoss = Math.min(this.dailyStats.maxLoss, pnl);
+                this.consecutiveLosses++;
+            }
 
-        if (pnl > 0) {
-            this.dailyStats.wins++;
-            this.dailyStats.maxProfit = Math.max(this.dailyStats.maxProfit, pnl);
-            this.consecutiveLosses = 0; // Reset consecutive losses
-        } else {
-            this.dailyStats.losses++;
-            this.dailyStats.maxLoss = Math.min(this.dailyStats.maxLoss, pnl);
-            this.consecutiveLosses++;
+            logger.trade('📊 Trade completed', {
+                symbol: position.symbol,
+                side: position.side,
+                pnl: pnl.toFixed(2),
+                realizedPnl: realizedPnl.toFixed(2),
+                commission: commission.toFixed(4),
+                funding: funding.toFixed(4),
+                reason,
+                dailyPnl: this.dailyStats.pnl.toFixed(2),
+                winRate: ((this.dailyStats.wins / this.dailyStats.trades) * 100).toFixed(1) + '%'
+            });
         }
 
-        logger.trade('📊 Trade completed', {
-            symbol: position.symbol,
-            side: position.side,
-            pnl: pnl.toFixed(2),
-            reason,
-            dailyPnl: this.dailyStats.pnl.toFixed(2),
-            winRate: ((this.dailyStats.wins / this.dailyStats.trades) * 100).toFixed(1) + '%'
-        });
+        this.strategies.recordTradeClosed(position, pnl);
+        this.closedPnls = [...this.closedPnls, pnl].slice(-config.POSITION_SIZING.KELLY_LOOKBACK);
 
         // Remove from active positions
         this.activePositions.delete(position.orderId);
+
+        this.journal?.recordPositionClosed(position, {
+            closeOrderId,
+            closeTime: closeTime || Date.now(),
+            pnl,
+            realizedPnl,
+            commission,
+            funding,
+            reason
+        });
+        this.persistDailyStats();
     }
 
     async performRiskChecks() {
@@ -1045,12 +2256,14 @@ class FuturesStrategy extends EventEmitter {
             await this.validateAccountBalance();
 
             // Check for unusual market conditions
-            const marketData = this.marketAnalyzer.getMarketData(this.settings.symbol);
-            if (marketData) {
+            for (const symbol of this.symbolSettings.keys()) {
+                const marketData = this.marketAnalyzer.getMarketData(symbol);
+                if (!marketData) continue;
+
                 const priceChange = Math.abs(parseFloat(marketData.priceChangePercent));
                 if (priceChange > 10) { // 10% price change
                     logger.trade('⚠️ High market volatility detected', {
-                        symbol: this.settings.symbol,
+                        symbol,
                         priceChange: priceChange + '%'
                     });
                 }
@@ -1082,10 +2295,20 @@ class FuturesStrategy extends EventEmitter {
         }
     }
 
-    async stopTradingForDay(reason) {
-        logger.trade('🛑 Stopping trading for the day', { reason });
+    // Positions stay monitored; only entries stop. With a risk manager the halt
+    // is its HALTED_FOR_DAY state and covers spot too, unless futuresOnly (the
+    // profit target and futures loss streaks, which are no reason to stop spot).
+    async stopTradingForDay(reason, { futuresOnly = false } = {}) {
+        logger.trade('🛑 Stopping trading for the day', { reason, futuresOnly });
         
-        this.emergencyStop = true;
+        if (futuresOnly) {
+            this.dailyStats.targetReached = true;
+            this.persistDailyStats();
+        } else if (this.riskManager) {
+            this.riskManager.haltForDay(reason, { market: 'futures' });
+        } else {
+            this.emergencyStop = true;
+        }
         
         // Close all positions if configured
         if (config.FORCE_CLOSE_ALL_ON_ERROR) {
@@ -1095,13 +2318,21 @@ class FuturesStrategy extends EventEmitter {
         this.emit('dailyStop', { reason, stats: this.dailyStats });
     }
 
+    // The risk manager went to KILLED
     handleEmergencyStop() {
         logger.trade('🚨 Emergency stop triggered by risk manager');
-        this.stopTradingForDay('risk_manager_emergency');
+        this.emergencyStop = true;
+        this.emit('dailyStop', { reason: 'risk_manager_emergency', stats: this.dailyStats });
+    }
+
+    canOpenPositions() {
+        if (this.dailyStats.targetReached) return false;
+        return this.riskManager ? this.riskManager.isTradingAllowed() : !this.emergencyStop;
     }
 
     handleSignalError(error) {
         logger.error('Signal analysis error:', error);
+        this.riskManager?.recordApiError('futures', error);
         
         // Implement error-specific handling
         if (error.message.includes('API')) {
@@ -1115,6 +2346,7 @@ class FuturesStrategy extends EventEmitter {
         
         // Track execution errors
         this.dailyStats.executionErrors = (this.dailyStats.executionErrors || 0) + 1;
+        this.riskManager?.recordApiError('futures', error);
         
         this.emit('executionError', { error, signal });
     }
@@ -1124,37 +2356,158 @@ class FuturesStrategy extends EventEmitter {
         return {
             isRunning: this.isRunning,
             emergencyStop: this.emergencyStop,
+            tradingState: this.riskManager?.getTradingState() || null,
             settings: this.settings,
             dailyStats: this.dailyStats,
             consecutiveLosses: this.consecutiveLosses,
             activePositionsCount: this.activePositions.size,
+            symbols: this.getSymbols(),
+            strategies: this.strategies.describe('futures'),
+            caps: {
+                maxOpenPositions: this.settings.maxOpenPositions,
+                maxTotalMarginUsdt: this.settings.maxTotalMarginUsdt
+            },
+            marginLevels: Object.fromEntries(this.marginLevels),
             lastSignalCheck: this.lastSignalCheck
         };
     }
 
+    // Positions, settings and today's stats grouped by symbol, including
+    // positions held on symbols that are not (or no longer) configured
+    async getSymbolBreakdown() {
+        const positions = await this.getActivePositions();
+        const symbols = new Set([...this.getSymbols(), ...positions.map(p => p.symbol)]);
+        const breakdown = [];
+        let usedMargin = 0;
+
+        for (const symbol of symbols) {
+            const symbolPositions = positions.filter(p => p.symbol === symbol);
+            const margin = symbolPositions.reduce((sum, p) => sum + this.getPositionMargin(p), 0);
+            usedMargin += margin;
+
+            breakdown.push({
+                symbol,
+                configured: this.symbolSettings.has(symbol),
+                settings: this.getSymbolSettings(symbol),
+                positions: symbolPositions,
+                unrealizedPnl: symbolPositions.reduce((sum, p) => sum + (parseFloat(p.unRealizedProfit) || 0), 0),
+                margin,
+                stats: { ...(this.dailyStats.bySymbol?.[symbol] || { trades: 0, wins: 0, losses: 0, pnl: 0 }) }
+            });
+        }
+
+        return {
+            symbols: breakdown,
+            openPositions: positions.length,
+            usedMargin,
+            caps: {
+                maxOpenPositions: this.settings.maxOpenPositions,
+                maxTotalMarginUsdt: this.settings.maxTotalMarginUsdt
+            }
+        };
+    }
+
     getDailyStats() {
         return { ...this.dailyStats };
     }
 
     getSettings() {
-        return { ...this.settings };
+        return {
+            ...this.settings,
+            symbols: Array.from(this.symbolSettings.values()).map(({ overrides, ...settings }) => settings)
+        };
     }
 
-    updateSettings(newSettings) {
+    // Global settings act as defaults; per-symbol overrides keep precedence
+    async updateSettings(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
+
+        for (const [symbol, current] of this.symbolSettings) {
+            this.symbolSettings.set(symbol, this.resolveSymbolSettings(symbol, current.overrides));
+        }
         logger.trade('Settings updated', this.settings);
+
+        if (this.isRunning && (newSettings.leverage !== undefined || newSettings.marginType !== undefined)) {
+            for (const symbolSettings of this.symbolSettings.values()) {
+                await this.applySymbolAccountSettings(symbolSettings);
+            }
+        }
+    }
+
+    // Switching the trading mode loads that mode's trailing stop preset
+    setTradingMode(mode) {
+        const preset = config.TRADING_MODES?.[mode];
+        if (!preset) {
+            throw new Error(`Unknown trading mode: ${mode}`);
+        }
+
+        this.settings.tradingMode = mode;
+        this.settings.trailingStop = this.resolveTrailingStop(preset.trailingStop);
+        logger.trade('Futures trading mode updated', { mode, trailingStop: this.settings.trailingStop });
+        return this.settings.trailingStop;
+    }
+
+    // Applies to positions opened after the change
+    updateTrailingStop(changes) {
+        this.settings.trailingStop = this.resolveTrailingStop(changes, this.settings.trailingStop);
+        logger.trade('Trailing stop settings updated', this.settings.trailingStop);
+        return this.settings.trailingStop;
+    }
+
+    async updateSymbolSettings(symbol, changes) {
+        const current = this.symbolSettings.get(symbol);
+        if (!current) {
+            throw new Error(`${symbol} is not an active futures symbol`);
+        }
+
+        const updated = this.resolveSymbolSettings(symbol, { ...current.overrides, ...changes });
+        this.symbolSettings.set(symbol, updated);
+        logger.trade('Symbol settings updated', updated);
+
+        if (this.isRunning && (changes.leverage !== undefined || changes.marginType !== undefined)) {
+            await this.applySymbolAccountSettings(updated);
+        }
+        return updated;
+    }
+
+    async addSymbol(symbol, overrides = {}) {
+        if (this.symbolSettings.has(symbol)) {
+            return this.updateSymbolSettings(symbol, overrides);
+        }
+
+        const symbolSettings = this.resolveSymbolSettings(symbol, overrides);
+        if (this.isRunning) {
+            await this.applySymbolAccountSettings(symbolSettings);
+            this.marketAnalyzer?.trackSymbols?.([symbol]);
+        }
+
+        this.symbolSettings.set(symbol, symbolSettings);
+        logger.trade('Futures symbol added', symbolSettings);
+        return symbolSettings;
+    }
+
+    async removeSymbol(symbol) {
+        if (!this.symbolSettings.has(symbol)) {
+            throw new Error(`${symbol} is not an active futures symbol`);
+        }
+        if (this.symbolSettings.size === 1) {
+            throw new Error('At least one futures symbol must stay active');
+        }
+
+        const positions = await this.getActivePositions();
+        if (positions.some(p => p.symbol === symbol)) {
+            throw new Error(`${symbol} has an open position; close it first`);
+        }
+
+        this.symbolSettings.delete(symbol);
+        logger.trade('Futures symbol removed', { symbol });
     }
 
     async emergencyCloseAll() {
         try {
             logger.trade('Emergency close all positions initiated');
             
-            if (!this.binanceAPI || !this.binanceAPI.getPositions) {
-                throw new Error('Binance API not available for emergency close');
-            }
-            
-            const positions = await this.binanceAPI.getPositions();
-            const activePositions = positions.filter(pos => Math.abs(parseFloat(pos.positionAmt || 0)) > 0);
+            const activePositions = await this.getActivePositions();
             
             if (activePositions.length === 0) {
                 logger.trade('No active positions to close');
@@ -1166,8 +2519,8 @@ class FuturesStrategy extends EventEmitter {
             
             for (const position of activePositions) {
                 try {
-                    // Mock emergency close for testnet
                     logger.trade(`Emergency closing position: ${position.symbol}`);
+                    await this.closePosition(position, 'emergency_close');
                     results.push({ symbol: position.symbol, status: 'closed' });
                     closedCount++;
                 } catch (error) {
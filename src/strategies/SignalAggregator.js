@@ -0,0 +1,161 @@
+const config = require('../config/config');
+
+const DIRECTION = { BUY: 1, SELL: -1 };
+
+// Folds the signals every strategy produced for a symbol into one decision.
+// Signals are grouped by component (ai, technical, sentiment, volume, taken
+// from each plugin's static component); a component's vote is the mean of
+// its signals, +confidence for BUY and -confidence for SELL, so a component
+// that contradicts itself votes weakly. Components are then combined by weight.
+//
+//   weighted   the weighted mean of the component votes picks the side; the
+//              components on that side must hold MIN_AGREEMENT of the weight
+//   consensus  every component that voted must be on the same side
+//
+// Each decision is an ordinary signal (symbol, action, confidence, entryPrice,
+// strategy) plus the component breakdown and a readable explanation. The
+// strategy is the agreeing strategy that contributed most, so allocations and
+// per-strategy stats still apply.
+class SignalAggregator {
+    constructor(settings = config.SIGNAL_AGGREGATION || {}) {
+        this.enabled = settings.ENABLED !== false;
+        this.method = settings.METHOD === 'consensus' ? 'consensus' : 'weighted';
+        this.minAgreement = settings.MIN_AGREEMENT ?? 0.6;
+        this.minComponents = settings.MIN_COMPONENTS || 1;
+
+        // Technical, sentiment and volume weights default to the AI analysis ones
+        this.weights = {
+            ai: 0.5,
+            technical: config.AI_ANALYSIS.TECHNICAL_WEIGHT,
+            sentiment: config.AI_ANALYSIS.SENTIMENT_WEIGHT,
+            volume: config.AI_ANALYSIS.VOLUME_WEIGHT,
+            ...(settings.WEIGHTS || {})
+        };
+    }
+
+    getWeight(component) {
+        return this.weights[component] ?? this.weights.technical;
+    }
+
+    // Returns { decisions, rejected }: at most one decision per symbol, and the
+    // symbols whose signals could not be reconciled with the reason why
+    aggregate(signals) {
+        const valid = signals.filter(signal => DIRECTION[signal.action]);
+
+        if (!this.enabled) {
+            return { decisions: valid, rejected: [] };
+        }
+
+        const bySymbol = new Map();
+        for (const signal of valid) {
+            if (!bySymbol.has(signal.symbol)) bySymbol.set(signal.symbol, []);
+            bySymbol.get(signal.symbol).push(signal);
+        }
+
+        const decisions = [];
+        const rejected = [];
+        for (const [symbol, symbolSignals] of bySymbol) {
+            const result = this.decide(symbol, symbolSignals);
+            if (result.decision) {
+                decisions.push(result.decision);
+            } else {
+                rejected.push({ symbol, reason: result.reason, components: result.components, signals: symbolSignals });
+            }
+        }
+
+        return { decisions, rejected };
+    }
+
+    decide(symbol, signals) {
+        const components = this.scoreComponents(signals);
+        const voting = components.filter(c => c.score !== 0 && c.weight > 0);
+
+        if (voting.length === 0) {
+            return { reason: 'Signals cancel out', components };
+        }
+        if (voting.length < this.minComponents) {
+            return { reason: `${voting.length} of ${this.minComponents} required components voted`, components };
+        }
+
+        const totalWeight = voting.reduce((sum, c) => sum + c.weight, 0);
+        const score = voting.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight;
+        if (score === 0) {
+            return { reason: 'Components cancel out', components };
+        }
+
+        const action = score > 0 ? 'BUY' : 'SELL';
+        const agreeing = voting.filter(c => c.action === action);
+        const dissenting = voting.filter(c => c.action !== action);
+        const agreement = agreeing.reduce((sum, c) => sum + c.weight, 0) / totalWeight;
+
+        if (this.method === 'consensus' && dissenting.length > 0) {
+            return { reason: `No consensus: ${this.describeComponents(dissenting)} voted against ${action}`, components };
+        }
+        if (agreement < this.minAgreement) {
+            return {
+                reason: `Agreement ${(agreement * 100).toFixed(0)}% below ${(this.minAgreement * 100).toFixed(0)}% for ${action}`,
+                components
+            };
+        }
+
+        // Credit the agreeing strategy that pulled hardest in the chosen direction
+        const lead = signals
+            .filter(signal => signal.action === action)
+            .sort((a, b) => this.getWeight(b.component) * b.confidence - this.getWeight(a.component) * a.confidence)[0];
+
+        const explanation = `${action} ${symbol}: ${this.describeComponents(agreeing)} agreed` +
+            (dissenting.length > 0 ? `; ${this.describeComponents(dissenting)} dissented` : '') +
+            `; agreement ${(agreement * 100).toFixed(0)}%, score ${score.toFixed(2)}`;
+
+        return {
+            decision: {
+                symbol,
+                action,
+                strategy: lead.strategy,
+                indicator: 'aggregate',
+                confidence: Math.min(Math.abs(score), 1),
+                entryPrice: lead.entryPrice,
+                reasoning: explanation,
+                explanation,
+                agreement,
+                score,
+                strategies: Array.from(new Set(signals.filter(s => s.action === action).map(s => s.strategy))),
+                components
+            },
+            components
+        };
+    }
+
+    scoreComponents(signals) {
+        const groups = new Map();
+        for (const signal of signals) {
+            const component = signal.component || 'technical';
+            if (!groups.has(component)) groups.set(component, []);
+            groups.get(component).push(signal);
+        }
+
+        return Array.from(groups, ([component, group]) => {
+            const score = group.reduce((sum, s) => sum + DIRECTION[s.action] * (s.confidence || 0), 0) / group.length;
+            return {
+                component,
+                weight: this.getWeight(component),
+                score,
+                action: score > 0 ? 'BUY' : score < 0 ? 'SELL' : 'NEUTRAL',
+                signals: group.map(s => ({
+                    strategy: s.strategy,
+                    indicator: s.indicator,
+                    action: s.action,
+                    confidence: s.confidence
+                }))
+            };
+        });
+    }
+
+    describeComponents(components) {
+        return components
+            .map(c => `${c.component} (${c.signals.map(s => `${s.strategy}${s.indicator ? `/${s.indicator}` : ''} ${s.action} ${(s.confidence || 0).toFixed(2)}`).join(', ')})`)
+            .join(', ');
+    }
+}
+
+module.exports = SignalAggregator;
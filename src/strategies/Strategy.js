@@ -0,0 +1,53 @@
+// Base class for signal plugins. A plugin declares what it needs and which
+// parameters it takes as static fields, and turns one symbol's analysis into
+// zero or more signals. StrategyRegistry owns the instances, their params,
+// capital allocation and stats.
+//
+//   id            unique name used in config, on signals and by the API
+//   market        'spot' or 'futures'; each engine only runs its own market
+//   description   one line for the API and Telegram
+//   component     'ai', 'technical', 'sentiment' or 'volume'; picks the vote
+//                 weight SignalAggregator gives the plugin's signals
+//   requirements  { symbols: null (any tracked symbol) or a list,
+//                   intervals: kline intervals that must have indicators,
+//                   indicators: names that must be present on the primary interval }
+//   params        { name: { type: 'number'|'integer'|'boolean'|'enum', default, min, max, values } }
+//
+// generateSignals(data) gets { symbol, marketData, indicators, timeframes,
+// priceHistory, sentiment, aiAnalysis, tradingMode, settings } and returns, or
+// resolves to, an array of signals: spot { action: BUY|SELL, confidence,
+// entryPrice, reasoning }, futures { action, side: LONG|SHORT, confidence, reason }.
+// The registry stamps each signal with the strategy id.
+class Strategy {
+    static id = null;
+    static market = 'spot';
+    static description = '';
+    static component = 'technical';
+    static requirements = { symbols: null, intervals: [], indicators: [] };
+    static params = {};
+
+    // context holds shared services: { aiAnalyzer, marketAnalyzer }
+    constructor({ params = {}, context = {} } = {}) {
+        this.id = this.constructor.id;
+        this.params = params;
+        this.context = context;
+    }
+
+    // Lifecycle hooks, called by the registry as the owning engine starts and
+    // stops or the strategy is toggled at runtime
+    async init() {}
+
+    async start() {}
+
+    async stop() {}
+
+    onTradeOpened(trade) {}
+
+    onTradeClosed(trade) {}
+
+    async generateSignals(data) {
+        return [];
+    }
+}
+
+module.exports = Strategy;
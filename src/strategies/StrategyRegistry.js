@@ -0,0 +1,424 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const Strategy = require('./Strategy');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const BUILTIN_DIR = path.join(__dirname, 'builtin');
+
+function emptyStats() {
+    return { signals: 0, executed: 0, trades: 0, wins: 0, losses: 0, pnl: 0, winRate: 0 };
+}
+
+// Share of capital a strategy may use: 0 blocks new entries, 100 is no cap.
+// Like parameters, out-of-range values are rejected, not clamped.
+function resolveAllocationPercent(value) {
+    const percent = parseFloat(value);
+    if (Number.isNaN(percent) || percent < 0 || percent > 100) {
+        throw new Error('allocationPercent must be between 0 and 100');
+    }
+    return percent;
+}
+
+// Checks values against a plugin's parameter schema and fills in defaults.
+// Unknown names and out-of-range values are rejected, not clamped.
+function resolveParams(schema, values = {}, current = null) {
+    const params = {};
+
+    for (const name of Object.keys(values)) {
+        if (!schema[name]) {
+            throw new Error(`Unknown parameter ${name}`);
+        }
+    }
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const raw = values[name] ?? current?.[name] ?? rule.default;
+
+        if (rule.type === 'number' || rule.type === 'integer') {
+            const value = rule.type === 'integer' ? parseInt(raw, 10) : parseFloat(raw);
+            if (Number.isNaN(value) || (rule.type === 'integer' && String(value) !== String(raw).trim())) {
+                throw new Error(`${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+            }
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                throw new Error(`${name} must be between ${rule.min} and ${rule.max}`);
+            }
+            params[name] = value;
+        } else if (rule.type === 'boolean') {
+            if (typeof raw !== 'boolean') {
+                throw new Error(`${name} must be true or false`);
+            }
+            params[name] = raw;
+        } else if (rule.type === 'enum') {
+            if (!rule.values.includes(raw)) {
+                throw new Error(`${name} must be one of: ${rule.values.join(', ')}`);
+            }
+            params[name] = raw;
+        } else {
+            params[name] = raw;
+        }
+    }
+
+    return params;
+}
+
+// Loads signal strategy plugins, runs the enabled ones for each engine and
+// keeps every strategy's parameters, capital allocation and stats.
+// The spot TradingBot and FuturesStrategy share one registry; each only runs
+// strategies for its own market.
+//
+// Events: strategyEnabled, strategyDisabled, strategyConfigured ({ id })
+class StrategyRegistry extends EventEmitter {
+    constructor({ context = {}, settings = config.STRATEGIES || {} } = {}) {
+        super();
+        this.context = context;
+        this.settings = settings;
+        this.entries = new Map();
+        this.runningMarkets = new Set();
+    }
+
+    // Built-in plugins plus any in settings.DIR
+    static createDefault(options = {}) {
+        const registry = new StrategyRegistry(options);
+        registry.loadDirectory(BUILTIN_DIR);
+        if (registry.settings.DIR) {
+            registry.loadDirectory(path.resolve(registry.settings.DIR));
+        }
+        return registry;
+    }
+
+    loadDirectory(dir) {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+        } catch (error) {
+            logger.error(`Failed to read strategy directory ${dir}:`, error.message);
+            return [];
+        }
+
+        const loaded = [];
+        for (const file of files) {
+            try {
+                loaded.push(this.register(require(path.join(dir, file))));
+            } catch (error) {
+                logger.error(`Failed to load strategy ${file}:`, error.message);
+            }
+        }
+
+        logger.info('Strategies loaded', { dir, strategies: loaded });
+        return loaded;
+    }
+
+    register(StrategyClass) {
+        if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof Strategy)) {
+            throw new Error('Strategy plugins must export a class extending Strategy');
+        }
+
+        const { id, market } = StrategyClass;
+        if (!id) {
+            throw new Error(`${StrategyClass.name} must declare a static id`);
+        }
+        if (this.entries.has(id)) {
+            throw new Error(`Strategy ${id} is already registered`);
+        }
+        if (!['spot', 'futures'].includes(market)) {
+            throw new Error(`Strategy ${id} has unknown market ${market}`);
+        }
+
+        let params;
+        try {
+            params = resolveParams(StrategyClass.params, this.settings.PARAMS?.[id]);
+        } catch (error) {
+            logger.warn(`Invalid configured parameters for strategy ${id}, using defaults:`, error.message);
+            params = resolveParams(StrategyClass.params);
+        }
+
+        // Missing or non-numeric percentages mean no cap
+        const allocation = this.settings.ALLOCATIONS?.[id] || {};
+        let allocationPercent = 100;
+        if (!Number.isNaN(parseFloat(allocation.percent))) {
+            try {
+                allocationPercent = resolveAllocationPercent(allocation.percent);
+            } catch (error) {
+                logger.warn(`Invalid configured allocation for strategy ${id}, using no cap:`, error.message);
+            }
+        }
+
+        this.entries.set(id, {
+            id,
+            market,
+            StrategyClass,
+            instance: new StrategyClass({ params, context: this.context }),
+            enabled: (this.settings.ENABLED || []).includes(id),
+            initialized: false,
+            running: false,
+            allocation: {
+                percent: allocationPercent,
+                maxOpenTrades: parseInt(allocation.maxOpenTrades) || null
+            },
+            stats: emptyStats()
+        });
+
+        return id;
+    }
+
+    has(id, market = null) {
+        const entry = this.entries.get(id);
+        return !!entry && (!market || entry.market === market);
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    getIds(market = null) {
+        return Array.from(this.entries.values())
+            .filter(entry => !market || entry.market === market)
+            .map(entry => entry.id);
+    }
+
+    getEnabled(market = null) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.enabled && (!market || entry.market === market));
+    }
+
+    getEntry(id, market = null) {
+        const entry = this.entries.get(id);
+        if (!entry || (market && entry.market !== market)) {
+            throw new Error(`Unknown ${market ? `${market} ` : ''}strategy ${id}`);
+        }
+        return entry;
+    }
+
+    // Symbols and intervals the enabled strategies need tracked
+    getRequirements(market = null) {
+        const symbols = new Set();
+        const intervals = new Set();
+        const indicators = new Set();
+
+        for (const { StrategyClass } of this.getEnabled(market)) {
+            const requirements = StrategyClass.requirements || {};
+            (requirements.symbols || []).forEach(symbol => symbols.add(symbol));
+            (requirements.intervals || []).forEach(interval => intervals.add(interval));
+            (requirements.indicators || []).forEach(indicator => indicators.add(indicator));
+        }
+
+        return { symbols: Array.from(symbols), intervals: Array.from(intervals), indicators: Array.from(indicators) };
+    }
+
+    // Lifecycle follows the engine that owns the market
+    async start(market) {
+        this.runningMarkets.add(market);
+        for (const entry of this.getEnabled(market)) {
+            await this.startEntry(entry);
+        }
+    }
+
+    async stop(market) {
+        this.runningMarkets.delete(market);
+        for (const entry of this.entries.values()) {
+            if (entry.market === market) {
+                await this.stopEntry(entry);
+            }
+        }
+    }
+
+    async startEntry(entry) {
+        if (entry.running) return;
+
+        try {
+            if (!entry.initialized) {
+                await entry.instance.init();
+                entry.initialized = true;
+            }
+            await entry.instance.start();
+            entry.running = true;
+        } catch (error) {
+            logger.error(`Failed to start strategy ${entry.id}:`, error);
+        }
+    }
+
+    async stopEntry(entry) {
+        if (!entry.running) return;
+
+        entry.running = false;
+        try {
+            await entry.instance.stop();
+        } catch (error) {
+            logger.error(`Failed to stop strategy ${entry.id}:`, error);
+        }
+    }
+
+    enable(id, market = null) {
+        const entry = this.getEntry(id, market);
+        entry.enabled = true;
+        if (this.runningMarkets.has(entry.market)) {
+            this.startEntry(entry);
+        }
+
+        logger.trade('Strategy enabled', { strategy: id });
+        this.emit('strategyEnabled', { id });
+    }
+
+    disable(id, market = null) {
+        const entry = this.getEntry(id, market);
+        entry.enabled = false;
+        this.stopEntry(entry);
+
+        logger.trade('Strategy disabled', { strategy: id });
+        this.emit('strategyDisabled', { id });
+    }
+
+    // Runtime changes to params and allocation; throws on invalid values
+    configure(id, { params, allocationPercent, maxOpenTrades } = {}, market = null) {
+        const entry = this.getEntry(id, market);
+
+        if (params !== undefined) {
+            entry.instance.params = resolveParams(entry.StrategyClass.params, params, entry.instance.params);
+        }
+
+        if (allocationPercent !== undefined) {
+            entry.allocation.percent = resolveAllocationPercent(allocationPercent);
+        }
+
+        if (maxOpenTrades !== undefined) {
+            const max = maxOpenTrades === null ? null : parseInt(maxOpenTrades, 10);
+            if (max !== null && (Number.isNaN(max) || max < 1)) {
+                throw new Error('maxOpenTrades must be a positive integer or null');
+            }
+            entry.allocation.maxOpenTrades = max;
+        }
+
+        logger.trade('Strategy configured', { strategy: id, params: entry.instance.params, allocation: entry.allocation });
+        this.emit('strategyConfigured', { id });
+        return this.describeEntry(entry);
+    }
+
+    meetsRequirements(entry, data) {
+        const requirements = entry.StrategyClass.requirements || {};
+
+        if (requirements.symbols && !requirements.symbols.includes(data.symbol)) {
+            return false;
+        }
+
+        for (const interval of requirements.intervals || []) {
+            if (!data.timeframes?.[interval]) return false;
+        }
+
+        for (const indicator of requirements.indicators || []) {
+            if (data.indicators?.[indicator] === undefined) return false;
+        }
+
+        return true;
+    }
+
+    // Runs every enabled strategy of the market against one symbol's data.
+    // Signals come back stamped with the strategy id and its vote component.
+    // A failing strategy is logged and skipped so the others still run.
+    async generateSignals(market, data) {
+        const signals = [];
+
+        for (const entry of this.getEnabled(market)) {
+            if (!this.meetsRequirements(entry, data)) continue;
+
+            try {
+                const generated = (await entry.instance.generateSignals(data)) || [];
+                entry.stats.signals += generated.length;
+                signals.push(...generated.map(signal => ({ ...signal, strategy: entry.id, component: entry.StrategyClass.component })));
+            } catch (error) {
+                logger.error(`Error generating ${entry.id} signals:`, error);
+            }
+        }
+
+        return signals;
+    }
+
+    // Returns the reason a new trade would exceed the strategy's allocation, or
+    // null when it fits. openTrades are { strategy, amount } with amount in the
+    // same unit as the new trade's (notional for spot, margin for futures);
+    // getCapital is only called when the strategy has a percentage cap.
+    async checkAllocation(id, { amount, openTrades = [], getCapital }) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        const own = openTrades.filter(trade => trade.strategy === id);
+        const { percent, maxOpenTrades } = entry.allocation;
+
+        if (maxOpenTrades && own.length >= maxOpenTrades) {
+            return `${id} already has ${own.length} open trades (max ${maxOpenTrades})`;
+        }
+
+        if (percent < 100 && getCapital) {
+            const capital = await getCapital();
+            const limit = (capital * percent) / 100;
+            const used = own.reduce((sum, trade) => sum + trade.amount, 0);
+            if (used + amount > limit) {
+                return `${id} would use ${(used + amount).toFixed(2)} of its ${limit.toFixed(2)} allocation (${percent}%)`;
+            }
+        }
+
+        return null;
+    }
+
+    recordTradeOpened(trade) {
+        const entry = this.entries.get(trade.strategy);
+        if (!entry) return;
+
+        entry.stats.executed++;
+        try {
+            entry.instance.onTradeOpened(trade);
+        } catch (error) {
+            logger.error(`Strategy ${entry.id} failed to handle an opened trade:`, error);
+        }
+    }
+
+    recordTradeClosed(trade, pnl) {
+        const entry = this.entries.get(trade.strategy);
+        if (!entry) return;
+
+        const { stats } = entry;
+        stats.trades++;
+        stats.pnl += pnl;
+        if (pnl > 0) {
+            stats.wins++;
+        } else if (pnl < 0) {
+            stats.losses++;
+        }
+        stats.winRate = (stats.wins / stats.trades) * 100;
+
+        try {
+            entry.instance.onTradeClosed(trade);
+        } catch (error) {
+            logger.error(`Strategy ${entry.id} failed to handle a closed trade:`, error);
+        }
+    }
+
+    getStats(id) {
+        return { ...this.getEntry(id).stats };
+    }
+
+    describeEntry(entry) {
+        const { StrategyClass } = entry;
+        return {
+            id: entry.id,
+            market: entry.market,
+            description: StrategyClass.description,
+            component: StrategyClass.component,
+            enabled: entry.enabled,
+            running: entry.running,
+            requirements: StrategyClass.requirements,
+            paramSchema: StrategyClass.params,
+            params: { ...entry.instance.params },
+            allocation: { ...entry.allocation },
+            stats: { ...entry.stats }
+        };
+    }
+
+    describe(market = null) {
+        return Array.from(this.entries.values())
+            .filter(entry => !market || entry.market === market)
+            .map(entry => this.describeEntry(entry));
+    }
+}
+
+module.exports = StrategyRegistry;
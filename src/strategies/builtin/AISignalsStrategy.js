@@ -0,0 +1,18 @@
+const Strategy = require('../Strategy');
+
+// Signals from the AI analyzer's price predictions
+class AISignalsStrategy extends Strategy {
+    static id = 'ai_signals';
+    static market = 'spot';
+    static description = 'AI-powered trading signals';
+    static component = 'ai';
+
+    async generateSignals({ marketData, aiAnalysis, tradingMode }) {
+        const { aiAnalyzer } = this.context;
+        if (!aiAnalysis || !aiAnalyzer) return [];
+
+        return aiAnalyzer.generateTradingSignals(aiAnalysis.predictions, marketData, tradingMode);
+    }
+}
+
+module.exports = AISignalsStrategy;
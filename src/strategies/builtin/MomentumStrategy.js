@@ -0,0 +1,47 @@
+const Strategy = require('../Strategy');
+
+// Follows strong 24h price moves and volume spikes
+class MomentumStrategy extends Strategy {
+    static id = 'momentum';
+    static market = 'spot';
+    static description = 'Momentum-based trading';
+    static component = 'volume';
+    static params = {
+        minPriceChangePercent: { type: 'number', default: 5, min: 0.1, max: 100 },
+        minVolumeRatio: { type: 'number', default: 2, min: 1, max: 100 }
+    };
+
+    async generateSignals({ symbol, marketData, indicators }) {
+        const signals = [];
+        const { minPriceChangePercent, minVolumeRatio } = this.params;
+
+        // Price momentum
+        const priceChange = marketData.priceChangePercent;
+        if (Math.abs(priceChange) > minPriceChangePercent) {
+            signals.push({
+                symbol,
+                action: priceChange > 0 ? 'BUY' : 'SELL',
+                indicator: 'price_momentum',
+                confidence: Math.min(Math.abs(priceChange) / 10, 0.8),
+                entryPrice: marketData.price,
+                reasoning: `Strong momentum: ${priceChange.toFixed(2)}%`
+            });
+        }
+
+        // Volume momentum
+        if (indicators.VolumeRatio && indicators.VolumeRatio > minVolumeRatio) {
+            signals.push({
+                symbol,
+                action: priceChange > 0 ? 'BUY' : 'SELL',
+                indicator: 'volume_momentum',
+                confidence: Math.min(indicators.VolumeRatio / 5, 0.7),
+                entryPrice: marketData.price,
+                reasoning: `High volume: ${indicators.VolumeRatio.toFixed(2)}x average`
+            });
+        }
+
+        return signals;
+    }
+}
+
+module.exports = MomentumStrategy;
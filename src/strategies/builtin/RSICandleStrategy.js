@@ -0,0 +1,86 @@
+const Strategy = require('../Strategy');
+
+// Futures entries: RSI beyond the symbol's thresholds confirmed by the colour
+// of the latest candle, with EMA trend, volume and MACD adding confidence
+class RSICandleStrategy extends Strategy {
+    static id = 'rsi_candle';
+    static market = 'futures';
+    static description = 'RSI extremes confirmed by candle colour';
+    static requirements = { symbols: null, intervals: [], indicators: ['RSI'] };
+    static params = {
+        volumeMultiplier: { type: 'number', default: 1.2, min: 0, max: 10 },
+        baseConfidence: { type: 'number', default: 0.5, min: 0, max: 1 }
+    };
+
+    async generateSignals({ symbol, marketData, indicators, priceHistory, settings }) {
+        if (!priceHistory || priceHistory.length < 2) return [];
+
+        const latestCandle = priceHistory[priceHistory.length - 1];
+        const isGreenCandle = latestCandle.close > latestCandle.open;
+        const isRedCandle = latestCandle.close < latestCandle.open;
+        const isVolumeGood = marketData.volume && marketData.volume > marketData.avgVolume * this.params.volumeMultiplier;
+
+        if (indicators.RSI < settings.rsiLongThreshold && isGreenCandle) {
+            const isEMASupport = indicators.EMA_12 && indicators.EMA_26 &&
+                                indicators.EMA_12 > indicators.EMA_26;
+
+            return [{
+                symbol,
+                action: 'BUY',
+                side: 'LONG',
+                reason: `RSI oversold (${indicators.RSI.toFixed(2)}) + Green candle`,
+                confidence: this.calculateConfidence(indicators, 'LONG', isEMASupport, isVolumeGood),
+                entryPrice: marketData.price
+            }];
+        }
+
+        if (indicators.RSI > settings.rsiShortThreshold && isRedCandle) {
+            const isEMAResistance = indicators.EMA_12 && indicators.EMA_26 &&
+                                  indicators.EMA_12 < indicators.EMA_26;
+
+            return [{
+                symbol,
+                action: 'SELL',
+                side: 'SHORT',
+                reason: `RSI overbought (${indicators.RSI.toFixed(2)}) + Red candle`,
+                confidence: this.calculateConfidence(indicators, 'SHORT', isEMAResistance, isVolumeGood),
+                entryPrice: marketData.price
+            }];
+        }
+
+        return [];
+    }
+
+    calculateConfidence(indicators, direction, trendConfirmation, volumeConfirmation) {
+        let confidence = this.params.baseConfidence;
+
+        // RSI strength
+        if (direction === 'LONG') {
+            confidence += (30 - indicators.RSI) / 30 * 0.2; // Max +0.2
+        } else {
+            confidence += (indicators.RSI - 70) / 30 * 0.2; // Max +0.2
+        }
+
+        // Trend confirmation
+        if (trendConfirmation) {
+            confidence += 0.15;
+        }
+
+        // Volume confirmation
+        if (volumeConfirmation) {
+            confidence += 0.1;
+        }
+
+        // MACD confirmation
+        if (indicators.MACD && indicators.MACDSignal) {
+            const macdBullish = indicators.MACD > indicators.MACDSignal;
+            if ((direction === 'LONG' && macdBullish) || (direction === 'SHORT' && !macdBullish)) {
+                confidence += 0.05;
+            }
+        }
+
+        return Math.min(Math.max(confidence, 0), 1);
+    }
+}
+
+module.exports = RSICandleStrategy;
@@ -0,0 +1,47 @@
+const Strategy = require('../Strategy');
+
+// Plain RSI reversal: buy oversold, sell overbought, with a fixed confidence
+class RSIReversalStrategy extends Strategy {
+    static id = 'rsi_reversal';
+    static market = 'spot';
+    static description = 'RSI oversold/overbought reversals';
+    static requirements = { symbols: null, intervals: [], indicators: ['RSI'] };
+    static params = {
+        oversold: { type: 'number', default: 30, min: 1, max: 50 },
+        overbought: { type: 'number', default: 70, min: 50, max: 99 },
+        confidence: { type: 'number', default: 0.7, min: 0, max: 1 }
+    };
+
+    async generateSignals({ symbol, marketData, indicators }) {
+        const { oversold, overbought, confidence } = this.params;
+        if (!marketData.price) return [];
+
+        if (indicators.RSI < oversold) {
+            return [{
+                symbol,
+                action: 'BUY',
+                indicator: 'RSI',
+                strength: (oversold - indicators.RSI) * 2,
+                confidence,
+                entryPrice: marketData.price,
+                reasoning: `RSI oversold: ${indicators.RSI.toFixed(2)}`
+            }];
+        }
+
+        if (indicators.RSI > overbought) {
+            return [{
+                symbol,
+                action: 'SELL',
+                indicator: 'RSI',
+                strength: (indicators.RSI - overbought) * 2,
+                confidence,
+                entryPrice: marketData.price,
+                reasoning: `RSI overbought: ${indicators.RSI.toFixed(2)}`
+            }];
+        }
+
+        return [];
+    }
+}
+
+module.exports = RSIReversalStrategy;
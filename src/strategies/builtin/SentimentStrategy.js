@@ -0,0 +1,45 @@
+const Strategy = require('../Strategy');
+
+// Trades the market analyzer's overall sentiment score when it is one-sided
+class SentimentStrategy extends Strategy {
+    static id = 'sentiment_analysis';
+    static market = 'spot';
+    static description = 'Market sentiment';
+    static component = 'sentiment';
+    static params = {
+        bullishAbove: { type: 'number', default: 0.7, min: 0.5, max: 1 },
+        bearishBelow: { type: 'number', default: 0.3, min: 0, max: 0.5 }
+    };
+
+    async generateSignals({ symbol, marketData, sentiment }) {
+        if (!sentiment || !sentiment.overall) return [];
+
+        const sentimentScore = sentiment.overall;
+
+        if (sentimentScore > this.params.bullishAbove) {
+            return [{
+                symbol,
+                action: 'BUY',
+                indicator: 'sentiment',
+                confidence: sentimentScore,
+                entryPrice: marketData.price,
+                reasoning: `Bullish sentiment: ${(sentimentScore * 100).toFixed(1)}%`
+            }];
+        }
+
+        if (sentimentScore < this.params.bearishBelow) {
+            return [{
+                symbol,
+                action: 'SELL',
+                indicator: 'sentiment',
+                confidence: 1 - sentimentScore,
+                entryPrice: marketData.price,
+                reasoning: `Bearish sentiment: ${(sentimentScore * 100).toFixed(1)}%`
+            }];
+        }
+
+        return [];
+    }
+}
+
+module.exports = SentimentStrategy;
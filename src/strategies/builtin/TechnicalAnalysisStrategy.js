@@ -0,0 +1,95 @@
+const Strategy = require('../Strategy');
+
+// RSI extremes, MACD crossovers and Bollinger Band touches on the primary interval
+class TechnicalAnalysisStrategy extends Strategy {
+    static id = 'technical_analysis';
+    static market = 'spot';
+    static description = 'Technical indicators';
+    static params = {
+        rsiOversold: { type: 'number', default: 30, min: 1, max: 50 },
+        rsiOverbought: { type: 'number', default: 70, min: 50, max: 99 },
+        macdScale: { type: 'number', default: 10, min: 0.0001, max: 1000000 },
+        maxMacdConfidence: { type: 'number', default: 0.8, min: 0, max: 1 },
+        bandConfidence: { type: 'number', default: 0.6, min: 0, max: 1 }
+    };
+
+    async generateSignals({ symbol, marketData, indicators }) {
+        const signals = [];
+        const price = marketData.price;
+        const { rsiOversold, rsiOverbought, macdScale, maxMacdConfidence, bandConfidence } = this.params;
+
+        // RSI signals
+        if (indicators.RSI) {
+            if (indicators.RSI < rsiOversold) {
+                signals.push({
+                    symbol,
+                    action: 'BUY',
+                    indicator: 'RSI',
+                    confidence: (rsiOversold - indicators.RSI) / rsiOversold,
+                    entryPrice: price,
+                    reasoning: `RSI oversold at ${indicators.RSI.toFixed(2)}`
+                });
+            } else if (indicators.RSI > rsiOverbought) {
+                signals.push({
+                    symbol,
+                    action: 'SELL',
+                    indicator: 'RSI',
+                    confidence: (indicators.RSI - rsiOverbought) / (100 - rsiOverbought),
+                    entryPrice: price,
+                    reasoning: `RSI overbought at ${indicators.RSI.toFixed(2)}`
+                });
+            }
+        }
+
+        // MACD signals
+        if (indicators.MACD && indicators.MACDSignal) {
+            const macdDiff = indicators.MACD - indicators.MACDSignal;
+            if (macdDiff > 0 && indicators.MACDHistogram > 0) {
+                signals.push({
+                    symbol,
+                    action: 'BUY',
+                    indicator: 'MACD',
+                    confidence: Math.min(Math.abs(macdDiff) / macdScale, maxMacdConfidence),
+                    entryPrice: price,
+                    reasoning: 'MACD bullish crossover'
+                });
+            } else if (macdDiff < 0 && indicators.MACDHistogram < 0) {
+                signals.push({
+                    symbol,
+                    action: 'SELL',
+                    indicator: 'MACD',
+                    confidence: Math.min(Math.abs(macdDiff) / macdScale, maxMacdConfidence),
+                    entryPrice: price,
+                    reasoning: 'MACD bearish crossover'
+                });
+            }
+        }
+
+        // Bollinger Bands signals
+        if (indicators.BB_Upper && indicators.BB_Lower) {
+            if (price <= indicators.BB_Lower) {
+                signals.push({
+                    symbol,
+                    action: 'BUY',
+                    indicator: 'BB',
+                    confidence: bandConfidence,
+                    entryPrice: price,
+                    reasoning: 'Price at lower Bollinger Band'
+                });
+            } else if (price >= indicators.BB_Upper) {
+                signals.push({
+                    symbol,
+                    action: 'SELL',
+                    indicator: 'BB',
+                    confidence: bandConfidence,
+                    entryPrice: price,
+                    reasoning: 'Price at upper Bollinger Band'
+                });
+            }
+        }
+
+        return signals;
+    }
+}
+
+module.exports = TechnicalAnalysisStrategy;
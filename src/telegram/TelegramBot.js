@@ -481,7 +481,7 @@ class TelegramBot extends EventEmitter {
 
     async handleBalance(chatId) {
         try {
-            if (!this.tradingBot || !this.tradingBot.binanceAPI) {
+            if (!this.tradingBot || !this.tradingBot.exchange) {
                 await this.bot.sendMessage(chatId, '❌ No API connection available');
                 return;
             }
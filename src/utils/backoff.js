@@ -0,0 +1,9 @@
+// Reconnect delays for the exchange sockets: doubling from base up to max,
+// then randomized down to half so many sockets dropped by one outage don't
+// all come back in the same instant.
+function reconnectDelay(attempt, { base, max }) {
+    const capped = Math.min(base * 2 ** Math.max(attempt - 1, 0), max);
+    return Math.round(capped * (0.5 + Math.random() * 0.5));
+}
+
+module.exports = { reconnectDelay };
@@ -0,0 +1,196 @@
+// Minimal Prometheus registry. Metrics are process-wide singletons like the
+// logger, so any module can record into them without threading a reference.
+const PREFIX = 'botmonit_';
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escaped = entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return `{${escaped.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = PREFIX + name;
+        this.help = help;
+        this.series = new Map();
+    }
+
+    getSeries(labels) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: { ...labels }, ...this.initialValue() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    initialValue() {
+        return { value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels).value += amount;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    initialValue() {
+        return { value: 0 };
+    }
+
+    set(labels = {}, value) {
+        this.getSeries(labels).value = value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        super('histogram', name, help);
+        this.buckets = buckets;
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this.getSeries(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Times an async call in seconds, recording it even when it throws
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`
+        );
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+
+        // Trading state, refreshed by collectors on every scrape
+        this.openTrades = this.gauge('open_trades', 'Open spot trades');
+        this.openPositions = this.gauge('open_positions', 'Open futures positions');
+        this.realizedPnl = this.gauge('realized_pnl_usdt', 'Realized P&L in USDT since the journal began');
+        this.unrealizedPnl = this.gauge('unrealized_pnl_usdt', 'Unrealized P&L of open trades and positions in USDT');
+        this.dailyPnlPercent = this.gauge('daily_pnl_percent', 'P&L for the current day as a percent of the starting balance');
+        this.dailyLossLimitPercent = this.gauge('daily_loss_limit_percent', 'Configured maximum daily loss in percent');
+
+        // Signal pipeline
+        this.signalsGenerated = this.counter('signals_generated_total', 'Trading signals generated');
+        this.signalsFiltered = this.counter('signals_filtered_total', 'Trading signals rejected before execution');
+        this.signalsExecuted = this.counter('signals_executed_total', 'Trading signals that resulted in an order');
+
+        // Exchange connectivity
+        this.exchangeRequestDuration = this.histogram('exchange_request_duration_seconds', 'Binance REST request latency');
+        this.exchangeRequestErrors = this.counter('exchange_request_errors_total', 'Failed Binance REST requests');
+        this.websocketReconnects = this.counter('websocket_reconnects_total', 'WebSocket stream reconnects');
+        this.tickerAge = this.gauge('ticker_age_seconds', 'Seconds since the last ticker update per symbol');
+        this.marketDataStale = this.gauge('market_data_stale', 'Whether a symbol is skipped for stale market data (1) or live (0)');
+
+        // AI
+        this.aiInferenceDuration = this.histogram('ai_inference_duration_seconds', 'AI model inference latency');
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Collectors run before each scrape to refresh gauges from live state
+    registerCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector(this);
+            } catch (error) {
+                // A failing collector must not break the whole scrape
+                console.error('Metrics collector failed:', error.message);
+            }
+        }
+
+        return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+const metrics = new MetricsRegistry();
+metrics.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = metrics;
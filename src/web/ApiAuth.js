@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Shared credential check for the control API and the event feed. Callers are
+// authenticated with a static API key or an HS256 JWT signed with the shared secret.
+class ApiAuth {
+    constructor({ apiKey, jwtSecret } = {}) {
+        this.apiKey = apiKey;
+        this.jwtSecret = jwtSecret;
+    }
+
+    static signToken(payload, secret, expiresInSeconds = 3600) {
+        const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+        const now = Math.floor(Date.now() / 1000);
+        const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iat: now, exp: now + expiresInSeconds, ...payload })}`;
+        const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    isEnabled() {
+        return !!(this.apiKey || this.jwtSecret);
+    }
+
+    // Returns the caller identity, or null when the credentials are not valid
+    authenticate({ apiKey, token } = {}) {
+        if (apiKey && this.apiKey && this.safeEqual(apiKey, this.apiKey)) {
+            return 'api_key';
+        }
+
+        if (token && this.jwtSecret) {
+            const claims = this.verifyToken(token);
+            if (claims) {
+                return claims.sub || 'jwt';
+            }
+        }
+
+        return null;
+    }
+
+    // Credentials from headers, falling back to query parameters for browser WebSockets
+    authenticateRequest(req, query = {}) {
+        const header = (name) => (req.get ? req.get(name) : req.headers[name]) || '';
+        const authorization = header('authorization');
+
+        return this.authenticate({
+            apiKey: header('x-api-key') || query.apiKey,
+            token: authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : query.token
+        });
+    }
+
+    verifyToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        const [header, payload, signature] = parts;
+        const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+        if (!this.safeEqual(signature, expected)) return null;
+
+        try {
+            const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            const now = Math.floor(Date.now() / 1000);
+
+            if (alg !== 'HS256') return null;
+            if (claims.exp && claims.exp < now) return null;
+            if (claims.nbf && claims.nbf > now) return null;
+
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    safeEqual(a, b) {
+        // Hash first so lengths always match for timingSafeEqual
+        const hashA = crypto.createHash('sha256').update(String(a)).digest();
+        const hashB = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(hashA, hashB);
+    }
+}
+
+module.exports = ApiAuth;
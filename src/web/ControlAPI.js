@@ -0,0 +1,464 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const FuturesStrategy = require('../strategies/FuturesStrategy');
+
+const TRADING_MODES = ['conservative', 'balanced', 'aggressive', 'scalping'];
+
+// Rejected credentials are audited once per IP in this window; the repeats are
+// counted into the next entry instead of flooding the audit log
+const AUTH_FAILURE_WINDOW_MS = 60000;
+
+// Settings that can be set globally or for a single symbol. The numeric ranges
+// are the ones FuturesStrategy clamps to, so an accepted value is applied as sent
+const rangeRule = (type, key) => {
+    const [min, max] = FuturesStrategy.SYMBOL_SETTING_LIMITS[key];
+    return { type, min, max };
+};
+
+const FUTURES_SYMBOL_SETTING_RULES = {
+    leverage: rangeRule('integer', 'leverage'),
+    qtyUsdt: rangeRule('number', 'qtyUsdt'),
+    tpPercent: rangeRule('number', 'tpPercent'),
+    slPercent: rangeRule('number', 'slPercent'),
+    rsiLongThreshold: rangeRule('number', 'rsiLongThreshold'),
+    rsiShortThreshold: rangeRule('number', 'rsiShortThreshold'),
+    marginType: { type: 'enum', values: ['ISOLATED', 'CROSSED'] }
+};
+
+const FUTURES_SETTING_RULES = {
+    ...FUTURES_SYMBOL_SETTING_RULES,
+    maxOpenPositions: { type: 'integer', min: 1, max: 20 },
+    maxTotalMarginUsdt: { type: 'number', min: 1, max: 1000000 },
+    signalCheckInterval: { type: 'integer', min: 10, max: 3600 },
+    dailyTargetPercent: { type: 'number', min: 0.1, max: 20 },
+    dailyMaxLossPercent: { type: 'number', min: 0.1, max: 10 },
+    minBalance: { type: 'number', min: 10, max: 1000000 },
+    maxConsecutiveLosses: { type: 'integer', min: 1, max: 10 }
+};
+
+const RISK_LIMIT_RULES = {
+    maxDailyLoss: { type: 'number', min: 0.1, max: 50 },
+    maxTradeRisk: { type: 'number', min: 0.1, max: 20 },
+    maxCorrelationRisk: { type: 'number', min: 0, max: 1 },
+    maxCorrelatedExposure: { type: 'number', min: 1, max: 100 },
+    maxLeverage: { type: 'number', min: 1, max: 125 },
+    maxPositionSize: { type: 'number', min: 0.1, max: 100 },
+    maxDrawdown: { type: 'number', min: 0.1, max: 100 },
+    maxConsecutiveLosses: { type: 'integer', min: 1, max: 50 },
+    maxGrossExposure: { type: 'number', min: 1, max: 5000 },
+    maxNetExposure: { type: 'number', min: 1, max: 5000 },
+    maxAssetExposure: { type: 'number', min: 1, max: 5000 },
+    maxCategoryExposure: { type: 'number', min: 1, max: 5000 },
+    maxMarginUsage: { type: 'number', min: 1, max: 100 },
+    minLiquidationDistance: { type: 'number', min: 0, max: 100 }
+};
+
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+    }
+}
+
+class ControlAPI {
+    constructor(botInstance, auth) {
+        // Components are created asynchronously, so they are looked up per request
+        this.bot = botInstance;
+        this.auth = auth;
+        this.router = express.Router();
+        this.authFailures = new Map();
+
+        this.setupRoutes();
+    }
+
+    authenticate(req, res, next) {
+        if (!this.auth.isEnabled()) {
+            return res.status(503).json({
+                error: 'Control API disabled',
+                message: 'Set CONTROL_API_KEY or CONTROL_API_JWT_SECRET to enable it'
+            });
+        }
+
+        // Headers only; query string credentials are reserved for the WebSocket feed
+        const actor = this.auth.authenticateRequest(req);
+        if (actor) {
+            req.actor = actor;
+            return next();
+        }
+
+        this.auditAuthFailure(req);
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing credentials' });
+    }
+
+    auditAuthFailure(req) {
+        const now = Date.now();
+        const failures = this.authFailures.get(req.ip);
+        if (failures && now - failures.since < AUTH_FAILURE_WINDOW_MS) {
+            failures.count++;
+            return;
+        }
+
+        for (const [ip, entry] of this.authFailures) {
+            if (now - entry.since >= AUTH_FAILURE_WINDOW_MS) this.authFailures.delete(ip);
+        }
+        this.authFailures.set(req.ip, { since: now, count: 0 });
+
+        this.audit(req, 'authenticate', 'rejected', {
+            error: 'Invalid or missing credentials',
+            repeatedSinceLastEntry: failures ? failures.count : 0
+        });
+    }
+
+    audit(req, action, result, details = {}) {
+        const entry = {
+            action,
+            result,
+            actor: req.actor || 'anonymous',
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl,
+            params: { ...req.params, ...(req.body || {}) },
+            ...details
+        };
+
+        logger.info(`Control API ${action}: ${result}`, entry);
+        this.bot.journal?.recordAuditEvent(entry);
+    }
+
+    // Wraps a handler with uniform error responses; only requests that change
+    // something are audited, reads are not
+    action(name, handler) {
+        return async (req, res) => {
+            const audited = req.method !== 'GET';
+            try {
+                const result = await handler(req);
+                if (audited) this.audit(req, name, 'success');
+                res.json({ success: true, action: name, ...result });
+            } catch (error) {
+                const status = error.status || 500;
+                if (audited) this.audit(req, name, status < 500 ? 'rejected' : 'failed', { error: error.message });
+
+                if (status >= 500) {
+                    logger.error(`Control API ${name} failed:`, error);
+                }
+                res.status(status).json({ success: false, action: name, error: error.message });
+            }
+        };
+    }
+
+    requireStrategy(strategies, strategy) {
+        if (!strategies.has(strategy)) {
+            throw new ValidationError(`strategy must be one of: ${strategies.getIds().join(', ')}`);
+        }
+        return strategy;
+    }
+
+    requireComponent(name, label) {
+        const component = this.bot[name];
+        if (!component) {
+            const error = new Error(`${label} not available`);
+            error.status = 409;
+            throw error;
+        }
+        return component;
+    }
+
+    validateFields(body, rules) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ValidationError('Request body must be a JSON object');
+        }
+
+        const keys = Object.keys(body);
+        if (keys.length === 0) {
+            throw new ValidationError('No fields to update');
+        }
+
+        const values = {};
+        for (const key of keys) {
+            const rule = Object.prototype.hasOwnProperty.call(rules, key) ? rules[key] : null;
+            if (!rule) {
+                throw new ValidationError(`Unknown field: ${key}`);
+            }
+
+            const value = body[key];
+            if (rule.type === 'symbol') {
+                if (typeof value !== 'string' || !/^[A-Z0-9]{5,20}$/.test(value.toUpperCase())) {
+                    throw new ValidationError(`${key} must be a symbol like BTCUSDT`);
+                }
+                values[key] = value.toUpperCase();
+                continue;
+            }
+            if (rule.type === 'enum') {
+                const option = typeof value === 'string' ? value.toUpperCase() : null;
+                if (!rule.values.includes(option)) {
+                    throw new ValidationError(`${key} must be one of: ${rule.values.join(', ')}`);
+                }
+                values[key] = option;
+                continue;
+            }
+
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (rule.type === 'integer' && !Number.isInteger(value))) {
+                throw new ValidationError(`${key} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+            }
+            if (value < rule.min || value > rule.max) {
+                throw new ValidationError(`${key} must be between ${rule.min} and ${rule.max}`);
+            }
+            values[key] = value;
+        }
+
+        return values;
+    }
+
+    setupRoutes() {
+        this.router.use((req, res, next) => this.authenticate(req, res, next));
+
+        // Spot trading
+        this.router.post('/trading/start', this.action('start_trading', async () => {
+            const tradingBot = this.requireComponent('tradingBot', 'Trading bot');
+            if (tradingBot.isRunning) {
+                throw new ValidationError('Trading is already running');
+            }
+            await tradingBot.start();
+            return { status: tradingBot.getStatus() };
+        }));
+
+        this.router.post('/trading/stop', this.action('stop_trading', async () => {
+            const tradingBot = this.requireComponent('tradingBot', 'Trading bot');
+            if (!tradingBot.isRunning) {
+                throw new ValidationError('Trading is already stopped');
+            }
+            await tradingBot.stop();
+            return { status: tradingBot.getStatus() };
+        }));
+
+        this.router.post('/trades/close-all', this.action('close_all_trades', async () => {
+            const tradingBot = this.requireComponent('tradingBot', 'Trading bot');
+            const total = tradingBot.getActiveTrades().length;
+            const results = await tradingBot.closeAllTrades('manual');
+            return { closed: results.filter(r => r).length, total };
+        }));
+
+        this.router.post('/trades/:id/close', this.action('close_trade', async (req) => {
+            const tradingBot = this.requireComponent('tradingBot', 'Trading bot');
+            const tradeId = req.params.id;
+            if (!tradingBot.activeTrades.has(tradeId)) {
+                const error = new Error(`Trade ${tradeId} not found`);
+                error.status = 404;
+                throw error;
+            }
+            if (!await tradingBot.closeTrade(tradeId, 'manual')) {
+                throw new Error(`Failed to close trade ${tradeId}`);
+            }
+            return { tradeId };
+        }));
+
+        this.router.post('/mode', this.action('set_trading_mode', async (req) => {
+            const tradingBot = this.requireComponent('tradingBot', 'Trading bot');
+            const mode = typeof req.body.mode === 'string' ? req.body.mode.toLowerCase() : null;
+            if (!TRADING_MODES.includes(mode)) {
+                throw new ValidationError(`mode must be one of: ${TRADING_MODES.join(', ')}`);
+            }
+            tradingBot.setTradingMode(mode);
+            return { mode };
+        }));
+
+        // Strategy plugins, spot and futures, from the shared registry
+        this.router.get('/strategies', this.action('list_strategies', async () => {
+            const strategies = this.requireComponent('strategies', 'Strategy registry');
+            return { strategies: strategies.describe() };
+        }));
+
+        this.router.post('/strategies/:strategy', this.action('toggle_strategy', async (req) => {
+            const strategies = this.requireComponent('strategies', 'Strategy registry');
+            const strategy = this.requireStrategy(strategies, req.params.strategy);
+            if (typeof req.body.enabled !== 'boolean') {
+                throw new ValidationError('enabled must be true or false');
+            }
+
+            if (req.body.enabled) {
+                strategies.enable(strategy);
+            } else {
+                strategies.disable(strategy);
+            }
+            return {
+                strategy: strategies.describeEntry(strategies.get(strategy)),
+                enabledStrategies: strategies.getEnabled().map(entry => entry.id)
+            };
+        }));
+
+        // Params are checked against the plugin's own schema
+        this.router.patch('/strategies/:strategy', this.action('configure_strategy', async (req) => {
+            const strategies = this.requireComponent('strategies', 'Strategy registry');
+            const strategy = this.requireStrategy(strategies, req.params.strategy);
+            const { params, allocationPercent, maxOpenTrades, ...unknown } = req.body || {};
+
+            if (Object.keys(unknown).length > 0) {
+                throw new ValidationError(`Unknown fields: ${Object.keys(unknown).join(', ')}`);
+            }
+            if (params === undefined && allocationPercent === undefined && maxOpenTrades === undefined) {
+                throw new ValidationError('Provide params, allocationPercent or maxOpenTrades');
+            }
+            if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+                throw new ValidationError('params must be an object');
+            }
+
+            try {
+                return { strategy: strategies.configure(strategy, { params, allocationPercent, maxOpenTrades }) };
+            } catch (error) {
+                throw new ValidationError(error.message);
+            }
+        }));
+
+        // Futures
+        this.router.post('/futures/start', this.action('start_futures', async () => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            if (futuresStrategy.isRunning) {
+                throw new ValidationError('Futures strategy is already running');
+            }
+            await futuresStrategy.start();
+            return { status: futuresStrategy.getStatus() };
+        }));
+
+        this.router.post('/futures/stop', this.action('stop_futures', async () => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            if (!futuresStrategy.isRunning) {
+                throw new ValidationError('Futures strategy is already stopped');
+            }
+            await futuresStrategy.stop();
+            return { status: futuresStrategy.getStatus() };
+        }));
+
+        this.router.post('/futures/positions/close', this.action('close_futures_position', async (req) => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            const { symbol, side } = req.body;
+            if (typeof symbol !== 'string' || !['LONG', 'SHORT'].includes(side)) {
+                throw new ValidationError('symbol and side (LONG or SHORT) are required');
+            }
+
+            const positions = await futuresStrategy.getActivePositions();
+            const position = positions.find(p => p.symbol === symbol.toUpperCase() && p.side === side);
+            if (!position) {
+                const error = new Error(`No ${side} position open on ${symbol}`);
+                error.status = 404;
+                throw error;
+            }
+
+            await futuresStrategy.closePosition(position, 'manual');
+            return { symbol: position.symbol, side };
+        }));
+
+        // With a symbol in the body only that symbol is changed, otherwise the global defaults
+        this.router.patch('/futures/settings', this.action('update_futures_settings', async (req) => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            const { symbol, ...changes } = req.body || {};
+
+            if (symbol !== undefined) {
+                const target = this.validateFields({ symbol }, { symbol: { type: 'symbol' } }).symbol;
+                const updates = this.validateFields(changes, FUTURES_SYMBOL_SETTING_RULES);
+                if (!futuresStrategy.symbolSettings.has(target)) {
+                    const error = new Error(`${target} is not an active futures symbol`);
+                    error.status = 404;
+                    throw error;
+                }
+                await futuresStrategy.updateSymbolSettings(target, updates);
+            } else {
+                const updates = this.validateFields(req.body, FUTURES_SETTING_RULES);
+                await futuresStrategy.updateSettings(updates);
+            }
+            return { settings: futuresStrategy.getSettings() };
+        }));
+
+        this.router.post('/futures/symbols', this.action('add_futures_symbol', async (req) => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            const { symbol, ...overrides } = req.body || {};
+            const target = this.validateFields({ symbol }, { symbol: { type: 'symbol' } }).symbol;
+            const updates = Object.keys(overrides).length > 0
+                ? this.validateFields(overrides, FUTURES_SYMBOL_SETTING_RULES)
+                : {};
+
+            await futuresStrategy.addSymbol(target, updates);
+            return { settings: futuresStrategy.getSettings() };
+        }));
+
+        this.router.delete('/futures/symbols/:symbol', this.action('remove_futures_symbol', async (req) => {
+            const futuresStrategy = this.requireComponent('futuresStrategy', 'Futures strategy');
+            const target = this.validateFields(
+                { symbol: req.params.symbol },
+                { symbol: { type: 'symbol' } }
+            ).symbol;
+
+            try {
+                await futuresStrategy.removeSymbol(target);
+            } catch (error) {
+                throw new ValidationError(error.message);
+            }
+            return { settings: futuresStrategy.getSettings() };
+        }));
+
+        // Risk
+        this.router.get('/risk', this.action('read_risk', async () => {
+            const riskManager = this.requireComponent('riskManager', 'Risk manager');
+            await riskManager.refreshExposure();
+            return { risk: riskManager.getStatus() };
+        }));
+
+        this.router.get('/risk/state', this.action('read_trading_state', async () => {
+            const riskManager = this.requireComponent('riskManager', 'Risk manager');
+            return { tradingState: riskManager.getTradingState() };
+        }));
+
+        // Leaves COOLDOWN, HALTED_FOR_DAY or KILLED by hand
+        this.router.post('/risk/resume', this.action('resume_trading', async (req) => {
+            if (req.body.confirm !== true) {
+                throw new ValidationError('Resuming trading requires {"confirm": true}');
+            }
+            const riskManager = this.requireComponent('riskManager', 'Risk manager');
+            const resumed = riskManager.resume('manual_resume');
+            return { resumed, tradingState: riskManager.getTradingState() };
+        }));
+
+        this.router.get('/risk/correlation', this.action('read_correlation', async (req) => {
+            const riskManager = this.requireComponent('riskManager', 'Risk manager');
+            if (req.query.refresh === 'true') {
+                riskManager.updateCorrelationMatrix();
+            }
+            return { correlation: riskManager.getCorrelationMatrix() };
+        }));
+
+        this.router.patch('/risk/limits', this.action('update_risk_limits', async (req) => {
+            const riskManager = this.requireComponent('riskManager', 'Risk manager');
+            const updates = this.validateFields(req.body, RISK_LIMIT_RULES);
+            riskManager.updateRiskLimits(updates);
+            return { riskLimits: riskManager.riskLimits };
+        }));
+
+        this.router.post('/emergency-stop', this.action('emergency_stop', async (req) => {
+            if (req.body.confirm !== true) {
+                throw new ValidationError('Emergency stop requires {"confirm": true}');
+            }
+
+            // KILLED blocks new orders from both engines until /risk/resume
+            const result = {};
+            this.bot.riskManager?.kill('manual_emergency_stop');
+            if (this.bot.tradingBot) {
+                result.spotStopped = await this.bot.tradingBot.emergencyStop();
+            }
+            if (this.bot.futuresStrategy) {
+                result.futures = await this.bot.futuresStrategy.emergencyCloseAll();
+            }
+            return result;
+        }));
+
+        this.router.get('/audit', this.action('read_audit_log', async (req) => {
+            const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+                throw new ValidationError('limit must be an integer between 1 and 1000');
+            }
+            return { entries: this.bot.journal ? this.bot.journal.loadAuditEvents(limit) : [] };
+        }));
+    }
+}
+
+module.exports = ControlAPI;
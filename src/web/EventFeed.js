@@ -0,0 +1,218 @@
+const { URL } = require('url');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['trades', 'futures', 'signals', 'market', 'ticker', 'performance', 'risk', 'system'];
+
+// Slow consumers are skipped rather than allowed to buffer without bound
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Streams bot events to WebSocket clients on the existing HTTP server.
+// Server -> client messages: welcome, event, subscribed, unsubscribed, pong, error.
+// Client -> server messages: subscribe, unsubscribe, ping.
+class EventFeed {
+    constructor({ auth, path = '/ws/events', heartbeatInterval = 30000 } = {}) {
+        this.auth = auth;
+        this.path = path;
+        this.heartbeatInterval = heartbeatInterval;
+
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.clients = new Map();
+        this.nextClientId = 1;
+        this.heartbeat = null;
+
+        this.wss.on('connection', (ws, req, context) => this.handleConnection(ws, req, context));
+    }
+
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        this.heartbeat = setInterval(() => this.checkHeartbeats(), this.heartbeatInterval);
+        this.heartbeat.unref();
+
+        logger.info(`📡 Event feed listening on ${this.path}`, { channels: CHANNELS });
+    }
+
+    // Maps emitter events onto feed channels, e.g. { tradeOpened: 'trades' }
+    registerSource(sourceName, emitter, eventChannels) {
+        if (!emitter) return;
+
+        for (const [event, channel] of Object.entries(eventChannels)) {
+            emitter.on(event, (data) => this.publish(channel, event, data, sourceName));
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.path) {
+            return this.rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        const query = Object.fromEntries(url.searchParams);
+
+        if (!this.auth || !this.auth.isEnabled()) {
+            return this.rejectUpgrade(socket, 503, 'Service Unavailable');
+        }
+
+        const actor = this.auth.authenticateRequest(req, query);
+        if (!actor) {
+            logger.warn('Event feed connection rejected', { ip: req.socket.remoteAddress });
+            return this.rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        const requested = query.channels ? query.channels.split(',').map(c => c.trim()) : [];
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.wss.emit('connection', ws, req, { actor, channels: requested });
+        });
+    }
+
+    rejectUpgrade(socket, status, message) {
+        socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+    }
+
+    handleConnection(ws, req, { actor, channels }) {
+        const client = {
+            id: this.nextClientId++,
+            ws,
+            actor,
+            channels: new Set(channels.filter(c => CHANNELS.includes(c))),
+            isAlive: true
+        };
+        this.clients.set(client.id, client);
+
+        ws.on('pong', () => {
+            client.isAlive = true;
+        });
+
+        ws.on('message', (raw) => this.handleMessage(client, raw));
+
+        ws.on('close', () => {
+            this.clients.delete(client.id);
+            logger.info('Event feed client disconnected', { clientId: client.id, actor });
+        });
+
+        ws.on('error', (error) => {
+            logger.error('Event feed client error:', error.message);
+        });
+
+        logger.info('Event feed client connected', {
+            clientId: client.id,
+            actor,
+            channels: Array.from(client.channels)
+        });
+
+        this.send(client, {
+            type: 'welcome',
+            clientId: client.id,
+            channels: CHANNELS,
+            subscriptions: Array.from(client.channels)
+        });
+    }
+
+    handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            message = null;
+        }
+
+        if (!message || typeof message !== 'object') {
+            return this.send(client, { type: 'error', message: 'Messages must be JSON objects' });
+        }
+
+        switch (message.type) {
+            case 'subscribe':
+            case 'unsubscribe': {
+                const channels = Array.isArray(message.channels) ? message.channels : [message.channel];
+                const unknown = channels.filter(c => !CHANNELS.includes(c));
+                if (unknown.length > 0) {
+                    return this.send(client, { type: 'error', message: `Unknown channels: ${unknown.join(', ')}` });
+                }
+
+                channels.forEach(c => (message.type === 'subscribe' ? client.channels.add(c) : client.channels.delete(c)));
+                return this.send(client, {
+                    type: message.type === 'subscribe' ? 'subscribed' : 'unsubscribed',
+                    channels,
+                    subscriptions: Array.from(client.channels)
+                });
+            }
+
+            case 'ping':
+                return this.send(client, { type: 'pong', timestamp: Date.now() });
+
+            default:
+                return this.send(client, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    publish(channel, event, data, source) {
+        if (this.clients.size === 0) return;
+
+        let payload;
+        try {
+            payload = JSON.stringify({ type: 'event', channel, event, source, timestamp: Date.now(), data });
+        } catch (error) {
+            logger.error(`Failed to serialize ${event} for event feed:`, error.message);
+            return;
+        }
+
+        for (const client of this.clients.values()) {
+            if (!client.channels.has(channel)) continue;
+            this.sendRaw(client, payload);
+        }
+    }
+
+    send(client, message) {
+        this.sendRaw(client, JSON.stringify(message));
+    }
+
+    sendRaw(client, payload) {
+        if (client.ws.readyState !== WebSocket.OPEN) return;
+        if (client.ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+
+        client.ws.send(payload, (error) => {
+            if (error) {
+                logger.error('Failed to send event feed message:', error.message);
+            }
+        });
+    }
+
+    checkHeartbeats() {
+        for (const client of this.clients.values()) {
+            if (!client.isAlive) {
+                client.ws.terminate();
+                this.clients.delete(client.id);
+                continue;
+            }
+            client.isAlive = false;
+            client.ws.ping();
+        }
+    }
+
+    getStatus() {
+        return {
+            path: this.path,
+            clients: this.clients.size,
+            channels: CHANNELS
+        };
+    }
+
+    close() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+
+        for (const client of this.clients.values()) {
+            client.ws.close(1001, 'Server shutting down');
+        }
+        this.clients.clear();
+        this.wss.close();
+    }
+}
+
+EventFeed.CHANNELS = CHANNELS;
+
+module.exports = EventFeed;
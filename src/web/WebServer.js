@@ -1,15 +1,23 @@
 const express = require('express');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DASHBOARD_DIR = path.join(__dirname, 'dashboard');
 
 class WebServer {
     constructor(botInstance) {
         this.bot = botInstance;
         this.app = express();
+
+        // Routes live on a router so the main app can mount them on its own server
+        this.router = express.Router();
+        this.app.use(this.router);
         this.setupRoutes();
     }
 
     setupRoutes() {
         // Status endpoint
-        this.app.get('/api/status', (req, res) => {
+        this.router.get('/api/status', (req, res) => {
             res.json({
                 isRunning: this.bot.isRunning,
                 activeTrades: this.bot.activeTrades ? this.bot.activeTrades.size : 0,
@@ -18,13 +26,13 @@ class WebServer {
         });
 
         // Trades endpoint
-        this.app.get('/api/trades', (req, res) => {
+        this.router.get('/api/trades', (req, res) => {
             const trades = this.bot.tradingBot ? this.bot.tradingBot.getActiveTrades() : [];
             res.json(trades);
         });
 
         // Market data endpoint
-        this.app.get('/api/market-data', (req, res) => {
+        this.router.get('/api/market-data', (req, res) => {
             const marketData = {};
             if (this.bot.marketData) {
                 for (const [symbol, data] of this.bot.marketData.entries()) {
@@ -33,6 +41,140 @@ class WebServer {
             }
             res.json(marketData);
         });
+
+        this.setupDashboardRoutes();
+    }
+
+    setupDashboardRoutes() {
+        // Static single-page dashboard, no external assets
+        this.router.get('/dashboard', (req, res, next) => {
+            if (!req.path.endsWith('/')) {
+                return res.redirect(301, '/dashboard/');
+            }
+            next();
+        });
+        this.router.use('/dashboard', express.static(DASHBOARD_DIR));
+
+        // Account data behind the same credentials as the control API
+        const dashboard = express.Router();
+        dashboard.use((req, res, next) => this.authenticate(req, res, next));
+
+        dashboard.get('/overview', this.handle(async () => {
+            const { tradingBot, futuresStrategy, riskManager } = this.bot;
+            return {
+                isRunning: this.bot.isRunning,
+                paperTrading: !!this.bot.config?.PAPER_TRADING,
+                tradingPairs: this.bot.tradingPairs || [],
+                spot: tradingBot ? tradingBot.getStatus() : null,
+                futures: futuresStrategy ? {
+                    isRunning: futuresStrategy.isRunning,
+                    emergencyStop: futuresStrategy.emergencyStop,
+                    settings: futuresStrategy.getSettings(),
+                    consecutiveLosses: futuresStrategy.consecutiveLosses,
+                    strategies: futuresStrategy.strategies.describe('futures')
+                } : null,
+                dailyStats: futuresStrategy ? futuresStrategy.getDailyStats() : null,
+                risk: riskManager ? riskManager.getStatus() : null
+            };
+        }));
+
+        dashboard.get('/positions', this.handle(async () => {
+            const { tradingBot, futuresStrategy } = this.bot;
+            return {
+                spot: tradingBot ? tradingBot.getActiveTrades() : [],
+                futures: futuresStrategy ? await futuresStrategy.getActivePositions() : []
+            };
+        }));
+
+        dashboard.get('/history', this.handle(async (req) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+            return { trades: this.getClosedTrades().slice(-limit).reverse() };
+        }));
+
+        dashboard.get('/indicators/:symbol', this.handle(async (req) => {
+            const symbol = req.params.symbol.toUpperCase();
+            const { marketAnalyzer } = this.bot;
+            const interval = req.query.interval || marketAnalyzer?.primaryInterval || null;
+            return {
+                symbol,
+                interval,
+                marketData: marketAnalyzer?.getMarketData(symbol) || null,
+                indicators: marketAnalyzer?.getTechnicalIndicators(symbol, interval) || null
+            };
+        }));
+
+        dashboard.get('/equity', this.handle(async () => {
+            // Cumulative realized P&L across spot and futures, in close order
+            let equity = 0;
+            const points = this.getClosedTrades().map(trade => {
+                equity += trade.pnlUSDT;
+                return { time: trade.closeTime, equity };
+            });
+            return { points };
+        }));
+
+        this.router.use('/api/dashboard', dashboard);
+    }
+
+    authenticate(req, res, next) {
+        const auth = this.bot.apiAuth;
+        if (!auth || !auth.isEnabled()) {
+            return res.status(503).json({
+                error: 'Dashboard API disabled',
+                message: 'Set CONTROL_API_KEY or CONTROL_API_JWT_SECRET to enable it'
+            });
+        }
+
+        if (!auth.authenticateRequest(req)) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing credentials' });
+        }
+        next();
+    }
+
+    handle(handler) {
+        return async (req, res) => {
+            try {
+                res.json(await handler(req));
+            } catch (error) {
+                logger.error('Dashboard request failed:', error);
+                res.status(500).json({ error: error.message });
+            }
+        };
+    }
+
+    getClosedTrades() {
+        const { tradingBot, journal } = this.bot;
+
+        const spot = (tradingBot ? tradingBot.tradeHistory : []).map(trade => ({
+            source: 'spot',
+            id: trade.id,
+            symbol: trade.symbol,
+            side: trade.side,
+            quantity: parseFloat(trade.quantity),
+            entryPrice: parseFloat(trade.entryPrice),
+            exitPrice: trade.exitPrice ? parseFloat(trade.exitPrice) : null,
+            pnlUSDT: trade.pnlUSDT || 0,
+            reason: trade.closeReason,
+            openTime: trade.openTime,
+            closeTime: trade.closeTime
+        }));
+
+        // Futures history only exists in the journal, which keeps it cached
+        const futures = (journal ? journal.getClosedFuturesPositions() : []).map(position => ({
+            source: 'futures',
+            id: position.orderId,
+            symbol: position.symbol,
+            side: position.side,
+            quantity: parseFloat(position.size),
+            entryPrice: parseFloat(position.entryPrice),
+            exitPrice: null,
+            pnlUSDT: position.pnl || 0,
+            reason: position.reason,
+            openTime: position.timestamp,
+            closeTime: position.closeTime
+        }));
+
+        return [...spot, ...futures].sort((a, b) => a.closeTime - b.closeTime);
     }
 
     start(port = 3000) {
@@ -49,4 +191,4 @@ class WebServer {
     }
 }
 
-module.exports = WebServer;
\ No newline at end of file
+module.exports = WebServer;
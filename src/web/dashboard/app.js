@@ -0,0 +1,387 @@
+// Dashboard client: polls /api/dashboard, listens on /ws/events for live
+// updates and sends actions through /api/control.
+(function () {
+    const REFRESH_INTERVAL = 10000;
+    const STORAGE_KEY = 'botmonit.credential';
+
+    const $ = (id) => document.getElementById(id);
+    let credential = sessionStorage.getItem(STORAGE_KEY);
+    let refreshTimer = null;
+    let refreshPending = null;
+    let socket = null;
+
+    // JWTs have three dot-separated parts, anything else is treated as an API key
+    const isToken = (value) => value.split('.').length === 3;
+
+    function authHeaders() {
+        return isToken(credential)
+            ? { Authorization: `Bearer ${credential}` }
+            : { 'X-API-Key': credential };
+    }
+
+    async function api(path, options = {}) {
+        const response = await fetch(path, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...authHeaders(), ...(options.headers || {}) }
+        });
+
+        if (response.status === 401) {
+            signOut('Invalid credentials');
+            throw new Error('Unauthorized');
+        }
+
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || body.message || `HTTP ${response.status}`);
+        }
+        return body;
+    }
+
+    async function control(action, body = {}, method = 'POST') {
+        const result = $('control-result');
+        try {
+            await api(`/api/control/${action}`, { method, body: JSON.stringify(body) });
+            result.textContent = `✅ ${action} done`;
+            result.className = 'muted';
+            scheduleRefresh();
+        } catch (error) {
+            result.textContent = `❌ ${action}: ${error.message}`;
+            result.className = 'error';
+        }
+    }
+
+    // Rendering helpers build DOM nodes so API data is never parsed as HTML
+    function cell(text, className) {
+        const td = document.createElement('td');
+        td.textContent = text === null || text === undefined ? '–' : text;
+        if (className) td.className = className;
+        return td;
+    }
+
+    function fmt(value, digits = 2) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number.toFixed(digits) : '–';
+    }
+
+    function pnlClass(value) {
+        return parseFloat(value) >= 0 ? 'positive' : 'negative';
+    }
+
+    function renderStats(element, entries) {
+        element.replaceChildren();
+        for (const [label, value, className] of entries) {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            if (className) dd.className = className;
+            element.append(dt, dd);
+        }
+    }
+
+    function renderOverview(overview) {
+        $('mode-badge').textContent = overview.paperTrading ? 'PAPER' : 'LIVE';
+
+        if (overview.spot) {
+            $('mode-select').value = overview.spot.tradingMode;
+        }
+        renderStrategies([...(overview.spot?.strategies || []), ...(overview.futures?.strategies || [])]);
+
+        if (overview.futures) {
+            const form = $('futures-settings');
+            for (const input of form.querySelectorAll('input')) {
+                if (document.activeElement !== input) {
+                    input.value = overview.futures.settings[input.name] ?? '';
+                }
+            }
+        }
+
+        const daily = overview.dailyStats;
+        renderStats($('daily-stats'), daily ? [
+            ['Date', daily.date],
+            ['Start balance', `$${fmt(daily.startBalance)}`],
+            ['Current balance', `$${fmt(daily.currentBalance)}`],
+            ['P&L', `$${fmt(daily.pnl)}`, pnlClass(daily.pnl)],
+            ['Trades', `${daily.trades} (${daily.wins}W / ${daily.losses}L)`],
+            ['Consecutive losses', overview.futures?.consecutiveLosses ?? 0],
+            ['Futures', overview.futures?.isRunning ? 'running' : 'stopped']
+        ] : [['Futures', 'not enabled']]);
+
+        const risk = overview.risk;
+        renderStats($('risk-status'), risk ? [
+            ['Trading state', risk.tradingState.state, risk.tradingState.state === 'ACTIVE' ? 'positive' : 'negative'],
+            ['Within limits', risk.withinLimits.withinLimits ? 'yes' : 'NO', risk.withinLimits.withinLimits ? 'positive' : 'negative'],
+            ['Daily P&L', `${fmt(risk.portfolioRisk.dailyPnLPercent)}% / -${risk.riskLimits.maxDailyLoss}%`, pnlClass(risk.portfolioRisk.dailyPnLPercent)],
+            ['Gross exposure', `${fmt(risk.portfolioRisk.exposurePercent)}% / ${risk.riskLimits.maxGrossExposure}%`],
+            ['Net exposure', `${fmt(risk.portfolioRisk.netExposurePercent)}% / ${risk.riskLimits.maxNetExposure}%`],
+            ['Margin usage', `${fmt(risk.portfolioRisk.marginUsagePercent)}% / ${risk.riskLimits.maxMarginUsage}%`],
+            ['Nearest liquidation', risk.portfolioRisk.minLiquidationDistance === null ? '–' : `${fmt(risk.portfolioRisk.minLiquidationDistance)}%`],
+            ['Positions', risk.portfolioRisk.numberOfPositions],
+            ['Max trade risk', `${risk.riskLimits.maxTradeRisk}%`],
+            ['Spot trading', overview.spot?.isRunning ? 'running' : 'stopped']
+        ] : [['Risk manager', 'not available']]);
+
+        const events = $('risk-events');
+        events.replaceChildren(...(risk?.recentEvents || []).map(event => {
+            const li = document.createElement('li');
+            li.textContent = `${new Date(event.timestamp).toLocaleString()} – ${event.type}`;
+            return li;
+        }));
+
+        const select = $('symbol-select');
+        if (select.options.length === 0) {
+            for (const symbol of overview.tradingPairs) {
+                select.append(new Option(symbol, symbol));
+            }
+        }
+    }
+
+    function renderStrategies(strategies) {
+        const container = $('strategies');
+        container.replaceChildren(...strategies.map(strategy => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = strategy.enabled;
+            checkbox.addEventListener('change', () => control(`strategies/${strategy.id}`, { enabled: checkbox.checked }));
+            label.append(checkbox, `${strategy.id} (${strategy.market})`);
+            return label;
+        }));
+    }
+
+    function renderPositions({ spot, futures }) {
+        const rows = [];
+
+        for (const trade of spot) {
+            const tr = document.createElement('tr');
+            const close = document.createElement('button');
+            close.textContent = 'Close';
+            close.addEventListener('click', () => {
+                if (confirm(`Close ${trade.symbol} trade?`)) control(`trades/${encodeURIComponent(trade.id)}/close`);
+            });
+
+            tr.append(
+                cell('spot'), cell(trade.symbol), cell(trade.side), cell(trade.quantity),
+                cell(fmt(trade.entryPrice, 4)), cell(fmt(trade.currentPrice, 4)),
+                cell(fmt(trade.pnlUSDT), pnlClass(trade.pnlUSDT))
+            );
+            const actions = document.createElement('td');
+            actions.append(close);
+            tr.append(actions);
+            rows.push(tr);
+        }
+
+        for (const position of futures) {
+            const tr = document.createElement('tr');
+            const close = document.createElement('button');
+            close.textContent = 'Close';
+            close.addEventListener('click', () => {
+                if (confirm(`Close ${position.side} ${position.symbol} position?`)) {
+                    control('futures/positions/close', { symbol: position.symbol, side: position.side });
+                }
+            });
+
+            tr.append(
+                cell('futures'), cell(position.symbol), cell(`${position.side} ${position.leverage || ''}x`), cell(position.size),
+                cell(fmt(position.entryPrice, 4)), cell(fmt(position.markPrice, 4)),
+                cell(fmt(position.unRealizedProfit), pnlClass(position.unRealizedProfit))
+            );
+            const actions = document.createElement('td');
+            actions.append(close);
+            tr.append(actions);
+            rows.push(tr);
+        }
+
+        if (rows.length === 0) {
+            const tr = document.createElement('tr');
+            const td = cell('No open positions', 'muted');
+            td.colSpan = 8;
+            tr.append(td);
+            rows.push(tr);
+        }
+
+        $('positions').replaceChildren(...rows);
+    }
+
+    function renderHistory({ trades }) {
+        $('history').replaceChildren(...trades.map(trade => {
+            const tr = document.createElement('tr');
+            tr.append(
+                cell(trade.closeTime ? new Date(trade.closeTime).toLocaleString() : null),
+                cell(trade.source), cell(trade.symbol), cell(trade.side), cell(trade.quantity),
+                cell(fmt(trade.entryPrice, 4)), cell(trade.exitPrice ? fmt(trade.exitPrice, 4) : null),
+                cell(fmt(trade.pnlUSDT), pnlClass(trade.pnlUSDT)), cell(trade.reason)
+            );
+            return tr;
+        }));
+    }
+
+    function renderEquity({ points }) {
+        const canvas = $('equity');
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const pad = 40;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = '#8b96a5';
+
+        if (points.length < 2) {
+            ctx.fillText('Not enough closed trades yet', pad, height / 2);
+            return;
+        }
+
+        const values = [0, ...points.map(p => p.equity)];
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        const x = (i) => pad + (i / (values.length - 1)) * (width - pad * 2);
+        const y = (v) => height - pad - ((v - min) / range) * (height - pad * 2);
+
+        // Zero line
+        ctx.strokeStyle = '#2a3441';
+        ctx.beginPath();
+        ctx.moveTo(pad, y(0));
+        ctx.lineTo(width - pad, y(0));
+        ctx.stroke();
+
+        ctx.fillText(fmt(max), 2, y(max) + 4);
+        ctx.fillText(fmt(min), 2, y(min) + 4);
+
+        ctx.strokeStyle = values[values.length - 1] >= 0 ? '#26a69a' : '#ef5350';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((v, i) => (i === 0 ? ctx.moveTo(x(i), y(v)) : ctx.lineTo(x(i), y(v))));
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+
+    function renderIndicators({ marketData, indicators }) {
+        if (!indicators) {
+            renderStats($('indicators'), [['Indicators', 'waiting for market data']]);
+            return;
+        }
+
+        const entries = [['Price', marketData ? fmt(marketData.price, 4) : '–']];
+        for (const [name, value] of Object.entries(indicators)) {
+            if (value === null || typeof value === 'object') continue;
+            entries.push([name, typeof value === 'number' ? fmt(value, 4) : String(value)]);
+        }
+        renderStats($('indicators'), entries);
+    }
+
+    async function refresh() {
+        try {
+            const symbol = $('symbol-select').value;
+            const [overview, positions, history, equity] = await Promise.all([
+                api('/api/dashboard/overview'),
+                api('/api/dashboard/positions'),
+                api('/api/dashboard/history?limit=100'),
+                api('/api/dashboard/equity')
+            ]);
+
+            renderOverview(overview);
+            renderPositions(positions);
+            renderHistory(history);
+            renderEquity(equity);
+
+            const selected = symbol || $('symbol-select').value;
+            if (selected) {
+                renderIndicators(await api(`/api/dashboard/indicators/${encodeURIComponent(selected)}`));
+            }
+        } catch (error) {
+            console.error('Dashboard refresh failed:', error);
+        }
+    }
+
+    // Bursts of feed events collapse into a single refresh
+    function scheduleRefresh() {
+        if (refreshPending) return;
+        refreshPending = setTimeout(() => {
+            refreshPending = null;
+            refresh();
+        }, 500);
+    }
+
+    function connectFeed() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const param = isToken(credential) ? 'token' : 'apiKey';
+        const url = `${protocol}//${location.host}/ws/events?${param}=${encodeURIComponent(credential)}` +
+            '&channels=trades,futures,risk,system';
+
+        socket = new WebSocket(url);
+
+        socket.addEventListener('open', () => {
+            $('feed-status').textContent = 'live';
+            $('feed-status').className = 'badge online';
+        });
+
+        socket.addEventListener('message', (message) => {
+            const data = JSON.parse(message.data);
+            if (data.type === 'event') scheduleRefresh();
+        });
+
+        socket.addEventListener('close', () => {
+            $('feed-status').textContent = 'feed offline';
+            $('feed-status').className = 'badge offline';
+            socket = null;
+            if (credential) setTimeout(connectFeed, 5000);
+        });
+    }
+
+    function signIn(value) {
+        credential = value;
+        sessionStorage.setItem(STORAGE_KEY, value);
+        $('login').classList.add('hidden');
+        $('app').classList.remove('hidden');
+
+        refresh();
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+        connectFeed();
+    }
+
+    function signOut(message = '') {
+        credential = null;
+        sessionStorage.removeItem(STORAGE_KEY);
+        clearInterval(refreshTimer);
+        if (socket) socket.close();
+
+        $('app').classList.add('hidden');
+        $('login').classList.remove('hidden');
+        $('login-error').textContent = message;
+    }
+
+    // Wiring
+    $('login-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        signIn($('credential').value.trim());
+    });
+
+    $('logout').addEventListener('click', () => signOut());
+
+    for (const button of document.querySelectorAll('[data-action]')) {
+        button.addEventListener('click', () => {
+            if (button.dataset.confirm && !confirm(button.dataset.confirm)) return;
+            const body = button.dataset.action === 'emergency-stop' ? { confirm: true } : {};
+            control(button.dataset.action, body);
+        });
+    }
+
+    $('mode-select').addEventListener('change', (event) => control('mode', { mode: event.target.value }));
+    $('symbol-select').addEventListener('change', refresh);
+
+    $('futures-settings').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const updates = {};
+        for (const input of event.target.querySelectorAll('input')) {
+            if (input.value !== '') updates[input.name] = parseFloat(input.value);
+        }
+        control('futures/settings', updates, 'PATCH');
+    });
+
+    if (credential) {
+        signIn(credential);
+    } else {
+        signOut();
+    }
+})();
@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const ControlAPI = require('../src/web/ControlAPI');
+const FuturesStrategy = require('../src/strategies/FuturesStrategy');
+
+const API_KEY = 'test-key';
+
+function createApp({ enabled = true, futuresStrategy } = {}) {
+    const audit = [];
+    const bot = {
+        journal: { recordAuditEvent: entry => audit.push(entry), loadAuditEvents: () => audit },
+        futuresStrategy
+    };
+    const auth = {
+        isEnabled: () => enabled,
+        authenticateRequest: req => (req.headers['x-api-key'] === API_KEY ? 'api_key' : null)
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/control', new ControlAPI(bot, auth).router);
+    return { app, audit };
+}
+
+function createFuturesStrategy() {
+    return {
+        settings: { leverage: 5 },
+        symbolSettings: new Map([['BTCUSDT', { leverage: 5 }]]),
+        updateSettings: jest.fn(async () => {}),
+        updateSymbolSettings: jest.fn(async () => {}),
+        getSettings: () => ({ leverage: 5 })
+    };
+}
+
+describe('ControlAPI', () => {
+    describe('authentication', () => {
+        test('is unavailable without credentials configured', async () => {
+            const { app } = createApp({ enabled: false });
+            const res = await request(app).get('/api/control/audit').set('x-api-key', API_KEY);
+
+            expect(res.status).toBe(503);
+        });
+
+        test('rejects missing or wrong credentials', async () => {
+            const { app } = createApp();
+
+            expect((await request(app).get('/api/control/audit')).status).toBe(401);
+            expect((await request(app).get('/api/control/audit').set('x-api-key', 'wrong')).status).toBe(401);
+        });
+
+        test('audits repeated failures from one IP once per window', async () => {
+            const { app, audit } = createApp();
+            for (let i = 0; i < 5; i++) {
+                await request(app).post('/api/control/trading/stop');
+            }
+
+            expect(audit).toHaveLength(1);
+            expect(audit[0]).toMatchObject({ action: 'authenticate', result: 'rejected', repeatedSinceLastEntry: 0 });
+        });
+    });
+
+    describe('auditing', () => {
+        test('reads are not audited', async () => {
+            const { app, audit } = createApp();
+            const res = await request(app).get('/api/control/audit').set('x-api-key', API_KEY);
+
+            expect(res.status).toBe(200);
+            expect(audit).toHaveLength(0);
+        });
+
+        test('changes are audited with their actor and outcome', async () => {
+            const futuresStrategy = createFuturesStrategy();
+            const { app, audit } = createApp({ futuresStrategy });
+            await request(app).patch('/api/control/futures/settings').set('x-api-key', API_KEY).send({ leverage: 3 });
+
+            expect(audit).toHaveLength(1);
+            expect(audit[0]).toMatchObject({ action: 'update_futures_settings', result: 'success', actor: 'api_key' });
+        });
+    });
+
+    describe('futures settings validation', () => {
+        const [rsiLongMin, rsiLongMax] = FuturesStrategy.SYMBOL_SETTING_LIMITS.rsiLongThreshold;
+        const [rsiShortMin, rsiShortMax] = FuturesStrategy.SYMBOL_SETTING_LIMITS.rsiShortThreshold;
+
+        async function patch(body, futuresStrategy = createFuturesStrategy()) {
+            const { app, audit } = createApp({ futuresStrategy });
+            const res = await request(app).patch('/api/control/futures/settings').set('x-api-key', API_KEY).send(body);
+            return { res, audit, futuresStrategy };
+        }
+
+        test('accepts the limits FuturesStrategy clamps to', async () => {
+            const { res, futuresStrategy } = await patch({ rsiLongThreshold: rsiLongMin, rsiShortThreshold: rsiShortMax });
+
+            expect(res.status).toBe(200);
+            expect(futuresStrategy.updateSettings).toHaveBeenCalledWith({ rsiLongThreshold: rsiLongMin, rsiShortThreshold: rsiShortMax });
+        });
+
+        test.each([
+            ['rsiLongThreshold', rsiLongMin - 1],
+            ['rsiLongThreshold', rsiLongMax + 1],
+            ['rsiShortThreshold', rsiShortMin - 1],
+            ['rsiShortThreshold', rsiShortMax + 1]
+        ])('rejects %s = %d', async (field, value) => {
+            const { res, audit, futuresStrategy } = await patch({ [field]: value });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(new RegExp(`^${field} must be between`));
+            expect(futuresStrategy.updateSettings).not.toHaveBeenCalled();
+            expect(audit[0]).toMatchObject({ result: 'rejected' });
+        });
+
+        test('rejects non-integer leverage and unknown fields', async () => {
+            expect((await patch({ leverage: 2.5 })).res.body.error).toBe('leverage must be an integer');
+            expect((await patch({ takeProfit: 3 })).res.body.error).toBe('Unknown field: takeProfit');
+        });
+
+        test('applies per-symbol changes to active symbols only', async () => {
+            const { res, futuresStrategy } = await patch({ symbol: 'btcusdt', marginType: 'crossed' });
+            expect(res.status).toBe(200);
+            expect(futuresStrategy.updateSymbolSettings).toHaveBeenCalledWith('BTCUSDT', { marginType: 'CROSSED' });
+
+            expect((await patch({ symbol: 'DOGEUSDT', leverage: 3 })).res.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const LiquidationEstimator = require('../src/core/LiquidationEstimator');
+
+// First two BTCUSDT tiers as Binance publishes them, strings included
+const BTC_BRACKETS = LiquidationEstimator.normalizeBrackets([
+    { bracket: 2, initialLeverage: 100, notionalFloor: '50000', notionalCap: '250000', maintMarginRatio: '0.005', cum: '50' },
+    { bracket: 1, initialLeverage: 125, notionalFloor: '0', notionalCap: '50000', maintMarginRatio: '0.004', cum: '0' }
+]);
+
+const SETTINGS = {
+    MAX_STOP_TO_LIQUIDATION_RATIO: 0.5,
+    DEFAULT_BRACKETS: [
+        { bracket: 1, initialLeverage: 50, notionalFloor: 0, notionalCap: 5000, maintMarginRatio: 0.01, cum: 0 },
+        { bracket: 2, initialLeverage: 25, notionalFloor: 5000, notionalCap: 25000, maintMarginRatio: 0.025, cum: 75 },
+        { bracket: 3, initialLeverage: 1, notionalFloor: 25000, notionalCap: 100000, maintMarginRatio: 0.5, cum: 37450 }
+    ]
+};
+
+// At the liquidation price the position's margin plus its loss equals the
+// maintenance margin of the bracket it was opened in
+function marginLeft({ entryPrice, quantity, direction, margin }, price) {
+    return margin + direction * quantity * (price - entryPrice);
+}
+
+describe('LiquidationEstimator', () => {
+    const estimator = new LiquidationEstimator(SETTINGS);
+
+    describe('estimate', () => {
+        test('isolated long 0.5 BTC at 40000 with 20x', () => {
+            const position = { entryPrice: 40000, quantity: 0.5, direction: 1, leverage: 20, brackets: BTC_BRACKETS };
+            const result = estimator.estimate(position);
+
+            expect(result.bracket).toBe(1);
+            expect(result.margin).toBe(1000);
+            expect(result.liquidationPrice).toBeCloseTo(38152.61, 2);
+            expect(result.distancePercent).toBeCloseTo(4.62, 2);
+            expect(marginLeft({ ...position, margin: result.margin }, result.liquidationPrice))
+                .toBeCloseTo(0.5 * result.liquidationPrice * 0.004, 6);
+        });
+
+        test('isolated short 0.5 BTC at 40000 with 20x', () => {
+            const position = { entryPrice: 40000, quantity: 0.5, direction: -1, leverage: 20, brackets: BTC_BRACKETS };
+            const result = estimator.estimate(position);
+
+            expect(result.liquidationPrice).toBeCloseTo(41832.67, 2);
+            expect(result.distancePercent).toBeCloseTo(4.58, 2);
+            expect(marginLeft({ ...position, margin: result.margin }, result.liquidationPrice))
+                .toBeCloseTo(0.5 * result.liquidationPrice * 0.004, 6);
+        });
+
+        test('uses the maintenance amount of the second bracket', () => {
+            const position = { entryPrice: 50000, quantity: 2, direction: 1, leverage: 10, brackets: BTC_BRACKETS };
+            const result = estimator.estimate(position);
+
+            expect(result.bracket).toBe(2);
+            expect(result.maxLeverage).toBe(100);
+            expect(result.liquidationPrice).toBeCloseTo(45201.01, 2);
+            expect(marginLeft({ ...position, margin: result.margin }, result.liquidationPrice))
+                .toBeCloseTo(2 * result.liquidationPrice * 0.005 - 50, 6);
+        });
+
+        test('returns no liquidation price when the cross balance covers any move', () => {
+            const result = estimator.estimate({
+                entryPrice: 100,
+                quantity: 1,
+                direction: 1,
+                leverage: 10,
+                marginType: 'CROSSED',
+                walletBalance: 1000
+            });
+
+            expect(result.liquidationPrice).toBeNull();
+            expect(result.distancePercent).toBeNull();
+        });
+    });
+
+    describe('selectBracket', () => {
+        test('picks the tier whose floor the notional reaches', () => {
+            expect(estimator.selectBracket(BTC_BRACKETS, 49999).bracket).toBe(1);
+            expect(estimator.selectBracket(BTC_BRACKETS, 50000).bracket).toBe(2);
+        });
+
+        test('uses the top bracket past the last cap', () => {
+            expect(estimator.selectBracket(BTC_BRACKETS, 1000000).bracket).toBe(2);
+            expect(estimator.selectBracket(null, 500000)).toMatchObject({ bracket: 3, initialLeverage: 1 });
+        });
+    });
+
+    describe('checkStop', () => {
+        const entry = { entryPrice: 50000, quantity: 2, direction: 1 };
+
+        test('rejects leverage above the bracket initial leverage', () => {
+            const estimate = estimator.estimate({ ...entry, leverage: 125, brackets: BTC_BRACKETS });
+            const reason = estimator.checkStop({ ...entry, stopLoss: 49900, leverage: 125, estimate });
+
+            expect(reason).toBe('125x exceeds the 100x allowed for a 100000.00 USDT position');
+        });
+
+        test('accepts a stop well inside the liquidation distance', () => {
+            const estimate = estimator.estimate({ ...entry, leverage: 10, brackets: BTC_BRACKETS });
+
+            expect(estimator.checkStop({ ...entry, stopLoss: 48000, leverage: 10, estimate })).toBeNull();
+        });
+
+        test('rejects a stop past the allowed share of the liquidation distance', () => {
+            const estimate = estimator.estimate({ ...entry, leverage: 10, brackets: BTC_BRACKETS });
+            const reason = estimator.checkStop({ ...entry, stopLoss: 47000, leverage: 10, estimate });
+
+            expect(reason).toMatch(/^Stop 47000 is 6\.00% away but liquidation 45201\.0050/);
+        });
+    });
+});
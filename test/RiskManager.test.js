@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RiskManager = require('../src/core/RiskManager');
+const TradeJournal = require('../src/storage/TradeJournal');
+const config = require('../src/config/config');
+
+const MAX_LOSSES = config.EMERGENCY.MAX_CONSECUTIVE_LOSSES;
+
+describe('RiskManager', () => {
+    let dataDir;
+    let managers;
+
+    // A restart is a new manager on the same journal directory
+    async function start() {
+        const manager = new RiskManager({}, new TradeJournal({ dataDir }));
+        managers.push(manager);
+        await manager.initialize({ balances: [{ asset: 'USDT', free: '1000', locked: '0' }] });
+        return manager;
+    }
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-manager-'));
+        managers = [];
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.cleanup());
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('trading state persistence', () => {
+        test('a kill survives a restart', async () => {
+            const manager = await start();
+            manager.kill('manual_emergency_stop');
+
+            const restarted = await start();
+            expect(restarted.getTradingState()).toMatchObject({ state: 'KILLED', reason: 'manual_emergency_stop' });
+            expect(restarted.isTradingAllowed()).toBe(false);
+        });
+
+        test('the state is restored from its snapshot however many events follow it', async () => {
+            const manager = await start();
+            manager.kill('manual_emergency_stop');
+            for (let i = 0; i < 1500; i++) {
+                manager.logRiskEvent('api_error', { n: i });
+            }
+
+            const restarted = await start();
+            expect(restarted.getTradingState().state).toBe('KILLED');
+        });
+
+        test('a halt from an earlier day is not restored', async () => {
+            const manager = await start();
+            manager.haltForDay('daily_loss_limit');
+            const snapshotPath = path.join(dataDir, 'trading_state.json');
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            fs.writeFileSync(snapshotPath, JSON.stringify({ ...snapshot, since: Date.now() - 2 * 86400000 }));
+
+            const restarted = await start();
+            expect(restarted.getTradingState().state).toBe('ACTIVE');
+        });
+
+        test('an expired cooldown is not restored', async () => {
+            const manager = await start();
+            manager.transition('COOLDOWN', 'consecutive_losses');
+            const snapshotPath = path.join(dataDir, 'trading_state.json');
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            fs.writeFileSync(snapshotPath, JSON.stringify({ ...snapshot, until: Date.now() - 1000 }));
+
+            const restarted = await start();
+            expect(restarted.getTradingState().state).toBe('ACTIVE');
+        });
+
+        test('a resume replaces the persisted kill', async () => {
+            const manager = await start();
+            manager.kill('manual_emergency_stop');
+            manager.resume();
+
+            const restarted = await start();
+            expect(restarted.getTradingState().state).toBe('ACTIVE');
+        });
+
+        test("today's realized loss survives a restart", async () => {
+            const manager = await start();
+            manager.recordTradeResult({ market: 'spot', symbol: 'BTCUSDT', pnl: -42 });
+
+            const restarted = await start();
+            expect(restarted.dailyStats).toMatchObject({ pnl: -42, trades: 1, consecutiveLosses: 1 });
+        });
+    });
+
+    describe('recordTradeResult', () => {
+        test(`${MAX_LOSSES} losses in a row start a cooldown`, async () => {
+            const manager = await start();
+            for (let i = 0; i < MAX_LOSSES; i++) {
+                manager.recordTradeResult({ market: 'futures', symbol: 'ETHUSDT', pnl: -1 });
+            }
+
+            expect(manager.getTradingState()).toMatchObject({ state: 'COOLDOWN', reason: 'consecutive_losses' });
+        });
+
+        test('break-even trades neither extend nor reset the streak', async () => {
+            const manager = await start();
+            manager.recordTradeResult({ market: 'spot', symbol: 'BTCUSDT', pnl: -1 });
+            manager.recordTradeResult({ market: 'spot', symbol: 'BTCUSDT', pnl: 0 });
+            expect(manager.dailyStats.consecutiveLosses).toBe(1);
+
+            manager.recordTradeResult({ market: 'spot', symbol: 'BTCUSDT', pnl: 5 });
+            expect(manager.dailyStats.consecutiveLosses).toBe(0);
+        });
+    });
+
+    describe('checkDailyLossLimit', () => {
+        test('logs a breach once until the loss is back under the limit', async () => {
+            const manager = await start();
+            manager.dailyStats.startBalance = 1000;
+            manager.dailyStats.pnl = -(manager.riskLimits.maxDailyLoss / 100) * 1000;
+
+            expect(manager.checkDailyLossLimit()).toBe(false);
+            expect(manager.checkDailyLossLimit()).toBe(false);
+            expect(manager.getRiskEvents(10).filter(event => event.type === 'daily_loss_limit')).toHaveLength(1);
+
+            manager.dailyStats.pnl = 0;
+            expect(manager.checkDailyLossLimit()).toBe(true);
+            manager.dailyStats.pnl = -1000;
+            expect(manager.checkDailyLossLimit()).toBe(false);
+            expect(manager.getRiskEvents(10).filter(event => event.type === 'daily_loss_limit')).toHaveLength(2);
+        });
+    });
+});
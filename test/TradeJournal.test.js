@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradeJournal = require('../src/storage/TradeJournal');
+
+const YESTERDAY = new Date(Date.now() - 86400000);
+
+describe('TradeJournal', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-journal-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('rebuilds open and closed spot trades', () => {
+        const journal = new TradeJournal({ dataDir });
+        journal.recordTradeOpened({ id: 'a', stopLoss: 90 });
+        journal.recordTradeUpdated({ id: 'a', stopLoss: 95 });
+        journal.recordTradeOpened({ id: 'b', stopLoss: 10 });
+        journal.recordTradeClosed({ id: 'b', profit: 3 });
+
+        const { activeTrades, tradeHistory } = new TradeJournal({ dataDir }).loadSpotTrades();
+        expect([...activeTrades.values()]).toEqual([{ id: 'a', stopLoss: 95 }]);
+        expect(tradeHistory).toEqual([{ id: 'b', profit: 3 }]);
+    });
+
+    test('skips a torn last line', () => {
+        const journal = new TradeJournal({ dataDir });
+        journal.recordPositionOpened({ orderId: 1, symbol: 'BTCUSDT' });
+        fs.appendFileSync(path.join(dataDir, 'futures_positions.jsonl'), '{"timestamp":1,"type":"clo');
+
+        expect(journal.loadFuturesPositions().activePositions.get(1)).toEqual({ orderId: 1, symbol: 'BTCUSDT' });
+    });
+
+    test('compacts the position stream on startup without changing what it rebuilds', () => {
+        const journal = new TradeJournal({ dataDir });
+        journal.recordPositionOpened({ orderId: 1, stopLoss: 90 });
+        for (let stop = 91; stop <= 99; stop++) {
+            journal.recordPositionUpdated({ orderId: 1, stopLoss: stop });
+        }
+        journal.recordPositionOpened({ orderId: 2 });
+        journal.recordPositionUpdated({ orderId: 2, stopLoss: 5 });
+        journal.recordPositionClosed({ orderId: 2 }, { pnl: -1 });
+        const before = journal.loadFuturesPositions();
+
+        const restarted = new TradeJournal({ dataDir });
+        restarted.initialize();
+
+        expect(restarted.read('futures')).toHaveLength(2);
+        expect(restarted.loadFuturesPositions()).toEqual(before);
+    });
+
+    test("moves an earlier day's event files to the archive", () => {
+        const journal = new TradeJournal({ dataDir });
+        journal.recordAuditEvent({ action: 'stop_trading' });
+        const auditPath = path.join(dataDir, 'audit.jsonl');
+        fs.utimesSync(auditPath, YESTERDAY, YESTERDAY);
+
+        const restarted = new TradeJournal({ dataDir });
+        restarted.initialize();
+
+        expect(fs.existsSync(auditPath)).toBe(false);
+        const [archived] = fs.readdirSync(path.join(dataDir, 'archive'));
+        expect(archived).toBe(`audit.${YESTERDAY.toLocaleDateString('en-CA')}.jsonl`);
+        expect(restarted.loadAuditEvents()).toEqual([]);
+    });
+
+    test('serves risk events from a bounded in-memory tail', () => {
+        const journal = new TradeJournal({ dataDir });
+        journal.tailSize = 3;
+        journal.recordRiskEvent({ type: 'order_rejected', n: 0 });
+        expect(journal.loadRiskEvents()).toHaveLength(1);
+
+        const read = jest.spyOn(journal, 'read');
+        for (let n = 1; n < 5; n++) {
+            journal.recordRiskEvent({ type: 'order_rejected', n });
+        }
+
+        expect(journal.loadRiskEvents().map(event => event.n)).toEqual([2, 3, 4]);
+        expect(journal.loadRiskEvents(1)).toEqual([{ type: 'order_rejected', n: 4 }]);
+        expect(read).not.toHaveBeenCalled();
+    });
+
+    test('writes snapshots atomically and reads them back', () => {
+        const journal = new TradeJournal({ dataDir });
+
+        expect(journal.loadSnapshot('paper_spot')).toBeNull();
+        expect(journal.saveSnapshot('paper_spot', { balances: { USDT: 100 } })).toBe(true);
+        expect(new TradeJournal({ dataDir }).loadSnapshot('paper_spot')).toEqual({ balances: { USDT: 100 } });
+        expect(fs.existsSync(path.join(dataDir, 'paper_spot.json.tmp'))).toBe(false);
+    });
+});